@@ -367,6 +367,14 @@ scan_project_files() {
         return 0
     fi
 
+    # The Node module also checks parentUuid chains and leaves files still being written alone
+    local node_repair="$(dirname "${BASH_SOURCE[0]}")/dashboard/conversation-repair.js"
+    if command -v node &> /dev/null && [ -f "$node_repair" ]; then
+        info "Checking $DEEP_SCAN_COUNT most recent project files with conversation-repair.js..."
+        node "$node_repair" --recent "$DEEP_SCAN_COUNT" --no-config --repair 2>&1 | tee -a "$LOG_FILE"
+        return "${PIPESTATUS[0]}"
+    fi
+
     local issues_found=0
     local files_checked=0
 
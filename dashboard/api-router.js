@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+
+/**
+ * API Router
+ * Matches /api requests to handlers registered by the modules in routes/.
+ *
+ * The router takes care of what every handler used to repeat:
+ *   - path params (`/api/sessions/:session/info`)
+ *   - method checks (405 with an Allow header)
+ *   - JSON body parsing and simple validation (400)
+ *   - uniform errors: {error} with the right status, 500 for anything unexpected
+ *
+ * A handler either writes to `res` itself (text responses, SSE, custom statuses)
+ * or returns a value, which is sent as JSON with status 200. Routes carry a
+ * little metadata (summary, body and query fields) that openapi() turns into an
+ * OpenAPI 3 description.
+ */
+
+const BODY_METHODS = ['POST', 'PUT', 'DELETE', 'PATCH'];
+const BODY_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+
+/**
+ * Error with an HTTP status. Throw it from a handler to answer with that status.
+ * Fields in `details` are sent alongside `error` in the response body.
+ */
+class HttpError extends Error {
+  constructor(status, message, details = null) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class ApiRouter {
+  /**
+   * @param {object} options - Router options
+   * @param {object} options.log - Logger
+   */
+  constructor({ log } = {}) {
+    this.log = log || console;
+    this.routes = [];
+    this.defaults = {};
+  }
+
+  /**
+   * Register a handler
+   * @param {string|string[]} methods - HTTP method(s)
+   * @param {string} path - Path, with `:name` for path params
+   * @param {object} [meta] - Description used for validation and OpenAPI
+   * @param {string} meta.summary - One line description
+   * @param {string} meta.tag - Module the route belongs to
+   * @param {object} meta.body - {required: [fields], properties: {field: type}} or {type: 'array'}; type 'any' skips the check
+   * @param {object} meta.query - {param: description}
+   * @param {function(object): Promise<*>} handler - Called with {params, query, body, rawBody, method, pathname, res}
+   */
+  add(methods, path, meta, handler) {
+    if (typeof meta === 'function') {
+      handler = meta;
+      meta = {};
+    }
+    const keys = [];
+    const pattern = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+
+    for (const method of [].concat(methods)) {
+      this.routes.push({
+        method: method.toUpperCase(),
+        path,
+        regex: new RegExp(`^${pattern}$`),
+        keys,
+        meta: { ...this.defaults, ...meta },
+        handler
+      });
+    }
+    return this;
+  }
+
+  get(path, meta, handler) { return this.add('GET', path, meta, handler); }
+  post(path, meta, handler) { return this.add('POST', path, meta, handler); }
+  put(path, meta, handler) { return this.add('PUT', path, meta, handler); }
+  delete(path, meta, handler) { return this.add('DELETE', path, meta, handler); }
+
+  /**
+   * Register a module's routes with defaults (e.g. its tag) applied to each
+   * @param {object} defaults - Metadata merged into every route
+   * @param {function(ApiRouter)} register - Registers the routes
+   */
+  group(defaults, register) {
+    const previous = this.defaults;
+    this.defaults = { ...previous, ...defaults };
+    try {
+      register(this);
+    } finally {
+      this.defaults = previous;
+    }
+    return this;
+  }
+
+  /**
+   * Find the route for a request
+   * @returns {{route: object|null, params: object, allowed: string[]}}
+   */
+  match(method, pathname) {
+    const allowed = [];
+    for (const route of this.routes) {
+      const found = route.regex.exec(pathname);
+      if (!found) continue;
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, i) => {
+        try {
+          params[key] = decodeURIComponent(found[i + 1]);
+        } catch (error) {
+          // A bad escape such as %E0%A4%A
+          throw new HttpError(400, 'Malformed path');
+        }
+      });
+      return { route, params, allowed };
+    }
+    return { route: null, params: {}, allowed };
+  }
+
+  /**
+   * Answer an API request
+   * @param {object} request - {method, pathname, query, rawBody}
+   * @param {object} res - HTTP response
+   * @returns {Promise<boolean>} Whether a route matched
+   */
+  async handle({ method, pathname, query = {}, rawBody = '' }, res) {
+    let matched;
+    try {
+      matched = this.match(method, pathname);
+    } catch (error) {
+      this.sendJSON(res, error.status || 400, { error: error.message });
+      return true;
+    }
+    const { route, params, allowed } = matched;
+
+    if (!route) {
+      if (allowed.length > 0) {
+        res.writeHead(405, { 'Content-Type': 'application/json', 'Allow': [...new Set(allowed)].join(', ') });
+        res.end(JSON.stringify({ error: `Method ${method} not allowed` }));
+      } else {
+        this.sendJSON(res, 404, { error: 'Not found' });
+      }
+      return false;
+    }
+
+    try {
+      const body = this.parseBody(method, rawBody, route.meta.body);
+      const result = await route.handler({ params, query, body, rawBody, method, pathname, res });
+      if (result !== undefined && !res.headersSent) {
+        this.sendJSON(res, 200, result);
+      }
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status >= 500) {
+        this.log.error(`API error (${method} ${pathname}):`, error);
+      }
+      if (res.headersSent) {
+        res.end();
+      } else {
+        this.sendJSON(res, status, { ...(error.details || {}), error: error.message });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Parse and validate a request body
+   * @param {string} method - HTTP method
+   * @param {string} rawBody - Body as received
+   * @param {object} schema - meta.body of the route
+   * @returns {*} Parsed body ({} when empty or not a body method)
+   */
+  parseBody(method, rawBody, schema) {
+    if (!BODY_METHODS.includes(method)) return {};
+    if (!rawBody || !rawBody.trim()) {
+      if (schema && schema.type === 'array') throw new HttpError(400, 'Body must be a JSON array');
+      if (schema && schema.required && schema.required.length > 0) {
+        throw new HttpError(400, `Missing required field: ${schema.required[0]}`);
+      }
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      throw new HttpError(400, 'Invalid JSON body');
+    }
+    if (!schema) return body;
+
+    if (schema.type === 'array') {
+      if (!Array.isArray(body)) throw new HttpError(400, 'Body must be a JSON array');
+      return body;
+    }
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Body must be a JSON object');
+    }
+    for (const field of schema.required || []) {
+      if (body[field] === undefined || body[field] === null || body[field] === '') {
+        throw new HttpError(400, `Missing required field: ${field}`);
+      }
+    }
+    for (const [field, type] of Object.entries(schema.properties || {})) {
+      if (body[field] === undefined || body[field] === null) continue;
+      if (!ApiRouter.isType(body[field], type)) {
+        throw new HttpError(400, `Field ${field} must be ${type === 'integer' ? 'an' : 'a'} ${type}`);
+      }
+    }
+    return body;
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case 'any': return true;
+      case 'array': return Array.isArray(value);
+      case 'object': return typeof value === 'object' && !Array.isArray(value);
+      case 'integer': return Number.isInteger(value);
+      default: return typeof value === type;
+    }
+  }
+
+  sendJSON(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * OpenAPI 3.0 description of every registered route
+   * @param {object} info - {title, version, description}
+   * @returns {object} OpenAPI document
+   */
+  openapi(info = {}) {
+    const paths = {};
+    const tags = new Set();
+
+    for (const route of this.routes) {
+      const apiPath = route.path.replace(/:(\w+)/g, '{$1}');
+      const { meta } = route;
+      const operation = {
+        summary: meta.summary || '',
+        responses: {
+          200: { description: 'OK' },
+          400: { description: 'Invalid request' },
+          500: { description: 'Server error' }
+        }
+      };
+      if (meta.tag) {
+        operation.tags = [meta.tag];
+        tags.add(meta.tag);
+      }
+
+      const parameters = route.keys.map(key => ({
+        name: key, in: 'path', required: true, schema: { type: 'string' }
+      }));
+      for (const [name, description] of Object.entries(meta.query || {})) {
+        parameters.push({ name, in: 'query', required: false, description, schema: { type: 'string' } });
+      }
+      if (parameters.length > 0) operation.parameters = parameters;
+
+      if (meta.body && BODY_METHODS.includes(route.method)) {
+        operation.requestBody = {
+          required: (meta.body.required || []).length > 0,
+          content: { 'application/json': { schema: ApiRouter.bodySchema(meta.body) } }
+        };
+      }
+
+      paths[apiPath] = paths[apiPath] || {};
+      paths[apiPath][route.method.toLowerCase()] = operation;
+    }
+
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: info.title || 'API',
+        version: info.version || '1.0.0',
+        ...(info.description ? { description: info.description } : {})
+      },
+      tags: [...tags].map(name => ({ name })),
+      paths
+    };
+  }
+
+  static bodySchema(body) {
+    if (body.type === 'array') {
+      return { type: 'array', items: { type: 'object' } };
+    }
+    const properties = {};
+    for (const [field, type] of Object.entries(body.properties || {})) {
+      properties[field] = BODY_TYPES.includes(type) ? { type } : {};
+    }
+    const schema = { type: 'object', properties };
+    if (body.required && body.required.length > 0) schema.required = body.required;
+    return schema;
+  }
+}
+
+ApiRouter.HttpError = HttpError;
+
+module.exports = ApiRouter;
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Tokens - Manage dashboard API tokens
+ * Usage: node auth-tokens.js [command] [options]
+ *
+ * Commands:
+ *   create <name> <scope> [--save] - Create a token (scope: read, todos, webhook, full)
+ *   list                          - List tokens
+ *   revoke <id|name>              - Revoke a token
+ *   enable / disable              - Turn token auth on or off
+ *   status                        - Show whether auth is on
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const DashboardAuth = require('./auth');
+const { TOKEN_FILE } = require('./client-auth');
+
+const [,, command, ...args] = process.argv;
+const auth = new DashboardAuth();
+
+const commands = {
+  create: async (name, scope, ...flags) => {
+    if (!name || !scope) {
+      console.error('Usage: auth-tokens create <name> <scope> [--save]');
+      console.error(`Scopes: ${DashboardAuth.SCOPES.join(', ')}`);
+      process.exit(1);
+    }
+    const { token, entry } = await auth.createToken(name, scope);
+    console.log(`Created token ${entry.id} "${entry.name}" (${entry.scope})`);
+    console.log(`\n  ${token}\n`);
+    console.log('This is the only time the token is shown.');
+
+    if (flags.includes('--save')) {
+      await fs.mkdir(path.dirname(TOKEN_FILE), { recursive: true });
+      await fs.writeFile(TOKEN_FILE, token + '\n', { mode: 0o600 });
+      console.log(`Saved to ${TOKEN_FILE} for the todo scripts on this machine.`);
+    }
+  },
+
+  list: async () => {
+    const tokens = await auth.listTokens();
+    if (tokens.length === 0) {
+      console.log('No tokens');
+      return;
+    }
+    tokens.forEach(t => {
+      const used = t.lastUsedAt ? new Date(t.lastUsedAt).toLocaleString() : 'never';
+      console.log(`${t.id}  ${t.scope.padEnd(7)}  ${t.name}  (created ${new Date(t.createdAt).toLocaleDateString()}, last used ${used})`);
+    });
+  },
+
+  revoke: async (id) => {
+    if (!id) {
+      console.error('Usage: auth-tokens revoke <id|name>');
+      process.exit(1);
+    }
+    if (!(await auth.revokeToken(id))) {
+      console.error('Token not found:', id);
+      process.exit(1);
+    }
+    console.log('Revoked', id);
+  },
+
+  enable: async () => {
+    await auth.setEnabled(true);
+    console.log('Token auth enabled. Open the dashboard and log in with a token.');
+  },
+
+  disable: async () => {
+    await auth.setEnabled(false);
+    console.log('Token auth disabled');
+  },
+
+  status: async () => {
+    const data = await auth.load(true);
+    console.log(`Auth: ${data.enabled ? 'enabled' : 'disabled'} (${data.tokens.length} token${data.tokens.length === 1 ? '' : 's'})`);
+  }
+};
+
+if (!command || command === 'help' || command === '--help') {
+  console.log(`Auth Tokens - Manage dashboard API tokens
+
+Commands:
+  create <name> <scope> [--save]  Create a token. --save writes it to ${TOKEN_FILE}
+  list                            List tokens
+  revoke <id|name>                Revoke a token
+  enable                          Require a token for every request
+  disable                         Turn token auth off
+  status                          Show whether auth is on
+
+Scopes:
+  read     GET requests only
+  todos    read, plus changes to /api/todos*
+  webhook  POST /api/webhook/status only
+  full     everything
+
+Examples:
+  node auth-tokens.js create laptop full        # Log in from the browser with this one
+  node auth-tokens.js create scripts todos --save
+  node auth-tokens.js create hooks webhook
+  node auth-tokens.js enable
+
+Changes take effect on the running dashboard within a few seconds.`);
+  process.exit(0);
+}
+
+async function main() {
+  try {
+    if (!commands[command]) {
+      console.error(`Unknown command: ${command}`);
+      console.error('Run "node auth-tokens.js help" for usage');
+      process.exit(1);
+    }
+    await commands[command](...args);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
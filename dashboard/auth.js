@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Auth
+ * Optional token authentication for the dashboard server.
+ *
+ * Tokens are created with auth-tokens.js and stored hashed in auth.json. Scripts
+ * send them as `Authorization: Bearer <token>`. The browser logs in once at
+ * /login and then sends the same token as an HttpOnly cookie, so EventSource and
+ * plain fetch() calls need no changes.
+ *
+ * Scopes:
+ *   read    - GET requests only
+ *   todos   - read, plus any request to /api/todos*
+ *   webhook - POST /api/webhook/status only
+ *   full    - everything
+ *
+ * Auth is off until `enabled` is set in auth.json (`auth-tokens.js enable`).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const SCOPES = ['read', 'todos', 'webhook', 'full'];
+const COOKIE_NAME = 'claude_loop_token';
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60; // seconds
+const RELOAD_CHECK_MS = 2000; // how often the file is checked for CLI changes
+const LAST_USED_SAVE_MS = 60000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class DashboardAuth {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.file - Where settings and token hashes are stored
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'auth.json');
+    this.log = options.log || console;
+    this.data = { enabled: false, tokens: [] };
+    this.mtime = null;
+    this.lastCheck = 0;
+    this.lastUsedSave = 0;
+  }
+
+  /**
+   * Read auth.json if it changed since the last read
+   * @param {boolean} force - Skip the recent-check shortcut
+   */
+  async load(force = false) {
+    if (!force && Date.now() - this.lastCheck < RELOAD_CHECK_MS) return this.data;
+    this.lastCheck = Date.now();
+
+    let stat;
+    try {
+      stat = await fs.stat(this.file);
+    } catch (e) {
+      this.data = { enabled: false, tokens: [] };
+      this.mtime = null;
+      return this.data;
+    }
+    if (!force && this.mtime === stat.mtimeMs) return this.data;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.data = { enabled: !!data.enabled, tokens: Array.isArray(data.tokens) ? data.tokens : [] };
+      this.mtime = stat.mtimeMs;
+    } catch (error) {
+      // Keep the last good copy rather than opening the server up
+      this.log.error('[Auth] Failed to read auth.json:', error);
+    }
+    return this.data;
+  }
+
+  async save() {
+    await fs.writeFile(this.file, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    this.mtime = (await fs.stat(this.file)).mtimeMs;
+  }
+
+  /**
+   * Whether requests have to carry a token
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled() {
+    return (await this.load()).enabled;
+  }
+
+  /**
+   * Create a token. The plain token is only returned here; auth.json keeps its hash.
+   * @param {string} name - What the token is for (shown in `list`)
+   * @param {string} scope - One of SCOPES
+   * @returns {Promise<{token: string, entry: object}>}
+   */
+  async createToken(name, scope) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown scope "${scope}". Use one of: ${SCOPES.join(', ')}`);
+    }
+    await this.load(true);
+    const id = crypto.randomBytes(4).toString('hex');
+    const token = `clt_${id}_${crypto.randomBytes(24).toString('hex')}`;
+    const entry = { id, name, scope, hash: hashToken(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+    this.data.tokens.push(entry);
+    await this.save();
+    return { token, entry };
+  }
+
+  /**
+   * @param {string} id - Token id (or name)
+   * @returns {Promise<boolean>} Whether a token was removed
+   */
+  async revokeToken(id) {
+    await this.load(true);
+    const before = this.data.tokens.length;
+    this.data.tokens = this.data.tokens.filter(t => t.id !== id && t.name !== id);
+    if (this.data.tokens.length === before) return false;
+    await this.save();
+    return true;
+  }
+
+  async listTokens() {
+    await this.load(true);
+    return this.data.tokens.map(({ hash, ...rest }) => rest);
+  }
+
+  async setEnabled(enabled) {
+    await this.load(true);
+    if (enabled && !this.data.tokens.some(t => t.scope === 'full')) {
+      throw new Error('Create a token with scope "full" first, or you will lock yourself out of the dashboard');
+    }
+    this.data.enabled = enabled;
+    await this.save();
+  }
+
+  /**
+   * Find the token a request carries (bearer header first, then the login cookie)
+   * @param {object} req - HTTP request
+   * @returns {Promise<object|null>} Token entry, or null
+   */
+  async identify(req) {
+    const header = req.headers.authorization || '';
+    const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    const token = bearer || DashboardAuth.parseCookies(req.headers.cookie)[COOKIE_NAME] || null;
+    if (!token) return null;
+    return this.verify(token);
+  }
+
+  /**
+   * @param {string} token - Plain token
+   * @returns {Promise<object|null>} Token entry, or null if unknown
+   */
+  async verify(token) {
+    const { tokens } = await this.load();
+    const hash = Buffer.from(hashToken(token), 'hex');
+    const entry = tokens.find(t => {
+      const stored = Buffer.from(t.hash || '', 'hex');
+      return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+    if (!entry) return null;
+
+    entry.lastUsedAt = new Date().toISOString();
+    if (Date.now() - this.lastUsedSave > LAST_USED_SAVE_MS) {
+      this.lastUsedSave = Date.now();
+      this.recordUse(entry).catch(error => this.log.debug(`[Auth] Could not record token use: ${error.message}`));
+    }
+    return entry;
+  }
+
+  // Re-read first so a token revoked from the CLI a moment ago isn't written back
+  async recordUse(entry) {
+    await this.load(true);
+    const current = this.data.tokens.find(t => t.id === entry.id);
+    if (!current) return;
+    current.lastUsedAt = entry.lastUsedAt;
+    await this.save();
+  }
+
+  /**
+   * Whether a scope allows a request
+   * @param {string} scope - Token scope
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path
+   * @returns {boolean}
+   */
+  static allows(scope, method, pathname) {
+    switch (scope) {
+      case 'full':
+        return true;
+      case 'todos':
+        return method === 'GET' || pathname === '/api/todos' || pathname.startsWith('/api/todos/');
+      case 'read':
+        return method === 'GET';
+      case 'webhook':
+        return method === 'POST' && pathname === '/api/webhook/status';
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Decide whether a request may go ahead
+   * @param {object} req - HTTP request
+   * @param {string} pathname - Request path
+   * @returns {Promise<{ok: boolean, status?: number, error?: string, token?: object}>}
+   */
+  async check(req, pathname) {
+    if (!(await this.isEnabled())) return { ok: true, token: null };
+
+    const token = await this.identify(req);
+    if (!token) {
+      return { ok: false, status: 401, error: 'Authentication required' };
+    }
+    if (!DashboardAuth.allows(token.scope, req.method, pathname)) {
+      return { ok: false, status: 403, error: `Token "${token.name}" (${token.scope}) may not ${req.method} ${pathname}` };
+    }
+    return { ok: true, token };
+  }
+
+  /**
+   * Set-Cookie value that logs the browser in (or out, with a null token)
+   * @param {string|null} token - Plain token
+   * @returns {string}
+   */
+  static cookie(token) {
+    if (!token) {
+      return `${COOKIE_NAME}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+    }
+    return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${COOKIE_MAX_AGE}`;
+  }
+
+  static parseCookies(header = '') {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+      const index = part.indexOf('=');
+      if (index === -1) continue;
+      const name = part.slice(0, index).trim();
+      try {
+        cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+      } catch (e) {
+        cookies[name] = part.slice(index + 1).trim();
+      }
+    }
+    return cookies;
+  }
+}
+
+DashboardAuth.SCOPES = SCOPES;
+
+module.exports = DashboardAuth;
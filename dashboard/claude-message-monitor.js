@@ -9,6 +9,8 @@
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const screenParser = require('./screen-parser.js');
+const { authHeaders, dashboardPort } = require('./client-auth');
 
 // Configuration
 const LOG_DIR = '/home/michael/InfiniQuest/tmp/claudeLogs';
@@ -25,7 +27,6 @@ const PATTERNS = {
         /Everything is complete/i
     ],
     CONTEXT_LOW: /Context is getting low/i,
-    CONTEXT_PERCENTAGE: /\[(\d+)%\s*used\]/,
     THINKING: /Thinking\.\.\.\s*(\d+)\s*seconds?/i,
     ERROR: /Error:|Failed:|Exception:/i,
     WAITING: /Waiting for|Please provide|What would you like/i
@@ -93,11 +94,11 @@ class SessionMonitor {
         const lines = content.split('\n');
         
         for (const line of lines) {
-            // Check for context percentage
-            const contextMatch = line.match(PATTERNS.CONTEXT_PERCENTAGE);
-            if (contextMatch) {
-                this.contextPercentage = parseInt(contextMatch[1]);
-                console.log(`[${this.sessionName}] Context: ${this.contextPercentage}%`);
+            // Check for context percentage (same patterns as the dashboard, see screen-parser.js)
+            const contextPercent = screenParser.findContextPercent(line);
+            if (contextPercent !== null) {
+                this.contextPercentage = contextPercent;
+                console.log(`[${this.sessionName}] Context: ${this.contextPercentage}% left`);
             }
 
             // Check for thinking status
@@ -168,9 +169,9 @@ class SessionMonitor {
 
     async pauseLoop() {
         try {
-            const response = await fetch('http://localhost:3335/api/loop/pause', {
+            const response = await fetch(`http://localhost:${dashboardPort()}/api/loop/pause`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: authHeaders({ 'Content-Type': 'application/json' }),
                 body: JSON.stringify({ session: this.sessionName })
             });
             
@@ -2,7 +2,9 @@
 
 /*
  * Claude Session Matcher
- * Matches Claude conversations to loop sessions by comparing messages
+ * Matches Claude conversations to loop sessions by comparing messages.
+ * The dashboard now binds sessions with session-binder.js, which reads
+ * messageCache from here as one of its signals
  */
 
 const fs = require('fs').promises;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Client Auth
+ * Bearer token for scripts that call the dashboard API (todo-client.js and friends).
+ *
+ * The token comes from CLAUDE_LOOP_TOKEN, or from ~/.claude/dashboard-token, which
+ * `node auth-tokens.js create <name> <scope> --save` writes. Without either, requests
+ * go out without a token, which is fine while dashboard auth is disabled.
+ *
+ * The dashboard port comes from CLAUDE_LOOP_PORT, then PORT (as the server reads it),
+ * then 3335.
+ */
+
+const fsSync = require('fs');
+const path = require('path');
+const os = require('os');
+
+const TOKEN_FILE = path.join(os.homedir(), '.claude', 'dashboard-token');
+
+let cachedToken;
+
+/**
+ * @returns {string|null} Token to send, if one is configured
+ */
+function getToken() {
+  if (cachedToken !== undefined) return cachedToken;
+  cachedToken = process.env.CLAUDE_LOOP_TOKEN || null;
+  if (!cachedToken) {
+    try {
+      cachedToken = fsSync.readFileSync(TOKEN_FILE, 'utf8').trim() || null;
+    } catch (e) {
+      cachedToken = null;
+    }
+  }
+  return cachedToken;
+}
+
+/**
+ * Add the Authorization header to a set of request headers
+ * @param {object} headers - Headers to extend
+ * @returns {object} The same headers plus Authorization when a token is configured
+ */
+function authHeaders(headers = {}) {
+  const token = getToken();
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+/**
+ * @returns {number} Port the dashboard listens on
+ */
+function dashboardPort() {
+  return Number(process.env.CLAUDE_LOOP_PORT || process.env.PORT) || 3335;
+}
+
+module.exports = { getToken, authHeaders, dashboardPort, TOKEN_FILE };
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Command Safety
+ * Per-session policy for text the dashboard forwards into a tmux session
+ * (/api/tmux-command, /api/tmux-send-key, /api/send-custom-message) and for the
+ * directories /api/browse-directory may list. The server enforces the result;
+ * this module only decides and keeps the audit log.
+ *
+ * Policy (session config `safetyPolicy`):
+ *   {
+ *     enabled: true,
+ *     allowedRoots: ['~/projects', '/srv/app'],
+ *     blockedPatterns: ['rm\\s+-rf\\s+/(\\s|$)', 'git\\s+push\\b.*\\s--force'],
+ *     confirmPatterns: ['git\\s+reset\\s+--hard', 'DROP\\s+TABLE']
+ *   }
+ *
+ * The policy is off until a session turns it on. Patterns are case-insensitive
+ * regexes matched anywhere in the text. Blocked patterns apply to everything,
+ * messages included: a message is pasted and submitted, and lands in a shell if
+ * the pane isn't running Claude. The cd check and confirm patterns apply only to
+ * commands and keys, since messages are mostly prose for Claude ("please git
+ * push when done"). An empty allowedRoots list means any directory is allowed.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const AUDIT_FILE = path.join(__dirname, 'command-audit.jsonl');
+
+// Kinds of text meant for a shell; they also get the cd check and confirm patterns
+const SHELL_KINDS = ['command', 'key'];
+
+const DEFAULT_BLOCKED_PATTERNS = [
+  'rm\\s+(-[a-z]*r[a-z]*f[a-z]*|-[a-z]*f[a-z]*r[a-z]*)\\s+(/|~|\\$HOME)/?(\\s|$)',
+  'git\\s+push\\b.*\\s(--force(?!-with-lease)|-f(\\s|$))',
+  'mkfs(\\.|\\s)',
+  'dd\\s+.*of=/dev/(sd|nvme|hd)',
+  ':\\(\\)\\s*\\{\\s*:\\|:&\\s*\\};:'
+];
+
+const DEFAULT_CONFIRM_PATTERNS = [
+  'rm\\s+-[a-z]*r',
+  'git\\s+reset\\s+--hard',
+  'git\\s+clean\\s+-[a-z]*f',
+  'git\\s+push',
+  'chmod\\s+-R',
+  'sudo\\s'
+];
+
+/**
+ * Policy used when a session has none saved
+ * @returns {object}
+ */
+function defaultPolicy() {
+  return {
+    enabled: false,
+    allowedRoots: [],
+    blockedPatterns: [...DEFAULT_BLOCKED_PATTERNS],
+    confirmPatterns: [...DEFAULT_CONFIRM_PATTERNS]
+  };
+}
+
+/**
+ * @param {object|undefined} saved - `safetyPolicy` from the session config
+ * @returns {object} Policy with every field present
+ */
+function normalizePolicy(saved) {
+  if (!saved) return defaultPolicy();
+  return {
+    enabled: saved.enabled === true,
+    allowedRoots: Array.isArray(saved.allowedRoots) ? saved.allowedRoots.filter(Boolean) : [],
+    blockedPatterns: Array.isArray(saved.blockedPatterns) ? saved.blockedPatterns.filter(Boolean) : [],
+    confirmPatterns: Array.isArray(saved.confirmPatterns) ? saved.confirmPatterns.filter(Boolean) : []
+  };
+}
+
+/**
+ * Find the first pattern that does not compile
+ * @param {object} policy - Policy to check
+ * @returns {string|null} The broken pattern, or null if all are valid
+ */
+function invalidPattern(policy) {
+  const patterns = [...(policy.blockedPatterns || []), ...(policy.confirmPatterns || [])];
+  return patterns.find(pattern => {
+    try { new RegExp(pattern, 'i'); return false; } catch (e) { return true; }
+  }) || null;
+}
+
+const expandHome = (p) => p.replace(/^~(?=\/|$)/, os.homedir());
+
+/**
+ * Check whether a directory lies under one of the allowed roots
+ * @param {string} dir - Directory (may be relative or start with ~)
+ * @param {string[]} roots - Allowed roots; empty allows everything
+ * @param {string} cwd - Directory relative paths are resolved against
+ * @returns {boolean}
+ */
+function pathAllowed(dir, roots, cwd) {
+  if (!roots || roots.length === 0) return true;
+  const resolved = path.resolve(cwd || '/', expandHome(dir));
+  return roots.some(root => {
+    const base = path.resolve(expandHome(root));
+    return resolved === base || resolved.startsWith(base + path.sep);
+  });
+}
+
+/**
+ * Directories a shell command changes into (`cd x`, `pushd x`)
+ * @param {string} text - Command text
+ * @returns {string[]}
+ */
+function cdTargets(text) {
+  const targets = [];
+  const pattern = /(?:^|[;&|]\s*|\s)(?:cd|pushd)\s+("[^"]*"|'[^']*'|[^\s;&|]+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    targets.push(match[1].replace(/^["']|["']$/g, ''));
+  }
+  return targets;
+}
+
+/**
+ * Decide whether text may be sent into a session
+ * @param {object} policy - Normalized policy
+ * @param {string} text - Command, message or key
+ * @param {object} context - {kind, cwd}: what the text is, and the session's directory for relative cd targets
+ * @returns {{action: string, pattern?: string, reason?: string}} action is 'allow', 'block' or 'confirm'
+ */
+function check(policy, text, context = {}) {
+  if (!policy || !policy.enabled || !text) return { action: 'allow' };
+
+  const matching = (patterns) => (patterns || []).find(pattern => {
+    try { return new RegExp(pattern, 'i').test(text); } catch (e) { return false; }
+  });
+
+  const blocked = matching(policy.blockedPatterns);
+  if (blocked) {
+    return { action: 'block', pattern: blocked, reason: `Matches blocked pattern /${blocked}/` };
+  }
+  if (context.kind && !SHELL_KINDS.includes(context.kind)) return { action: 'allow' };
+
+  const outside = cdTargets(text).find(target => !target.startsWith('$') &&
+    !pathAllowed(target, policy.allowedRoots, context.cwd));
+  if (outside) {
+    return { action: 'block', reason: `${outside} is outside the allowed directories` };
+  }
+
+  const risky = matching(policy.confirmPatterns);
+  if (risky) {
+    return { action: 'confirm', pattern: risky, reason: `Matches /${risky}/` };
+  }
+  return { action: 'allow' };
+}
+
+/**
+ * Decide whether a directory may be listed
+ * @param {object} policy - Normalized policy
+ * @param {string} dir - Absolute directory
+ * @returns {{action: string, reason?: string}}
+ */
+function checkDirectory(policy, dir) {
+  if (!policy || !policy.enabled || pathAllowed(dir, policy.allowedRoots)) return { action: 'allow' };
+  return { action: 'block', reason: `${dir} is outside the allowed directories` };
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {object} entry - {session, action, kind, source, text, pattern, reason}
+ */
+async function audit(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+  try {
+    await fs.appendFile(AUDIT_FILE, line + '\n');
+  } catch (error) {
+    console.error('[CommandSafety] Failed to write audit log:', error.message);
+  }
+}
+
+/**
+ * Read recent audit entries, newest first
+ * @param {string|null} session - Only entries for this session
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<object[]>}
+ */
+async function readAudit(session = null, limit = 100) {
+  try {
+    const data = await fs.readFile(AUDIT_FILE, 'utf8');
+    const entries = [];
+    const lines = data.split('\n').filter(line => line.trim());
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (!session || entry.session === session) entries.push(entry);
+      } catch (e) {
+        // Skip partial lines
+      }
+    }
+    return entries;
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  AUDIT_FILE,
+  SHELL_KINDS,
+  DEFAULT_BLOCKED_PATTERNS,
+  DEFAULT_CONFIRM_PATTERNS,
+  defaultPolicy,
+  normalizePolicy,
+  invalidPattern,
+  pathAllowed,
+  cdTargets,
+  check,
+  checkDirectory,
+  audit,
+  readAudit
+};
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Conditional Message Rules
+ * Evaluates prioritised message rules against the current session state.
+ * Shared by the dashboard server and the browser rule editor.
+ *
+ * A rule looks like:
+ *   {
+ *     id: 'lowContext', name: 'Low context', enabled: true, priority: 3,
+ *     match: 'all' | 'any',
+ *     conditions: [{ type: 'contextPercent', op: '<=', value: 30 }],
+ *     message: '...', autoCompact: false, autoFinish: false
+ *   }
+ *
+ * Lower priority numbers win; rules with equal priority keep list order.
+ * A rule without conditions always matches.
+ */
+
+const conditionalRules = {
+  // Condition types the editor offers, with the fields each one uses
+  conditionTypes: {
+    contextPercent: { label: 'Context %', kind: 'number' },
+    linesAfterCompact: { label: 'Lines since compact', kind: 'number' },
+    idleSeconds: { label: 'Idle seconds', kind: 'number' },
+    loopHours: { label: 'Loop running (hours)', kind: 'number' },
+    openTodos: { label: 'Open todos', kind: 'number' },
+    hourRange: { label: 'Hour of day', kind: 'range' },
+    weekday: { label: 'Weekday', kind: 'days' },
+    webhookStatus: { label: 'Last webhook status', kind: 'list' }
+  },
+
+  operators: ['<', '<=', '==', '!=', '>=', '>'],
+
+  weekdayNames: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+  autoCompactInstruction: '\n\nIMPORTANT: If you think it would be helpful, please say "Let\'s compact!" to trigger a context reset.',
+
+  autoFinishInstruction: '\n\nIMPORTANT: If you\'ve completed all tasks, please type: F-i-n-i-s-h-e-d everything for n-o-w! (without the hyphens)',
+
+  /**
+   * Convert a legacy conditionalMessages object into rules.
+   * Priorities mirror the old fixed chain (idle, compact, context, time, standard).
+   * @param {object} messages - Legacy conditionalMessages config
+   * @returns {Array<object>} Equivalent rule list
+   */
+  migrateConditionalMessages: function(messages) {
+    const rules = [];
+    if (!messages || typeof messages !== 'object') return rules;
+
+    if (messages.onIdleMessage) {
+      rules.push({
+        id: 'onIdle',
+        name: 'On idle',
+        enabled: !!messages.onIdleMessage.enabled,
+        priority: 1,
+        match: 'all',
+        conditions: [{ type: 'idleSeconds', op: '>=', value: messages.onIdleMessage.idleThresholdSeconds ?? 30 }],
+        message: messages.onIdleMessage.message || ''
+      });
+    }
+
+    if (messages.afterCompactMessage) {
+      rules.push({
+        id: 'afterCompact',
+        name: 'After compact',
+        enabled: !!messages.afterCompactMessage.enabled,
+        priority: 2,
+        match: 'all',
+        conditions: [{ type: 'linesAfterCompact', op: '<=', value: messages.afterCompactMessage.linesAfterCompact ?? 50 }],
+        message: messages.afterCompactMessage.message || ''
+      });
+    }
+
+    if (messages.lowContextMessage) {
+      rules.push({
+        id: 'lowContext',
+        name: 'Low context',
+        enabled: !!messages.lowContextMessage.enabled,
+        priority: 3,
+        match: 'all',
+        conditions: [{ type: 'contextPercent', op: '<=', value: messages.lowContextMessage.threshold ?? 30 }],
+        message: messages.lowContextMessage.message || '',
+        autoCompact: !!messages.lowContextMessage.autoCompact,
+        autoFinish: !!messages.lowContextMessage.autoFinish
+      });
+    }
+
+    if (messages.longSessionMessage) {
+      rules.push({
+        id: 'longSession',
+        name: 'Long session',
+        enabled: !!messages.longSessionMessage.enabled,
+        priority: 4,
+        match: 'all',
+        conditions: [{ type: 'loopHours', op: '>=', value: messages.longSessionMessage.hoursThreshold ?? 4 }],
+        message: messages.longSessionMessage.message || ''
+      });
+    }
+
+    [['morning', 'Morning'], ['afternoon', 'Afternoon'], ['evening', 'Evening']].forEach(([key, name]) => {
+      const legacy = messages[`${key}Message`];
+      if (!legacy) return;
+      rules.push({
+        id: key,
+        name: name,
+        enabled: !!legacy.enabled,
+        priority: 4,
+        match: 'all',
+        conditions: [{ type: 'hourRange', start: legacy.startHour, end: legacy.endHour }],
+        message: legacy.message || ''
+      });
+    });
+
+    if (messages.standardMessage) {
+      rules.push({
+        id: 'standard',
+        name: 'Standard',
+        enabled: !!messages.standardMessage.enabled,
+        priority: 5,
+        match: 'all',
+        conditions: [],
+        message: messages.standardMessage.message || ''
+      });
+    }
+
+    return rules;
+  },
+
+  /**
+   * Get the rule list for a session config, migrating legacy settings when needed.
+   * Legacy lowContextMessage.autoFinish asked for the finish instruction on every
+   * loop message, so it carries over as the session-wide autoFinishAll flag.
+   * @param {object} config - Session configuration
+   * @returns {{rules: Array<object>, migrated: boolean, autoFinishAll: boolean}} Rules, whether they were just migrated and the session-wide finish flag
+   */
+  getRules: function(config) {
+    if (config && Array.isArray(config.messageRules)) {
+      return { rules: config.messageRules, migrated: false, autoFinishAll: config.autoFinishAll === true };
+    }
+    const messages = config ? config.conditionalMessages : null;
+    return {
+      rules: this.migrateConditionalMessages(messages),
+      migrated: true,
+      autoFinishAll: !!(messages && messages.lowContextMessage && messages.lowContextMessage.autoFinish)
+    };
+  },
+
+  /**
+   * Compare a state value against a threshold
+   * @param {number} actual - Value from the session state
+   * @param {string} op - One of the supported operators
+   * @param {number} expected - Threshold from the condition
+   * @returns {boolean} Comparison result
+   */
+  compare: function(actual, op, expected) {
+    if (actual === null || actual === undefined || isNaN(actual)) return false;
+    const target = Number(expected);
+    switch (op) {
+      case '<': return actual < target;
+      case '<=': return actual <= target;
+      case '==': return actual === target;
+      case '!=': return actual !== target;
+      case '>': return actual > target;
+      case '>=':
+      default:
+        return actual >= target;
+    }
+  },
+
+  /**
+   * Evaluate a single condition
+   * @param {object} condition - Condition definition
+   * @param {object} state - Session state (see evaluate)
+   * @returns {boolean} Whether the condition holds
+   */
+  evaluateCondition: function(condition, state) {
+    if (!condition || !condition.type) return false;
+
+    switch (condition.type) {
+      case 'contextPercent':
+      case 'linesAfterCompact':
+      case 'idleSeconds':
+      case 'loopHours':
+      case 'openTodos':
+        return this.compare(state[condition.type], condition.op, condition.value);
+
+      case 'hourRange': {
+        const start = Number(condition.start);
+        const end = Number(condition.end);
+        const hour = state.hour;
+        // Ranges like 22 -> 6 wrap past midnight
+        if (start <= end) return hour >= start && hour < end;
+        return hour >= start || hour < end;
+      }
+
+      case 'weekday':
+        return Array.isArray(condition.days) && condition.days.map(Number).includes(state.weekday);
+
+      case 'webhookStatus': {
+        const values = Array.isArray(condition.values) ? condition.values : [condition.value];
+        return !!state.webhookStatus && values.includes(state.webhookStatus);
+      }
+
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Check whether all (or any) of a rule's conditions hold
+   * @param {object} rule - Rule definition
+   * @param {object} state - Session state
+   * @returns {boolean} Whether the rule matches
+   */
+  ruleMatches: function(rule, state) {
+    const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+    if (conditions.length === 0) return true;
+    if (rule.match === 'any') {
+      return conditions.some(condition => this.evaluateCondition(condition, state));
+    }
+    return conditions.every(condition => this.evaluateCondition(condition, state));
+  },
+
+  /**
+   * Pick the winning rule for the given state
+   * @param {Array<object>} rules - Rule list
+   * @param {object} state - Session state
+   * @param {number} state.contextPercent - Context remaining (0-100)
+   * @param {number} state.linesAfterCompact - Lines output since the last /compact
+   * @param {number} state.idleSeconds - Seconds since Claude was last busy (null if unknown)
+   * @param {number} state.loopHours - Hours since the loop was started
+   * @param {number} state.openTodos - Number of pending todos
+   * @param {number} state.hour - Local hour (0-23)
+   * @param {number} state.weekday - Local weekday (0 = Sunday)
+   * @param {string} state.webhookStatus - Last status reported through the webhook
+   * @returns {object|null} Active message ({type, message, priority, ...}) or null
+   */
+  evaluate: function(rules, state) {
+    if (!Array.isArray(rules)) return null;
+
+    const candidates = rules
+      .map((rule, index) => ({ rule, index }))
+      .filter(({ rule }) => rule && rule.enabled && rule.message)
+      .sort((a, b) => (Number(a.rule.priority) || 0) - (Number(b.rule.priority) || 0) || a.index - b.index);
+
+    for (const { rule } of candidates) {
+      if (!this.ruleMatches(rule, state)) continue;
+
+      let message = rule.message;
+      if (rule.autoCompact) message += this.autoCompactInstruction;
+      if (rule.autoFinish) message += this.autoFinishInstruction;
+
+      return {
+        type: rule.id || rule.name || 'rule',
+        name: rule.name || rule.id,
+        message: message,
+        priority: rule.priority,
+        autoCompact: !!rule.autoCompact,
+        autoFinish: !!rule.autoFinish
+      };
+    }
+
+    return null;
+  },
+
+  /**
+   * Generate an id for a new rule
+   * @returns {string} Rule id
+   */
+  generateRuleId: function() {
+    return 'rule-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+  }
+};
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = conditionalRules;
+}
+
+// Make available globally for browser environments
+if (typeof window !== 'undefined') {
+  window.conditionalRules = conditionalRules;
+}
@@ -78,7 +78,47 @@ async function saveSessionConfig(session, config) {
   return updatedConfig;
 }
 
+/**
+ * Map conversations to the tmux session tracking them
+ * 
+ * A session's config file names its current conversationId. The conversations
+ * it was resumed or compacted from (parentId in the tree cache) belong to the
+ * same session, so they are mapped too.
+ * 
+ * @param {object} conversations - Tree cache conversations, by id
+ * @param {object} options - Options object
+ * @param {string} options.configDir - Directory with the loop-config-{session}.json files
+ * @returns {Promise<Map<string, string>>} conversationId -> session
+ */
+async function getConversationSessions(conversations = {}, { configDir = __dirname } = {}) {
+  const sessions = new Map();
+  let files;
+  try {
+    files = (await fs.readdir(configDir)).filter(f => f.startsWith('loop-config-') && f.endsWith('.json'));
+  } catch (e) {
+    return sessions;
+  }
+  
+  for (const file of files) {
+    const session = file.slice('loop-config-'.length, -'.json'.length);
+    let conversationId;
+    try {
+      conversationId = JSON.parse(await fs.readFile(path.join(configDir, file), 'utf8')).conversationId;
+    } catch (e) {
+      continue;
+    }
+    // Bounded in case a stale cache has a parent cycle
+    for (let id = conversationId, depth = 0; id && depth < 20; depth++) {
+      if (!sessions.has(id)) sessions.set(id, session);
+      id = conversations[id] ? conversations[id].parentId : null;
+    }
+  }
+  
+  return sessions;
+}
+
 module.exports = {
   getSessionConfig,
-  saveSessionConfig
+  saveSessionConfig,
+  getConversationSessions
 };
\ No newline at end of file
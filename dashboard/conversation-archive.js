@@ -0,0 +1,562 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Archive
+ * Disk usage of ~/.claude/projects, and a retention policy that gzips old
+ * conversation files into ~/.claude/projects-archive/{projectFolder}/{id}.jsonl.gz.
+ *
+ * Archived files keep their original mtime, so the tree, search index, usage
+ * and tool caches see them as unchanged rather than deleted. Readers get a
+ * decompressed copy from findArchivedFile(), kept under the archive's
+ * .extracted folder for a day after last use.
+ *
+ * Named conversations (conversation-names.json) and the ones a session is
+ * tracking, with the conversations they continue, are never archived by the
+ * policy. A conversation written in the last day isn't either.
+ *
+ * Policy (dashboard/retention-policy.json):
+ *   enabled               Apply automatically every few hours
+ *   archiveAfterDays      Archive conversations untouched this long (null: never by age)
+ *   maxProjectsMB         Archive the oldest conversations while projects use more (null: no limit)
+ *   keepRecentPerProject  The newest this many in each project folder are kept
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+const conversationNamer = require('./conversation-names');
+const { getConversationSessions } = require('./config-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_AGE_MS = DAY_MS;         // never archive a conversation written more recently
+const EXTRACT_TTL_MS = DAY_MS;     // decompressed copies unused this long are removed
+
+const DEFAULT_POLICY = {
+  enabled: false,
+  archiveAfterDays: 30,
+  maxProjectsMB: null,
+  keepRecentPerProject: 3
+};
+
+/**
+ * Validate a policy from the UI, filling in defaults
+ * @param {object} policy - Partial policy
+ * @returns {object} Complete policy
+ */
+function normalizePolicy(policy) {
+  if (!policy || typeof policy !== 'object') throw new Error('Policy must be an object');
+  const normalized = { ...DEFAULT_POLICY };
+  if (policy.enabled !== undefined) normalized.enabled = policy.enabled === true;
+  for (const field of ['archiveAfterDays', 'maxProjectsMB', 'keepRecentPerProject']) {
+    if (policy[field] === undefined) continue;
+    if (policy[field] === null || policy[field] === '') {
+      if (field === 'keepRecentPerProject') throw new Error('keepRecentPerProject is required');
+      normalized[field] = null;
+      continue;
+    }
+    const value = Number(policy[field]);
+    if (!isFinite(value) || value < 0) throw new Error(`Invalid ${field}: ${policy[field]}`);
+    normalized[field] = field === 'keepRecentPerProject' ? Math.floor(value) : value;
+  }
+  if (normalized.archiveAfterDays !== null && normalized.archiveAfterDays < 1) {
+    throw new Error('archiveAfterDays must be at least 1');
+  }
+  return normalized;
+}
+
+/**
+ * Error with the HTTP status a route should answer with
+ */
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Uncompressed size from the gzip trailer (modulo 4 GiB, which conversation files stay under)
+ */
+async function gzipOriginalSize(filePath, size) {
+  if (size < 18) return null;
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(4);
+    await handle.read(buffer, 0, 4, size - 4);
+    return buffer.readUInt32LE(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+class ConversationArchive {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {ConversationTreeScanner} options.scanner - Conversation files and the tree cache
+   * @param {string} options.archiveDir - Where compressed conversations go (default: next to projects)
+   * @param {string} options.policyFile - Saved retention policy
+   * @param {string} options.configDir - Directory with the loop-config-{session}.json files
+   * @param {function} options.getNames - async () => {conversationId: {name}}
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.projectsDir = this.scanner.projectsDir;
+    this.archiveDir = options.archiveDir || this.scanner.archiveDir;
+    this.scanner.archiveDir = this.archiveDir; // the scanner lists it for the tree
+    this.extractDir = path.join(this.archiveDir, '.extracted');
+    this.policyFile = options.policyFile || path.join(__dirname, 'retention-policy.json');
+    this.configDir = options.configDir || __dirname;
+    this.getNames = options.getNames || (() => conversationNamer.getAllNames());
+    this.log = options.log || console;
+    this.extracting = new Map(); // conversationId -> pending extraction
+    this.running = null;
+    this.lastRun = null;
+  }
+
+  async getPolicy() {
+    try {
+      return { policy: normalizePolicy(JSON.parse(await fs.readFile(this.policyFile, 'utf8'))), custom: true };
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log.error('[Archive] Ignoring invalid retention policy:', error.message);
+      return { policy: { ...DEFAULT_POLICY }, custom: false };
+    }
+  }
+
+  /**
+   * Save the policy; null goes back to the defaults
+   * @param {object|null} policy - See the header
+   */
+  async savePolicy(policy) {
+    if (policy === null) {
+      await fs.unlink(this.policyFile).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      return this.getPolicy();
+    }
+    const normalized = normalizePolicy(policy);
+    await fs.writeFile(this.policyFile, JSON.stringify(normalized, null, 2));
+    return { policy: normalized, custom: true };
+  }
+
+  /**
+   * Every live and archived conversation file with its size
+   * @returns {Promise<object>} {live: [...], archived: [...], trash: [...]}
+   */
+  async inventory() {
+    const live = [];
+    for (const file of await this.scanner.getAllConversationFiles()) {
+      try {
+        const stats = await fs.stat(file.path);
+        live.push({
+          conversationId: path.basename(file.path, '.jsonl'),
+          projectFolder: file.projectFolder,
+          path: file.path,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs
+        });
+      } catch (e) {
+        // Deleted while listing
+      }
+    }
+
+    const archived = [];
+    for (const file of await this.scanner.getArchivedConversationFiles()) {
+      try {
+        const stats = await fs.stat(file.path);
+        archived.push({
+          conversationId: file.id,
+          projectFolder: file.projectFolder,
+          path: file.path,
+          size: stats.size,
+          originalSize: await gzipOriginalSize(file.path, stats.size),
+          mtimeMs: stats.mtimeMs
+        });
+      } catch (e) {
+        // Restored while listing
+      }
+    }
+
+    // Files the delete route moved to {project}/.trash still take space
+    const trash = [];
+    const projects = await fs.readdir(this.projectsDir).catch(() => []);
+    for (const project of projects) {
+      const trashDir = path.join(this.projectsDir, project, '.trash');
+      for (const file of await fs.readdir(trashDir).catch(() => [])) {
+        const stats = await fs.stat(path.join(trashDir, file)).catch(() => null);
+        if (stats && stats.isFile()) trash.push({ projectFolder: project, size: stats.size });
+      }
+    }
+
+    return { live, archived, trash };
+  }
+
+  /**
+   * Conversations the policy must leave alone, with why
+   * @returns {Promise<Map<string, object>>} conversationId -> {session} or {name}, and reason
+   */
+  async protectedConversations() {
+    const kept = new Map();
+    const tree = await this.scanner.getCachedTree();
+    const conversations = (tree && tree.conversations) || {};
+    for (const [id, session] of await getConversationSessions(conversations, { configDir: this.configDir })) {
+      kept.set(id, { session, reason: `tracked by session ${session}` });
+    }
+    const names = await this.getNames();
+    for (const id of Object.keys(names || {})) {
+      if (!kept.has(id)) kept.set(id, { name: names[id].name, reason: `named "${names[id].name}"` });
+    }
+    return kept;
+  }
+
+  /**
+   * Disk usage per project folder and the largest conversations
+   * @param {object} options - {limit} conversations listed
+   * @returns {Promise<object>}
+   */
+  async usage({ limit = 50 } = {}) {
+    const { live, archived, trash } = await this.inventory();
+    const kept = await this.protectedConversations();
+    const tree = await this.scanner.getCachedTree();
+    const conversations = (tree && tree.conversations) || {};
+
+    const projects = new Map();
+    const project = (folder) => {
+      if (!projects.has(folder)) {
+        projects.set(folder, {
+          projectFolder: folder, cwd: null,
+          liveCount: 0, liveBytes: 0, archivedCount: 0, archivedBytes: 0, originalBytes: 0, trashCount: 0, trashBytes: 0,
+          oldest: null, newest: null
+        });
+      }
+      return projects.get(folder);
+    };
+    const totals = { liveCount: 0, liveBytes: 0, archivedCount: 0, archivedBytes: 0, originalBytes: 0, trashCount: 0, trashBytes: 0 };
+
+    for (const file of live) {
+      const row = project(file.projectFolder);
+      row.liveCount++;
+      row.liveBytes += file.size;
+      if (!row.oldest || file.mtimeMs < row.oldest) row.oldest = file.mtimeMs;
+      if (!row.newest || file.mtimeMs > row.newest) row.newest = file.mtimeMs;
+      totals.liveCount++;
+      totals.liveBytes += file.size;
+    }
+    for (const file of archived) {
+      const row = project(file.projectFolder);
+      row.archivedCount++;
+      row.archivedBytes += file.size;
+      row.originalBytes += file.originalSize || 0;
+      totals.archivedCount++;
+      totals.archivedBytes += file.size;
+      totals.originalBytes += file.originalSize || 0;
+    }
+    for (const file of trash) {
+      const row = project(file.projectFolder);
+      row.trashCount++;
+      row.trashBytes += file.size;
+      totals.trashCount++;
+      totals.trashBytes += file.size;
+    }
+
+    const rows = [...live.map(file => ({ ...file, archived: false })), ...archived.map(file => ({ ...file, archived: true }))];
+    for (const file of rows) {
+      const conv = conversations[file.conversationId];
+      if (conv && conv.cwd && conv.cwd !== 'unknown') project(file.projectFolder).cwd = conv.cwd;
+    }
+    rows.sort((a, b) => (b.originalSize || b.size) - (a.originalSize || a.size));
+
+    return {
+      totals,
+      projects: [...projects.values()]
+        .sort((a, b) => (b.liveBytes + b.archivedBytes + b.trashBytes) - (a.liveBytes + a.archivedBytes + a.trashBytes))
+        .map(row => ({
+          ...row,
+          oldest: row.oldest ? new Date(row.oldest).toISOString() : null,
+          newest: row.newest ? new Date(row.newest).toISOString() : null
+        })),
+      conversations: rows.slice(0, Math.max(1, parseInt(limit) || 50)).map(file => {
+        const conv = conversations[file.conversationId] || {};
+        return {
+          conversationId: file.conversationId,
+          projectFolder: file.projectFolder,
+          title: conv.customName || conv.firstUserMessage || null,
+          size: file.size,
+          originalSize: file.archived ? file.originalSize : file.size,
+          lastModified: new Date(file.mtimeMs).toISOString(),
+          archived: file.archived,
+          protected: kept.has(file.conversationId) ? kept.get(file.conversationId).reason : null
+        };
+      }),
+      conversationCount: rows.length,
+      ...(await this.getPolicy()),
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * What the policy would archive now, and what it keeps that it otherwise would
+   * @param {object} policy - Policy to evaluate (default: the saved one)
+   * @returns {Promise<object>} {policy, archive, kept, liveBytes, liveBytesAfter}
+   */
+  async plan(policy = null) {
+    policy = policy ? normalizePolicy(policy) : (await this.getPolicy()).policy;
+    const { live } = await this.inventory();
+    const kept = await this.protectedConversations();
+    const now = Date.now();
+
+    // The newest few in each project folder stay regardless
+    const recent = new Set();
+    const byFolder = new Map();
+    for (const file of live) {
+      if (!byFolder.has(file.projectFolder)) byFolder.set(file.projectFolder, []);
+      byFolder.get(file.projectFolder).push(file);
+    }
+    for (const files of byFolder.values()) {
+      files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+      files.slice(0, policy.keepRecentPerProject).forEach(file => recent.add(file.conversationId));
+    }
+
+    const archive = [];
+    const skipped = [];
+    const eligible = (file) => {
+      if (now - file.mtimeMs < MIN_AGE_MS) return false;
+      if (recent.has(file.conversationId)) return false;
+      if (kept.has(file.conversationId)) {
+        skipped.push({ ...this.describe(file), reason: kept.get(file.conversationId).reason });
+        return false;
+      }
+      return true;
+    };
+
+    const oldestFirst = [...live].sort((a, b) => a.mtimeMs - b.mtimeMs);
+    const chosen = new Set();
+    if (policy.archiveAfterDays !== null) {
+      const cutoff = now - policy.archiveAfterDays * DAY_MS;
+      for (const file of oldestFirst) {
+        if (file.mtimeMs < cutoff && eligible(file)) {
+          archive.push({ ...this.describe(file), reason: `untouched for ${Math.floor((now - file.mtimeMs) / DAY_MS)} days` });
+          chosen.add(file.conversationId);
+        }
+      }
+    }
+
+    const liveBytes = live.reduce((sum, file) => sum + file.size, 0);
+    let remaining = liveBytes - archive.reduce((sum, file) => sum + file.size, 0);
+    if (policy.maxProjectsMB !== null) {
+      const limit = policy.maxProjectsMB * 1024 * 1024;
+      for (const file of oldestFirst) {
+        if (remaining <= limit) break;
+        // Files the age rule already weighed were reported as kept there
+        if (chosen.has(file.conversationId)) continue;
+        const alreadySkipped = skipped.some(entry => entry.conversationId === file.conversationId);
+        if (alreadySkipped || !eligible(file)) continue;
+        archive.push({ ...this.describe(file), reason: `projects over ${policy.maxProjectsMB} MB` });
+        chosen.add(file.conversationId);
+        remaining -= file.size;
+      }
+    }
+
+    return { policy, archive, kept: skipped, liveBytes, liveBytesAfter: remaining };
+  }
+
+  describe(file) {
+    return {
+      conversationId: file.conversationId,
+      projectFolder: file.projectFolder,
+      size: file.size,
+      lastModified: new Date(file.mtimeMs).toISOString()
+    };
+  }
+
+  /**
+   * Archive what the policy picks. Runs one at a time.
+   * @param {object} options - {dryRun: true} only plans; {trigger} is recorded
+   * @returns {Promise<object>} Plan, plus archived, failed and savedBytes when applied
+   */
+  async applyPolicy({ dryRun = false, trigger = 'manual' } = {}) {
+    if (dryRun) return this.plan();
+    if (this.running) return this.running;
+    this.running = (async () => {
+      const plan = await this.plan();
+      const archived = [];
+      const failed = [];
+      let savedBytes = 0;
+      for (const entry of plan.archive) {
+        try {
+          const result = await this.archive(entry.conversationId);
+          archived.push(entry.conversationId);
+          savedBytes += result.size - result.archivedSize;
+        } catch (error) {
+          failed.push({ conversationId: entry.conversationId, error: error.message });
+        }
+      }
+      await this.pruneExtracted();
+      this.lastRun = { at: new Date().toISOString(), trigger, archived: archived.length, failed: failed.length, savedBytes };
+      if (archived.length || failed.length) {
+        this.log.info(`[Archive] Archived ${archived.length} conversations, saved ${(savedBytes / 1024 / 1024).toFixed(1)} MB${failed.length ? `, ${failed.length} failed` : ''} (${trigger})`);
+      }
+      return { ...plan, archived, failed, savedBytes };
+    })();
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async findLiveFile(conversationId) {
+    const projects = await fs.readdir(this.projectsDir).catch(() => []);
+    for (const project of projects) {
+      const filePath = path.join(this.projectsDir, project, `${conversationId}.jsonl`);
+      try {
+        await fs.access(filePath);
+        return { path: filePath, projectFolder: project };
+      } catch (e) {
+        // Not in this project
+      }
+    }
+    return null;
+  }
+
+  async findArchive(conversationId) {
+    const files = await this.scanner.getArchivedConversationFiles();
+    return files.find(file => file.id === conversationId) || null;
+  }
+
+  /**
+   * Compress one conversation into the archive
+   * @param {string} conversationId - Conversation id
+   * @param {object} options - {force: true} archives one a session is tracking
+   * @returns {Promise<object>} {conversationId, archivePath, size, archivedSize}
+   */
+  async archive(conversationId, { force = false } = {}) {
+    if (!/^[\w-]+$/.test(conversationId || '')) throw statusError(400, 'Invalid conversation id');
+    const file = await this.findLiveFile(conversationId);
+    if (!file) throw statusError(404, `Conversation ${conversationId} not found`);
+    if (!force) {
+      const kept = (await this.protectedConversations()).get(conversationId);
+      if (kept && kept.session) {
+        const error = statusError(409, `Conversation is ${kept.reason}; archiving it would split the conversation Claude is writing`);
+        error.session = kept.session;
+        throw error;
+      }
+    }
+
+    const before = await fs.stat(file.path);
+    const target = path.join(this.archiveDir, file.projectFolder, `${conversationId}.jsonl.gz`);
+    const tmp = `${target}.tmp`;
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(createReadStream(file.path), zlib.createGzip(), createWriteStream(tmp));
+      const after = await fs.stat(file.path);
+      if (after.size !== before.size || after.mtimeMs !== before.mtimeMs) {
+        throw statusError(409, 'Conversation was written to while archiving; try again later');
+      }
+      await fs.utimes(tmp, after.atime, after.mtime);
+      await fs.rename(tmp, target);
+    } catch (error) {
+      await fs.unlink(tmp).catch(() => {});
+      throw error;
+    }
+    await fs.unlink(file.path);
+
+    const archivedSize = (await fs.stat(target)).size;
+    return { conversationId, archivePath: target, size: before.size, archivedSize };
+  }
+
+  /**
+   * Move an archived conversation back into its project folder
+   * @param {string} conversationId - Conversation id
+   * @returns {Promise<object>} {conversationId, path}
+   */
+  async restore(conversationId) {
+    if (!/^[\w-]+$/.test(conversationId || '')) throw statusError(400, 'Invalid conversation id');
+    const archived = await this.findArchive(conversationId);
+    if (!archived) throw statusError(404, `Conversation ${conversationId} is not archived`);
+    if (await this.findLiveFile(conversationId)) {
+      throw statusError(409, `Conversation ${conversationId} is already in ${this.projectsDir}`);
+    }
+
+    const stats = await fs.stat(archived.path);
+    const target = path.join(this.projectsDir, archived.projectFolder, `${conversationId}.jsonl`);
+    const tmp = path.join(this.projectsDir, archived.projectFolder, `.${conversationId}.jsonl.restoring`);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await pipeline(createReadStream(archived.path), zlib.createGunzip(), createWriteStream(tmp));
+      // The original mtime tells the caches nothing changed
+      await fs.utimes(tmp, stats.atime, stats.mtime);
+      await fs.rename(tmp, target);
+    } catch (error) {
+      await fs.unlink(tmp).catch(() => {});
+      throw error;
+    }
+    await fs.unlink(archived.path);
+    await fs.unlink(path.join(this.extractDir, `${conversationId}.jsonl`)).catch(() => {});
+    return { conversationId, path: target };
+  }
+
+  /**
+   * Decompressed copy of an archived conversation, for ConversationReader
+   * @param {string} conversationId - Conversation id
+   * @returns {Promise<string|null>} Path of the copy, or null if it isn't archived
+   */
+  async findArchivedFile(conversationId) {
+    if (!/^[\w-]+$/.test(conversationId || '')) return null;
+    if (this.extracting.has(conversationId)) return this.extracting.get(conversationId);
+
+    const promise = this.extract(conversationId).catch(error => {
+      this.log.error(`[Archive] Could not decompress ${conversationId}:`, error.message);
+      return null;
+    });
+    this.extracting.set(conversationId, promise);
+    try {
+      return await promise;
+    } finally {
+      this.extracting.delete(conversationId);
+    }
+  }
+
+  async extract(conversationId) {
+    const archived = await this.findArchive(conversationId);
+    if (!archived) return null;
+    const stats = await fs.stat(archived.path);
+    const target = path.join(this.extractDir, `${conversationId}.jsonl`);
+
+    // Copies carry the archive's mtime, so a match means it's current
+    const existing = await fs.stat(target).catch(() => null);
+    if (existing && existing.mtimeMs === stats.mtimeMs) {
+      const now = new Date();
+      await fs.utimes(target, now, existing.mtime); // atime marks it as used
+      return target;
+    }
+
+    await fs.mkdir(this.extractDir, { recursive: true, mode: 0o700 });
+    const tmp = `${target}.tmp`;
+    await pipeline(createReadStream(archived.path), zlib.createGunzip(), createWriteStream(tmp, { mode: 0o600 }));
+    await fs.utimes(tmp, new Date(), stats.mtime);
+    await fs.rename(tmp, target);
+    return target;
+  }
+
+  /**
+   * Remove decompressed copies nobody read for a day
+   */
+  async pruneExtracted() {
+    const files = await fs.readdir(this.extractDir).catch(() => []);
+    for (const file of files) {
+      const filePath = path.join(this.extractDir, file);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && Date.now() - stats.atimeMs > EXTRACT_TTL_MS) {
+        await fs.unlink(filePath).catch(() => {});
+      }
+    }
+  }
+}
+
+ConversationArchive.DEFAULT_POLICY = DEFAULT_POLICY;
+ConversationArchive.normalizePolicy = normalizePolicy;
+
+module.exports = ConversationArchive;
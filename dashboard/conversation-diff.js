@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Diff
+ * Compares two conversations, typically siblings forked from the same parent
+ * by a resume or a compaction, and finds where they diverge.
+ *
+ * A forked file does not always repeat what came before it: its first message
+ * may point (parentUuid) into the parent's file instead. Each side is therefore
+ * compared as its full history: the parent's messages up to the branch point
+ * (following ConversationTreeScanner's parentId links), then its own. Messages
+ * are matched by uuid, or by role and content when an entry has no uuid.
+ *
+ * Compaction boundaries (isCompactSummary messages and compact_boundary system
+ * entries) are reported per side with the range of messages each one replaced,
+ * and those messages are flagged `compacted` since they are no longer in context.
+ */
+
+const crypto = require('crypto');
+const ConversationReader = require('./conversation-reader');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+const ConversationExporter = require('./conversation-exporter');
+
+const MAX_ANCESTORS = 20; // guards against parent cycles in a stale tree cache
+const TEXT_PREVIEW_CHARS = 500;
+const BOUNDARY_KINDS = ['compact-summary', 'compact-boundary'];
+
+/**
+ * Identity of a message for matching across files
+ */
+function messageKey(message) {
+  if (message.uuid) return message.uuid;
+  const hash = crypto.createHash('sha1').update(message.role + JSON.stringify(message.blocks)).digest('hex');
+  return `content:${hash}`;
+}
+
+/**
+ * Compact form of a message for the comparison view
+ */
+function summarize(message, index) {
+  const text = message.blocks.map(block => {
+    if (block.type === 'text') return block.text;
+    if (block.type === 'tool_use') return `🔧 ${block.name} ${JSON.stringify(block.input)}`;
+    return `📤 ${block.name || 'Tool'}: ${block.content}`;
+  }).join('\n');
+
+  return {
+    index,
+    conversationId: message.conversationId,
+    uuid: message.uuid,
+    role: message.role,
+    kind: message.kind,
+    timestamp: message.timestamp,
+    tools: message.blocks.filter(block => block.type === 'tool_use').map(block => block.name),
+    text: text.length > TEXT_PREVIEW_CHARS ? text.slice(0, TEXT_PREVIEW_CHARS) + '…' : text,
+    compacted: false
+  };
+}
+
+class ConversationDiff {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {ConversationReader} options.reader - Finds conversation files
+   * @param {ConversationTreeScanner} options.scanner - Parent links between conversations
+   */
+  constructor(options = {}) {
+    this.reader = options.reader || new ConversationReader();
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.exporter = new ConversationExporter({ reader: this.reader, scanner: this.scanner });
+  }
+
+  /**
+   * Compare two conversations
+   * @param {string} leftId - Conversation shown on the left
+   * @param {string} rightId - Conversation shown on the right
+   * @returns {Promise<object>} {left, right, relation, sharedCount, shared, firstDifference,
+   *   leftOnly, rightOnly, compactions: {left, right}}
+   */
+  async compare(leftId, rightId) {
+    const tree = await this.scanner.getCachedTree();
+    const conversations = tree.conversations || {};
+    const cache = new Map(); // conversationId -> own messages
+
+    const left = await this.history(leftId, conversations, cache);
+    const right = await this.history(rightId, conversations, cache);
+
+    let sharedCount = 0;
+    while (sharedCount < left.messages.length && sharedCount < right.messages.length &&
+           messageKey(left.messages[sharedCount]) === messageKey(right.messages[sharedCount])) {
+      sharedCount++;
+    }
+
+    const leftList = left.messages.map(summarize);
+    const rightList = right.messages.map(summarize);
+    const compactions = {
+      left: this.markCompactions(leftList),
+      right: this.markCompactions(rightList)
+    };
+
+    const leftRest = leftList.length - sharedCount;
+    const rightRest = rightList.length - sharedCount;
+    let relation;
+    if (sharedCount === 0) relation = 'unrelated';
+    else if (leftRest === 0 && rightRest === 0) relation = 'identical';
+    else if (leftRest === 0) relation = 'right-extends-left';
+    else if (rightRest === 0) relation = 'left-extends-right';
+    else relation = 'diverged';
+
+    const describe = (id, side) => ({
+      id,
+      title: conversations[id] ? conversations[id].firstUserMessage || null : null,
+      parentId: conversations[id] ? conversations[id].parentId || null : null,
+      isCompactSummary: conversations[id] ? !!conversations[id].isCompactSummary : false,
+      ownCount: side.ownCount,
+      inheritedCount: side.messages.length - side.ownCount,
+      inheritedFrom: side.inheritedFrom,
+      totalCount: side.messages.length
+    });
+
+    return {
+      left: describe(leftId, left),
+      right: describe(rightId, right),
+      relation,
+      sharedCount,
+      shared: leftList.slice(0, sharedCount),
+      firstDifference: relation === 'identical' ? null : {
+        index: sharedCount,
+        left: leftList[sharedCount] || null,
+        right: rightList[sharedCount] || null
+      },
+      leftOnly: leftList.slice(sharedCount),
+      rightOnly: rightList.slice(sharedCount),
+      compactions
+    };
+  }
+
+  /**
+   * Own messages of one conversation file, sub-agent messages left out
+   */
+  async ownMessages(conversationId, cache) {
+    if (!cache.has(conversationId)) {
+      const filePath = await this.reader.findConversationFile(conversationId);
+      if (!filePath) throw new Error(`Conversation ${conversationId} not found`);
+      const messages = await this.exporter.readMessages(filePath, { includeToolOutput: true, includeSidechains: false });
+      messages.forEach(message => { message.conversationId = conversationId; });
+      cache.set(conversationId, messages);
+    }
+    return cache.get(conversationId);
+  }
+
+  /**
+   * Full history of a conversation: the ancestors' messages up to where it
+   * branched, then its own
+   * @returns {Promise<{messages: Array, ownCount: number, inheritedFrom: string[]}>}
+   */
+  async history(conversationId, conversations, cache) {
+    const own = await this.ownMessages(conversationId, cache);
+    const prefix = [];
+    const inheritedFrom = [];
+
+    let child = own;
+    let parentId = conversations[conversationId] ? conversations[conversationId].parentId : null;
+    const seen = new Set([conversationId]);
+    while (parentId && !seen.has(parentId) && seen.size <= MAX_ANCESTORS) {
+      seen.add(parentId);
+      let parent;
+      try {
+        parent = await this.ownMessages(parentId, cache);
+      } catch (e) {
+        break; // Ancestor deleted; compare what is left
+      }
+
+      // The branch point is the parent message the child's first linked entry points to
+      const parentKeys = new Map(parent.map((message, i) => [message.uuid, i]));
+      const link = child.find(message => message.parentUuid && parentKeys.has(message.parentUuid));
+      const ownKeys = new Set(child.map(messageKey));
+      let branch;
+      if (link) {
+        branch = parentKeys.get(link.parentUuid) + 1;
+      } else {
+        // A resumed copy repeats the parent's messages; inherit only what it doesn't
+        branch = 0;
+        while (branch < parent.length && !ownKeys.has(messageKey(parent[branch]))) branch++;
+        if (branch === parent.length) branch = 0;
+      }
+      if (branch === 0) break;
+
+      prefix.unshift(...parent.slice(0, branch).filter(message => !ownKeys.has(messageKey(message))));
+      inheritedFrom.unshift(parentId);
+      child = parent.slice(0, branch);
+      parentId = conversations[parentId] ? conversations[parentId].parentId : null;
+    }
+
+    return { messages: [...prefix, ...own], ownCount: own.length, inheritedFrom };
+  }
+
+  /**
+   * Find compaction boundaries and flag the messages each one dropped
+   * @param {Array} list - Summarized messages of one side, in order
+   * @returns {Array<object>} One entry per compaction
+   */
+  markCompactions(list) {
+    const compactions = [];
+    let start = 0;
+    list.forEach((message, i) => {
+      if (!BOUNDARY_KINDS.includes(message.kind)) return;
+      // A compact_boundary marker followed by its summary is one compaction
+      if (i > 0 && BOUNDARY_KINDS.includes(list[i - 1].kind)) return;
+      compactions.push({
+        index: i,
+        conversationId: message.conversationId,
+        timestamp: message.timestamp,
+        summary: message.text,
+        droppedFrom: start,
+        droppedTo: i - 1,
+        droppedCount: i - start
+      });
+      start = i;
+    });
+
+    // Everything before the last boundary is out of context now
+    const last = compactions[compactions.length - 1];
+    if (last) list.slice(0, last.index).forEach(message => { message.compacted = true; });
+    return compactions;
+  }
+}
+
+ConversationDiff.messageKey = messageKey;
+
+module.exports = ConversationDiff;
@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Exporter
+ * Renders a Claude conversation, optionally with the conversations it was
+ * compacted or forked from, as Markdown, a self-contained HTML page or a
+ * normalized JSON bundle.
+ *
+ * ConversationReader.processMessage() flattens each entry to display text; an
+ * export needs the tool calls intact, so lines are normalized here into blocks
+ * (text, tool_use, tool_result) and tool results are paired with their calls.
+ *
+ * Usage: node conversation-exporter.js <conversation-id> [--format markdown|html|json]
+ *          [--lineage] [--no-tool-output] [--no-sidechains] [--out <file>]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const ConversationReader = require('./conversation-reader');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+const BUNDLE_FORMAT = 'claude-loop-conversation-bundle';
+const BUNDLE_VERSION = 1;
+const ROLE_LABELS = { user: '👤 User', assistant: '🤖 Assistant', system: '📝 System' };
+
+/**
+ * Text of a tool_result content field
+ */
+function resultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => {
+    if (!block) return '';
+    if (block.type === 'text') return block.text || '';
+    if (block.type === 'image') return '[image]';
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Normalize one JSONL entry
+ * @param {object} data - Parsed line
+ * @param {object} toolNames - tool_use id -> name, filled in as calls are seen
+ * @returns {object|null} {uuid, parentUuid, role, timestamp, isSidechain, model, blocks}
+ */
+function normalizeEntry(data, toolNames) {
+  const base = {
+    uuid: data.uuid || null,
+    parentUuid: data.parentUuid || null,
+    timestamp: data.timestamp || null,
+    isSidechain: data.isSidechain === true
+  };
+
+  if (data.type === 'summary' && data.summary) {
+    return { ...base, uuid: data.leafUuid || null, role: 'system', kind: 'summary', blocks: [{ type: 'text', text: data.summary }] };
+  }
+  if (data.type === 'system' && typeof data.content === 'string' && data.content.trim()) {
+    const kind = data.subtype === 'compact_boundary' ? 'compact-boundary' : 'system';
+    return { ...base, role: 'system', kind, blocks: [{ type: 'text', text: data.content }] };
+  }
+
+  const message = data.message;
+  if (!message || typeof message !== 'object') return null;
+  const role = message.role || data.type;
+  if (role !== 'user' && role !== 'assistant') return null;
+
+  const content = typeof message.content === 'string' ? [{ type: 'text', text: message.content }] : message.content;
+  if (!Array.isArray(content)) return null;
+
+  const blocks = [];
+  for (const block of content) {
+    if (!block || typeof block !== 'object') continue;
+    if (block.type === 'text' && block.text && block.text.trim()) {
+      blocks.push({ type: 'text', text: block.text });
+    } else if (block.type === 'tool_use') {
+      toolNames[block.id] = block.name;
+      blocks.push({ type: 'tool_use', id: block.id || null, name: block.name || 'tool', input: block.input || {} });
+    } else if (block.type === 'tool_result') {
+      blocks.push({
+        type: 'tool_result',
+        toolUseId: block.tool_use_id || null,
+        name: toolNames[block.tool_use_id] || null,
+        content: resultText(block.content),
+        isError: block.is_error === true
+      });
+    } else if (block.type === 'image') {
+      blocks.push({ type: 'text', text: '[image]' });
+    }
+    // Thinking blocks are left out of every format
+  }
+  if (blocks.length === 0) return null;
+
+  return {
+    ...base,
+    role,
+    kind: data.isCompactSummary ? 'compact-summary' : 'message',
+    model: message.model || null,
+    blocks
+  };
+}
+
+/**
+ * Fenced code block that can't be closed early by backticks in the text
+ */
+function fence(text, language = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+  const marks = '`'.repeat(longest + 1);
+  return `${marks}${language}\n${text}\n${marks}`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleString() : '';
+}
+
+/**
+ * Short one-line description of a tool call's input
+ */
+function describeInput(input) {
+  const value = input.command || input.file_path || input.path || input.pattern || input.url || input.description || input.prompt;
+  const text = typeof value === 'string' ? value : JSON.stringify(input);
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > 100 ? line.slice(0, 100) + '…' : line;
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 900px; margin: 2em auto; padding: 0 1em; color: #222; background: #fafafa; }
+  header { border-bottom: 1px solid #ddd; margin-bottom: 1.5em; }
+  header .meta { color: #666; font-size: 0.9em; }
+  h2.part { margin-top: 2em; padding-top: 1em; border-top: 2px dashed #ccc; }
+  .message { margin: 1em 0; padding: 0.8em 1em; border-radius: 6px; background: #fff; border: 1px solid #e3e3e3; }
+  .message.user { border-left: 4px solid #2f6fde; }
+  .message.assistant { border-left: 4px solid #1c9a5b; }
+  .message.system { border-left: 4px solid #999; background: #f3f3f3; }
+  .message.sidechain { margin-left: 2em; opacity: 0.85; }
+  .role { font-weight: 600; font-size: 0.9em; }
+  .time { color: #888; font-size: 0.8em; margin-left: 0.5em; }
+  .text { white-space: pre-wrap; word-wrap: break-word; margin-top: 0.4em; }
+  details.tool { margin-top: 0.5em; border: 1px solid #ddd; border-radius: 4px; background: #f6f8fa; }
+  details.tool summary { cursor: pointer; padding: 0.3em 0.6em; font-family: monospace; font-size: 0.9em; }
+  details.tool.error summary { color: #b00020; }
+  details.tool pre { margin: 0; padding: 0.6em; overflow-x: auto; white-space: pre-wrap; word-wrap: break-word; font-size: 0.85em; border-top: 1px solid #ddd; }
+  .controls { margin: 1em 0; }
+`;
+
+class ConversationExporter {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {ConversationReader} options.reader - Finds conversation files (including remote mirrors)
+   * @param {ConversationTreeScanner} options.scanner - Supplies the lineage chain
+   * @param {Function} options.getName - async (conversationId) => custom name or null
+   */
+  constructor(options = {}) {
+    this.reader = options.reader || new ConversationReader();
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.getName = options.getName || (async () => null);
+  }
+
+  /**
+   * Export a conversation
+   * @param {string} conversationId - Conversation to export
+   * @param {object} options - Export options
+   * @param {string} options.format - markdown, html or json
+   * @param {boolean} options.lineage - Include the conversations it continues from
+   * @param {boolean} options.includeToolOutput - Keep tool results (default true)
+   * @param {boolean} options.includeSidechains - Keep sub-agent messages (default true)
+   * @returns {Promise<{content: string, contentType: string, filename: string}>}
+   */
+  async export(conversationId, options = {}) {
+    const format = options.format || 'markdown';
+    if (!FORMATS[format]) {
+      throw new Error(`Unknown format: ${format} (use ${Object.keys(FORMATS).join(', ')})`);
+    }
+    const bundle = await this.buildBundle(conversationId, options);
+    const content = format === 'json'
+      ? JSON.stringify(bundle, null, 2)
+      : format === 'html' ? this.renderHtml(bundle) : this.renderMarkdown(bundle);
+
+    return {
+      content,
+      contentType: FORMATS[format].contentType,
+      filename: `conversation-${conversationId.substring(0, 8)}.${FORMATS[format].extension}`
+    };
+  }
+
+  /**
+   * Normalized JSON form of a conversation (and its lineage)
+   * @returns {Promise<object>}
+   */
+  async buildBundle(conversationId, options = {}) {
+    const settings = {
+      lineage: options.lineage === true,
+      includeToolOutput: options.includeToolOutput !== false,
+      includeSidechains: options.includeSidechains !== false
+    };
+
+    let chain = [{ id: conversationId }];
+    if (settings.lineage) {
+      const lineage = await this.scanner.getConversationLineage(conversationId);
+      // The tree cache may not know this conversation yet; export it on its own then
+      if (lineage.length > 0 && lineage[lineage.length - 1].id === conversationId) {
+        chain = lineage;
+      }
+    }
+
+    const conversations = [];
+    for (const entry of chain) {
+      const filePath = await this.reader.findConversationFile(entry.id);
+      if (!filePath) {
+        // An ancestor may have been deleted; the requested conversation must exist
+        if (entry.id === conversationId) throw new Error(`Conversation ${conversationId} not found`);
+        conversations.push({ id: entry.id, missing: true, messages: [] });
+        continue;
+      }
+      const messages = await this.readMessages(filePath, settings);
+      conversations.push({
+        id: entry.id,
+        title: (await this.getName(entry.id)) || entry.firstUserMessage || null,
+        cwd: entry.cwd || null,
+        firstTimestamp: messages.length ? messages[0].timestamp : null,
+        lastTimestamp: messages.length ? messages[messages.length - 1].timestamp : null,
+        messageCount: messages.length,
+        messages
+      });
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversationId,
+      options: settings,
+      conversations
+    };
+  }
+
+  async readMessages(filePath, { includeToolOutput, includeSidechains }) {
+    const messages = [];
+    const toolNames = {};
+    const rl = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip malformed lines
+      }
+      const message = normalizeEntry(data, toolNames);
+      if (!message) continue;
+      if (!includeSidechains && message.isSidechain) continue;
+      if (!includeToolOutput) {
+        message.blocks = message.blocks.filter(block => block.type !== 'tool_result');
+        if (message.blocks.length === 0) continue;
+      }
+      messages.push(message);
+    }
+    return messages;
+  }
+
+  /**
+   * tool_use id -> its result, so each call is rendered with its output
+   */
+  pairResults(messages) {
+    const results = new Map();
+    for (const message of messages) {
+      for (const block of message.blocks) {
+        if (block.type === 'tool_result' && block.toolUseId) results.set(block.toolUseId, block);
+      }
+    }
+    const calls = new Set();
+    for (const message of messages) {
+      for (const block of message.blocks) {
+        if (block.type === 'tool_use' && block.id) calls.add(block.id);
+      }
+    }
+    return { results, paired: id => id && calls.has(id) };
+  }
+
+  titleOf(bundle) {
+    const last = bundle.conversations[bundle.conversations.length - 1];
+    const title = (last && last.title) || bundle.conversationId;
+    return title.split('\n')[0].substring(0, 120);
+  }
+
+  renderMarkdown(bundle) {
+    const out = [`# ${this.titleOf(bundle)}`, ''];
+    out.push(`> Conversation \`${bundle.conversationId}\`, exported ${formatTime(bundle.exportedAt)}`);
+    if (!bundle.options.includeToolOutput) out.push('> Tool output left out.');
+    if (!bundle.options.includeSidechains) out.push('> Sub-agent (sidechain) messages left out.');
+    out.push('');
+
+    const multiple = bundle.conversations.length > 1;
+    bundle.conversations.forEach((conversation, i) => {
+      if (multiple) {
+        out.push(`## Part ${i + 1}: \`${conversation.id}\``, '');
+        if (conversation.cwd) out.push(`*${conversation.cwd}*`, '');
+      }
+      if (conversation.missing) {
+        out.push('*This conversation file no longer exists.*', '');
+        return;
+      }
+
+      const { results, paired } = this.pairResults(conversation.messages);
+      for (const message of conversation.messages) {
+        const parts = [];
+        for (const block of message.blocks) {
+          if (block.type === 'text') {
+            parts.push(block.text);
+          } else if (block.type === 'tool_use') {
+            parts.push(`**🔧 ${block.name}**`, fence(JSON.stringify(block.input, null, 2), 'json'));
+            const result = results.get(block.id);
+            if (result) {
+              parts.push(result.isError ? '**Error:**' : '**Output:**', fence(result.content || '(empty)'));
+            }
+          } else if (block.type === 'tool_result' && !paired(block.toolUseId)) {
+            parts.push(`**${block.name || 'Tool'} output:**`, fence(block.content || '(empty)'));
+          }
+        }
+        if (parts.length === 0) continue; // Only results already shown under their call
+
+        const label = message.kind === 'summary' ? '📝 Summary' : ROLE_LABELS[message.role];
+        const sidechain = message.isSidechain ? ' · sub-agent' : '';
+        const time = message.timestamp ? ` · ${formatTime(message.timestamp)}` : '';
+        out.push(`### ${label}${sidechain}${time}`, '', parts.join('\n\n'), '');
+      }
+    });
+
+    return out.join('\n');
+  }
+
+  renderHtml(bundle) {
+    const title = escapeHtml(this.titleOf(bundle));
+    const body = [];
+    const multiple = bundle.conversations.length > 1;
+
+    bundle.conversations.forEach((conversation, i) => {
+      if (multiple) {
+        body.push(`<h2 class="part">Part ${i + 1}: <code>${escapeHtml(conversation.id)}</code></h2>`);
+        if (conversation.cwd) body.push(`<div class="meta">${escapeHtml(conversation.cwd)}</div>`);
+      }
+      if (conversation.missing) {
+        body.push('<p><em>This conversation file no longer exists.</em></p>');
+        return;
+      }
+
+      const { results, paired } = this.pairResults(conversation.messages);
+      for (const message of conversation.messages) {
+        const parts = [];
+        for (const block of message.blocks) {
+          if (block.type === 'text') {
+            parts.push(`<div class="text">${escapeHtml(block.text)}</div>`);
+          } else if (block.type === 'tool_use') {
+            const result = results.get(block.id);
+            parts.push(this.renderToolHtml(block.name, describeInput(block.input), JSON.stringify(block.input, null, 2), result));
+          } else if (block.type === 'tool_result' && !paired(block.toolUseId)) {
+            parts.push(this.renderToolHtml(block.name || 'Tool', 'output', null, block));
+          }
+        }
+        if (parts.length === 0) continue;
+
+        const label = message.kind === 'summary' ? '📝 Summary' : ROLE_LABELS[message.role];
+        const classes = ['message', message.role, message.isSidechain ? 'sidechain' : ''].filter(Boolean).join(' ');
+        body.push(`<div class="${classes}">
+  <span class="role">${label}${message.isSidechain ? ' · sub-agent' : ''}</span><span class="time">${escapeHtml(formatTime(message.timestamp))}</span>
+  ${parts.join('\n  ')}
+</div>`);
+      }
+    });
+
+    const notes = [];
+    if (!bundle.options.includeToolOutput) notes.push('tool output left out');
+    if (!bundle.options.includeSidechains) notes.push('sub-agent messages left out');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>${title}</h1>
+  <div class="meta">Conversation <code>${escapeHtml(bundle.conversationId)}</code>, exported ${escapeHtml(formatTime(bundle.exportedAt))}${notes.length ? ` (${notes.join(', ')})` : ''}</div>
+  <div class="controls">
+    <button onclick="document.querySelectorAll('details.tool').forEach(d => d.open = true)">Expand tool calls</button>
+    <button onclick="document.querySelectorAll('details.tool').forEach(d => d.open = false)">Collapse tool calls</button>
+  </div>
+</header>
+${body.join('\n')}
+</body>
+</html>
+`;
+  }
+
+  renderToolHtml(name, summary, input, result) {
+    const sections = [];
+    if (input !== null) sections.push(`<pre>${escapeHtml(input)}</pre>`);
+    if (result) sections.push(`<pre>${escapeHtml(result.content || '(empty)')}</pre>`);
+    const errorClass = result && result.isError ? ' error' : '';
+    return `<details class="tool${errorClass}"><summary>🔧 ${escapeHtml(name)}: ${escapeHtml(summary)}</summary>${sections.join('')}</details>`;
+  }
+}
+
+ConversationExporter.FORMATS = FORMATS;
+ConversationExporter.normalizeEntry = normalizeEntry;
+
+module.exports = ConversationExporter;
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flags = {};
+  let conversationId = null;
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--format' || args[i] === '--out') {
+      flags[args[i].slice(2)] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = true;
+    } else {
+      conversationId = args[i];
+    }
+  }
+
+  if (!conversationId) {
+    console.log('Usage: conversation-exporter.js <conversation-id> [--format markdown|html|json] [--lineage]');
+    console.log('                                [--no-tool-output] [--no-sidechains] [--out <file>]');
+    process.exit(1);
+  }
+
+  const conversationNamer = require('./conversation-names');
+  const exporter = new ConversationExporter({ getName: (id) => conversationNamer.getName(id) });
+
+  exporter.export(conversationId, {
+    format: flags.format || 'markdown',
+    lineage: flags.lineage === true,
+    includeToolOutput: !flags['no-tool-output'],
+    includeSidechains: !flags['no-sidechains']
+  }).then(async ({ content }) => {
+    if (flags.out) {
+      await fs.writeFile(path.resolve(flags.out), content);
+      console.error(`Wrote ${flags.out}`);
+    } else {
+      process.stdout.write(content);
+    }
+  }).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
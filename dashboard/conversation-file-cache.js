@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation File Cache
+ * Base class for the caches that keep one record per conversation file and
+ * read the files incrementally: the search index, usage accounting, tool
+ * analytics and conversation titles.
+ *
+ * ConversationTreeScanner.detectChanges() decides which files changed, against
+ * the mtimes saved with each entry. Claude only appends to conversation files,
+ * so a changed file is read on from the byte offset where the last update
+ * stopped; a file that moved, shrank or was rewritten is read again from the
+ * start.
+ *
+ * A subclass supplies the per-file state and what to do with each line:
+ *   createEntry(fileInfo)  - fields of a new entry besides path, size and mtime
+ *   readRecord(entry, data, bytes, offset) - called with each parsed line
+ *   countEntry(entry)      - how many items an entry holds, for the update result
+ * and can override readLine() to see raw lines, or finishEntry() to work on an
+ * entry once its new lines are read.
+ *
+ * Saved file: { version, [filesKey]: { [conversationId]: entry } }
+ *
+ * With `saveDelayMs` set, an update that changed something schedules a save
+ * instead of writing the file, so frequent updates (the search index catches up
+ * before every search) write it at most once per delay. A save never runs in
+ * the middle of an update, when entries are read further than their size says.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+const { readLinesFrom, endsWithNewline } = require('./efficient-line-reader');
+
+class ConversationFileCache {
+  /**
+   * @param {object} settings - Fixed by the subclass
+   * @param {string} settings.file - Where the entries are saved
+   * @param {number} settings.version - Entries saved under another version are dropped
+   * @param {string} settings.label - Log prefix, e.g. 'Tools'
+   * @param {string} settings.countName - Name of the countEntry() total in update results, e.g. 'calls'
+   * @param {string} settings.filesKey - Key the entries are saved under (default 'files')
+   * @param {number} settings.indent - JSON indentation of the saved file (default none)
+   * @param {number} settings.saveDelayMs - Batch saves within this many ms (default: save after every update)
+   * @param {object} options - Optional overrides
+   * @param {ConversationTreeScanner} options.scanner - Supplies files and change detection
+   * @param {object} options.log - Logger
+   */
+  constructor(settings, options = {}) {
+    this.file = settings.file;
+    this.version = settings.version;
+    this.label = settings.label;
+    this.countName = settings.countName;
+    this.filesKey = settings.filesKey || 'files';
+    this.indent = settings.indent;
+    this.saveDelayMs = settings.saveDelayMs || 0;
+    this.saveTimer = null;
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.log = options.log || console;
+    this.files = null; // loaded lazily
+    this.updating = null;
+    this.lastUpdate = null;
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.files = data.version === this.version ? data[this.filesKey] || {} : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.error(`[${this.label}] Failed to read ${path.basename(this.file)}, rebuilding:`, error.message);
+      }
+      this.files = {};
+    }
+  }
+
+  async save() {
+    // Serialized before the first await, so an update starting meanwhile can't change what is written
+    const json = JSON.stringify({ version: this.version, [this.filesKey]: this.files }, null, this.indent);
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    // Write then rename so a crash mid-write never leaves half a file
+    const tmp = `${this.file}.tmp`;
+    await fs.writeFile(tmp, json);
+    await fs.rename(tmp, this.file);
+  }
+
+  /**
+   * Save now, or schedule one save within saveDelayMs
+   */
+  async saveSoon() {
+    if (!this.saveDelayMs) return this.save();
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        while (this.updating) await this.updating.catch(() => {});
+        await this.save();
+      } catch (error) {
+        this.log.error(`[${this.label}] Failed to save ${path.basename(this.file)}:`, error.message);
+      }
+    }, this.saveDelayMs);
+    // Unsaved reads are only lost work; the saved file still matches its own offsets
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Read whatever was appended since the last update. Concurrent callers share one run.
+   * @param {object} options - {rebuild: true} drops every entry and reads all files again
+   * @returns {Promise<object>} Counts of what changed
+   */
+  update(options = {}) {
+    if (!this.updating) {
+      this.updating = this.runUpdate(options).finally(() => { this.updating = null; });
+    }
+    return this.updating;
+  }
+
+  async runUpdate({ rebuild = false } = {}) {
+    const startTime = Date.now();
+    if (this.files === null) await this.load();
+    if (rebuild) this.files = {};
+
+    // Archived conversations aren't reported deleted, so their entries stay
+    const { allFiles, newIds, modifiedIds, deletedIds } = await this.scanner.detectChanges(
+      Object.keys(this.files),
+      id => this.files[id].mtime
+    );
+
+    for (const id of deletedIds) delete this.files[id];
+
+    const fileInfo = new Map(allFiles.map(f => [path.basename(f.path, '.jsonl'), f]));
+    let added = 0;
+    for (const id of [...newIds, ...modifiedIds]) {
+      try {
+        added += await this.readConversation(id, fileInfo.get(id));
+      } catch (error) {
+        this.log.error(`[${this.label}] Failed to read ${id}:`, error.message);
+      }
+    }
+
+    const changed = newIds.length + modifiedIds.length + deletedIds.length;
+    if (changed > 0) await this.saveSoon();
+    this.lastUpdate = new Date().toISOString();
+
+    if (changed > 0) {
+      this.log.info(`[${this.label}] ${added} ${this.countName} from ${newIds.length} new and ${modifiedIds.length} changed conversations, dropped ${deletedIds.length} (${Date.now() - startTime}ms)`);
+    }
+    return { newCount: newIds.length, modifiedCount: modifiedIds.length, deletedCount: deletedIds.length, [this.countName]: added };
+  }
+
+  /**
+   * Read whatever was appended to one conversation file into its entry
+   * @param {string} id - Conversation id
+   * @param {object} fileInfo - {path, projectFolder} from the scanner
+   * @returns {Promise<number>} What finishEntry() reports, by default the items added
+   */
+  async readConversation(id, fileInfo) {
+    const filePath = fileInfo.path;
+    const stats = await fs.stat(filePath);
+    let entry = this.files[id];
+
+    if (entry && (entry.path !== filePath || stats.size < entry.size || !(await endsWithNewline(filePath, entry.size)))) {
+      entry = null; // Moved, truncated or rewritten
+    }
+    if (!entry) {
+      entry = { path: filePath, size: 0, mtime: null, ...this.createEntry(fileInfo) };
+    }
+
+    const before = this.countEntry(entry);
+    entry.size = await readLinesFrom(filePath, entry.size, (bytes, offset) => this.readLine(entry, bytes, offset));
+    entry.mtime = stats.mtime.toISOString();
+    this.files[id] = entry;
+    return this.finishEntry(entry, before);
+  }
+
+  /**
+   * Parse one line and hand it to readRecord(). Entries with a `cwd` field
+   * take it from the first line that has one.
+   */
+  readLine(entry, bytes, offset) {
+    let data;
+    try {
+      data = JSON.parse(bytes.toString('utf8'));
+    } catch (e) {
+      return;
+    }
+    if (entry.cwd === null && data.cwd) entry.cwd = data.cwd;
+    this.readRecord(entry, data, bytes, offset);
+  }
+
+  createEntry() {
+    return {};
+  }
+
+  readRecord() {}
+
+  countEntry() {
+    return 0;
+  }
+
+  /**
+   * @param {object} entry - Entry whose new lines were just read
+   * @param {number} before - countEntry() before they were read
+   * @returns {number} Added to the update result's count
+   */
+  finishEntry(entry, before) {
+    return this.countEntry(entry) - before;
+  }
+}
+
+module.exports = ConversationFileCache;
@@ -35,12 +35,19 @@ class ConversationNamer {
         }
     }
     
-    async setName(conversationId, name) {
+    /**
+     * @param {string} conversationId
+     * @param {string} name
+     * @param {string} source - 'seeded' for names not typed by hand, which
+     *   automatic titles replace (see conversation-titles.js)
+     */
+    async setName(conversationId, name, source = null) {
         await this.load();
         this.names[conversationId] = {
             name: name,
             updatedAt: new Date().toISOString()
         };
+        if (source) this.names[conversationId].source = source;
         await this.save();
     }
     
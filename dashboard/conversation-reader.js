@@ -4,10 +4,20 @@ const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
 const { createReadStream } = require('fs');
+const ConversationArchive = require('./conversation-archive');
+const { readLinesFrom } = require('./efficient-line-reader');
 
 class ConversationReader {
-    constructor() {
+    /**
+     * @param {object} options - Optional hooks
+     * @param {Function} options.findRemoteFile - async (conversationId) => local path of a
+     *   conversation that lives on another host, or null (see host-registry.js)
+     * @param {ConversationArchive} options.archive - Where compressed conversations are looked up
+     */
+    constructor(options = {}) {
         this.projectsDir = path.join(require('os').homedir(), '.claude', 'projects');
+        this.findRemoteFile = options.findRemoteFile || null;
+        this.archive = options.archive || new ConversationArchive();
     }
 
     /**
@@ -76,9 +86,11 @@ class ConversationReader {
      * Get the latest N messages from a conversation (optimized)
      * @param {string} conversationId - The conversation ID
      * @param {number} count - Number of messages to return
+     * @param {number|null} totalLines - The file's non-empty line count (countLines);
+     *   when given, each message gets the `index` of its line in the file
      * @returns {Promise<Array>} Array of message objects
      */
-    async getLatestMessages(conversationId, count = 50) {
+    async getLatestMessages(conversationId, count = 50, totalLines = null) {
         // Optimization: Read file backwards to get only last N lines
         // instead of reading entire file
         try {
@@ -103,11 +115,12 @@ class ConversationReader {
             const messages = [];
             const lines = stdout.split('\n').filter(line => line.trim());
             
-            for (const line of lines) {
+            for (let i = 0; i < lines.length; i++) {
                 try {
-                    const data = JSON.parse(line);
+                    const data = JSON.parse(lines[i]);
                     const message = this.processMessage(data, messages.length);
                     if (message) {
+                        if (totalLines !== null) message.index = totalLines - lines.length + i;
                         messages.push(message);
                     }
                 } catch (e) {
@@ -125,6 +138,39 @@ class ConversationReader {
         }
     }
 
+    /**
+     * Count a conversation file's non-empty lines. This is the numbering `index`
+     * uses in /api/conversation/messages and in the chat events.
+     * @param {string} filePath - Conversation file
+     * @returns {Promise<{count: number, offset: number, partial: boolean}>} Complete
+     *   non-empty lines, the byte offset after the last complete line, and whether
+     *   a line still being written follows it
+     */
+    async countLines(filePath) {
+        let count = 0;
+        const offset = await readLinesFrom(filePath, 0, (bytes) => {
+            if (bytes.toString('utf8').trim()) count++;
+        });
+        const { size } = await fs.stat(filePath);
+        return { count, offset, partial: size > offset };
+    }
+
+    /**
+     * A file line as the chat's incremental updates show it. Only entries whose
+     * content is a string are kept.
+     * @param {object} data - Parsed line
+     * @param {number} index - The line's index (see countLines)
+     * @returns {object|null} {type, content, index}
+     */
+    toChatMessage(data, index) {
+        const formatted = {
+            type: data.type || (data.role === 'user' ? 'user' : 'assistant'),
+            content: data.message?.content || data.content || '',
+            index
+        };
+        return typeof formatted.content === 'string' ? formatted : null;
+    }
+
     /**
      * Stream new messages as they arrive
      * @param {string} conversationId - The conversation ID
@@ -133,19 +179,41 @@ class ConversationReader {
      * @returns {function} Stop function to end streaming
      */
     streamConversation(conversationId, onMessage, pollInterval = 1000) {
-        let lastMessageCount = 0;
+        let filePath = null;
+        let offset = null;
+        let messageCount = 0;
+        let checking = false;
         let intervalId;
 
+        // Only the lines appended since the last check are read
         const checkForNewMessages = async () => {
+            if (checking) return;
+            checking = true;
             try {
-                const messages = await this.readConversation(conversationId, 0, 0);
-                if (messages.length > lastMessageCount) {
-                    const newMessages = messages.slice(lastMessageCount);
-                    newMessages.forEach(msg => onMessage(msg));
-                    lastMessageCount = messages.length;
+                filePath = filePath || await this.findConversationFile(conversationId);
+                if (!filePath) return;
+                const { size } = await fs.stat(filePath);
+                if (offset === null || size < offset) {
+                    offset = 0;
+                    messageCount = 0;
                 }
+                offset = await readLinesFrom(filePath, offset, (bytes) => {
+                    const line = bytes.toString('utf8');
+                    if (!line.trim()) return;
+                    try {
+                        const message = this.processMessage(JSON.parse(line), messageCount);
+                        if (message) {
+                            messageCount++;
+                            onMessage(message);
+                        }
+                    } catch (e) {
+                        // Not a complete JSON line
+                    }
+                });
             } catch (error) {
                 console.error('Error streaming conversation:', error);
+            } finally {
+                checking = false;
             }
         };
 
@@ -341,7 +409,18 @@ class ConversationReader {
         } catch (error) {
             console.error('Error finding conversation file:', error);
         }
-        
+
+        // Archived by the retention policy; read from a decompressed copy
+        const archived = await this.archive.findArchivedFile(conversationId);
+        if (archived) {
+            return archived;
+        }
+
+        // Not on this machine; a registered host may have it
+        if (this.findRemoteFile) {
+            return this.findRemoteFile(conversationId);
+        }
+
         return null;
     }
 
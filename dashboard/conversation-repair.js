@@ -0,0 +1,602 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Repair
+ * Finds structural corruption in ~/.claude and repairs it with backups. The
+ * Node counterpart of claude-repair.sh's file checks, which only validate JSON.
+ *
+ * Conversation files (projects/{folder}/{id}.jsonl):
+ *   truncated-last-line  Last line cut off without a newline (a crash mid-write)
+ *   invalid-json         A line that isn't a JSON object
+ *   broken-parent        A message whose parentUuid is in no file of its project
+ *                        folder. Claude rebuilds history by walking parentUuid
+ *                        from the last message, so everything before the break
+ *                        is lost on resume. Relinked to the message before it.
+ *   missing-parent       The first message continues a file that no longer
+ *                        exists (deleted or archived). Reported, not repaired.
+ *   orphaned-sidechain   Subagent (isSidechain) messages whose parent is gone.
+ *                        Nothing in the main chain refers to them, so the
+ *                        subtree is removed.
+ *
+ * Config files (~/.claude.json, ~/.claude/*.json, ~/.claude/*.jsonl and
+ * ~/.claude/session-env/*.json):
+ *   invalid-config-json  Repaired when closing the open strings, arrays and
+ *                        objects makes it valid again; otherwise left alone
+ *   invalid-json, truncated-last-line as above for JSONL
+ *
+ * A repair copies each file to ~/.claude/repair-backups/{time}/ first, writes
+ * the result next to it and renames it over the original. Files written in
+ * the last two minutes may still have a line in flight and are skipped
+ * unless forced.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+const { readLinesFrom } = require('./efficient-line-reader');
+
+const ACTIVE_MS = 2 * 60 * 1000;
+const MAX_ISSUES_LISTED = 50; // per file; counts cover all of them
+
+/**
+ * Error with the HTTP status a route should answer with
+ */
+function statusError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse one line; null if it isn't a JSON object
+ */
+function parseRecord(text) {
+  try {
+    const entry = JSON.parse(text);
+    return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Close whatever a truncated JSON document left open
+ * @param {string} text - Document cut off part way
+ * @returns {string|null} Valid JSON, or null if closing it isn't enough
+ */
+function closeJson(text) {
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack.pop() !== char) return null;
+    }
+  }
+  if (stack.length === 0 && !inString) return null;
+
+  let closed = text;
+  if (escaped) closed = closed.slice(0, -1);
+  if (inString) closed += '"';
+  // A dangling comma, or an object key without its value, has nothing to close
+  closed = closed.replace(/,\s*$/, '');
+  if (stack[stack.length - 1] === '}') {
+    closed = closed.replace(/,\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '').replace(/:\s*$/, ': null');
+  }
+  closed += stack.reverse().join('');
+  try {
+    JSON.parse(closed);
+    return closed;
+  } catch (e) {
+    return null;
+  }
+}
+
+class ConversationRepair {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {ConversationTreeScanner} options.scanner - Lists the conversation files
+   * @param {string} options.claudeDir - Claude's config directory (default ~/.claude)
+   * @param {string} options.claudeJson - Claude's main config file (default ~/.claude.json)
+   * @param {string} options.backupDir - Where backups go (default ~/.claude/repair-backups)
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    this.claudeDir = options.claudeDir || path.join(os.homedir(), '.claude');
+    this.claudeJson = options.claudeJson || path.join(path.dirname(this.claudeDir), '.claude.json');
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.projectsDir = this.scanner.projectsDir;
+    this.backupDir = options.backupDir || path.join(this.claudeDir, 'repair-backups');
+    this.log = options.log || console;
+    this.running = null;
+  }
+
+  /**
+   * Read a JSONL file's records and the lines that aren't valid
+   * @param {string} filePath - File to read
+   * @returns {Promise<object>} {size, mtimeMs, lines, records: [{line, uuid, parentUuid, isSidechain}], issues}
+   */
+  async readJsonl(filePath) {
+    const stats = await fs.stat(filePath);
+    const records = [];
+    const issues = [];
+    let line = 0;
+
+    const take = (text, truncated) => {
+      line++;
+      const trimmed = text.trim();
+      if (!trimmed) return;
+      const entry = parseRecord(trimmed);
+      if (entry) {
+        records.push({
+          line,
+          uuid: typeof entry.uuid === 'string' ? entry.uuid : null,
+          parentUuid: typeof entry.parentUuid === 'string' ? entry.parentUuid : null,
+          isSidechain: entry.isSidechain === true
+        });
+      } else if (truncated) {
+        issues.push({ kind: 'truncated-last-line', line, detail: `${Buffer.byteLength(text)} bytes without a newline`, repairable: true });
+      } else {
+        issues.push({ kind: 'invalid-json', line, detail: trimmed.length > 80 ? trimmed.slice(0, 80) + '…' : trimmed, repairable: true });
+      }
+    };
+
+    const end = await readLinesFrom(filePath, 0, (bytes) => take(bytes.toString('utf8'), false));
+    if (end < stats.size) {
+      const handle = await fs.open(filePath, 'r');
+      try {
+        const rest = Buffer.alloc(stats.size - end);
+        await handle.read(rest, 0, rest.length, end);
+        take(rest.toString('utf8'), true);
+      } finally {
+        await handle.close();
+      }
+    }
+    return { size: stats.size, mtimeMs: stats.mtimeMs, lines: line, records, issues };
+  }
+
+  /**
+   * Which of the wanted uuids some other file in the folder has
+   * @param {string} projectDir - Project folder
+   * @param {Set<string>} skip - Files already looked at
+   * @param {Set<string>} wanted - uuids to look for
+   * @returns {Promise<Set<string>>} The ones found
+   */
+  async findUuidsElsewhere(projectDir, skip, wanted) {
+    const found = new Set();
+    const files = (await fs.readdir(projectDir).catch(() => [])).filter(name => name.endsWith('.jsonl'));
+    for (const name of files) {
+      const filePath = path.join(projectDir, name);
+      if (skip.has(filePath)) continue;
+      const needles = [...wanted].filter(uuid => !found.has(uuid));
+      if (needles.length === 0) break;
+      await readLinesFrom(filePath, 0, (bytes) => {
+        // Only parse the lines that mention one
+        const hit = needles.find(uuid => !found.has(uuid) && bytes.indexOf(uuid) !== -1);
+        if (!hit) return;
+        const entry = parseRecord(bytes.toString('utf8'));
+        if (entry && needles.includes(entry.uuid)) found.add(entry.uuid);
+      }).catch(() => {});
+    }
+    return found;
+  }
+
+  /**
+   * Check the parentUuid chain of each file, against the other files in its
+   * project folder for parents that live elsewhere
+   * @param {string} projectDir - Project folder
+   * @param {Array<object>} analyses - readJsonl() results with path, for files in this folder
+   */
+  async checkChains(projectDir, analyses) {
+    const known = new Set();
+    analyses.forEach(analysis => analysis.records.forEach(record => record.uuid && known.add(record.uuid)));
+    const wanted = new Set();
+    analyses.forEach(analysis => analysis.records.forEach(record => {
+      if (record.parentUuid && !known.has(record.parentUuid)) wanted.add(record.parentUuid);
+    }));
+    if (wanted.size > 0) {
+      const elsewhere = await this.findUuidsElsewhere(projectDir, new Set(analyses.map(a => a.path)), wanted);
+      elsewhere.forEach(uuid => known.add(uuid));
+    }
+
+    for (const analysis of analyses) {
+      analysis.relink = new Map();     // line -> new parentUuid
+      analysis.removeLines = new Set();
+      const children = new Map();      // uuid -> sidechain records pointing at it
+      analysis.records.forEach(record => {
+        if (record.isSidechain && record.parentUuid) {
+          if (!children.has(record.parentUuid)) children.set(record.parentUuid, []);
+          children.get(record.parentUuid).push(record);
+        }
+      });
+
+      let previous = null; // last main-chain message, the relink target
+      for (const record of analysis.records) {
+        if (record.parentUuid && !known.has(record.parentUuid) && !analysis.removeLines.has(record.line)) {
+          if (record.isSidechain) {
+            const subtree = [record];
+            for (let i = 0; i < subtree.length; i++) {
+              (children.get(subtree[i].uuid) || []).forEach(child => subtree.push(child));
+            }
+            subtree.forEach(entry => analysis.removeLines.add(entry.line));
+            analysis.issues.push({
+              kind: 'orphaned-sidechain', line: record.line, uuid: record.uuid, parentUuid: record.parentUuid,
+              detail: `${subtree.length} subagent message${subtree.length === 1 ? '' : 's'} hanging off a missing message`, repairable: true
+            });
+          } else if (!previous) {
+            analysis.issues.push({
+              kind: 'missing-parent', line: record.line, uuid: record.uuid, parentUuid: record.parentUuid,
+              detail: 'Continues a conversation file that is gone', repairable: false
+            });
+          } else {
+            analysis.relink.set(record.line, previous.uuid);
+            analysis.issues.push({
+              kind: 'broken-parent', line: record.line, uuid: record.uuid, parentUuid: record.parentUuid,
+              detail: `Relinks to line ${previous.line}`, repairable: true
+            });
+          }
+        }
+        if (!record.isSidechain && record.uuid) previous = record;
+      }
+    }
+  }
+
+  /**
+   * Conversation files in scope
+   * @param {object} scope - {conversationId} or {recent: N}; all by default
+   */
+  async conversationFiles(scope = {}) {
+    const files = [];
+    for (const file of await this.scanner.getAllConversationFiles()) {
+      const conversationId = path.basename(file.path, '.jsonl');
+      if (scope.conversationId && conversationId !== scope.conversationId) continue;
+      try {
+        files.push({ ...file, conversationId, mtimeMs: (await fs.stat(file.path)).mtimeMs });
+      } catch (e) {
+        // Deleted while listing
+      }
+    }
+    if (scope.conversationId && files.length === 0) {
+      throw statusError(404, `Conversation ${scope.conversationId} not found in ${this.projectsDir}`);
+    }
+    files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    return scope.recent ? files.slice(0, scope.recent) : files;
+  }
+
+  /**
+   * Claude's own config files, as claude-repair.sh checks them
+   */
+  async configFiles() {
+    const files = [{ path: this.claudeJson, jsonl: false }];
+    const names = await fs.readdir(this.claudeDir).catch(() => []);
+    names.filter(name => name.endsWith('.json') || name.endsWith('.jsonl')).sort().forEach(name => {
+      files.push({ path: path.join(this.claudeDir, name), jsonl: name.endsWith('.jsonl') });
+    });
+    const sessionEnv = path.join(this.claudeDir, 'session-env');
+    (await fs.readdir(sessionEnv).catch(() => [])).filter(name => name.endsWith('.json')).sort().forEach(name => {
+      files.push({ path: path.join(sessionEnv, name), jsonl: false });
+    });
+
+    const existing = [];
+    for (const file of files) {
+      try {
+        if ((await fs.stat(file.path)).isFile()) existing.push(file);
+      } catch (e) {
+        // Not there on this install
+      }
+    }
+    return existing;
+  }
+
+  async checkConfigFile(file) {
+    if (file.jsonl) {
+      const analysis = await this.readJsonl(file.path);
+      return analysis.issues.map(issue => ({ path: file.path, ...issue }));
+    }
+    const text = await fs.readFile(file.path, 'utf8');
+    try {
+      JSON.parse(text);
+      return [];
+    } catch (error) {
+      return [{
+        kind: 'invalid-config-json', path: file.path, detail: error.message,
+        repairable: text.trim() !== '' && closeJson(text.trimEnd()) !== null
+      }];
+    }
+  }
+
+  /**
+   * Dry run: what is wrong and what a repair would do
+   * @param {object} scope - {conversationId} for one conversation, {recent: N}
+   *   for the most recently written N; {config: false} skips the config files,
+   *   which are only checked when no conversationId is given
+   * @returns {Promise<object>} Report
+   */
+  async check(scope = {}) {
+    const files = await this.conversationFiles(scope);
+    const byProject = new Map();
+    let records = 0;
+    for (const file of files) {
+      let analysis;
+      try {
+        analysis = { ...file, ...(await this.readJsonl(file.path)) };
+      } catch (e) {
+        continue; // Deleted while checking
+      }
+      records += analysis.records.length;
+      const projectDir = path.dirname(file.path);
+      if (!byProject.has(projectDir)) byProject.set(projectDir, []);
+      byProject.get(projectDir).push(analysis);
+    }
+    for (const [projectDir, analyses] of byProject) {
+      await this.checkChains(projectDir, analyses);
+    }
+
+    const now = Date.now();
+    const conversations = [];
+    const kinds = {};
+    for (const analysis of [...byProject.values()].flat()) {
+      if (analysis.issues.length === 0) continue;
+      analysis.issues.sort((a, b) => a.line - b.line);
+      analysis.issues.forEach(issue => { kinds[issue.kind] = (kinds[issue.kind] || 0) + 1; });
+      const dropLines = analysis.issues.filter(i => i.kind === 'invalid-json' || i.kind === 'truncated-last-line').length;
+      conversations.push({
+        conversationId: analysis.conversationId,
+        projectFolder: analysis.projectFolder,
+        path: analysis.path,
+        size: analysis.size,
+        lastModified: new Date(analysis.mtimeMs).toISOString(),
+        active: now - analysis.mtimeMs < ACTIVE_MS,
+        records: analysis.records.length,
+        issueCount: analysis.issues.length,
+        issues: analysis.issues.slice(0, MAX_ISSUES_LISTED),
+        repair: {
+          dropLines,
+          relink: analysis.relink.size,
+          removeRecords: analysis.removeLines.size
+        },
+        repairable: analysis.issues.some(issue => issue.repairable)
+      });
+    }
+
+    const config = [];
+    if (!scope.conversationId && scope.config !== false) {
+      for (const file of await this.configFiles()) {
+        const issues = await this.checkConfigFile(file).catch(error => [{ kind: 'unreadable', path: file.path, detail: error.message, repairable: false }]);
+        issues.forEach(issue => { kinds[issue.kind] = (kinds[issue.kind] || 0) + 1; });
+        config.push(...issues);
+      }
+    }
+
+    return {
+      checkedAt: new Date().toISOString(),
+      scope: { conversationId: scope.conversationId || null, recent: scope.recent || null },
+      filesChecked: files.length,
+      recordsChecked: records,
+      kinds,
+      repairable: conversations.filter(c => c.repairable).length + config.filter(c => c.repairable).length,
+      conversations,
+      config
+    };
+  }
+
+  /**
+   * Copy a file into this run's backup folder, keeping its place under ~/.claude
+   */
+  async backup(filePath, runDir) {
+    const home = path.dirname(this.claudeDir);
+    const relative = filePath.startsWith(this.claudeDir + path.sep)
+      ? path.relative(this.claudeDir, filePath)
+      : path.relative(home, filePath);
+    const target = path.join(runDir, relative);
+    await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+    await fs.copyFile(filePath, target);
+    return target;
+  }
+
+  /**
+   * Write a repaired file over the original, unless it changed since it was read
+   */
+  async replace(filePath, content, before) {
+    const tmp = path.join(path.dirname(filePath), `.${path.basename(filePath)}.repairing`);
+    await fs.writeFile(tmp, content);
+    try {
+      const now = await fs.stat(filePath);
+      if (now.size !== before.size || now.mtimeMs !== before.mtimeMs) {
+        throw statusError(409, 'Written to while repairing; check again');
+      }
+      await fs.rename(tmp, filePath);
+    } catch (error) {
+      await fs.unlink(tmp).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Contents of a JSONL file without the dropped lines and with the relinked parents
+   * @param {Buffer} buffer - Original contents
+   * @param {object} plan - {dropLines: Set of line numbers, relink: Map(line -> parentUuid)}
+   * @returns {string}
+   */
+  rewriteJsonl(buffer, plan) {
+    const lines = buffer.toString('utf8').split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+    const out = [];
+    lines.forEach((text, index) => {
+      const line = index + 1;
+      if (plan.dropLines.has(line)) return;
+      if (plan.relink.has(line)) {
+        const entry = JSON.parse(text);
+        entry.parentUuid = plan.relink.get(line);
+        out.push(JSON.stringify(entry));
+      } else {
+        out.push(text);
+      }
+    });
+    return out.length ? out.join('\n') + '\n' : '';
+  }
+
+  async repairJsonl(filePath, analysis, runDir) {
+    const buffer = await fs.readFile(filePath);
+    const dropLines = new Set(analysis.removeLines || []);
+    analysis.issues
+      .filter(issue => issue.kind === 'invalid-json' || issue.kind === 'truncated-last-line')
+      .forEach(issue => dropLines.add(issue.line));
+    const content = this.rewriteJsonl(buffer, { dropLines, relink: analysis.relink || new Map() });
+    const backup = await this.backup(filePath, runDir);
+    await this.replace(filePath, content, analysis);
+    return { backup, removed: dropLines.size, relinked: (analysis.relink || new Map()).size };
+  }
+
+  /**
+   * Repair what check() finds in the same scope
+   * @param {object} scope - As for check()
+   * @param {object} options - {force: true} also repairs files written in the last two minutes
+   * @returns {Promise<object>} {backupDir, repaired, skipped, failed, report}
+   */
+  async repair(scope = {}, { force = false } = {}) {
+    if (this.running) throw statusError(409, 'A repair is already running');
+    this.running = this.runRepair(scope, force);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runRepair(scope, force) {
+    const report = await this.check(scope);
+    const runDir = path.join(this.backupDir, new Date().toISOString().replace(/[:.]/g, '-'));
+    const repaired = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const conversation of report.conversations.filter(c => c.repairable)) {
+      if (conversation.active && !force) {
+        skipped.push({ path: conversation.path, reason: 'written in the last two minutes' });
+        continue;
+      }
+      try {
+        // Read again: the report only lists the first issues, and the file may have grown
+        const analysis = await this.readJsonl(conversation.path);
+        analysis.path = conversation.path;
+        await this.checkChains(path.dirname(conversation.path), [analysis]);
+        if (!analysis.issues.some(issue => issue.repairable)) continue;
+        const result = await this.repairJsonl(conversation.path, analysis, runDir);
+        repaired.push({ path: conversation.path, conversationId: conversation.conversationId, ...result });
+      } catch (error) {
+        failed.push({ path: conversation.path, error: error.message });
+      }
+    }
+
+    const configPaths = [...new Set(report.config.filter(c => c.repairable).map(c => c.path))];
+    for (const filePath of configPaths) {
+      try {
+        const stats = await fs.stat(filePath);
+        if (!filePath.endsWith('.jsonl')) {
+          const closed = closeJson((await fs.readFile(filePath, 'utf8')).trimEnd());
+          if (!closed) continue;
+          const backup = await this.backup(filePath, runDir);
+          await this.replace(filePath, closed + '\n', stats);
+          repaired.push({ path: filePath, backup, closed: true });
+          continue;
+        }
+        if (Date.now() - stats.mtimeMs < ACTIVE_MS && !force) {
+          skipped.push({ path: filePath, reason: 'written in the last two minutes' });
+          continue;
+        }
+        const result = await this.repairJsonl(filePath, await this.readJsonl(filePath), runDir);
+        repaired.push({ path: filePath, ...result });
+      } catch (error) {
+        failed.push({ path: filePath, error: error.message });
+      }
+    }
+
+    if (repaired.length || failed.length) {
+      this.log.info(`[Repair] Repaired ${repaired.length} files${failed.length ? `, ${failed.length} failed` : ''}; backups in ${runDir}`);
+    }
+    return { backupDir: repaired.length ? runDir : null, repaired, skipped, failed, report };
+  }
+}
+
+ConversationRepair.closeJson = closeJson;
+ConversationRepair.ACTIVE_MS = ACTIVE_MS;
+
+module.exports = ConversationRepair;
+
+// CLI interface
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--conversation' || args[i] === '--recent') {
+      flags[args[i].slice(2)] = args[++i];
+    } else if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = true;
+    }
+  }
+
+  if (flags.help) {
+    console.log('Usage: conversation-repair.js [--conversation <id> | --recent <n>] [--no-config]');
+    console.log('                              [--repair [--force]] [--json]');
+    console.log('Checks only, unless --repair is given.');
+    process.exit(0);
+  }
+
+  const scope = {
+    conversationId: flags.conversation || undefined,
+    recent: flags.recent ? parseInt(flags.recent, 10) : undefined,
+    config: !flags['no-config']
+  };
+  const repairer = new ConversationRepair();
+
+  const printReport = (report) => {
+    console.log(`Checked ${report.filesChecked} conversation files (${report.recordsChecked} records)`);
+    report.conversations.forEach(conversation => {
+      console.log(`\n${conversation.path}${conversation.active ? ' (being written)' : ''}`);
+      conversation.issues.forEach(issue => console.log(`  line ${issue.line}: ${issue.kind} - ${issue.detail}${issue.repairable ? '' : ' (not repaired)'}`));
+      if (conversation.issueCount > conversation.issues.length) {
+        console.log(`  ... and ${conversation.issueCount - conversation.issues.length} more`);
+      }
+    });
+    report.config.forEach(issue => {
+      console.log(`\n${issue.path}\n  ${issue.line ? `line ${issue.line}: ` : ''}${issue.kind} - ${issue.detail}${issue.repairable ? '' : ' (not repaired)'}`);
+    });
+    if (report.conversations.length === 0 && report.config.length === 0) console.log('No corruption found');
+  };
+
+  const run = flags.repair
+    ? repairer.repair(scope, { force: flags.force === true })
+    : repairer.check(scope);
+
+  run.then(result => {
+    if (flags.json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (!flags.repair) {
+      printReport(result);
+      if (result.repairable) console.log(`\n${result.repairable} files can be repaired; run again with --repair`);
+      return;
+    }
+    printReport(result.report);
+    console.log('');
+    result.repaired.forEach(entry => console.log(`Repaired ${entry.path}`));
+    result.skipped.forEach(entry => console.log(`Skipped ${entry.path}: ${entry.reason} (--force repairs it)`));
+    result.failed.forEach(entry => console.log(`Failed ${entry.path}: ${entry.error}`));
+    if (result.backupDir) console.log(`Backups in ${result.backupDir}`);
+    if (result.failed.length) process.exitCode = 1;
+  }).catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
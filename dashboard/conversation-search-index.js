@@ -0,0 +1,370 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Search Index
+ * Incremental full-text index over every message in the conversation files
+ * under ~/.claude/projects.
+ *
+ * Files are read incrementally through ConversationFileCache: a changed file
+ * is read from the byte offset where the last update stopped, and one that
+ * shrank or was rewritten is indexed again from the start.
+ *
+ * The index keeps tokens and per-message metadata, not the text itself. Hits
+ * are confirmed (phrases) and given snippets by reading their lines back from
+ * the conversation file, so the index stays a fraction of the size of the data.
+ *
+ * Index file (~/.claude/conversation-search-index.json):
+ *   { version, files: { [conversationId]: {
+ *       path, project, cwd, size, mtime, lines, pendingTools,
+ *       messages: [[line, offset, length, role, timestamp, tools]],
+ *       postings: { token: [messageIndex, ...] } } } }
+ *
+ * A line with both text and tool blocks gives two messages with the same
+ * `line`: one with its own role and one with role `tool`.
+ *
+ * `line` counts non-empty lines, the same numbering /api/conversation/messages
+ * uses for `after`, so a hit can be opened at its message.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConversationFileCache = require('./conversation-file-cache');
+
+const INDEX_VERSION = 2;
+const MAX_INDEXED_CHARS = 20000; // per message; long tool output is only indexed up to here
+const MAX_TOKEN_LENGTH = 40;
+const SNIPPET_RADIUS = 80;
+const SAVE_DELAY_MS = 60 * 1000; // every search catches up first; don't rewrite the index each time
+const ROLES = ['user', 'assistant', 'tool', 'system'];
+const TOKEN_PATTERN = /[\p{L}\p{N}_]{2,}/gu;
+const FILTER_PATTERN = /(?:^|\s)(role|tool|project|from|to):("[^"]*"|\S+)/gi;
+
+/**
+ * Lowercased search tokens of a text
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(TOKEN_PATTERN) || []).map(token => token.slice(0, MAX_TOKEN_LENGTH));
+}
+
+/**
+ * Plain text of a tool_result content field
+ */
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.map(block => (block && block.type === 'text' ? block.text : '')).filter(Boolean).join('\n');
+}
+
+/**
+ * Classify one JSONL entry and pull out the text worth searching. Text blocks
+ * keep the entry's role and tool_use/tool_result blocks are `tool`, so an
+ * assistant turn that explains and then calls a tool gives one part of each.
+ * @param {object} data - Parsed JSONL line
+ * @param {object} pendingTools - tool_use id -> tool name, carried between lines
+ * @returns {Array<{role: string, text: string, tools: string[], uuid: string|null, timestamp: string|null}>}
+ */
+function extractMessages(data, pendingTools = {}) {
+  if (!data || typeof data !== 'object') return [];
+  const base = { uuid: data.uuid || data.leafUuid || null, timestamp: data.timestamp || null, tools: [] };
+
+  if (data.type === 'summary' && data.summary) {
+    return [{ ...base, role: 'system', text: data.summary }];
+  }
+  if (data.type === 'system' && typeof data.content === 'string') {
+    return [{ ...base, role: 'system', text: data.content }];
+  }
+
+  const message = data.message;
+  if (!message || !['user', 'assistant'].includes(message.role || data.type)) return [];
+  const role = message.role || data.type;
+
+  if (typeof message.content === 'string') {
+    return message.content.trim() ? [{ ...base, role, text: message.content }] : [];
+  }
+  if (!Array.isArray(message.content)) return [];
+
+  const texts = [];
+  const toolParts = [];
+  const tools = [];
+  for (const block of message.content) {
+    if (!block || typeof block !== 'object') continue;
+    if (block.type === 'text' && block.text) {
+      texts.push(block.text);
+    } else if (block.type === 'tool_use') {
+      if (block.name) tools.push(block.name);
+      if (block.id) pendingTools[block.id] = block.name;
+      toolParts.push(`${block.name || ''} ${block.input ? JSON.stringify(block.input) : ''}`);
+    } else if (block.type === 'tool_result') {
+      const name = pendingTools[block.tool_use_id];
+      if (name) {
+        tools.push(name);
+        delete pendingTools[block.tool_use_id];
+      }
+      toolParts.push(toolResultText(block.content));
+    }
+  }
+
+  const parts = [];
+  const text = texts.join('\n');
+  if (text.trim()) parts.push({ ...base, role, text });
+  const toolText = toolParts.join('\n');
+  if (toolText.trim()) parts.push({ ...base, role: 'tool', text: toolText, tools: [...new Set(tools)] });
+  return parts;
+}
+
+/**
+ * Split a search string into terms, quoted phrases and inline filters
+ * (role:, tool:, project:, from:, to:). A term ending in * matches as a prefix.
+ * @param {string} q - Search string
+ * @returns {{terms: string[], prefixes: string[], phrases: string[], filters: object}}
+ */
+function parseQuery(q = '') {
+  const filters = {};
+  let rest = String(q).replace(FILTER_PATTERN, (match, key, value) => {
+    filters[key.toLowerCase()] = value.replace(/^"|"$/g, '');
+    return ' ';
+  });
+
+  const phrases = [];
+  rest = rest.replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase().replace(/\s+/g, ' '));
+    return ' ';
+  });
+
+  const terms = [];
+  const prefixes = [];
+  for (const word of rest.split(/\s+/).filter(Boolean)) {
+    const tokens = tokenize(word);
+    if (word.endsWith('*') && tokens.length) {
+      terms.push(...tokens.slice(0, -1));
+      prefixes.push(tokens[tokens.length - 1]);
+    } else {
+      terms.push(...tokens);
+    }
+  }
+  // Phrase words narrow the candidates through the index before the text is read
+  phrases.forEach(phrase => terms.push(...tokenize(phrase)));
+
+  return { terms: [...new Set(terms)], prefixes, phrases, filters };
+}
+
+/**
+ * Parse a from/to bound; a bare date as `to` covers that whole day
+ * @returns {number|null} Milliseconds, or null when unset
+ */
+function parseBound(value, endOfDay) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+}
+
+/**
+ * Text around the first match, on one line
+ */
+function makeSnippet(text, needles) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  let at = -1;
+  for (const needle of needles) {
+    const found = lower.indexOf(needle);
+    if (found !== -1 && (at === -1 || found < at)) at = found;
+  }
+  if (at === -1) at = 0;
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(flat.length, at + SNIPPET_RADIUS * 2);
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+class ConversationSearchIndex extends ConversationFileCache {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.indexFile - Where the index is stored
+   * @param {ConversationTreeScanner} options.scanner - Supplies files and change detection
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    super({
+      file: options.indexFile || path.join(os.homedir(), '.claude', 'conversation-search-index.json'),
+      version: INDEX_VERSION,
+      label: 'Search',
+      countName: 'messages',
+      saveDelayMs: SAVE_DELAY_MS
+    }, options);
+  }
+
+  createEntry({ projectFolder }) {
+    return { project: projectFolder, cwd: null, lines: 0, pendingTools: {}, messages: [], postings: {} };
+  }
+
+  countEntry(entry) {
+    return entry.messages.length;
+  }
+
+  readLine(entry, bytes, offset) {
+    // Every non-empty line gets a number, even one that doesn't parse
+    if (!bytes.toString('utf8').trim()) return;
+    entry.lines++;
+    super.readLine(entry, bytes, offset);
+  }
+
+  readRecord(entry, data, bytes, offset) {
+    for (const message of extractMessages(data, entry.pendingTools)) {
+      const index = entry.messages.length;
+      entry.messages.push([entry.lines - 1, offset, bytes.length, ROLES.indexOf(message.role), message.timestamp, message.tools]);
+      for (const token of new Set(tokenize(message.text.slice(0, MAX_INDEXED_CHARS)))) {
+        (entry.postings[token] || (entry.postings[token] = [])).push(index);
+      }
+    }
+  }
+
+  /**
+   * Search every indexed message
+   * @param {string} q - Words, "quoted phrases", word* prefixes and inline filters
+   * @param {object} options - {role, tool, project, from, to, limit}; these override inline filters
+   * @returns {Promise<object>} {hits, total, truncated, terms, indexed}
+   */
+  async search(q, options = {}) {
+    await this.update();
+
+    const parsed = parseQuery(q);
+    const filters = { ...parsed.filters };
+    for (const key of ['role', 'tool', 'project', 'from', 'to']) {
+      if (options[key]) filters[key] = options[key];
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit) || 50, 1), 500);
+
+    const role = filters.role ? ROLES.indexOf(filters.role.toLowerCase()) : null;
+    if (role === -1) throw new Error(`Unknown role: ${filters.role} (use ${ROLES.join(', ')})`);
+    const tool = filters.tool ? filters.tool.toLowerCase() : null;
+    const project = filters.project ? filters.project.toLowerCase() : null;
+    const from = parseBound(filters.from, false);
+    const to = parseBound(filters.to, true);
+
+    if (!parsed.terms.length && !parsed.prefixes.length && role === null && !tool && !project && from === null && to === null) {
+      throw new Error('Search needs words, a phrase or a filter');
+    }
+
+    // Candidates from the token index and metadata filters, newest first
+    const candidates = [];
+    for (const [id, entry] of Object.entries(this.files)) {
+      if (project && !entry.project.toLowerCase().includes(project) &&
+          !(entry.cwd && entry.cwd.toLowerCase().includes(project))) continue;
+
+      let matches = null;
+      for (const term of parsed.terms) {
+        matches = this.intersect(matches, entry.postings[term] || []);
+        if (!matches.length) break;
+      }
+      for (const prefix of parsed.prefixes) {
+        if (matches && !matches.length) break;
+        const union = new Set();
+        for (const token in entry.postings) {
+          if (token.startsWith(prefix)) entry.postings[token].forEach(index => union.add(index));
+        }
+        matches = this.intersect(matches, [...union]);
+      }
+      if (matches === null) matches = entry.messages.map((m, index) => index);
+
+      // Parts of one line that both match become one candidate
+      const byLine = new Map();
+      for (const index of matches) {
+        const [line, offset, length, roleIndex, timestamp, tools] = entry.messages[index];
+        if (role !== null && roleIndex !== role) continue;
+        if (tool && !tools.some(name => name.toLowerCase() === tool)) continue;
+        if (from !== null || to !== null) {
+          const time = Date.parse(timestamp);
+          if (isNaN(time) || (from !== null && time < from) || (to !== null && time > to)) continue;
+        }
+        const existing = byLine.get(line);
+        if (existing) {
+          existing.roles.push(ROLES[roleIndex]);
+          existing.tools = [...new Set([...existing.tools, ...tools])];
+          continue;
+        }
+        const candidate = { id, entry, line, offset, length, roles: [ROLES[roleIndex]], timestamp, tools };
+        byLine.set(line, candidate);
+        candidates.push(candidate);
+      }
+    }
+    candidates.sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+
+    // Read candidates back to confirm phrases and cut snippets
+    const needles = [...parsed.phrases, ...parsed.terms, ...parsed.prefixes];
+    const hits = [];
+    let checked = 0;
+    for (const candidate of candidates) {
+      if (hits.length >= limit) break;
+      checked++;
+      const parts = (await this.readParts(candidate)).filter(part => candidate.roles.includes(part.role));
+      if (!parts.length) continue;
+      const message = { uuid: parts[0].uuid, text: parts.map(part => part.text).join('\n') };
+      const text = message.text.replace(/\s+/g, ' ').toLowerCase();
+      if (!parsed.phrases.every(phrase => text.includes(phrase))) continue;
+
+      hits.push({
+        conversationId: candidate.id,
+        project: candidate.entry.project,
+        cwd: candidate.entry.cwd,
+        line: candidate.line,
+        uuid: message.uuid,
+        role: candidate.roles[0],
+        timestamp: candidate.timestamp,
+        tools: candidate.tools,
+        snippet: makeSnippet(message.text, needles)
+      });
+    }
+
+    const remaining = candidates.length - checked;
+    return {
+      hits,
+      // Exact unless phrases still had to be checked against unread candidates
+      total: parsed.phrases.length && remaining > 0 ? null : hits.length + remaining,
+      truncated: remaining > 0,
+      terms: needles,
+      indexed: this.stats()
+    };
+  }
+
+  intersect(current, postings) {
+    if (current === null) return postings.slice();
+    const keep = new Set(postings);
+    return current.filter(index => keep.has(index));
+  }
+
+  async readParts({ entry, offset, length }) {
+    let handle;
+    try {
+      handle = await fs.open(entry.path, 'r');
+      const bytes = Buffer.alloc(length);
+      await handle.read(bytes, 0, length, offset);
+      return extractMessages(JSON.parse(bytes.toString('utf8')), {});
+    } catch (e) {
+      // Rewritten since it was indexed; the next update picks that up
+      return [];
+    } finally {
+      if (handle) await handle.close();
+    }
+  }
+
+  /**
+   * @returns {{conversations: number, messages: number, lastUpdate: string|null}}
+   */
+  stats() {
+    const entries = Object.values(this.files || {});
+    return {
+      conversations: entries.length,
+      messages: entries.reduce((sum, entry) => sum + entry.messages.length, 0),
+      lastUpdate: this.lastUpdate
+    };
+  }
+}
+
+ConversationSearchIndex.ROLES = ROLES;
+ConversationSearchIndex.parseQuery = parseQuery;
+ConversationSearchIndex.extractMessages = extractMessages;
+
+module.exports = ConversationSearchIndex;
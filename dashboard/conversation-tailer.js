@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Tailer
+ * Watches the conversation file each session is bound to and pushes the lines
+ * appended to it through the event hub, so the chat tab stops re-fetching
+ * /api/conversation/messages every few seconds.
+ *
+ * Each tail remembers the byte offset after the last complete line and the
+ * index of the next line, numbered the way /api/conversation/messages numbers
+ * them (see ConversationReader.countLines), so pushed messages carry the same
+ * `index` the browser's lastMessageIndex already tracks.
+ *
+ * fs.watch is set on the project folder rather than the file, because
+ * compaction and resume do not append to the file:
+ *   - A file renamed over or truncated (new inode, or smaller than the offset)
+ *     is read again from the start, and the browser gets `chat-reset`.
+ *   - A new file in the folder usually means Claude moved on to a new
+ *     conversation. The session is rebound (see session-binder.js), and if the
+ *     binding changes the tail follows it and sends `chat-reset`.
+ * Every hub tick also checks the file, in case the watcher missed an event.
+ *
+ * Events (sent to clients that asked for chat=1 on their foreground session):
+ *   chat        {session, conversationId, fromIndex, lastIndex, messages}
+ *   chat-reset  {session, conversationId, reason: 'replaced'} or
+ *               {session, conversationId, previousId, reason: 'rebound'}
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readLinesFrom } = require('./efficient-line-reader');
+
+const CHANGE_DEBOUNCE_MS = 100;
+const REBIND_DEBOUNCE_MS = 2000; // let Claude write the new file's first lines
+
+class ConversationTailer {
+  /**
+   * @param {object} hooks - Server callbacks
+   * @param {ConversationReader} hooks.reader - Finds and formats conversation files
+   * @param {function(string): Promise<string|null>} hooks.getConversationId - Conversation a session is bound to
+   * @param {function(string): Promise<void>} hooks.rebind - Decide a session's conversation again (optional)
+   * @param {object} hooks.log - Logger
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.tails = new Map(); // session -> tail
+    this.emit = () => {};
+    this.syncing = Promise.resolve(); // hub ticks and rebinds take turns
+  }
+
+  /**
+   * Tail exactly these sessions, following binding changes
+   * @param {Set<string>} sessions - Sessions some client wants chat for
+   * @param {function(string, object): void} emit - Sends an event to those clients
+   */
+  sync(sessions, emit) {
+    this.emit = emit;
+    this.syncing = this.syncing.then(() => this.syncSessions(sessions)).catch(error => {
+      this.hooks.log.error('[Tail] Sync failed:', error.message);
+    });
+    return this.syncing;
+  }
+
+  async syncSessions(sessions) {
+    for (const session of [...this.tails.keys()]) {
+      if (!sessions.has(session)) this.stop(session);
+    }
+    for (const session of sessions) {
+      let conversationId;
+      try {
+        conversationId = await this.hooks.getConversationId(session);
+      } catch (error) {
+        this.hooks.log.debug(`[Tail] No conversation for ${session}: ${error.message}`);
+        continue;
+      }
+
+      const tail = this.tails.get(session);
+      if (tail && tail.conversationId === conversationId) {
+        if (tail.filePath) await this.check(tail);
+        else await this.open(tail); // the file may exist now
+        continue;
+      }
+
+      if (tail) this.stop(session);
+      if (!conversationId) continue;
+      const next = { session, conversationId, filePath: null, watcher: null, ino: null, offset: 0, index: 0, reading: false, again: false, timer: null, rebindTimer: null };
+      this.tails.set(session, next);
+      await this.open(next);
+      if (tail) {
+        this.emit('chat-reset', { session, conversationId, previousId: tail.conversationId, reason: 'rebound' });
+      }
+    }
+  }
+
+  /**
+   * Find the file, start at its end and watch its folder
+   */
+  async open(tail) {
+    const filePath = await this.hooks.reader.findConversationFile(tail.conversationId);
+    if (!filePath || this.tails.get(tail.session) !== tail) return;
+
+    const { count, offset } = await this.hooks.reader.countLines(filePath);
+    tail.filePath = filePath;
+    tail.ino = (await fs.promises.stat(filePath)).ino;
+    tail.offset = offset;
+    tail.index = count;
+
+    try {
+      const fileName = path.basename(filePath);
+      tail.watcher = fs.watch(path.dirname(filePath), (eventType, changed) => {
+        if (changed === fileName) this.schedule(tail);
+        else if (eventType === 'rename' && changed && changed.endsWith('.jsonl')) this.scheduleRebind(tail, changed);
+      });
+      tail.watcher.on('error', (error) => {
+        this.hooks.log.debug(`[Tail] Watcher for ${tail.session} failed, checking on each tick: ${error.message}`);
+        tail.watcher = null;
+      });
+    } catch (error) {
+      // Remote mirrors and some filesystems can't be watched; the hub tick still checks
+      this.hooks.log.debug(`[Tail] Can't watch ${filePath}: ${error.message}`);
+    }
+    this.hooks.log.debug(`[Tail] ${tail.session} -> ${tail.conversationId} from line ${tail.index}`);
+  }
+
+  stop(session) {
+    const tail = this.tails.get(session);
+    if (!tail) return;
+    if (tail.watcher) tail.watcher.close();
+    clearTimeout(tail.timer);
+    clearTimeout(tail.rebindTimer);
+    this.tails.delete(session);
+  }
+
+  stopAll() {
+    for (const session of [...this.tails.keys()]) this.stop(session);
+  }
+
+  // Claude writes a message in several chunks; read once they've landed
+  schedule(tail) {
+    clearTimeout(tail.timer);
+    tail.timer = setTimeout(() => this.check(tail), CHANGE_DEBOUNCE_MS);
+  }
+
+  scheduleRebind(tail, fileName) {
+    if (!this.hooks.rebind || fileName === path.basename(tail.filePath)) return;
+    fs.promises.stat(path.join(path.dirname(tail.filePath), fileName)).then(() => {
+      clearTimeout(tail.rebindTimer);
+      tail.rebindTimer = setTimeout(async () => {
+        if (this.tails.get(tail.session) !== tail) return;
+        try {
+          await this.hooks.rebind(tail.session);
+          await this.sync(new Set(this.tails.keys()), this.emit);
+        } catch (error) {
+          this.hooks.log.error(`[Tail] Rebinding ${tail.session} failed:`, error.message);
+        }
+      }, REBIND_DEBOUNCE_MS);
+    }).catch(() => {}); // removed, not created
+  }
+
+  /**
+   * Push whatever was appended since the last look
+   */
+  async check(tail) {
+    if (tail.reading) {
+      tail.again = true;
+      return;
+    }
+    tail.reading = true;
+    try {
+      let stats;
+      try {
+        stats = await fs.promises.stat(tail.filePath);
+      } catch (e) {
+        return; // moved away (archived, or mid-rename); the binding decides what's next
+      }
+
+      if (stats.ino !== tail.ino || stats.size < tail.offset) {
+        const { count, offset } = await this.hooks.reader.countLines(tail.filePath);
+        tail.ino = stats.ino;
+        tail.offset = offset;
+        tail.index = count;
+        this.emit('chat-reset', { session: tail.session, conversationId: tail.conversationId, reason: 'replaced' });
+        return;
+      }
+      if (stats.size === tail.offset) return;
+
+      const fromIndex = tail.index;
+      const messages = [];
+      tail.offset = await readLinesFrom(tail.filePath, tail.offset, (bytes) => {
+        const line = bytes.toString('utf8');
+        if (!line.trim()) return;
+        const index = tail.index++;
+        try {
+          const message = this.hooks.reader.toChatMessage(JSON.parse(line), index);
+          if (message) messages.push(message);
+        } catch (e) {
+          // Counted like /api/conversation/messages counts it, but nothing to show
+        }
+      });
+      if (tail.index > fromIndex && this.tails.get(tail.session) === tail) {
+        this.emit('chat', { session: tail.session, conversationId: tail.conversationId, fromIndex, lastIndex: tail.index - 1, messages });
+      }
+    } catch (error) {
+      this.hooks.log.error(`[Tail] Reading ${tail.filePath} failed:`, error.message);
+    } finally {
+      tail.reading = false;
+      if (tail.again) {
+        tail.again = false;
+        this.schedule(tail);
+      }
+    }
+  }
+}
+
+module.exports = ConversationTailer;
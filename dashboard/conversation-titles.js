@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Titles
+ * Automatic titles and short summaries for the conversation tree, built from
+ * each conversation's first prompt, the `summary` records Claude writes into
+ * the file and the files it edited.
+ *
+ * A title is the latest `summary` record, or else the first line of the first
+ * prompt, or else the files that were edited. The summary is the start of the
+ * first prompt followed by the files edited most.
+ *
+ * Names typed by hand in conversation-names.json always win over these. Names
+ * seed-conversation-names.js wrote are saved there with `source: 'seeded'`;
+ * they were taken from the first prompt once and never change, so they only
+ * stand in for a missing title.
+ *
+ * Files are read incrementally through ConversationFileCache, so titles
+ * follow the conversations as they grow: a compaction adds a `summary`
+ * record, and an edit can change which files lead the summary.
+ *
+ * Titles file (dashboard/conversation-titles.json, next to conversation-names.json):
+ *   { version, conversations: { [conversationId]: {
+ *       path, size, mtime, prompt, summaryRecord, files: { path: edits },
+ *       title, summary, updatedAt } } }
+ */
+
+const path = require('path');
+const ConversationFileCache = require('./conversation-file-cache');
+const ToolAnalytics = require('./tool-analytics');
+const conversationNamer = require('./conversation-names');
+
+const TITLES_VERSION = 1;
+const MAX_TITLE_CHARS = 60;
+const MAX_PROMPT_CHARS = 200;
+const MAX_FILES = 100; // per conversation; later files aren't counted
+const SUMMARY_FILES = 3;
+
+// User records that aren't something the user typed
+const NOT_A_PROMPT = [
+  /^<command-(name|message|args)>/,
+  /^<local-command-/,
+  /^Caveat: /,
+  /^\[Request interrupted/,
+  /^This session is being continued from a previous conversation/
+];
+
+/**
+ * Text of a prompt the user typed, or null for tool results, commands,
+ * compaction boilerplate and subagent messages
+ * @param {object} data - Parsed JSONL line
+ * @returns {string|null}
+ */
+function promptText(data) {
+  if (!data || data.type !== 'user' || data.isMeta || data.isSidechain || data.isCompactSummary) return null;
+  const content = data.message && data.message.content;
+  let text = null;
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Array.isArray(content)) {
+    if (content.some(block => block && block.type === 'tool_result')) return null;
+    text = content.filter(block => block && block.type === 'text').map(block => block.text).join('\n');
+  }
+  text = text && text.trim();
+  if (!text || NOT_A_PROMPT.some(pattern => pattern.test(text))) return null;
+  return text;
+}
+
+/**
+ * Cut text at a word boundary
+ */
+function shorten(text, maxChars) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= maxChars) return flat;
+  const cut = flat.slice(0, maxChars - 1);
+  const space = cut.lastIndexOf(' ');
+  return (space > maxChars / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:]+$/, '') + '…';
+}
+
+/**
+ * Title and summary from what was collected for a conversation
+ * @param {object} entry - {prompt, summaryRecord, files}
+ * @returns {{title: string|null, summary: string|null}}
+ */
+function describe(entry) {
+  const edited = Object.entries(entry.files)
+    .sort((a, b) => b[1] - a[1])
+    .map(([filePath]) => path.basename(filePath));
+  const fileList = edited.length > SUMMARY_FILES
+    ? `${edited.slice(0, SUMMARY_FILES).join(', ')} and ${edited.length - SUMMARY_FILES} more`
+    : edited.join(', ');
+
+  let title = null;
+  if (entry.summaryRecord) {
+    title = shorten(entry.summaryRecord, MAX_TITLE_CHARS);
+  } else if (entry.prompt) {
+    const firstLine = entry.prompt.split('\n').find(line => line.trim()) || entry.prompt;
+    title = shorten(firstLine.replace(/^#+\s*/, ''), MAX_TITLE_CHARS);
+  } else if (edited.length) {
+    title = `Edits to ${fileList}`;
+  }
+
+  const parts = [];
+  if (entry.prompt) {
+    // One sentence per line, so a heading doesn't run into the text under it
+    const sentences = entry.prompt.split('\n')
+      .map(line => line.replace(/^#+\s*/, '').trim())
+      .filter(Boolean)
+      .map(line => /[.!?:;,…]$/.test(line) ? line : `${line}.`);
+    const excerpt = shorten(sentences.join(' '), MAX_PROMPT_CHARS);
+    parts.push(/[.!?…]$/.test(excerpt) ? excerpt : `${excerpt}.`);
+  }
+  if (edited.length) parts.push(`Edited ${fileList}.`);
+  return { title, summary: parts.length ? parts.join(' ') : null };
+}
+
+class ConversationTitles extends ConversationFileCache {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.titlesFile - Where titles are kept
+   * @param {ConversationTreeScanner} options.scanner - Supplies files and change detection
+   * @param {object} options.namer - Names typed by hand (conversation-names.js)
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    super({
+      file: options.titlesFile || path.join(__dirname, 'conversation-titles.json'),
+      version: TITLES_VERSION,
+      label: 'Titles',
+      countName: 'retitled',
+      filesKey: 'conversations',
+      indent: 2
+    }, options);
+    this.namer = options.namer || conversationNamer;
+  }
+
+  createEntry() {
+    return { prompt: null, summaryRecord: null, files: {}, title: null, summary: null, updatedAt: null };
+  }
+
+  /**
+   * Collect prompts, summary records and edits
+   */
+  readRecord(entry, data) {
+    if (data.type === 'summary' && typeof data.summary === 'string' && data.summary.trim()) {
+      entry.summaryRecord = data.summary.trim();
+      return;
+    }
+    if (!entry.prompt) {
+      const text = promptText(data);
+      if (text) entry.prompt = text.slice(0, MAX_PROMPT_CHARS * 4);
+    }
+    const content = data.message && data.message.content;
+    if (data.type !== 'assistant' || !Array.isArray(content)) return;
+    for (const block of content) {
+      if (!block || block.type !== 'tool_use' || !ToolAnalytics.EDIT_TOOLS.includes(block.name)) continue;
+      const edited = ToolAnalytics.callDetail(block.name, block.input);
+      if (!edited) continue;
+      if (edited in entry.files) entry.files[edited]++;
+      else if (Object.keys(entry.files).length < MAX_FILES) entry.files[edited] = 1;
+    }
+  }
+
+  /**
+   * Describe the conversation again
+   * @returns {number} 1 if the title or summary changed
+   */
+  finishEntry(entry) {
+    const before = `${entry.title}\n${entry.summary}`;
+    Object.assign(entry, describe(entry));
+    if (`${entry.title}\n${entry.summary}` === before) return 0;
+    entry.updatedAt = new Date().toISOString();
+    return 1;
+  }
+
+  /**
+   * Add titles to conversation records from the tree scanner, in place.
+   * `customName` is set from names typed by hand only; `autoTitle` and
+   * `autoSummary` come from this module, with a seeded name as the fallback title.
+   * @param {object} conversations - {id: conversation} as in the tree cache
+   * @param {object} options - {update: false} uses the titles as last saved
+   * @returns {Promise<object>} The same conversations
+   */
+  async annotate(conversations, { update = true } = {}) {
+    if (update) {
+      await this.update();
+    } else if (this.files === null) {
+      await this.load();
+    }
+    const names = await this.namer.getAllNames();
+
+    for (const [id, conv] of Object.entries(conversations || {})) {
+      const named = names[id];
+      if (named && named.name && named.source !== 'seeded') {
+        conv.customName = named.name;
+      } else {
+        delete conv.customName;
+      }
+      const entry = this.files[id];
+      const autoTitle = (entry && entry.title) || (named && named.source === 'seeded' ? named.name : null);
+      if (autoTitle) conv.autoTitle = autoTitle;
+      if (entry && entry.summary) conv.autoSummary = entry.summary;
+    }
+    return conversations;
+  }
+}
+
+ConversationTitles.promptText = promptText;
+ConversationTitles.describe = describe;
+
+module.exports = ConversationTitles;
@@ -11,6 +11,7 @@ class ConversationTreeScanner {
     constructor() {
         this.cacheFile = path.join(os.homedir(), '.claude', 'conversation-tree-cache.json');
         this.projectsDir = path.join(os.homedir(), '.claude', 'projects');
+        this.archiveDir = path.join(os.homedir(), '.claude', 'projects-archive');
         this.projectRootCache = {}; // Cache validated project roots during scan
         this.pathCache = {}; // Cache parsed folder name → filesystem path mappings
     }
@@ -518,6 +519,87 @@ class ConversationTreeScanner {
         return files;
     }
 
+    /**
+     * Conversations the retention policy compressed out of projectsDir (see
+     * conversation-archive.js). Same layout: {archiveDir}/{projectFolder}/{id}.jsonl.gz
+     * @returns {Promise<Array>} [{id, path, projectFolder}]
+     */
+    async getArchivedConversationFiles() {
+        const files = [];
+        let projects;
+        try {
+            projects = await fs.readdir(this.archiveDir, { withFileTypes: true });
+        } catch (error) {
+            return files; // Nothing archived yet
+        }
+
+        for (const project of projects) {
+            // Dot folders hold decompressed copies, not archives
+            if (!project.isDirectory() || project.name.startsWith('.')) continue;
+            const projectPath = path.join(this.archiveDir, project.name);
+            for (const file of await fs.readdir(projectPath)) {
+                if (!file.endsWith('.jsonl.gz')) continue;
+                files.push({
+                    id: file.slice(0, -'.jsonl.gz'.length),
+                    path: path.join(projectPath, file),
+                    projectFolder: project.name
+                });
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Keep archived conversations in the tree, flagged so the UI can badge
+     * them. Their metadata is whatever the last live scan found; one archived
+     * before the cache knew it gets what the folder name and file stats tell.
+     * @param {Object} conversations - Cache conversations to update in place
+     * @param {Object} previous - Conversations from the cache before this scan
+     * @param {Set<string>} liveIds - Conversations still in projectsDir
+     */
+    async addArchivedConversations(conversations, previous, liveIds) {
+        for (const file of await this.getArchivedConversationFiles()) {
+            // A restored copy is live; the archive is about to be removed
+            if (liveIds.has(file.id)) continue;
+            let stats;
+            try {
+                stats = await fs.stat(file.path);
+            } catch (e) {
+                continue;
+            }
+
+            const known = conversations[file.id] || previous[file.id];
+            const cwd = known ? known.cwd : this.parseFolderNameToPath(file.projectFolder);
+            conversations[file.id] = {
+                ...(known || {
+                    id: file.id,
+                    parentId: null,
+                    timestamp: stats.mtime.toISOString(),
+                    cwd: cwd,
+                    projectRoot: this.getProjectRoot(file.projectFolder, cwd),
+                    isSidechain: false,
+                    isCompactSummary: false,
+                    messageCount: 0,
+                    firstUserMessage: null,
+                    filePath: path.join(this.projectsDir, file.projectFolder, `${file.id}.jsonl`)
+                }),
+                lastModified: stats.mtime.toISOString(),
+                archived: true,
+                archivePath: file.path,
+                archivedSize: stats.size,
+                children: []
+            };
+        }
+
+        for (const id of liveIds) {
+            if (conversations[id] && conversations[id].archived) {
+                delete conversations[id].archived;
+                delete conversations[id].archivePath;
+                delete conversations[id].archivedSize;
+            }
+        }
+    }
+
     // Load cache from disk
     async loadCache() {
         try {
@@ -548,12 +630,15 @@ class ConversationTreeScanner {
         }
     }
 
-    // Perform incremental scan
-    async incrementalScan() {
-        console.log('Starting incremental conversation scan...');
-        const startTime = Date.now();
-
-        const cache = await this.loadCache();
+    /**
+     * Compare the conversation files on disk with what a caller already knows.
+     * Shared by incrementalScan() and the full-text search index, which keep
+     * their own records but use the same mtime-based change detection.
+     * @param {Iterable<string>} knownIds - Conversation IDs the caller has seen
+     * @param {Function} getLastModified - id => ISO mtime the caller recorded, or null
+     * @returns {Promise<Object>} {allFiles, currentIds, newIds, modifiedIds, deletedIds, archivedIds}
+     */
+    async detectChanges(knownIds, getLastModified) {
         const allFiles = await this.getAllConversationFiles();
 
         // Get current IDs from filesystem
@@ -561,32 +646,34 @@ class ConversationTreeScanner {
             const filePath = typeof f === 'string' ? f : f.path;
             return path.basename(filePath, '.jsonl');
         }));
-        const cachedIds = new Set(cache.knownIds || Object.keys(cache.conversations));
+        const cachedIds = new Set(knownIds);
 
         // Find new conversations (in filesystem but not in cache)
         const newIds = [...currentIds].filter(id => !cachedIds.has(id));
 
-        // Find deleted conversations (in cache but not in filesystem)
-        const deletedIds = [...cachedIds].filter(id => !currentIds.has(id));
+        // Find deleted conversations (in cache but not in filesystem). Archived
+        // ones are gone from projectsDir too, but what was read from them holds.
+        const archivedIds = new Set((await this.getArchivedConversationFiles()).map(f => f.id));
+        const deletedIds = [...cachedIds].filter(id => !currentIds.has(id) && !archivedIds.has(id));
 
         // Find modified conversations (file mtime differs from cached lastModified)
+        const newIdSet = new Set(newIds);
         const modifiedIds = [];
         for (const fileInfo of allFiles) {
             const filePath = typeof fileInfo === 'string' ? fileInfo : fileInfo.path;
             const convId = path.basename(filePath, '.jsonl');
 
             // Skip new files (they'll be scanned anyway)
-            if (newIds.includes(convId)) continue;
+            if (newIdSet.has(convId)) continue;
 
             // Check if file has been modified since last scan
-            if (cache.conversations[convId]) {
+            const cachedMtime = getLastModified(convId);
+            if (cachedMtime) {
                 try {
                     const stats = await fs.stat(filePath);
                     const currentMtime = stats.mtime.toISOString();
-                    const cachedMtime = cache.conversations[convId].lastModified;
 
-                    if (cachedMtime && currentMtime !== cachedMtime) {
-                        console.log(`Detected modified conversation: ${convId}`);
+                    if (currentMtime !== cachedMtime) {
                         modifiedIds.push(convId);
                     }
                 } catch (e) {
@@ -595,6 +682,21 @@ class ConversationTreeScanner {
             }
         }
 
+        return { allFiles, currentIds, newIds, modifiedIds, deletedIds, archivedIds };
+    }
+
+    // Perform incremental scan
+    async incrementalScan() {
+        console.log('Starting incremental conversation scan...');
+        const startTime = Date.now();
+
+        const cache = await this.loadCache();
+        const { allFiles, currentIds, newIds, modifiedIds, deletedIds } = await this.detectChanges(
+            cache.knownIds || Object.keys(cache.conversations),
+            id => cache.conversations[id] ? cache.conversations[id].lastModified : null
+        );
+        modifiedIds.forEach(id => console.log(`Detected modified conversation: ${id}`));
+
         // IDs that need full content scanning (new + modified)
         const idsToScan = [...newIds, ...modifiedIds];
 
@@ -692,6 +794,7 @@ class ConversationTreeScanner {
         
         // Update known IDs list
         cache.knownIds = [...currentIds];
+        await this.addArchivedConversations(cache.conversations, cache.conversations, currentIds);
         
         // Rebuild parent-child relationships for ALL conversations
         // (needed because a new conversation might be a child of an existing one)
@@ -815,6 +918,8 @@ class ConversationTreeScanner {
             }
         }
         
+        await this.addArchivedConversations(newCache.conversations, cache.conversations, new Set(newCache.knownIds));
+
         // Second pass: Find parent-child relationships via parentUuid
         // We re-read files to avoid storing all messages in memory
         console.log('\nAnalyzing parent-child relationships via parentUuid...');
@@ -890,6 +995,16 @@ class ConversationTreeScanner {
         
         console.log(`Found ${leafUuidRelationships} additional relationships via leafUuid`);
         
+        // Archived files aren't read, so their uuids can't be matched; keep the links found before
+        for (const id in newCache.conversations) {
+            const conv = newCache.conversations[id];
+            const before = cache.conversations[id];
+            if (!conv.parentId && before && before.parentId &&
+                newCache.conversations[before.parentId] && newCache.conversations[before.parentId].archived) {
+                conv.parentId = before.parentId;
+            }
+        }
+
         // Rebuild parent-child relationships
         for (const id in newCache.conversations) {
             newCache.conversations[id].children = [];
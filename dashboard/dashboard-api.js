@@ -26,8 +26,13 @@ const dashboardAPI = {
       if (response.ok) {
         return response.json();
       } else {
-        const error = await response.text();
-        throw new Error(error || `API request failed: ${response.status}`);
+        const text = await response.text();
+        let data = null;
+        try { data = JSON.parse(text); } catch (e) { /* plain-text error */ }
+        const error = new Error((data && data.error) || text || `API request failed: ${response.status}`);
+        error.status = response.status;
+        error.data = data;
+        throw error;
       }
     } catch (error) {
       console.error('API request failed:', url, error);
@@ -49,6 +54,29 @@ const dashboardAPI = {
     });
   },
 
+  /**
+   * POST something the session's safety policy may hold for confirmation.
+   * On 409 {confirmRequired} the user is asked, and the request is resent with
+   * `confirmed: true`. Declining throws an error with `cancelled` set.
+   * @param {string} url - API endpoint
+   * @param {object} data - Request body
+   * @returns {Promise<any>} Response data
+   */
+  async postWithConfirm(url, data) {
+    try {
+      return await this.post(url, data);
+    } catch (error) {
+      if (error.status !== 409 || !error.data || !error.data.confirmRequired) throw error;
+      const text = data.command || data.message || data.key || '';
+      if (!window.confirm(`This looks risky (${error.data.reason}):\n\n${text}\n\nSend it anyway?`)) {
+        const cancelled = new Error('Cancelled');
+        cancelled.cancelled = true;
+        throw cancelled;
+      }
+      return this.post(url, { ...data, confirmed: true });
+    }
+  },
+
   // Session Management APIs
   async getTmuxSessions() {
     return this.request('/api/tmux-sessions');
@@ -91,15 +119,15 @@ const dashboardAPI = {
   },
 
   async sendMessage(message, session = null) {
-    return this.post('/api/send-custom-message', { message, session });
+    return this.postWithConfirm('/api/send-custom-message', { message, session });
   },
 
   async sendToTmux(command, session = null) {
-    return this.post('/api/tmux-command', { command, session });
+    return this.postWithConfirm('/api/tmux-command', { command, session });
   },
   
   async sendTmuxKey(session, key) {
-    return this.post('/api/tmux-send-key', { session, key });
+    return this.postWithConfirm('/api/tmux-send-key', { session, key });
   },
 
   // Status APIs
@@ -191,6 +219,19 @@ const dashboardAPI = {
     return this.request(`/api/conversation/messages?id=${conversationId}&limit=${limit}`);
   },
 
+  async searchConversations(q, filters = {}) {
+    const params = new URLSearchParams({ q, ...filters });
+    return this.request(`/api/conversation/search?${params}`);
+  },
+
+  async getConversationExcerpt(conversationId, line, radius = 15) {
+    return this.request(`/api/conversation/excerpt?id=${encodeURIComponent(conversationId)}&line=${line}&radius=${radius}`);
+  },
+
+  async compareConversations(leftId, rightId) {
+    return this.request(`/api/conversation/diff?left=${encodeURIComponent(leftId)}&right=${encodeURIComponent(rightId)}`);
+  },
+
   async trackConversation(conversationId, session) {
     return this.post('/api/conversation/track', { conversationId, session });
   },
@@ -212,8 +253,8 @@ const dashboardAPI = {
   },
 
   // File Browser APIs
-  async browseDirectory(path) {
-    return this.post('/api/browse-directory', { path });
+  async browseDirectory(directory, session = 'claude') {
+    return this.post('/api/browse-directory', { directory, session });
   },
 
   // Test APIs
@@ -235,6 +276,135 @@ const dashboardAPI = {
     const response = await fetch(`/api/conditional-message?session=${session}`);
     if (!response.ok) throw new Error('Failed to get conditional message');
     return response.json();
+  },
+
+  // Message Queue APIs
+  async getMessageQueue(session = 'claude') {
+    return this.request(`/api/message-queue?session=${encodeURIComponent(session)}`);
+  },
+
+  async updateQueuedMessage(id, message) {
+    return this.request('/api/message-queue', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, message })
+    });
+  },
+
+  // Pass {id} for one message or {session} for everything pending in a session
+  async cancelQueuedMessages({ id = null, session = null } = {}) {
+    return this.post('/api/message-queue/cancel', { id, session });
+  },
+
+  async retryQueuedMessage(id) {
+    return this.post('/api/message-queue/retry', { id });
+  },
+
+  async clearFinishedMessages(session = 'claude') {
+    return this.request(`/api/message-queue?session=${encodeURIComponent(session)}`, { method: 'DELETE' });
+  },
+
+  // Prompt responder: policy, pending escalation and audit log
+  async getPromptResponder(session = 'claude') {
+    return this.request(`/api/prompt-responder?session=${encodeURIComponent(session)}`);
+  },
+
+  async savePromptPolicy(policy, session = 'claude') {
+    return this.post('/api/prompt-responder', { session, policy });
+  },
+
+  // Command Safety APIs
+  async getCommandSafety(session = 'claude') {
+    return this.request(`/api/command-safety?session=${encodeURIComponent(session)}`);
+  },
+
+  async saveSafetyPolicy(policy, session = 'claude') {
+    return this.post('/api/command-safety', { session, policy });
+  },
+
+  // answer is 'yes', 'no' or 'option' (with option number)
+  async answerPrompt(answer, option = null, session = 'claude') {
+    return this.post('/api/prompt-responder/answer', { session, answer, option });
+  },
+
+  // Usage APIs: filters are {from, to, project, session, conversation}
+  async getUsage(filters = {}) {
+    return this.request(`/api/usage?${new URLSearchParams(filters)}`);
+  },
+
+  async rebuildUsage() {
+    return this.post('/api/usage/rebuild', {});
+  },
+
+  // null goes back to the default price table
+  async saveUsagePrices(prices) {
+    return this.post('/api/usage/prices', prices ? { prices } : { reset: true });
+  },
+
+  // Tool-call analytics; same filters as usage plus {tool}
+  async getToolAnalytics(filters = {}) {
+    return this.request(`/api/tools?${new URLSearchParams(filters)}`);
+  },
+
+  async rebuildToolAnalytics() {
+    return this.post('/api/tools/rebuild', {});
+  },
+
+  // Conversation disk usage and the retention policy
+  async getArchiveUsage(limit = 50) {
+    return this.request(`/api/archive/usage?limit=${limit}`);
+  },
+
+  async saveArchivePolicy(policy) {
+    return this.post('/api/archive/policy', policy ? { policy } : { reset: true });
+  },
+
+  async planArchive() {
+    return this.request('/api/archive/plan');
+  },
+
+  async applyArchive() {
+    return this.post('/api/archive/apply', {});
+  },
+
+  async archiveConversation(conversationId, force = false) {
+    return this.post('/api/archive/conversation', { conversationId, force });
+  },
+
+  async restoreConversation(conversationId) {
+    return this.post('/api/archive/restore', { conversationId });
+  },
+
+  // Structural health of the conversation and config files; scope is {conversationId} or {recent}
+  async checkHealth(scope = {}) {
+    return this.request(`/api/health/check?${new URLSearchParams(scope)}`);
+  },
+
+  async repairHealth(scope = {}, force = false) {
+    return this.post('/api/health/repair', { ...scope, force });
+  },
+
+  // Session to conversation bindings, with the reasons behind each
+  async getBindings(session = 'claude') {
+    return this.request(`/api/bindings?session=${encodeURIComponent(session)}`);
+  },
+
+  async resolveBinding(session = 'claude', apply = true) {
+    return this.post('/api/bindings/resolve', { session, apply });
+  },
+
+  async confirmBinding(session, conversationId) {
+    return this.post('/api/bindings/confirm', { session, conversationId });
+  },
+
+  // Loop scheduler decision trace (why messages were sent or skipped)
+  async getLoopTrace(session = 'claude') {
+    return this.request(`/api/loop/trace?session=${encodeURIComponent(session)}`);
+  },
+
+  // Render a message template against the session's current state without sending it
+  async previewTemplate(template, session = 'claude') {
+    return this.post('/api/template-preview', { template, session });
   }
 };
 
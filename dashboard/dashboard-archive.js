@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Archive Module
+ * Disk usage of the conversation files from /api/archive/usage, the retention
+ * policy editor, and archiving or restoring conversations from the tree
+ */
+
+const dashboardArchive = {
+  usage: null,
+
+  formatBytes: function(bytes) {
+    if (!bytes) return '0 B';
+    if (bytes >= 1024 * 1024 * 1024) return (bytes / 1024 / 1024 / 1024).toFixed(1) + ' GB';
+    if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(1) + ' MB';
+    if (bytes >= 1024) return (bytes / 1024).toFixed(0) + ' KB';
+    return bytes + ' B';
+  },
+
+  /**
+   * Rescan so the tree shows what moved, then redraw it
+   */
+  refreshTree: async function() {
+    const scanResult = await dashboardAPI.scanConversations(false);
+    if (window.dashboardConversations && scanResult && scanResult.cache && scanResult.cache.conversations) {
+      dashboardConversations.conversations = scanResult.cache.conversations;
+      dashboardConversations.renderTree();
+    }
+  },
+
+  archive: async function(conversationId) {
+    const conv = (window.dashboardConversations && dashboardConversations.conversations[conversationId]) || {};
+    const name = conv.customName || conv.autoTitle || conv.firstUserMessage || conversationId;
+    if (!confirm(`Archive this conversation?\n\n"${name.substring(0, 100)}"\n\nIt is compressed into ~/.claude/projects-archive and can still be read here. Restore it before resuming it in Claude.`)) {
+      return false;
+    }
+
+    try {
+      await dashboardAPI.archiveConversation(conversationId);
+    } catch (error) {
+      // A session is tracking it; only go ahead if the user insists
+      const tracked = error.data && error.data.session;
+      if (!tracked) {
+        alert('Failed to archive: ' + error.message);
+        return false;
+      }
+      if (!confirm(`${error.message}.\n\nArchive it anyway?`)) return false;
+      try {
+        await dashboardAPI.archiveConversation(conversationId, true);
+      } catch (retryError) {
+        alert('Failed to archive: ' + retryError.message);
+        return false;
+      }
+    }
+    await this.refreshTree();
+    return true;
+  },
+
+  restore: async function(conversationId) {
+    try {
+      await dashboardAPI.restoreConversation(conversationId);
+      await this.refreshTree();
+      return true;
+    } catch (error) {
+      alert('Failed to restore: ' + error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Modal with usage per project, the largest conversations and the policy
+   */
+  showStorage: async function() {
+    try {
+      this.usage = await dashboardAPI.getArchiveUsage();
+    } catch (error) {
+      alert('Failed to load disk usage: ' + error.message);
+      return;
+    }
+    const usage = this.usage;
+    const totals = usage.totals;
+    const policy = usage.policy;
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+    const date = (iso) => iso ? new Date(iso).toLocaleDateString() : '–';
+
+    const projectRows = usage.projects.map(row => `<tr>
+      <td class="usage-table-label" title="${dashboardConditional.escapeAttr(row.projectFolder)}">${escape(row.cwd || row.projectFolder)}</td>
+      <td>${row.liveCount}</td><td>${this.formatBytes(row.liveBytes)}</td>
+      <td>${row.archivedCount ? `${row.archivedCount} · ${this.formatBytes(row.archivedBytes)}` : '–'}</td>
+      <td>${row.trashCount ? `${row.trashCount} · ${this.formatBytes(row.trashBytes)}` : '–'}</td>
+      <td>${date(row.oldest)}</td><td>${date(row.newest)}</td>
+    </tr>`).join('');
+
+    const conversationRows = usage.conversations.map(row => `<tr>
+      <td class="usage-table-label" title="${dashboardConditional.escapeAttr(row.conversationId)}">
+        ${escape((row.title || row.conversationId).substring(0, 70))}
+        ${row.archived ? ' <span class="badge-archived">archived</span>' : ''}
+      </td>
+      <td>${this.formatBytes(row.originalSize || row.size)}${row.archived ? ` <small>(${this.formatBytes(row.size)})</small>` : ''}</td>
+      <td>${date(row.lastModified)}</td>
+      <td class="usage-table-label">${row.protected ? `🔒 ${escape(row.protected)}` : ''}</td>
+      <td>${row.archived
+        ? `<button class="btn btn-xs" data-action="restore" data-id="${dashboardConditional.escapeAttr(row.conversationId)}" title="Move back into ~/.claude/projects">📤</button>`
+        : `<button class="btn btn-xs" data-action="archive" data-id="${dashboardConditional.escapeAttr(row.conversationId)}" title="Compress into the archive">🗄️</button>`}</td>
+    </tr>`).join('');
+
+    const lastRun = usage.lastRun
+      ? `Last run ${new Date(usage.lastRun.at).toLocaleString()} (${escape(usage.lastRun.trigger)}): ${usage.lastRun.archived} archived, ${this.formatBytes(usage.lastRun.savedBytes)} saved${usage.lastRun.failed ? `, ${usage.lastRun.failed} failed` : ''}`
+      : 'Not run since the dashboard started';
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div class="usage-breakdown">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3 style="margin: 0;">🗄️ Conversation storage</h3>
+          <button class="btn btn-sm btn-secondary" data-action="close">✕</button>
+        </div>
+        <p>
+          <strong>${this.formatBytes(totals.liveBytes)}</strong> in ${totals.liveCount} conversations ·
+          ${totals.archivedCount} archived in ${this.formatBytes(totals.archivedBytes)} (${this.formatBytes(totals.originalBytes)} uncompressed)
+          ${totals.trashCount ? ` · ${this.formatBytes(totals.trashBytes)} in trash` : ''}
+        </p>
+        <h4>By project</h4>
+        <table class="usage-table">
+          <tr><th></th><th>Live</th><th>Size</th><th>Archived</th><th>Trash</th><th>Oldest</th><th>Newest</th></tr>
+          ${projectRows}
+        </table>
+        <h4>Largest conversations${usage.conversationCount > usage.conversations.length ? ` <small>(top ${usage.conversations.length} of ${usage.conversationCount})</small>` : ''}</h4>
+        <table class="usage-table">
+          <tr><th></th><th>Size</th><th>Modified</th><th>Kept</th><th></th></tr>
+          ${conversationRows}
+        </table>
+        <h4>Retention policy</h4>
+        <div class="archive-policy" id="archive-policy">
+          <label><input type="checkbox" data-field="enabled"${policy.enabled ? ' checked' : ''}> Apply every 6 hours</label>
+          <label>Archive after <input type="number" min="1" data-field="archiveAfterDays" value="${policy.archiveAfterDays ?? ''}" placeholder="never"> days untouched</label>
+          <label>Keep projects under <input type="number" min="0" step="any" data-field="maxProjectsMB" value="${policy.maxProjectsMB ?? ''}" placeholder="no limit"> MB</label>
+          <label>Always keep the newest <input type="number" min="0" data-field="keepRecentPerProject" value="${policy.keepRecentPerProject}"> per project</label>
+        </div>
+        <small style="color: var(--text-secondary);">Named conversations, the ones a session tracks and anything written in the last day are never archived. ${escape(lastRun)}</small>
+        <div style="display: flex; gap: 4px; margin-top: 8px;">
+          <button class="btn btn-sm btn-primary" data-action="save-policy">💾 Save Policy</button>
+          <button class="btn btn-sm btn-secondary" data-action="reset-policy"${usage.custom ? '' : ' disabled'}>↺ Defaults</button>
+          <button class="btn btn-sm btn-secondary" data-action="preview">🔍 Preview</button>
+          <button class="btn btn-sm btn-warning" data-action="apply">🗄️ Apply Now</button>
+        </div>
+        <div id="archive-status" style="font-size: 12px; margin-top: 6px;"></div>
+      </div>
+    `;
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      if (e.target === modal || action === 'close') {
+        modal.remove();
+        return;
+      }
+      if (!action) return;
+
+      let changed = false;
+      if (action === 'archive') changed = await this.archive(e.target.dataset.id);
+      else if (action === 'restore') changed = await this.restore(e.target.dataset.id);
+      else if (action === 'save-policy') changed = await this.savePolicy(false);
+      else if (action === 'reset-policy') changed = await this.savePolicy(true);
+      else if (action === 'preview') await this.preview();
+      else if (action === 'apply') changed = await this.apply();
+      if (changed) {
+        modal.remove();
+        this.showStorage();
+      }
+    });
+    document.body.appendChild(modal);
+  },
+
+  readPolicy: function() {
+    const policy = {};
+    document.querySelectorAll('#archive-policy input').forEach(input => {
+      const field = input.dataset.field;
+      policy[field] = input.type === 'checkbox' ? input.checked : (input.value === '' ? null : Number(input.value));
+    });
+    return policy;
+  },
+
+  setStatus: function(html, color = 'var(--text-secondary)') {
+    const status = document.getElementById('archive-status');
+    if (status) {
+      status.style.color = color;
+      status.innerHTML = html;
+    }
+  },
+
+  savePolicy: async function(reset) {
+    try {
+      await dashboardAPI.saveArchivePolicy(reset ? null : this.readPolicy());
+      return true;
+    } catch (error) {
+      this.setStatus(dashboardUtils.escapeHtml(error.message), 'var(--danger)');
+      return false;
+    }
+  },
+
+  preview: async function() {
+    try {
+      const plan = await dashboardAPI.planArchive();
+      const list = plan.archive.slice(0, 20).map(entry =>
+        `<li>${dashboardUtils.escapeHtml(entry.conversationId.substring(0, 8))} · ${this.formatBytes(entry.size)} · ${dashboardUtils.escapeHtml(entry.reason)}</li>`).join('');
+      const kept = plan.kept.length ? `<br>Kept ${plan.kept.length} it would otherwise archive: ${plan.kept.slice(0, 5).map(entry => dashboardUtils.escapeHtml(entry.reason)).join('; ')}` : '';
+      this.setStatus(plan.archive.length
+        ? `The saved policy would archive ${plan.archive.length} conversations (${this.formatBytes(plan.liveBytes - plan.liveBytesAfter)}):<ul>${list}</ul>${kept}`
+        : `The saved policy has nothing to archive.${kept}`);
+    } catch (error) {
+      this.setStatus(dashboardUtils.escapeHtml(error.message), 'var(--danger)');
+    }
+  },
+
+  apply: async function() {
+    if (!confirm('Archive everything the saved policy picks now?')) return false;
+    try {
+      const result = await dashboardAPI.applyArchive();
+      await this.refreshTree();
+      if (result.failed.length) {
+        alert(`${result.failed.length} conversations could not be archived:\n\n${result.failed.map(f => `${f.conversationId}: ${f.error}`).join('\n')}`);
+      }
+      return true;
+    } catch (error) {
+      this.setStatus(dashboardUtils.escapeHtml(error.message), 'var(--danger)');
+      return false;
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardArchive;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardArchive = dashboardArchive;
+}
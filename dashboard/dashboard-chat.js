@@ -6,14 +6,67 @@
 window.dashboardChat = {
   // State tracking
   lastMessageIndex: -1,
+  lastLineIndex: -1, // last file line looked at, shown or not (see conversation-tailer.js)
   currentConversationId: null,
+  binding: null,
+  bindingCheckedAt: 0,
   
   /**
    * Initialize the chat module
    */
   init() {
+    if (window.dashboardEvents) {
+      dashboardEvents.on('chat', (data) => this.onPushedMessages(data));
+      dashboardEvents.on('chat-reset', (data) => {
+        if (data.session === (window.currentSession || 'claude')) this.loadChatMessages(true);
+      });
+      // The tail starts at the end of the file; pick up whatever landed while disconnected
+      dashboardEvents.on('connected', () => {
+        if (this.lastMessageIndex >= 0 && this.isLive()) this.loadChatMessages(false);
+      });
+    }
     console.log('[Chat] Module initialized');
   },
+
+  /**
+   * Whether the server pushes this session's messages, so polling can stop
+   */
+  isLive() {
+    return !!(window.dashboardEvents && dashboardEvents.connected &&
+      new URLSearchParams(dashboardEvents.subscription || '').get('chat') === '1');
+  },
+
+  /**
+   * Append messages the server pushed as they were written
+   * @param {Object} data - {session, conversationId, fromIndex, lastIndex, messages}
+   */
+  onPushedMessages(data) {
+    if (data.session !== (window.currentSession || 'claude')) return;
+    // Nothing loaded yet, or still showing another conversation: the next load covers it
+    if (this.lastMessageIndex < 0 || data.conversationId !== this.currentConversationId) return;
+
+    const messagesContainer = document.querySelector('#chat-content .chat-messages');
+    // Lines written between our last read and the tail starting; fetch them the old way
+    if (!messagesContainer || data.fromIndex > this.lastLineIndex + 1) {
+      this.loadChatMessages(false);
+      return;
+    }
+
+    const wasAtBottom = Math.abs(messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight) < 50;
+    data.messages.forEach(msg => {
+      if (msg.index <= this.lastMessageIndex) return;
+      messagesContainer.appendChild(this.createMessageElement(msg));
+      this.lastMessageIndex = msg.index;
+    });
+    this.lastLineIndex = Math.max(this.lastLineIndex, data.lastIndex);
+
+    const autoScroll = document.getElementById('auto-scroll');
+    if (autoScroll && autoScroll.checked && wasAtBottom) {
+      requestAnimationFrame(() => {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+      });
+    }
+  },
   
   /**
    * Auto-associate conversation based on tmux content
@@ -32,12 +85,12 @@ window.dashboardChat = {
       });
       
       if (response.success) {
-        const source = response.source || (response.matchScore > 0 ? 'text match' : 'recent');
-        const scoreInfo = response.matchScore ? ` (score: ${response.matchScore})` : '';
-        statusDiv.innerHTML = `<span style="color: var(--success);">✅ Found via ${source}: ${response.conversationId.substring(0, 8)}...${scoreInfo}</span>`;
+        const confidence = response.confidence !== undefined ? ` (${Math.round(response.confidence * 100)}% confident)` : '';
+        statusDiv.innerHTML = `<span style="color: var(--success);">✅ Found: ${response.conversationId.substring(0, 8)}...${confidence}</span>`;
         
         // Update session-map to remember this association
         window.currentConversationId = response.conversationId;
+        this.bindingCheckedAt = 0;
         
         // Force full reload since we have a new conversation
         await this.loadChatMessages(true);
@@ -46,8 +99,151 @@ window.dashboardChat = {
       }
     } catch (error) {
       console.error('Auto-associate failed:', error);
-      statusDiv.innerHTML = `<span style="color: var(--danger);">❌ ${error.message}</span>`;
+      if (error.data && error.data.binding) {
+        // Ambiguous or nothing found; the details modal shows the candidates to pick from
+        this.binding = error.data.binding;
+        this.bindingCheckedAt = Date.now();
+        statusDiv.innerHTML = `<span style="color: var(--warning); cursor: pointer;" onclick="dashboardChat.showBindingDetails()">⚠️ ${dashboardUtils.escapeHtml(error.message)} (details)</span>`;
+      } else {
+        statusDiv.innerHTML = `<span style="color: var(--danger);">❌ ${error.message}</span>`;
+      }
+    }
+  },
+  
+  /**
+   * Fetch the session's last binding decision; the server re-decides every 30s,
+   * so checking more often than that gains nothing
+   */
+  async refreshBinding(session) {
+    if (this.binding && this.binding.session === session && Date.now() - this.bindingCheckedAt < 30000) {
+      return this.binding;
+    }
+    try {
+      const response = await dashboardAPI.getBindings(session);
+      this.binding = response.binding;
+    } catch (error) {
+      this.binding = null;
     }
+    this.bindingCheckedAt = Date.now();
+    return this.binding;
+  },
+  
+  /**
+   * Conversation id with how sure the binding is, or a warning when it is ambiguous
+   */
+  renderAssociation(statusDiv, conversationId) {
+    const binding = this.binding;
+    const id = conversationId ? `📍 ${conversationId.substring(0, 8)}...` : 'No conversation associated';
+    if (!binding) {
+      statusDiv.innerHTML = `<span style="color: var(--text-muted);">${id}</span>`;
+      return;
+    }
+    
+    let badge = '';
+    let title = '';
+    if (binding.ambiguous) {
+      badge = ' <span style="color: var(--warning);">⚠️ ambiguous</span>';
+      title = 'Several conversations match this session; click to choose';
+    } else if (binding.conversationId && binding.conversationId === conversationId) {
+      const percent = Math.round(binding.confidence * 100);
+      const color = binding.confidence >= 0.8 ? 'var(--success)' : 'var(--warning)';
+      badge = ` <span style="color: ${color};">${percent}%</span>`;
+      title = binding.reasons.map(reason => reason.detail).join('\n');
+    } else if (binding.conversationId) {
+      badge = ' <span style="color: var(--warning);">⚠️ mismatch</span>';
+      title = `The binder points at ${binding.conversationId}; click for details`;
+    }
+    statusDiv.innerHTML = `<span style="color: var(--text-muted); cursor: pointer;" title="${dashboardConditional.escapeAttr(title)}" onclick="dashboardChat.showBindingDetails()">${id}${badge}</span>`;
+  },
+  
+  /**
+   * Modal with why the session is bound where it is, and the other candidates
+   */
+  async showBindingDetails() {
+    const session = window.currentSession || 'claude';
+    const binding = await this.refreshBinding(session);
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+    const reasonList = (reasons) => reasons.length === 0 ? '<em class="usage-empty">No evidence</em>' : `<ul class="binding-reasons">
+      ${reasons.map(reason => `<li><span class="binding-points">${reason.points > 0 ? '+' : ''}${reason.points}</span> ${escape(reason.detail)}</li>`).join('')}
+    </ul>`;
+    
+    let body;
+    if (!binding) {
+      body = '<p>No binding decision for this session yet.</p>';
+    } else {
+      const candidates = binding.candidates.map(candidate => `
+        <div class="binding-candidate${candidate.conversationId === binding.conversationId ? ' best' : ''}">
+          <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+            <span class="usage-table-label" title="${dashboardConditional.escapeAttr(candidate.conversationId)}">
+              <strong>${candidate.score}</strong> · ${escape((candidate.title || candidate.conversationId).substring(0, 70))}
+            </span>
+            <button class="btn btn-sm btn-secondary" data-action="use" data-id="${dashboardConditional.escapeAttr(candidate.conversationId)}">Use this</button>
+          </div>
+          <small style="color: var(--text-secondary);">${escape(candidate.conversationId)}${candidate.lastModified ? ` · modified ${new Date(candidate.lastModified).toLocaleString()}` : ''}</small>
+          ${reasonList(candidate.reasons)}
+        </div>
+      `).join('');
+      const history = (binding.history || []).slice(0, 10).map(entry => `<tr>
+        <td class="usage-table-label">${new Date(entry.decidedAt).toLocaleString()}</td>
+        <td>${escape(entry.trigger)}</td>
+        <td>${entry.conversationId ? escape(entry.conversationId.substring(0, 8)) : '–'}</td>
+        <td>${Math.round(entry.confidence * 100)}%${entry.ambiguous ? ' ⚠️' : ''}</td>
+        <td>${entry.applied ? 'applied' : ''}</td>
+      </tr>`).join('');
+      
+      body = `
+        <p>
+          ${binding.conversationId ? `Best match <code>${escape(binding.conversationId)}</code>, score ${binding.score}, ${Math.round(binding.confidence * 100)}% confident` : 'No conversation matched'}
+          ${binding.ambiguous ? '<br><span style="color: var(--warning);">⚠️ Ambiguous: the binding was not changed. Pick the right conversation below.</span>' : ''}
+          <br><small style="color: var(--text-secondary);">Decided ${new Date(binding.decidedAt).toLocaleString()} (${escape(binding.trigger)})${binding.signals && binding.signals.claudePid ? ` · claude pid ${binding.signals.claudePid}` : ''}</small>
+        </p>
+        <h4>Why</h4>
+        ${reasonList(binding.reasons)}
+        <h4>Candidates</h4>
+        ${candidates || '<em class="usage-empty">None</em>'}
+        ${history ? `<h4>History</h4><table class="usage-table"><tr><th>When</th><th>Trigger</th><th>Conversation</th><th>Confidence</th><th></th></tr>${history}</table>` : ''}
+      `;
+    }
+    
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div class="usage-breakdown">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3 style="margin: 0;">🔗 ${escape(session)} binding</h3>
+          <div style="display: flex; gap: 4px;">
+            <button class="btn btn-sm btn-secondary" data-action="resolve">🔄 Check again</button>
+            <button class="btn btn-sm btn-secondary" data-action="close">✕</button>
+          </div>
+        </div>
+        ${body}
+      </div>
+    `;
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      if (e.target === modal || action === 'close') {
+        modal.remove();
+        return;
+      }
+      if (action !== 'use' && action !== 'resolve') return;
+      
+      e.target.disabled = true;
+      try {
+        if (action === 'use') {
+          this.binding = (await dashboardAPI.confirmBinding(session, e.target.dataset.id)).binding;
+        } else {
+          this.binding = (await dashboardAPI.resolveBinding(session)).binding;
+        }
+        this.bindingCheckedAt = Date.now();
+        modal.remove();
+        if (action === 'resolve') this.showBindingDetails();
+        await this.loadChatMessages(true);
+      } catch (error) {
+        alert('Failed to update the binding: ' + error.message);
+        e.target.disabled = false;
+      }
+    });
+    document.body.appendChild(modal);
   },
   
   /**
@@ -62,16 +258,14 @@ window.dashboardChat = {
       // Update association status
       const statusDiv = document.getElementById('conversation-association');
       if (statusDiv) {
-        if (convResponse.conversationId) {
-          statusDiv.innerHTML = `<span style="color: var(--text-muted);">📍 ${convResponse.conversationId.substring(0, 8)}...</span>`;
-        } else {
-          statusDiv.innerHTML = '<span style="color: var(--text-muted);">No conversation associated</span>';
-        }
+        await this.refreshBinding(window.currentSession || 'claude');
+        this.renderAssociation(statusDiv, convResponse.conversationId);
       }
       
       if (!convResponse.conversationId) {
         document.getElementById('chat-content').innerHTML = '<div class="empty">No active conversation</div>';
         this.lastMessageIndex = -1;
+        this.lastLineIndex = -1;
         this.currentConversationId = null;
         return;
       }
@@ -81,6 +275,7 @@ window.dashboardChat = {
         forceFullReload = true;
         this.currentConversationId = convResponse.conversationId;
         this.lastMessageIndex = -1;
+        this.lastLineIndex = -1;
       }
       
       const container = document.getElementById('chat-content');
@@ -98,6 +293,7 @@ window.dashboardChat = {
         // Try incremental update
         const response = await fetch(`/api/conversation/messages?id=${convResponse.conversationId}&after=${this.lastMessageIndex}`);
         const data = await response.json();
+        if (data.totalCount) this.lastLineIndex = Math.max(this.lastLineIndex, data.totalCount - 1);
         
         if (data.messages && data.messages.length > 0) {
           // Append new messages to existing content (reuse messagesContainer from above)
@@ -139,6 +335,7 @@ window.dashboardChat = {
             this.lastMessageIndex = msg.index;
           }
         });
+        this.lastLineIndex = this.lastMessageIndex;
         
         // Create container and add all messages
         const messagesContainer = document.createElement('div');
@@ -209,6 +406,7 @@ window.dashboardChat = {
   clearChat() {
     document.getElementById('chat-content').innerHTML = '<div class="loading">Loading chat messages...</div>';
     this.lastMessageIndex = -1;
+    this.lastLineIndex = -1;
     this.currentConversationId = null;
   },
   
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Command Safety Module
+ * Edits the session's safety policy (allowed directories, blocked and
+ * confirm-required patterns) and lists blocked or confirmed sends
+ */
+
+const dashboardCommandSafety = {
+  policy: null,
+  defaults: null,
+  refreshInterval: null,
+
+  /**
+   * Toggle the command safety card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('command-safety-card');
+    const content = document.getElementById('command-safety-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      this.load();
+      this.refreshInterval = setInterval(() => this.refreshAudit(), 5000);
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  },
+
+  /**
+   * Load policy and audit log for the current session
+   */
+  load: async function() {
+    try {
+      const data = await dashboardAPI.getCommandSafety(window.currentSession || 'claude');
+      this.policy = data.policy;
+      this.defaults = data.defaults;
+      this.renderPolicy();
+      this.renderAudit(data.audit || []);
+    } catch (error) {
+      console.error('Failed to load safety policy:', error);
+    }
+  },
+
+  /**
+   * Reload only the audit log so edits in progress aren't lost
+   */
+  refreshAudit: async function() {
+    try {
+      const data = await dashboardAPI.getCommandSafety(window.currentSession || 'claude');
+      this.renderAudit(data.audit || []);
+    } catch (error) {
+      console.error('Failed to load command audit log:', error);
+    }
+  },
+
+  renderPolicy: function() {
+    if (!this.policy) return;
+    document.getElementById('command-safety-enabled').checked = !!this.policy.enabled;
+    document.getElementById('command-safety-roots').value = this.policy.allowedRoots.join('\n');
+    document.getElementById('command-safety-blocked').value = this.policy.blockedPatterns.join('\n');
+    document.getElementById('command-safety-confirm').value = this.policy.confirmPatterns.join('\n');
+  },
+
+  renderAudit: function(entries) {
+    const container = document.getElementById('command-safety-audit');
+    if (!container) return;
+
+    if (entries.length === 0) {
+      container.innerHTML = '<em style="color: var(--text-secondary); font-size: 12px;">Nothing blocked or confirmed yet</em>';
+      return;
+    }
+
+    const escape = (text) => dashboardUtils.escapeHtml(String(text || ''));
+    const colors = { blocked: 'var(--danger)', confirmed: 'var(--warning)' };
+
+    container.innerHTML = entries.map(entry => `
+      <div style="font-size: 11px; padding: 4px 6px; margin-bottom: 4px; border-left: 3px solid ${colors[entry.action] || 'var(--text-secondary)'};">
+        <strong>${escape(entry.action)}</strong>
+        <span style="color: var(--text-secondary);">· ${escape(entry.kind)} · ${new Date(entry.time).toLocaleTimeString()}</span>
+        <div style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis; font-family: monospace;" title="${dashboardConditional.escapeAttr(entry.text)}">${escape(entry.text)}</div>
+        <div style="color: var(--text-secondary);">${escape(entry.reason)}</div>
+      </div>
+    `).join('');
+  },
+
+  // One entry per line, blank lines dropped
+  readLines: function(id) {
+    return document.getElementById(id).value.split('\n').map(line => line.trim()).filter(Boolean);
+  },
+
+  resetPatterns: function() {
+    if (!this.defaults) return;
+    document.getElementById('command-safety-blocked').value = this.defaults.blockedPatterns.join('\n');
+    document.getElementById('command-safety-confirm').value = this.defaults.confirmPatterns.join('\n');
+  },
+
+  save: async function() {
+    const policy = {
+      enabled: document.getElementById('command-safety-enabled').checked,
+      allowedRoots: this.readLines('command-safety-roots'),
+      blockedPatterns: this.readLines('command-safety-blocked'),
+      confirmPatterns: this.readLines('command-safety-confirm')
+    };
+
+    try {
+      const result = await dashboardAPI.saveSafetyPolicy(policy, window.currentSession || 'claude');
+      this.policy = result.policy;
+      const status = document.getElementById('command-safety-status');
+      if (status) {
+        status.textContent = '✓ Saved';
+        setTimeout(() => { status.textContent = ''; }, 2000);
+      }
+    } catch (error) {
+      alert('Could not save safety policy: ' + error.message);
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardCommandSafety;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardCommandSafety = dashboardCommandSafety;
+}
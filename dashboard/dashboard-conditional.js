@@ -2,7 +2,7 @@
 
 /**
  * Dashboard Conditional Messaging Module
- * Handles time-based and context-based conditional messages
+ * Edits the prioritised message rules (see conditional-rules.js) and review settings
  */
 
 const dashboardConditional = {
@@ -13,47 +13,18 @@ const dashboardConditional = {
   // Track textarea heights
   textareaHeights: {},
 
+  // Message rules being edited (saved as loopConfig.messageRules)
+  rules: [],
+
+  // Add the finish instruction to every loop message (saved as loopConfig.autoFinishAll)
+  autoFinishAll: false,
+
+  // Active message preview refresh
+  lastPreviewTime: 0,
+  lastPreviewContext: null,
+
   // Default configuration
   defaultConfig: {
-    morningMessage: {
-      enabled: false,
-      startHour: 6,
-      endHour: 12,
-      message: "Good morning! Please continue with the project. Focus on high-priority tasks first."
-    },
-    afternoonMessage: {
-      enabled: false,
-      startHour: 12,
-      endHour: 18,
-      message: "Good afternoon! Please continue. Consider reviewing and testing recent changes."
-    },
-    eveningMessage: {
-      enabled: false,
-      startHour: 18,
-      endHour: 24,
-      message: "Good evening! Please continue. Focus on documentation and cleanup tasks."
-    },
-    standardMessage: {
-      enabled: false,
-      message: "Please continue with the current task."
-    },
-    lowContextMessage: {
-      enabled: false,
-      threshold: 20,
-      message: "Context is getting low. Consider wrapping up or using /compact.",
-      autoCompact: false,
-      autoFinish: false
-    },
-    afterCompactMessage: {
-      enabled: false,
-      linesAfterCompact: 5,
-      message: "Thanks for compacting! Here's what we were working on: {summary}"
-    },
-    onIdleMessage: {
-      enabled: false,
-      idleThresholdSeconds: 30,
-      message: "What's the status? Please provide a brief update on what you're working on."
-    },
     reviewSettings: {
       enabled: false,
       reviewsBeforeNextTask: 1,
@@ -66,12 +37,7 @@ const dashboardConditional = {
    * Initialize the conditional messaging module
    */
   init: function() {
-    // Load saved config if available
-    if (window.loopConfig && window.loopConfig.conditionalMessages) {
-      this.config = { ...this.defaultConfig, ...window.loopConfig.conditionalMessages };
-    } else {
-      this.config = { ...this.defaultConfig };
-    }
+    this.loadFromConfig(window.loopConfig);
     
     // Load saved textarea heights
     if (window.loopConfig && window.loopConfig.conditionalTextareaHeights) {
@@ -87,6 +53,27 @@ const dashboardConditional = {
     }
   },
 
+  /**
+   * Pick up rules and review settings from a loaded session config.
+   * Legacy conditionalMessages are converted to rules on the fly.
+   */
+  loadFromConfig: function(config) {
+    if (config && config.conditionalMessages) {
+      this.config = { ...this.defaultConfig, ...config.conditionalMessages };
+    } else {
+      this.config = { ...this.defaultConfig };
+    }
+
+    if (window.conditionalRules) {
+      const { rules, autoFinishAll } = conditionalRules.getRules(config || {});
+      this.rules = rules.map(rule => ({
+        ...rule,
+        conditions: (rule.conditions || []).map(condition => ({ ...condition }))
+      }));
+      this.autoFinishAll = autoFinishAll;
+    }
+  },
+
   /**
    * Initialize the UI components
    */
@@ -100,146 +87,21 @@ const dashboardConditional = {
 
     let html = `
       <div class="conditional-messages">
-        <!-- Time-Based Messages -->
-        <h4 style="margin: 10px 0;">Time-Based Messages</h4>
-        
-        <!-- Morning Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label style="cursor: pointer;">
-              <input type="checkbox" id="morning-enabled" onchange="dashboardConditional.handleCheckboxChange('morning')">
-              <span id="morning-arrow" style="display: inline-block; width: 12px; pointer-events: none;">▶</span>
-              Morning
-            </label>
-          </div>
-          <div id="morning-settings" style="display: none; margin-left: 20px;">
-            <div style="display: flex; gap: 10px; align-items: center; margin: 10px 0;">
-              <label style="font-size: 12px;">From</label>
-              <input type="number" id="morning-start" min="0" max="23" value="6" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-              <label style="font-size: 12px;">to</label>
-              <input type="number" id="morning-end" min="0" max="23" value="12" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            </div>
-            <textarea id="morning-message" class="auto-resize" placeholder="Good morning! Please continue with the project. Focus on high-priority tasks first." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-          </div>
-        </div>
-
-        <!-- Afternoon Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label style="cursor: pointer;">
-              <input type="checkbox" id="afternoon-enabled" onchange="dashboardConditional.handleCheckboxChange('afternoon')">
-              <span id="afternoon-arrow" style="display: inline-block; width: 12px; pointer-events: none;">▶</span>
-              Afternoon
-            </label>
-          </div>
-          <div id="afternoon-settings" style="display: none; margin-left: 20px;">
-            <div style="display: flex; gap: 10px; align-items: center; margin: 10px 0;">
-              <label style="font-size: 12px;">From</label>
-              <input type="number" id="afternoon-start" min="0" max="23" value="12" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-              <label style="font-size: 12px;">to</label>
-              <input type="number" id="afternoon-end" min="0" max="23" value="18" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            </div>
-            <textarea id="afternoon-message" class="auto-resize" placeholder="Good afternoon! Please continue. Consider reviewing and testing recent changes." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-          </div>
-        </div>
-
-        <!-- Evening Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label style="cursor: pointer;">
-              <input type="checkbox" id="evening-enabled" onchange="dashboardConditional.handleCheckboxChange('evening')">
-              <span id="evening-arrow" style="display: inline-block; width: 12px; pointer-events: none;">▶</span>
-              Evening
-            </label>
-          </div>
-          <div id="evening-settings" style="display: none; margin-left: 20px;">
-            <div style="display: flex; gap: 10px; align-items: center; margin: 10px 0;">
-              <label style="font-size: 12px;">From</label>
-              <input type="number" id="evening-start" min="0" max="23" value="18" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-              <label style="font-size: 12px;">to</label>
-              <input type="number" id="evening-end" min="0" max="23" value="23" style="width: 50px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            </div>
-            <textarea id="evening-message" class="auto-resize" placeholder="Good evening! Please continue. Focus on documentation and cleanup tasks." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-          </div>
-        </div>
-
-        <!-- Standard Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label style="cursor: pointer;">
-              <input type="checkbox" id="standard-enabled" onchange="dashboardConditional.handleCheckboxChange('standard')">
-              <span id="standard-arrow" style="display: inline-block; width: 12px; pointer-events: none;">▶</span>
-              Standard Message (all other times)
-            </label>
-          </div>
-          <div id="standard-settings" style="display: none; margin-left: 20px;">
-            <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 5px;">
-              This message will be used when no time-specific messages apply
-            </div>
-            <textarea id="standard-message" class="auto-resize" placeholder="Please continue with the current task..." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-          </div>
-        </div>
-
-        <h4 style="margin: 10px 0;">Context-Based Messages</h4>
-
-        <!-- On Idle Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label style="cursor: pointer;">
-              <input type="checkbox" id="idle-enabled" onchange="dashboardConditional.handleCheckboxChange('idle')">
-              <span id="idle-arrow" style="display: inline-block; width: 12px; pointer-events: none;">▶</span>
-              On Idle Message
-            </label>
-          </div>
-          <div id="idle-settings" style="margin-left: 20px; display: none;">
-            <label style="font-size: 12px;">Idle threshold (seconds)</label>
-            <input type="number" id="idle-threshold" min="10" max="300" value="30" style="width: 80px; margin-bottom: 5px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            <textarea id="idle-message" class="auto-resize" style="margin-top: 5px;" placeholder="What's the status? Please provide a brief update on what you're working on." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-            <div style="font-size: 11px; color: var(--text-secondary); margin-top: 5px;">
-              Sends when Claude becomes idle (no "Esc to interrupt" prompt)
-            </div>
-          </div>
-        </div>
-
-        <!-- Low Context Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label>
-              <input type="checkbox" id="low-context-enabled" checked onchange="dashboardConditional.updateConfig()">
-              Low Context Warning
-            </label>
-          </div>
-          <div id="low-context-settings" style="margin-left: 20px;">
-            <label style="font-size: 12px;">Threshold %</label>
-            <input type="number" id="low-context-threshold" min="10" max="50" value="30" style="width: 60px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            <textarea id="low-context-message" class="auto-resize" style="margin-top: 5px;" placeholder="Context is getting low. Consider wrapping up or using /compact." oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-
-            <div class="checkbox-group" style="margin-top: 10px;">
-              <label>
-                <input type="checkbox" id="auto-compact-enabled" onchange="dashboardConditional.updateConfig()">
-                Enable Auto-Compact (adds instruction for Claude to say "Let's compact!")
-              </label>
-              <label style="display: block; margin-top: 8px;">
-                <input type="checkbox" id="auto-finish-enabled" onchange="dashboardConditional.updateConfig()">
-                Enable Auto-Finish (adds instruction for Claude to say "Finished everything for now!")
-              </label>
-            </div>
-          </div>
-        </div>
-
-        <!-- After Compact Message -->
-        <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
-          <div class="checkbox-group">
-            <label>
-              <input type="checkbox" id="after-compact-enabled" checked onchange="dashboardConditional.updateConfig()">
-              After Compact Message
-            </label>
-          </div>
-          <div id="after-compact-settings" style="margin-left: 20px;">
-            <label style="font-size: 12px;">Lines after compact</label>
-            <input type="number" id="after-compact-lines" min="10" max="100" value="50" style="width: 60px;" oninput="dashboardConditional.debouncedUpdateConfig()">
-            <textarea id="after-compact-message" class="auto-resize" style="margin-top: 5px;" placeholder="Thanks for compacting! Here's what we were working on: {summary}" oninput="dashboardConditional.debouncedUpdateConfig()"></textarea>
-          </div>
+        <!-- Message Rules -->
+        <h4 style="margin: 10px 0;">Message Rules</h4>
+        <p style="color: var(--text-secondary); font-size: 12px; margin: 0 0 10px 0;">
+          The enabled rule with the lowest priority number whose conditions match is sent by the loop.
+          A rule without conditions always matches.
+          Messages can use <code>{{context}}</code>, <code>{{session}}</code>, <code>{{nextTodo}}</code>, <code>{{timeOfDay}}</code>,
+          <code>{{minutesSinceCompact}}</code> and <code>{{conversationId}}</code>; <code>{{nextTodo|fallback}}</code> fills in empty values.
+        </p>
+        <div id="message-rules"></div>
+        <button class="btn btn-secondary" onclick="dashboardConditional.addRule()" style="margin-bottom: 10px;">➕ Add Rule</button>
+        <div class="checkbox-group" style="font-size: 12px; margin-bottom: 10px;">
+          <label>
+            <input type="checkbox" id="auto-finish-all" onchange="dashboardConditional.autoFinishAll = this.checked; dashboardConditional.debouncedUpdateConfig()">
+            Auto-Finish on every message, including the custom message
+          </label>
         </div>
 
         <!-- Review Settings Section -->
@@ -294,6 +156,215 @@ const dashboardConditional = {
     this.startMonitoring();
   },
 
+  /**
+   * Escape a value for use inside an HTML attribute or element
+   */
+  escapeAttr: function(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
+  /**
+   * Render the rule list
+   */
+  renderRules: function() {
+    const container = document.getElementById('message-rules');
+    if (!container) return;
+
+    if (this.rules.length === 0) {
+      container.innerHTML = '<em style="color: var(--text-secondary); font-size: 12px;">No rules yet - the loop will send the custom message.</em>';
+      return;
+    }
+
+    container.innerHTML = this.rules.map((rule, index) => this.renderRule(rule, index)).join('');
+    this.restoreTextareaHeights();
+    this.attachResizeListeners();
+  },
+
+  /**
+   * Render a single rule card
+   */
+  renderRule: function(rule, index) {
+    const conditions = (rule.conditions || [])
+      .map((condition, conditionIndex) => this.renderCondition(condition, index, conditionIndex))
+      .join('');
+
+    return `
+      <div class="control-group" style="background: var(--bg-tertiary); padding: 15px; border-radius: 6px; margin-bottom: 10px;">
+        <div style="display: flex; gap: 8px; align-items: center;">
+          <input type="checkbox" ${rule.enabled ? 'checked' : ''} title="Enabled" onchange="dashboardConditional.setRuleField(${index}, 'enabled', this.checked)">
+          <input type="text" value="${this.escapeAttr(rule.name)}" placeholder="Rule name" style="flex: 1;" oninput="dashboardConditional.setRuleField(${index}, 'name', this.value)">
+          <label style="font-size: 12px;">Priority</label>
+          <input type="number" min="1" value="${this.escapeAttr(rule.priority)}" style="width: 50px;" oninput="dashboardConditional.setRuleField(${index}, 'priority', parseInt(this.value) || 1)">
+          <button class="btn btn-danger" title="Delete rule" onclick="dashboardConditional.removeRule(${index})">✕</button>
+        </div>
+        <div style="margin: 10px 0 0 20px;">
+          <div style="display: flex; gap: 8px; align-items: center; font-size: 12px; margin-bottom: 5px;">
+            <label>Match</label>
+            <select onchange="dashboardConditional.setRuleField(${index}, 'match', this.value)">
+              <option value="all" ${rule.match !== 'any' ? 'selected' : ''}>all conditions (AND)</option>
+              <option value="any" ${rule.match === 'any' ? 'selected' : ''}>any condition (OR)</option>
+            </select>
+          </div>
+          ${conditions}
+          <button class="btn btn-secondary" style="font-size: 11px; padding: 2px 8px;" onclick="dashboardConditional.addCondition(${index})">+ Condition</button>
+          <textarea id="rule-message-${this.escapeAttr(rule.id)}" class="auto-resize" style="margin-top: 8px;" placeholder="Message to send when this rule matches" oninput="dashboardConditional.setRuleField(${index}, 'message', this.value)">${this.escapeAttr(rule.message)}</textarea>
+          <div class="checkbox-group" style="margin-top: 8px; font-size: 12px;">
+            <label>
+              <input type="checkbox" ${rule.autoCompact ? 'checked' : ''} onchange="dashboardConditional.setRuleField(${index}, 'autoCompact', this.checked)">
+              Auto-Compact (adds instruction for Claude to say "Let's compact!")
+            </label>
+            <label style="display: block; margin-top: 4px;">
+              <input type="checkbox" ${rule.autoFinish ? 'checked' : ''} onchange="dashboardConditional.setRuleField(${index}, 'autoFinish', this.checked)">
+              Auto-Finish (adds instruction for Claude to say "Finished everything for now!")
+            </label>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Render one condition row of a rule
+   */
+  renderCondition: function(condition, ruleIndex, conditionIndex) {
+    const types = conditionalRules.conditionTypes;
+    const kind = types[condition.type] ? types[condition.type].kind : 'number';
+    const ref = `${ruleIndex}, ${conditionIndex}`;
+
+    const typeOptions = Object.keys(types)
+      .map(type => `<option value="${type}" ${type === condition.type ? 'selected' : ''}>${types[type].label}</option>`)
+      .join('');
+
+    let fields = '';
+    if (kind === 'number') {
+      const opOptions = conditionalRules.operators
+        .map(op => `<option value="${op}" ${op === (condition.op || '>=') ? 'selected' : ''}>${this.escapeAttr(op)}</option>`)
+        .join('');
+      fields = `
+        <select onchange="dashboardConditional.setConditionField(${ref}, 'op', this.value)">${opOptions}</select>
+        <input type="number" value="${this.escapeAttr(condition.value)}" style="width: 70px;" oninput="dashboardConditional.setConditionField(${ref}, 'value', parseFloat(this.value))">
+      `;
+    } else if (kind === 'range') {
+      fields = `
+        <label>from</label>
+        <input type="number" min="0" max="24" value="${this.escapeAttr(condition.start)}" style="width: 50px;" oninput="dashboardConditional.setConditionField(${ref}, 'start', parseInt(this.value))">
+        <label>to</label>
+        <input type="number" min="0" max="24" value="${this.escapeAttr(condition.end)}" style="width: 50px;" oninput="dashboardConditional.setConditionField(${ref}, 'end', parseInt(this.value))">
+      `;
+    } else if (kind === 'days') {
+      const days = (condition.days || []).map(Number);
+      fields = conditionalRules.weekdayNames.map((name, day) => `
+        <label><input type="checkbox" ${days.includes(day) ? 'checked' : ''} onchange="dashboardConditional.toggleConditionDay(${ref}, ${day}, this.checked)">${name}</label>
+      `).join('');
+    } else if (kind === 'list') {
+      fields = `
+        <input type="text" value="${this.escapeAttr((condition.values || []).join(', '))}" placeholder="done, idle, waiting, stuck" style="flex: 1;" oninput="dashboardConditional.setConditionField(${ref}, 'values', this.value.split(',').map(v => v.trim()).filter(Boolean))">
+      `;
+    }
+
+    return `
+      <div style="display: flex; gap: 6px; align-items: center; flex-wrap: wrap; font-size: 12px; margin-bottom: 5px;">
+        <select onchange="dashboardConditional.changeConditionType(${ref}, this.value)">${typeOptions}</select>
+        ${fields}
+        <button class="btn btn-secondary" style="font-size: 11px; padding: 0 6px;" title="Remove condition" onclick="dashboardConditional.removeCondition(${ref})">✕</button>
+      </div>
+    `;
+  },
+
+  /**
+   * Create a condition of the given type with sensible defaults
+   */
+  defaultCondition: function(type) {
+    switch (type) {
+      case 'hourRange': return { type, start: 9, end: 17 };
+      case 'weekday': return { type, days: [1, 2, 3, 4, 5] };
+      case 'webhookStatus': return { type, values: ['done'] };
+      case 'contextPercent': return { type, op: '<=', value: 30 };
+      case 'linesAfterCompact': return { type, op: '<=', value: 50 };
+      case 'openTodos': return { type, op: '>', value: 0 };
+      case 'loopHours': return { type, op: '>=', value: 4 };
+      case 'idleSeconds':
+      default:
+        return { type: type || 'idleSeconds', op: '>=', value: 30 };
+    }
+  },
+
+  addRule: function() {
+    const lowest = this.rules.reduce((max, rule) => Math.max(max, Number(rule.priority) || 0), 0);
+    this.rules.push({
+      id: conditionalRules.generateRuleId(),
+      name: 'New rule',
+      enabled: true,
+      priority: lowest + 1,
+      match: 'all',
+      conditions: [],
+      message: ''
+    });
+    this.renderRules();
+    this.debouncedUpdateConfig();
+  },
+
+  removeRule: function(index) {
+    const rule = this.rules[index];
+    if (!rule || !confirm(`Delete rule "${rule.name || rule.id}"?`)) return;
+    this.rules.splice(index, 1);
+    this.renderRules();
+    this.updateConfig();
+  },
+
+  setRuleField: function(index, field, value) {
+    if (!this.rules[index]) return;
+    this.rules[index][field] = value;
+    this.debouncedUpdateConfig();
+  },
+
+  addCondition: function(index) {
+    if (!this.rules[index]) return;
+    this.rules[index].conditions = this.rules[index].conditions || [];
+    this.rules[index].conditions.push(this.defaultCondition('idleSeconds'));
+    this.renderRules();
+    this.debouncedUpdateConfig();
+  },
+
+  removeCondition: function(index, conditionIndex) {
+    if (!this.rules[index]) return;
+    this.rules[index].conditions.splice(conditionIndex, 1);
+    this.renderRules();
+    this.debouncedUpdateConfig();
+  },
+
+  changeConditionType: function(index, conditionIndex, type) {
+    if (!this.rules[index]) return;
+    this.rules[index].conditions[conditionIndex] = this.defaultCondition(type);
+    this.renderRules();
+    this.debouncedUpdateConfig();
+  },
+
+  setConditionField: function(index, conditionIndex, field, value) {
+    const condition = this.rules[index]?.conditions?.[conditionIndex];
+    if (!condition) return;
+    condition[field] = value;
+    this.debouncedUpdateConfig();
+  },
+
+  toggleConditionDay: function(index, conditionIndex, day, checked) {
+    const condition = this.rules[index]?.conditions?.[conditionIndex];
+    if (!condition) return;
+    const days = new Set((condition.days || []).map(Number));
+    if (checked) {
+      days.add(day);
+    } else {
+      days.delete(day);
+    }
+    condition.days = Array.from(days).sort();
+    this.debouncedUpdateConfig();
+  },
+
   /**
    * Handle checkbox change event
    */
@@ -351,77 +422,10 @@ const dashboardConditional = {
    * Load configuration into UI
    */
   loadConfigIntoUI: function() {
-    // Morning message
-    const morningEnabled = document.getElementById('morning-enabled');
-    if (morningEnabled) {
-      morningEnabled.checked = this.config.morningMessage.enabled;
-      document.getElementById('morning-start').value = this.config.morningMessage.startHour;
-      document.getElementById('morning-end').value = this.config.morningMessage.endHour;
-      document.getElementById('morning-message').value = this.config.morningMessage.message;
-      // Update section visibility based on checkbox state (skip config update during load)
-      this.handleCheckboxChange('morning', true);
-    }
-
-    // Afternoon message
-    const afternoonEnabled = document.getElementById('afternoon-enabled');
-    if (afternoonEnabled) {
-      afternoonEnabled.checked = this.config.afternoonMessage.enabled;
-      document.getElementById('afternoon-start').value = this.config.afternoonMessage.startHour;
-      document.getElementById('afternoon-end').value = this.config.afternoonMessage.endHour;
-      document.getElementById('afternoon-message').value = this.config.afternoonMessage.message;
-      // Update section visibility based on checkbox state (skip config update during load)
-      this.handleCheckboxChange('afternoon', true);
-    }
-
-    // Evening message
-    const eveningEnabled = document.getElementById('evening-enabled');
-    if (eveningEnabled) {
-      eveningEnabled.checked = this.config.eveningMessage.enabled;
-      document.getElementById('evening-start').value = this.config.eveningMessage.startHour;
-      document.getElementById('evening-end').value = this.config.eveningMessage.endHour;
-      document.getElementById('evening-message').value = this.config.eveningMessage.message;
-      // Update section visibility based on checkbox state (skip config update during load)
-      this.handleCheckboxChange('evening', true);
-    }
+    this.renderRules();
 
-    // Standard message
-    const standardEnabled = document.getElementById('standard-enabled');
-    if (standardEnabled) {
-      standardEnabled.checked = this.config.standardMessage?.enabled || false;
-      document.getElementById('standard-message').value = this.config.standardMessage?.message || '';
-      // Update section visibility based on checkbox state (skip config update during load)
-      this.handleCheckboxChange('standard', true);
-    }
-
-    // Low context message
-    const lowContextEnabled = document.getElementById('low-context-enabled');
-    if (lowContextEnabled) {
-      lowContextEnabled.checked = this.config.lowContextMessage.enabled;
-      document.getElementById('low-context-threshold').value = this.config.lowContextMessage.threshold;
-      document.getElementById('low-context-message').value = this.config.lowContextMessage.message;
-      document.getElementById('auto-compact-enabled').checked = this.config.lowContextMessage.autoCompact;
-      document.getElementById('auto-finish-enabled').checked = this.config.lowContextMessage.autoFinish;
-    }
-
-    // After compact message
-    const afterCompactEnabled = document.getElementById('after-compact-enabled');
-    if (afterCompactEnabled) {
-      afterCompactEnabled.checked = this.config.afterCompactMessage.enabled;
-      document.getElementById('after-compact-lines').value = this.config.afterCompactMessage.linesAfterCompact;
-      document.getElementById('after-compact-message').value = this.config.afterCompactMessage.message;
-    }
-
-    // On idle message
-    const idleEnabled = document.getElementById('idle-enabled');
-    if (idleEnabled) {
-      idleEnabled.checked = this.config.onIdleMessage?.enabled || false;
-      this.handleCheckboxChange('idle', true); // true = skip config update to avoid loop
-
-      const idleThreshold = document.getElementById('idle-threshold');
-      const idleMessage = document.getElementById('idle-message');
-      if (idleThreshold) idleThreshold.value = this.config.onIdleMessage?.idleThresholdSeconds || 30;
-      if (idleMessage) idleMessage.value = this.config.onIdleMessage?.message || this.defaultConfig.onIdleMessage.message;
-    }
+    const autoFinishAll = document.getElementById('auto-finish-all');
+    if (autoFinishAll) autoFinishAll.checked = this.autoFinishAll;
 
     // Review settings
     const reviewEnabled = document.getElementById('review-enabled');
@@ -508,47 +512,6 @@ const dashboardConditional = {
    * Update configuration from UI
    */
   updateConfig: function() {
-    // Morning message
-    this.config.morningMessage.enabled = document.getElementById('morning-enabled')?.checked || false;
-    this.config.morningMessage.startHour = parseInt(document.getElementById('morning-start')?.value || 6);
-    this.config.morningMessage.endHour = parseInt(document.getElementById('morning-end')?.value || 12);
-    this.config.morningMessage.message = document.getElementById('morning-message')?.value || this.defaultConfig.morningMessage.message;
-
-    // Afternoon message
-    this.config.afternoonMessage.enabled = document.getElementById('afternoon-enabled')?.checked || false;
-    this.config.afternoonMessage.startHour = parseInt(document.getElementById('afternoon-start')?.value || 12);
-    this.config.afternoonMessage.endHour = parseInt(document.getElementById('afternoon-end')?.value || 18);
-    this.config.afternoonMessage.message = document.getElementById('afternoon-message')?.value || this.defaultConfig.afternoonMessage.message;
-
-    // Evening message
-    this.config.eveningMessage.enabled = document.getElementById('evening-enabled')?.checked || false;
-    this.config.eveningMessage.startHour = parseInt(document.getElementById('evening-start')?.value || 18);
-    this.config.eveningMessage.endHour = parseInt(document.getElementById('evening-end')?.value || 24);
-    this.config.eveningMessage.message = document.getElementById('evening-message')?.value || this.defaultConfig.eveningMessage.message;
-
-    // Standard message
-    this.config.standardMessage = this.config.standardMessage || {};
-    this.config.standardMessage.enabled = document.getElementById('standard-enabled')?.checked || false;
-    this.config.standardMessage.message = document.getElementById('standard-message')?.value || this.defaultConfig.standardMessage?.message || '';
-
-    // Low context message
-    this.config.lowContextMessage.enabled = document.getElementById('low-context-enabled')?.checked || false;
-    this.config.lowContextMessage.threshold = parseInt(document.getElementById('low-context-threshold')?.value || 20);
-    this.config.lowContextMessage.message = document.getElementById('low-context-message')?.value || this.defaultConfig.lowContextMessage.message;
-    this.config.lowContextMessage.autoCompact = document.getElementById('auto-compact-enabled')?.checked || false;
-    this.config.lowContextMessage.autoFinish = document.getElementById('auto-finish-enabled')?.checked || false;
-
-    // After compact message
-    this.config.afterCompactMessage.enabled = document.getElementById('after-compact-enabled')?.checked || false;
-    this.config.afterCompactMessage.linesAfterCompact = parseInt(document.getElementById('after-compact-lines')?.value || 5);
-    this.config.afterCompactMessage.message = document.getElementById('after-compact-message')?.value || this.defaultConfig.afterCompactMessage.message;
-
-    // On idle message
-    this.config.onIdleMessage = this.config.onIdleMessage || {};
-    this.config.onIdleMessage.enabled = document.getElementById('idle-enabled')?.checked || false;
-    this.config.onIdleMessage.idleThresholdSeconds = parseInt(document.getElementById('idle-threshold')?.value || 30);
-    this.config.onIdleMessage.message = document.getElementById('idle-message')?.value || this.defaultConfig.onIdleMessage.message;
-
     // Review settings
     this.config.reviewSettings = this.config.reviewSettings || {};
     this.config.reviewSettings.enabled = document.getElementById('review-enabled')?.checked || false;
@@ -559,6 +522,8 @@ const dashboardConditional = {
     // Save to global config
     if (window.loopConfig) {
       window.loopConfig.conditionalMessages = this.config;
+      window.loopConfig.messageRules = this.rules;
+      window.loopConfig.autoFinishAll = this.autoFinishAll;
       
       console.log('Saving conditional config...', {
         hasGlobalSaveConfig: !!window.saveConfig,
@@ -616,69 +581,17 @@ const dashboardConditional = {
 
   /**
    * Get the currently active message based on conditions
+   * Local estimate only - the server knows idle time, todos and webhook status
    */
   getActiveMessage: function(contextPercent, linesAfterCompact) {
-    const hour = new Date().getHours();
-
-    // Check after compact message first (highest priority)
-    if (this.config.afterCompactMessage.enabled && 
-        linesAfterCompact !== undefined && 
-        linesAfterCompact <= this.config.afterCompactMessage.linesAfterCompact) {
-      return {
-        type: 'afterCompact',
-        message: this.config.afterCompactMessage.message
-      };
-    }
-
-    // Check low context message
-    if (this.config.lowContextMessage.enabled && 
-        contextPercent !== undefined &&
-        contextPercent <= this.config.lowContextMessage.threshold) {
-      return {
-        type: 'lowContext',
-        message: this.config.lowContextMessage.message,
-        autoCompact: this.config.lowContextMessage.autoCompact,
-        autoFinish: this.config.lowContextMessage.autoFinish
-      };
-    }
-
-    // Check time-based messages
-    if (this.config.morningMessage.enabled && 
-        hour >= this.config.morningMessage.startHour && 
-        hour < this.config.morningMessage.endHour) {
-      return {
-        type: 'morning',
-        message: this.config.morningMessage.message
-      };
-    }
-
-    if (this.config.afternoonMessage.enabled && 
-        hour >= this.config.afternoonMessage.startHour && 
-        hour < this.config.afternoonMessage.endHour) {
-      return {
-        type: 'afternoon',
-        message: this.config.afternoonMessage.message
-      };
-    }
-
-    if (this.config.eveningMessage.enabled && 
-        hour >= this.config.eveningMessage.startHour && 
-        hour < this.config.eveningMessage.endHour) {
-      return {
-        type: 'evening',
-        message: this.config.eveningMessage.message
-      };
-    }
-
-    // Check standard message (fallback for other times)
-    if (this.config.standardMessage?.enabled) {
-      return {
-        type: 'standard',
-        message: this.config.standardMessage.message
-      };
-    }
-
-    return null;
+    if (!window.conditionalRules) return null;
+    const now = new Date();
+    return conditionalRules.evaluate(this.rules, {
+      contextPercent,
+      linesAfterCompact,
+      hour: now.getHours(),
+      weekday: now.getDay()
+    });
   },
 
   /**
@@ -687,6 +600,7 @@ const dashboardConditional = {
   updateActiveMessagePreview: async function() {
     const preview = document.getElementById('active-message-preview');
     if (!preview) return;
+    this.lastPreviewTime = Date.now();
 
     try {
       // Fetch the active message from the server
@@ -694,18 +608,29 @@ const dashboardConditional = {
         const activeMessage = await window.dashboardAPI.getActiveConditionalMessage(window.currentSession || 'claude');
         
         if (activeMessage && activeMessage.type !== 'none') {
+          // Show the message as it would be sent, with template variables filled in
+          let messageText = activeMessage.message;
+          if (window.dashboardAPI.previewTemplate && messageText && messageText.includes('{{')) {
+            try {
+              const preview = await window.dashboardAPI.previewTemplate(messageText, window.currentSession || 'claude');
+              messageText = preview.rendered;
+            } catch (e) {
+              console.error('Failed to render message template:', e);
+            }
+          }
+
           let html = `
             <div class="active-message">
               <div style="margin-bottom: 10px;">
                 <span style="display: inline-block; padding: 2px 8px; background: var(--primary); color: white; border-radius: 3px; font-size: 11px; text-transform: uppercase;">
-                  ${activeMessage.type}
+                  ${this.escapeAttr(activeMessage.name || activeMessage.type)}
                 </span>
                 <span style="color: var(--text-secondary); font-size: 11px; margin-left: 10px;">
                   Priority: ${activeMessage.priority || 'N/A'}
                 </span>
               </div>
               <div style="padding: 10px; background: var(--bg-secondary); border-radius: 4px; white-space: pre-wrap; color: var(--text-primary); font-style: normal;">
-                ${activeMessage.message}
+                ${messageText}
               </div>
           `;
           
@@ -731,7 +656,7 @@ const dashboardConditional = {
           if (localMessage) {
             preview.innerHTML = `
               <div class="active-message">
-                <strong>Type:</strong> ${localMessage.type}<br>
+                <strong>Rule:</strong> ${this.escapeAttr(localMessage.name || localMessage.type)}<br>
                 <strong>Message:</strong> ${localMessage.message}
               </div>
             `;
@@ -750,8 +675,28 @@ const dashboardConditional = {
    * Start monitoring for active messages
    */
   startMonitoring: function() {
-    // Update preview every 30 seconds
+    // With the event stream up, refresh when something the rules look at changes
+    if (window.dashboardEvents) {
+      const isCurrent = (session) => session === (window.currentSession || 'claude');
+      dashboardEvents.on('loop', (data) => {
+        if (isCurrent(data.session) && data.entry.action === 'send') this.updateActiveMessagePreview();
+      });
+      dashboardEvents.on('webhook', (data) => {
+        if (isCurrent(data.session)) this.updateActiveMessagePreview();
+      });
+      dashboardEvents.on('session', (data) => {
+        if (!isCurrent(data.session) || data.contextPercent === null || data.contextPercent === undefined) return;
+        if (data.contextPercent !== this.lastPreviewContext) {
+          this.lastPreviewContext = data.contextPercent;
+          this.updateActiveMessagePreview();
+        }
+      });
+    }
+
+    // Update preview every 30 seconds; every 5 minutes (time-based rules) while events are pushed
     setInterval(() => {
+      const pushed = window.dashboardEvents && dashboardEvents.connected;
+      if (pushed && Date.now() - this.lastPreviewTime < 5 * 60 * 1000) return;
       this.updateActiveMessagePreview();
     }, 30000);
 
@@ -787,6 +732,10 @@ const dashboardConditional = {
   attachResizeListeners: function() {
     const textareas = document.querySelectorAll('#conditional-content textarea');
     textareas.forEach(textarea => {
+      // Rules are re-rendered often; only observe each textarea once
+      if (textarea.dataset.resizeObserved) return;
+      textarea.dataset.resizeObserved = 'true';
+
       // Use ResizeObserver to detect resize
       const resizeObserver = new ResizeObserver(() => {
         this.handleTextareaResize(textarea);
@@ -15,6 +15,10 @@ window.dashboardConversations = {
   showConversationDetails: localStorage.getItem('showConversationDetails') !== 'false', // Default to true
   conversationsLoaded: false, // Track if conversations are loaded
   treeRendered: false, // Track if tree has been rendered
+  searchTimer: null, // Debounces the full-text message search
+  lastMessageSearch: '',
+  lastSearchTerms: [],
+  compareLeftId: null, // First conversation picked with ⚖️
   
   /**
    * Format file size in human readable format
@@ -45,6 +49,13 @@ window.dashboardConversations = {
     if (diffDays < 7) return diffDays + ' days ago';
     return then.toLocaleDateString();
   },
+
+  /**
+   * Name typed by hand, then the automatic title, then the first message
+   */
+  getTitle: function(conv) {
+    return conv.customName || conv.autoTitle || conv.firstUserMessage || conv.id;
+  },
   
   /**
    * Initialize the conversations module
@@ -239,8 +250,8 @@ window.dashboardConversations = {
     // Get full title (not truncated)
     const fullTitle = conv.customName || conv.firstUserMessage || conv.id;
     
-    // Get summary if available
-    const summary = conv.summary || '';
+    // Get summary if available: the automatic one, else Claude's summary record
+    const summary = conv.autoSummary || conv.summary || '';
     
     // Truncate for display in tree, but show full in details
     const displayTitle = fullTitle.length > 200 ? fullTitle.substring(0, 200) + '...' : fullTitle;
@@ -601,8 +612,8 @@ window.dashboardConversations = {
     const isExpanded = this.treeExpanded[conv.id] !== false; // Default to expanded
     const isSelected = conv.id === this.currentConversationId;
     
-    // Use custom name, then first user message, then conversation ID
-    let title = conv.customName || conv.firstUserMessage || conv.id;
+    // Use custom name, then automatic title, then first user message, then conversation ID
+    let title = this.getTitle(conv);
     // Don't truncate here - let CSS handle overflow with ellipsis
     
     // Format metadata
@@ -643,21 +654,31 @@ window.dashboardConversations = {
               ${conv.isLeafSummary ? `${messageCount} summaries` : `${messageCount} msgs`} • ${fileSize} • ${timeAgo}
               ${isCompact ? ' 📦' : ''}${isSidechain ? ' 🔀' : ''}
               ${conv.isLeafSummary ? ' <span style="opacity: 0.7; font-style: italic;">(archived history)</span>' : ''}
+              ${conv.archived ? ` <span class="badge-archived" title="Compressed to ${this.formatFileSize(conv.archivedSize)} in ~/.claude/projects-archive. Readable here; restore it to resume it.">archived</span>` : ''}
               ${conv.id === this.currentConversationId ? ' <span class="badge-current">current</span>' : ''}
             </span>
           </div>
           <div class="conversation-actions${conv.id === this.currentConversationId ? ' always-visible' : ''}">
-            ${conv.isLeafSummary ? '' : (conv.id === this.currentConversationId ? 
+            ${conv.isLeafSummary || conv.archived ? '' : (conv.id === this.currentConversationId ? 
               `<button class="btn btn-xs btn-pinned" title="This conversation is pinned to the current session" disabled>📌</button>` :
               `<button onclick="dashboardConversations.assignConversation('${conv.id}')" 
                       class="btn btn-xs" title="Pin conversation - Marks this as the default conversation for this tmux session. If you restart the Claude loop or start a new one, it will use this conversation. Does NOT affect currently running Claude sessions.">📍</button>`)}
-            ${conv.isLeafSummary ? 
+            ${conv.archived ?
+              `<button onclick="dashboardArchive.restore('${conv.id}')" 
+                      class="btn btn-xs btn-success" title="Restore - Moves this conversation back into ~/.claude/projects so it can be resumed.">📤</button>` :
+              conv.isLeafSummary ? 
               `<button onclick="dashboardConversations.viewHistory('${conv.id}')" 
                       class="btn btn-xs btn-info" title="View historical summaries - These are compacted conversation archives from before Claude's 30-day retention period">📖 View History</button>` :
               `<button onclick="dashboardConversations.resumeConversation('${conv.id}')" 
                       class="btn btn-xs btn-success" title="Resume conversation - Stops any running loop and starts a fresh Claude session with this conversation. Changes to the conversation's working directory and continues from where it left off.">▶️</button>`}
+            <button onclick="dashboardConversations.compareConversation('${conv.id}')" 
+                    class="btn btn-xs${conv.id === this.compareLeftId ? ' btn-warning' : ''}" title="${conv.id === this.compareLeftId ? 'Picked for comparison - click ⚖️ on another conversation, or here again to cancel' : 'Compare - Pick two conversations (e.g. forks of the same parent) to see where they diverge and what compactions dropped'}">⚖️</button>
+            <button onclick="dashboardConversations.exportConversation('${conv.id}')" 
+                    class="btn btn-xs" title="Export conversation - Downloads it as Markdown, HTML (tool calls collapsible) or a JSON bundle, optionally with the conversations it was continued from.">⬇️</button>
+            ${conv.archived ? '' : `<button onclick="dashboardArchive.archive('${conv.id}')" 
+                    class="btn btn-xs" title="Archive conversation - Compresses it into ~/.claude/projects-archive. It stays in the tree and readable, and can be restored.">🗄️</button>
             <button onclick="dashboardConversations.deleteConversation('${conv.id}')" 
-                    class="btn btn-xs btn-danger" title="Delete conversation - Moves this conversation file to trash. Can be recovered from ~/.claude/trash/ if needed. Won't affect running sessions.">🗑️</button>
+                    class="btn btn-xs btn-danger" title="Delete conversation - Moves this conversation file to trash. Can be recovered from ~/.claude/trash/ if needed. Won't affect running sessions.">🗑️</button>`}
           </div>
         </div>
       </div>
@@ -884,9 +905,13 @@ window.dashboardConversations = {
   },
   
   /**
-   * View history for leaf summary files
+   * View history: the messages of a conversation around a line (search hits
+   * open here), or the summaries of a leaf summary file
+   * @param {string} conversationId
+   * @param {number|null} line - Line to scroll to, numbered like search hits
    */
-  viewHistory: async function(conversationId) {
+  viewHistory: async function(conversationId, line = null) {
+    if (line !== null) return this.viewHistoryAt(conversationId, line);
     try {
       const conv = this.conversations[conversationId];
       if (!conv || !conv.isLeafSummary) {
@@ -948,14 +973,110 @@ window.dashboardConversations = {
     }
   },
   
+  /**
+   * History modal scrolled to one line, paging further back or forward on request
+   */
+  viewHistoryAt: async function(conversationId, line) {
+    const radius = 25;
+    const conv = this.conversations[conversationId] || {};
+    const title = this.getTitle({ id: conversationId, ...conv });
+    const range = { from: line - radius, to: line + radius };
+
+    const renderMessages = (messages) => messages.map(msg => `
+      <div class="search-excerpt-message ${msg.index === line ? 'hit' : ''}" data-line="${msg.index}">
+        <div style="font-size: 11px; color: var(--text-secondary); margin-bottom: 4px;">
+          ${msg.type === 'user' ? '👤 User' : msg.type === 'system' ? '📝 System' : '🤖 Assistant'} · ${new Date(msg.timestamp).toLocaleString()}
+        </div>
+        ${this.highlightTerms(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content), this.lastSearchTerms)}
+      </div>
+    `).join('');
+
+    try {
+      const excerpt = await dashboardAPI.getConversationExcerpt(conversationId, line, radius);
+
+      const modal = document.createElement('div');
+      modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+      modal.innerHTML = `
+        <div style="background: var(--bg-primary); color: var(--text-primary); border-radius: 8px; padding: 20px; width: 800px; max-width: 90vw; max-height: 80vh; display: flex; flex-direction: column;">
+          <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
+            <h3 style="margin: 0; flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">📜 ${this.escapeHtml(title)}</h3>
+            <button class="btn btn-sm btn-info" data-action="select">Select conversation</button>
+            <button class="btn btn-sm" data-action="close">×</button>
+          </div>
+          <div class="search-excerpt-messages" style="overflow-y: auto;">
+            ${range.from > 0 ? '<button class="btn btn-sm" data-action="earlier" style="margin-bottom: 8px;">Earlier messages</button>' : ''}
+            <div class="history-messages">
+              ${renderMessages(excerpt.messages) || '<div class="empty">Message not found; the conversation may have changed since it was indexed.</div>'}
+            </div>
+            <button class="btn btn-sm" data-action="later">Later messages</button>
+          </div>
+        </div>
+      `;
+      const list = modal.querySelector('.history-messages');
+
+      modal.addEventListener('click', async (event) => {
+        const button = event.target;
+        const action = button.dataset.action;
+        if (event.target === modal || action === 'close') {
+          modal.remove();
+        } else if (action === 'select') {
+          modal.remove();
+          this.selectConversation(conversationId);
+        } else if (action === 'earlier' || action === 'later') {
+          button.disabled = true;
+          try {
+            const earlier = action === 'earlier';
+            const center = earlier ? range.from - radius - 1 : range.to + radius + 1;
+            const page = await dashboardAPI.getConversationExcerpt(conversationId, center, radius);
+            const messages = page.messages.filter(msg => earlier ? msg.index < range.from : msg.index > range.to);
+            if (earlier) {
+              range.from = center - radius;
+              list.insertAdjacentHTML('afterbegin', renderMessages(messages));
+              if (range.from <= 0) button.remove();
+            } else {
+              range.to = center + radius;
+              list.insertAdjacentHTML('beforeend', renderMessages(messages));
+              // Past the end of the file
+              if (page.messages.length === 0) button.remove();
+            }
+          } catch (error) {
+            console.error('Failed to load more history:', error);
+            alert('Failed to load messages: ' + error.message);
+          } finally {
+            button.disabled = false;
+          }
+        }
+      });
+      document.body.appendChild(modal);
+
+      const hit = modal.querySelector('.search-excerpt-message.hit');
+      if (hit) hit.scrollIntoView({ block: 'center' });
+    } catch (error) {
+      console.error('Failed to open history:', error);
+      alert('Failed to open message: ' + error.message);
+    }
+  },
+  
   /**
    * Rename conversation (triggered by double-click)
    */
   renameConversation: async function(conversationId) {
     const conv = this.conversations[conversationId];
-    const currentName = conv.customName || conv.firstUserMessage || conversationId;
-    const newName = prompt('Rename conversation (tip: double-click any title to rename):', currentName);
+    const currentName = this.getTitle(conv);
+    const newName = prompt('Rename conversation (tip: double-click any title to rename; clear it to go back to the automatic title):', currentName);
     
+    // Cleared: drop the name typed by hand
+    if (newName === '' && conv.customName) {
+      try {
+        await dashboardAPI.request(`/api/conversation/name?conversationId=${encodeURIComponent(conversationId)}`, { method: 'DELETE' });
+        delete conv.customName;
+        this.renderTree();
+      } catch (error) {
+        console.error('Failed to remove conversation name:', error);
+        alert('Failed to remove conversation name: ' + error.message);
+      }
+      return;
+    }
     if (!newName || newName === currentName) return;
     
     try {
@@ -984,12 +1105,157 @@ window.dashboardConversations = {
     }
   },
   
+  /**
+   * Pick a conversation for comparison; the second pick opens the comparison
+   */
+  compareConversation: function(conversationId) {
+    if (!this.compareLeftId || this.compareLeftId === conversationId) {
+      this.compareLeftId = this.compareLeftId === conversationId ? null : conversationId;
+      this.renderTree();
+      return;
+    }
+    const leftId = this.compareLeftId;
+    this.compareLeftId = null;
+    this.renderTree();
+    this.showComparison(leftId, conversationId);
+  },
+  
+  /**
+   * Side-by-side comparison of two conversations (see /api/conversation/diff)
+   */
+  showComparison: async function(leftId, rightId) {
+    let diff;
+    try {
+      diff = await dashboardAPI.compareConversations(leftId, rightId);
+    } catch (error) {
+      console.error('Failed to compare conversations:', error);
+      alert('Failed to compare conversations: ' + error.message);
+      return;
+    }
+    
+    const titleOf = (side) => {
+      const conv = this.conversations[side.id] || {};
+      return conv.customName || conv.autoTitle || conv.firstUserMessage || side.title || side.id;
+    };
+    const relations = {
+      'identical': 'Same messages',
+      'right-extends-left': 'Right continues where left ends',
+      'left-extends-right': 'Left continues where right ends',
+      'diverged': `Diverge after ${diff.sharedCount} shared message${diff.sharedCount === 1 ? '' : 's'}`,
+      'unrelated': 'No shared messages'
+    };
+    const describeSide = (side, compactions) => {
+      const notes = [`${side.totalCount} messages`];
+      if (side.inheritedCount) notes.push(`${side.inheritedCount} inherited from ${side.inheritedFrom.map(id => id.substring(0, 8)).join(' → ')}`);
+      if (compactions.length) {
+        const dropped = compactions.reduce((sum, c) => sum + c.droppedCount, 0);
+        notes.push(`${compactions.length} compaction${compactions.length === 1 ? '' : 's'}, ${dropped} messages dropped`);
+      }
+      return notes.join(' · ');
+    };
+    const renderList = (messages, compactions, firstIndex) => {
+      if (messages.length === 0) return '<div class="empty">No messages</div>';
+      const boundaries = {};
+      compactions.forEach(c => { boundaries[c.index] = c; });
+      return messages.map(msg => this.renderDiffMessage(msg, boundaries[msg.index], msg.index === firstIndex)).join('');
+    };
+    
+    const first = diff.firstDifference;
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div style="background: var(--bg-primary); color: var(--text-primary); border-radius: 8px; padding: 20px; width: 1100px; max-width: 95vw; max-height: 85vh; overflow-y: auto;">
+        <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 10px;">
+          <h3 style="margin: 0; flex: 1;">⚖️ ${relations[diff.relation] || diff.relation}</h3>
+          <button class="btn btn-sm" data-action="swap" title="Swap sides">⇄</button>
+          <button class="btn btn-sm" data-action="close">×</button>
+        </div>
+        <div class="diff-grid" style="margin-bottom: 10px;">
+          <div>
+            <div class="diff-column-title" title="${this.escapeHtml(titleOf(diff.left))}">◀ ${this.escapeHtml(titleOf(diff.left))}</div>
+            <div class="diff-message-meta">${diff.left.id} · ${describeSide(diff.left, diff.compactions.left)}</div>
+          </div>
+          <div>
+            <div class="diff-column-title" title="${this.escapeHtml(titleOf(diff.right))}">▶ ${this.escapeHtml(titleOf(diff.right))}</div>
+            <div class="diff-message-meta">${diff.right.id} · ${describeSide(diff.right, diff.compactions.right)}</div>
+          </div>
+        </div>
+        ${diff.sharedCount ? `
+          <details style="margin-bottom: 10px;">
+            <summary style="cursor: pointer;">🔗 ${diff.sharedCount} shared message${diff.sharedCount === 1 ? '' : 's'}${diff.shared.length ? ` (last: ${this.escapeHtml(diff.shared[diff.shared.length - 1].text.substring(0, 80))})` : ''}</summary>
+            <div style="margin-top: 6px;">${renderList(diff.shared, diff.compactions.left.filter(c => c.index < diff.sharedCount), -1)}</div>
+          </details>
+        ` : ''}
+        ${first ? `<div class="diff-message-meta" style="margin-bottom: 6px;">First difference at message #${first.index + 1}${first.left && first.right ? '' : first.left ? ' (right has nothing more)' : ' (left has nothing more)'}</div>` : ''}
+        <div class="diff-grid">
+          <div>${renderList(diff.leftOnly, diff.compactions.left, first ? first.index : -1)}</div>
+          <div>${renderList(diff.rightOnly, diff.compactions.right, first ? first.index : -1)}</div>
+        </div>
+      </div>
+    `;
+    modal.addEventListener('click', (event) => {
+      const action = event.target.dataset.action;
+      if (event.target === modal || action === 'close') {
+        modal.remove();
+      } else if (action === 'swap') {
+        modal.remove();
+        this.showComparison(rightId, leftId);
+      }
+    });
+    document.body.appendChild(modal);
+  },
+  
+  /**
+   * One message in the comparison, preceded by its compaction boundary if it is one
+   */
+  renderDiffMessage: function(msg, boundary, isFirstDifference) {
+    const icons = { user: '👤', assistant: '🤖', system: '📝' };
+    const classes = ['diff-message', msg.role, msg.compacted ? 'compacted' : '', isFirstDifference ? 'first-difference' : ''].filter(Boolean).join(' ');
+    const source = msg.conversationId ? msg.conversationId.substring(0, 8) : '';
+    return `
+      ${boundary ? `<div class="diff-boundary">📦 Compaction: ${boundary.droppedCount} earlier message${boundary.droppedCount === 1 ? '' : 's'} (#${boundary.droppedFrom + 1}–#${boundary.droppedTo + 1}) dropped from context</div>` : ''}
+      <div class="${classes}" title="${msg.compacted ? 'No longer in context (compacted)' : ''}">
+        <div class="diff-message-meta">#${msg.index + 1} ${icons[msg.role] || ''} ${msg.role}${msg.tools.length ? ` · 🔧 ${this.escapeHtml(msg.tools.join(', '))}` : ''} · ${msg.timestamp ? new Date(msg.timestamp).toLocaleString() : ''} · ${source}</div>
+        ${this.escapeHtml(msg.text)}
+      </div>
+    `;
+  },
+  
+  /**
+   * Export conversation (see /api/conversation/export)
+   */
+  exportConversation: function(conversationId) {
+    const conv = this.conversations[conversationId] || {};
+    const format = prompt('Export format: markdown, html or json', 'html');
+    if (!format) return;
+    if (!['markdown', 'html', 'json'].includes(format.trim().toLowerCase())) {
+      alert(`Unknown format "${format}". Use markdown, html or json.`);
+      return;
+    }
+    
+    const params = new URLSearchParams({ id: conversationId, format: format.trim().toLowerCase(), download: '1' });
+    // Forks and compacted continuations can be exported with everything before them
+    if (conv.parentId && confirm('Include the earlier conversations this one continues from?')) {
+      params.set('lineage', 'true');
+    }
+    if (!confirm('Include tool output? (Cancel leaves out tool results but keeps the calls)')) {
+      params.set('toolOutput', 'false');
+    }
+    
+    const link = document.createElement('a');
+    link.href = `/api/conversation/export?${params}`;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  },
+  
   /**
    * Delete conversation (move to trash)
    */
   deleteConversation: async function(conversationId) {
     const conv = this.conversations[conversationId];
-    const name = conv.firstUserMessage || conversationId;
+    const name = this.getTitle(conv);
     
     if (!confirm(`Are you sure you want to delete this conversation?\n\n"${name}"\n\nThe conversation will be moved to trash and can be recovered if needed.`)) {
       return;
@@ -1022,6 +1288,10 @@ window.dashboardConversations = {
   filterConversations: function(searchText) {
     const searchLower = searchText.toLowerCase();
     
+    // Messages are searched on the server once typing pauses
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.searchMessages(searchText), 400);
+    
     // If empty, show all
     if (!searchText.trim()) {
       this.renderTree();
@@ -1032,7 +1302,7 @@ window.dashboardConversations = {
     const filtered = {};
     for (const id in this.conversations) {
       const conv = this.conversations[id];
-      const title = conv.firstUserMessage || '';
+      const title = [conv.customName, conv.autoTitle, conv.firstUserMessage].filter(Boolean).join(' ');
       const cwd = conv.cwd || '';
       
       if (title.toLowerCase().includes(searchLower) || 
@@ -1054,6 +1324,85 @@ window.dashboardConversations = {
     html += '</div>';
     
     container.innerHTML = html;
+  },
+  
+  /**
+   * Full-text search across every message (see /api/conversation/search)
+   */
+  searchMessages: async function(searchText) {
+    const query = searchText.trim();
+    if (query === this.lastMessageSearch) return;
+    this.lastMessageSearch = query;
+    
+    const container = document.getElementById('conversation-search-hits');
+    if (!container) return;
+    if (query.length < 2) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+    
+    try {
+      const result = await dashboardAPI.searchConversations(query, { limit: 50 });
+      // A newer search may have started while this one ran
+      if (query !== this.lastMessageSearch) return;
+      this.renderSearchHits(result);
+    } catch (error) {
+      if (query !== this.lastMessageSearch) return;
+      container.style.display = 'block';
+      container.innerHTML = `<div class="search-hits-header">⚠️ ${this.escapeHtml(error.message)}</div>`;
+    }
+  },
+  
+  /**
+   * Render message search hits above the tree
+   */
+  renderSearchHits: function(result) {
+    const container = document.getElementById('conversation-search-hits');
+    if (!container) return;
+    
+    const roleIcons = { user: '👤', assistant: '🤖', tool: '🔧', system: '📝' };
+    const count = result.total === null ? `${result.hits.length}+` : result.total;
+    let html = `
+      <div class="search-hits-header">
+        <span>🔎 ${count} matching message${result.total === 1 ? '' : 's'}${result.truncated ? `, newest ${result.hits.length} shown` : ''}</span>
+        <span>${result.indexed.messages} messages in ${result.indexed.conversations} conversations indexed</span>
+      </div>
+    `;
+    
+    result.hits.forEach(hit => {
+      const conv = this.conversations[hit.conversationId] || {};
+      const title = conv.customName || conv.autoTitle || conv.firstUserMessage || hit.conversationId.substring(0, 8);
+      html += `
+        <div class="search-hit" onclick="dashboardConversations.viewHistory('${hit.conversationId}', ${hit.line})">
+          <div class="search-hit-meta">
+            <span>${roleIcons[hit.role] || ''} ${hit.role}${hit.tools.length ? ` · ${this.escapeHtml(hit.tools.join(', '))}` : ''}</span>
+            <span class="search-hit-title">${this.escapeHtml(title)}</span>
+            <span>${hit.timestamp ? this.getRelativeTime(hit.timestamp) : ''}</span>
+          </div>
+          <div class="search-hit-snippet">${this.highlightTerms(hit.snippet, result.terms)}</div>
+        </div>
+      `;
+    });
+    
+    this.lastSearchTerms = result.terms;
+    container.innerHTML = html;
+    container.style.display = 'block';
+  },
+  
+  /**
+   * Escape text and wrap the search terms in <mark>
+   */
+  highlightTerms: function(text, terms) {
+    const patterns = (terms || [])
+      .filter(Boolean)
+      .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .sort((a, b) => b.length - a.length);
+    if (patterns.length === 0) return this.escapeHtml(text);
+    // Split on the terms first so escaping never cuts through a match
+    return String(text || '').split(new RegExp(`(${patterns.join('|')})`, 'gi'))
+      .map((part, i) => i % 2 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+      .join('');
   }
 };
 
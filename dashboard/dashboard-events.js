@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Events Module
+ * Subscribes to the server's /api/events stream (see event-hub.js) and hands
+ * each event to whoever registered for it. Modules keep their polling as a
+ * fallback and skip it while `connected` is true.
+ */
+
+const dashboardEvents = {
+  source: null,
+  connected: false,
+  subscription: null, // query string of the open stream
+  handlers: {},
+
+  eventNames: ['hello', 'session', 'status', 'todos', 'loop', 'webhook', 'queue', 'log', 'chat', 'chat-reset'],
+
+  /**
+   * Whether the browser can use the stream at all
+   */
+  supported: function() {
+    return typeof EventSource !== 'undefined';
+  },
+
+  /**
+   * Open the stream, or reopen it if the subscription changed
+   * @param {object} options - {session, lines, background: [sessions], logs, chat}
+   */
+  subscribe: function(options = {}) {
+    if (!this.supported()) return;
+
+    const params = new URLSearchParams();
+    if (options.session) params.set('session', options.session);
+    if (options.lines) params.set('lines', options.lines);
+    if (options.background && options.background.length > 0) params.set('background', options.background.join(','));
+    if (options.logs) params.set('logs', '1');
+    if (options.chat) params.set('chat', '1');
+    const query = params.toString();
+
+    // EventSource reconnects by itself; only replace it when asking for something else
+    if (this.source && this.subscription === query && this.source.readyState !== EventSource.CLOSED) {
+      return;
+    }
+
+    // Swap streams quietly; whoever changed the subscription checks `connected` next
+    if (this.source) this.source.close();
+    this.connected = false;
+    this.subscription = query;
+    this.source = new EventSource(`/api/events?${query}`);
+
+    this.source.onopen = () => {
+      if (!this.connected) {
+        this.connected = true;
+        console.debug('[Events] Connected');
+        this.emit('connected', {});
+      }
+    };
+    this.source.onerror = () => {
+      if (this.connected) {
+        this.connected = false;
+        console.debug('[Events] Disconnected, falling back to polling');
+        this.emit('disconnected', {});
+      }
+    };
+
+    for (const name of this.eventNames) {
+      this.source.addEventListener(name, (event) => {
+        let data;
+        try {
+          data = JSON.parse(event.data);
+        } catch (error) {
+          console.error(`[Events] Bad ${name} payload:`, error);
+          return;
+        }
+        this.emit(name, data);
+      });
+    }
+  },
+
+  /**
+   * Close the stream (polling takes over)
+   */
+  close: function() {
+    if (this.source) {
+      this.source.close();
+      this.source = null;
+    }
+    this.subscription = null;
+    if (this.connected) {
+      this.connected = false;
+      this.emit('disconnected', {});
+    }
+  },
+
+  /**
+   * Register a handler
+   * @param {string} name - Event name, or 'connected' / 'disconnected'
+   * @param {function(object)} handler - Called with the event payload
+   */
+  on: function(name, handler) {
+    if (!this.handlers[name]) this.handlers[name] = [];
+    this.handlers[name].push(handler);
+  },
+
+  emit: function(name, data) {
+    for (const handler of this.handlers[name] || []) {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[Events] ${name} handler failed:`, error);
+      }
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardEvents;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardEvents = dashboardEvents;
+}
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Health Module
+ * Structural checks of the conversation and config files from /api/health/check
+ * in the Health card, with per-file details and repairs that back files up first
+ */
+
+const dashboardHealth = {
+  report: null,
+
+  KIND_LABELS: {
+    'truncated-last-line': 'truncated last line',
+    'invalid-json': 'invalid JSON',
+    'broken-parent': 'broken parent link',
+    'missing-parent': 'parent file gone',
+    'orphaned-sidechain': 'orphaned subagent messages',
+    'invalid-config-json': 'invalid JSON',
+    'unreadable': 'unreadable'
+  },
+
+  /**
+   * Toggle the health card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('health-card');
+    const content = document.getElementById('health-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      if (!this.report) this.check();
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+    }
+  },
+
+  /**
+   * Scope from the card's selector
+   */
+  getScope: function() {
+    const value = document.getElementById('health-scope')?.value || '20';
+    return value === 'all' ? {} : { recent: parseInt(value, 10) };
+  },
+
+  conversationLabel: function(conversationId) {
+    const conv = window.dashboardConversations && dashboardConversations.conversations[conversationId];
+    const label = conv && (conv.customName || conv.autoTitle || conv.firstUserMessage);
+    return label ? label.substring(0, 60) : conversationId.substring(0, 8);
+  },
+
+  check: async function() {
+    const summary = document.getElementById('health-summary');
+    if (summary) summary.textContent = 'Checking...';
+    try {
+      this.report = await dashboardAPI.checkHealth(this.getScope());
+      this.render();
+    } catch (error) {
+      console.error('Failed to check conversation health:', error);
+      if (summary) summary.textContent = 'Failed to check: ' + error.message;
+    }
+  },
+
+  describeKinds: function(issues) {
+    const counts = {};
+    issues.forEach(issue => {
+      const label = this.KIND_LABELS[issue.kind] || issue.kind;
+      counts[label] = (counts[label] || 0) + 1;
+    });
+    return Object.entries(counts).map(([label, count]) => `${count} ${label}`).join(', ');
+  },
+
+  render: function() {
+    const report = this.report;
+    if (!report) return;
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+
+    const summary = document.getElementById('health-summary');
+    if (summary) {
+      const problems = report.conversations.length + report.config.length;
+      summary.innerHTML = `
+        <div class="usage-total">${problems ? `<strong>${problems}</strong> files with problems` : '✅ No corruption found'}</div>
+        <div class="usage-split">${report.filesChecked} conversations, ${report.recordsChecked} records checked at ${new Date(report.checkedAt).toLocaleTimeString()}</div>
+      `;
+    }
+
+    const repairButton = document.getElementById('health-repair-btn');
+    if (repairButton) repairButton.disabled = !report.repairable;
+
+    const container = document.getElementById('health-list');
+    if (!container) return;
+    const rows = report.conversations.map(conversation => `
+      <div class="health-row${conversation.repairable ? '' : ' info'}" data-id="${dashboardConditional.escapeAttr(conversation.conversationId)}"
+        title="${dashboardConditional.escapeAttr(conversation.path)}">
+        <span class="usage-bar-label">${escape(this.conversationLabel(conversation.conversationId))}${conversation.active ? ' ✍️' : ''}</span>
+        <span class="health-kinds">${escape(this.describeKinds(conversation.issues))}${conversation.issueCount > conversation.issues.length ? ' …' : ''}</span>
+      </div>
+    `);
+    const byPath = new Map();
+    report.config.forEach(issue => {
+      if (!byPath.has(issue.path)) byPath.set(issue.path, []);
+      byPath.get(issue.path).push(issue);
+    });
+    byPath.forEach((issues, filePath) => rows.push(`
+      <div class="health-row${issues.some(issue => issue.repairable) ? '' : ' info'}" title="${dashboardConditional.escapeAttr(issues.map(issue => issue.detail).join('\n'))}">
+        <span class="usage-bar-label">${escape(filePath.split('/').slice(-2).join('/'))}</span>
+        <span class="health-kinds">${escape(this.describeKinds(issues))}${issues.some(issue => issue.repairable) ? '' : ' (fix by hand)'}</span>
+      </div>
+    `));
+    container.innerHTML = rows.join('');
+    container.querySelectorAll('.health-row[data-id]').forEach(row => {
+      row.addEventListener('click', () => this.showDetails(row.dataset.id));
+    });
+  },
+
+  /**
+   * Repair everything in the current scope, or one conversation
+   * @param {object} scope - Defaults to the card's scope
+   */
+  repair: async function(scope = null) {
+    const target = scope || this.getScope();
+    const what = target.conversationId ? 'this conversation' : 'every repairable file in this check';
+    if (!confirm(`Repair ${what}?\n\nEach file is backed up to ~/.claude/repair-backups first. Broken parent links are relinked to the previous message; invalid lines and orphaned subagent messages are removed.`)) {
+      return false;
+    }
+
+    try {
+      let result = await dashboardAPI.repairHealth(target);
+      if (result.skipped.length && confirm(`${result.skipped.length} files were written in the last two minutes and may still be in use:\n\n${result.skipped.map(s => s.path).join('\n')}\n\nRepair them anyway?`)) {
+        const forced = await dashboardAPI.repairHealth(target, true);
+        result = { ...forced, repaired: [...result.repaired, ...forced.repaired] };
+      }
+      const lines = [`Repaired ${result.repaired.length} files.`];
+      if (result.backupDir) lines.push(`Backups: ${result.backupDir}`);
+      result.failed.forEach(f => lines.push(`Failed ${f.path}: ${f.error}`));
+      alert(lines.join('\n'));
+      await this.check();
+      return true;
+    } catch (error) {
+      alert('Failed to repair: ' + error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Modal with one conversation's issues, line by line
+   */
+  showDetails: function(conversationId) {
+    const conversation = this.report && this.report.conversations.find(c => c.conversationId === conversationId);
+    if (!conversation) return;
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+    const plan = conversation.repair;
+    const planText = [
+      plan.dropLines && `remove ${plan.dropLines} invalid lines`,
+      plan.removeRecords && `remove ${plan.removeRecords} orphaned subagent messages`,
+      plan.relink && `relink ${plan.relink} messages`
+    ].filter(Boolean).join(', ');
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div class="usage-breakdown">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3 style="margin: 0;">🩺 ${escape(this.conversationLabel(conversationId))}</h3>
+          <button class="btn btn-sm btn-secondary" data-action="close">✕</button>
+        </div>
+        <p><code>${escape(conversation.path)}</code><br>
+          ${conversation.records} records · modified ${new Date(conversation.lastModified).toLocaleString()}${conversation.active ? ' · ✍️ being written' : ''}</p>
+        <table class="usage-table">
+          <tr><th>Line</th><th>Problem</th><th>Detail</th><th></th></tr>
+          ${conversation.issues.map(issue => `<tr>
+            <td>${issue.line}</td>
+            <td>${escape(this.KIND_LABELS[issue.kind] || issue.kind)}</td>
+            <td class="usage-table-label" title="${dashboardConditional.escapeAttr(issue.parentUuid ? `parentUuid ${issue.parentUuid}` : '')}"><code>${escape(issue.detail)}</code></td>
+            <td>${issue.repairable ? '' : 'kept'}</td>
+          </tr>`).join('')}
+        </table>
+        ${conversation.issueCount > conversation.issues.length ? `<small>${conversation.issueCount - conversation.issues.length} more not listed</small>` : ''}
+        <p>${planText ? `A repair would ${escape(planText)}.` : 'Nothing here can be repaired automatically.'}</p>
+        <div style="display: flex; gap: 4px;">
+          <button class="btn btn-sm btn-warning" data-action="repair"${conversation.repairable ? '' : ' disabled'}>🛠️ Repair</button>
+        </div>
+      </div>
+    `;
+    modal.addEventListener('click', async (e) => {
+      const action = e.target.dataset.action;
+      if (e.target === modal || action === 'close') {
+        modal.remove();
+      } else if (action === 'repair') {
+        if (await this.repair({ conversationId })) modal.remove();
+      }
+    });
+    document.body.appendChild(modal);
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardHealth;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardHealth = dashboardHealth;
+}
@@ -241,6 +241,7 @@ async function sendCustomMessage() {
     textarea.value = '';
     alert('Message sent successfully');
   } catch (error) {
+    if (error.cancelled) return;
     console.error('Failed to send message:', error);
     alert('Failed to send message: ' + error.message);
   }
@@ -414,6 +415,7 @@ async function sendToTmux() {
     input.value = '';
     setTimeout(refreshTmuxLogs, 500);
   } catch (error) {
+    if (error.cancelled) return;
     console.error('Failed to send tmux command:', error);
     alert('Failed to send command: ' + error.message);
   }
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Message Queue Module
+ * Shows the outgoing message queue for the current session and lets the user
+ * edit, cancel and retry messages
+ */
+
+const dashboardMessageQueue = {
+  refreshInterval: null,
+  editingId: null,
+
+  statusColors: {
+    queued: 'var(--text-secondary)',
+    pasted: 'var(--info)',
+    submitted: 'var(--warning)',
+    confirmed: 'var(--success)',
+    failed: 'var(--danger)'
+  },
+
+  /**
+   * Toggle the message queue card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('message-queue-card');
+    const content = document.getElementById('message-queue-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      this.refresh();
+      // Poll only while the event stream isn't telling us about changes
+      this.refreshInterval = setInterval(() => {
+        if (!(window.dashboardEvents && dashboardEvents.connected)) this.refresh();
+      }, 3000);
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  },
+
+  /**
+   * Reload the queue for the current session
+   */
+  refresh: async function() {
+    // Don't redraw under the user while they're editing a message
+    if (this.editingId) return;
+
+    const list = document.getElementById('message-queue-list');
+    if (!list) return;
+
+    try {
+      const data = await dashboardAPI.getMessageQueue(window.currentSession || 'claude');
+      this.render(data.items || []);
+    } catch (error) {
+      console.error('Failed to load message queue:', error);
+      list.innerHTML = '<em style="color: var(--danger);">Failed to load message queue</em>';
+    }
+  },
+
+  /**
+   * Render queue items, newest first
+   */
+  render: function(items) {
+    const list = document.getElementById('message-queue-list');
+    if (!list) return;
+
+    if (items.length === 0) {
+      list.innerHTML = '<em style="color: var(--text-secondary); font-size: 12px;">No messages queued for this session</em>';
+      return;
+    }
+
+    const escape = (text) => dashboardUtils.escapeHtml(String(text || ''));
+
+    list.innerHTML = items.slice().reverse().map(item => {
+      const color = this.statusColors[item.status] || 'var(--text-secondary)';
+      const time = new Date(item.createdAt).toLocaleTimeString();
+      const actions = [];
+      if (item.status === 'queued') {
+        actions.push(`<button class="btn btn-sm btn-secondary" onclick="dashboardMessageQueue.startEdit('${item.id}')">✏️</button>`);
+      }
+      if (['queued', 'pasted', 'submitted'].includes(item.status)) {
+        actions.push(`<button class="btn btn-sm btn-danger" onclick="dashboardMessageQueue.cancel('${item.id}')">✕</button>`);
+      }
+      if (item.status === 'failed') {
+        actions.push(`<button class="btn btn-sm btn-secondary" onclick="dashboardMessageQueue.retry('${item.id}')">↻ Retry</button>`);
+      }
+
+      let detail = '';
+      if (item.status === 'confirmed' && item.confirmedBy) {
+        detail = `confirmed via ${item.confirmedBy}`;
+      } else if (item.status === 'failed' && item.error) {
+        detail = item.error;
+      }
+
+      return `
+        <div class="queue-item" style="padding: 8px; margin-bottom: 6px; background: var(--bg-tertiary); border-radius: 4px; border-left: 3px solid ${color};">
+          <div style="display: flex; justify-content: space-between; align-items: center; font-size: 11px; margin-bottom: 4px;">
+            <span>
+              <strong style="color: ${color}; text-transform: uppercase;">${item.status}</strong>
+              <span style="color: var(--text-secondary);">· ${item.source} · ${time}</span>
+            </span>
+            <span style="display: flex; gap: 4px;">${actions.join('')}</span>
+          </div>
+          <div id="queue-message-${item.id}" style="font-size: 12px; white-space: pre-wrap; max-height: 120px; overflow-y: auto;">${escape(item.message)}</div>
+          ${detail ? `<div style="font-size: 11px; color: var(--text-secondary); margin-top: 4px;">${escape(detail)}</div>` : ''}
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Replace a queued message's text with an editor
+   */
+  startEdit: function(id) {
+    const container = document.getElementById(`queue-message-${id}`);
+    if (!container) return;
+
+    this.editingId = id;
+    const current = container.textContent;
+    container.innerHTML = `
+      <textarea id="queue-edit-${id}" style="width: 100%; min-height: 60px; font-size: 12px;"></textarea>
+      <div style="display: flex; gap: 4px; margin-top: 4px;">
+        <button class="btn btn-sm btn-primary" onclick="dashboardMessageQueue.saveEdit('${id}')">Save</button>
+        <button class="btn btn-sm btn-secondary" onclick="dashboardMessageQueue.cancelEdit()">Cancel</button>
+      </div>
+    `;
+    document.getElementById(`queue-edit-${id}`).value = current;
+  },
+
+  saveEdit: async function(id) {
+    const textarea = document.getElementById(`queue-edit-${id}`);
+    if (!textarea) return;
+
+    try {
+      await dashboardAPI.updateQueuedMessage(id, textarea.value);
+    } catch (error) {
+      alert('Could not update message: ' + error.message);
+    }
+    this.cancelEdit();
+  },
+
+  cancelEdit: function() {
+    this.editingId = null;
+    this.refresh();
+  },
+
+  cancel: async function(id) {
+    try {
+      await dashboardAPI.cancelQueuedMessages({ id });
+    } catch (error) {
+      console.error('Failed to cancel message:', error);
+    }
+    this.refresh();
+  },
+
+  retry: async function(id) {
+    try {
+      await dashboardAPI.retryQueuedMessage(id);
+    } catch (error) {
+      alert('Could not retry message: ' + error.message);
+    }
+    this.refresh();
+  },
+
+  clearFinished: async function() {
+    try {
+      await dashboardAPI.clearFinishedMessages(window.currentSession || 'claude');
+    } catch (error) {
+      console.error('Failed to clear finished messages:', error);
+    }
+    this.refresh();
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardMessageQueue;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardMessageQueue = dashboardMessageQueue;
+}
+
+// Redraw an open queue card whenever the server's queue changes
+if (typeof window !== 'undefined' && window.dashboardEvents) {
+  window.dashboardEvents.on('queue', () => {
+    if (dashboardMessageQueue.refreshInterval) dashboardMessageQueue.refresh();
+  });
+}
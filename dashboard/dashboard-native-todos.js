@@ -10,6 +10,7 @@ window.dashboardNativeTodos = {
   currentConversationId: null,
   nativeTodos: [],
   autoRefreshInterval: null,
+  pushedConversationId: null, // conversation the event stream has reported changes for
   
   /**
    * Initialize the native todos module
@@ -26,9 +27,25 @@ window.dashboardNativeTodos = {
       };
     }
     
+    // Reload as soon as the server sees Claude's todo file change
+    if (window.dashboardEvents) {
+      window.dashboardEvents.on('todos', (data) => {
+        if (data.source !== 'native' || data.conversationId !== this.currentConversationId) return;
+        this.pushedConversationId = data.conversationId;
+        if (this.isVisible()) {
+          this.loadForConversation(this.currentConversationId);
+        }
+      });
+    }
+
     // Start auto-refresh
     this.startAutoRefresh();
   },
+
+  isVisible: function() {
+    const content = document.getElementById('native-todos-content');
+    return !!content && content.style.display !== 'none';
+  },
   
   /**
    * Toggle the native todos panel visibility
@@ -466,10 +483,13 @@ window.dashboardNativeTodos = {
    * Start auto-refresh
    */
   startAutoRefresh: function() {
-    // Refresh every 30 seconds if panel is visible
+    // Refresh every 30 seconds if panel is visible, unless the event stream
+    // is already reporting changes to this conversation's todo file
     this.autoRefreshInterval = setInterval(() => {
-      const content = document.getElementById('native-todos-content');
-      if (content && content.style.display !== 'none' && this.currentConversationId) {
+      const pushed = window.dashboardEvents && window.dashboardEvents.connected &&
+        this.pushedConversationId === this.currentConversationId;
+      if (pushed) return;
+      if (this.isVisible() && this.currentConversationId) {
         this.loadForConversation(this.currentConversationId);
       }
     }, 30000);
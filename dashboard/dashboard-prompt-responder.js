@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Prompt Responder Module
+ * Edits the session's prompt policy, shows recent decisions and offers answer
+ * buttons for prompts the policy escalated
+ */
+
+const dashboardPromptResponder = {
+  policy: { enabled: false, delaySeconds: 3, rules: [] },
+  types: ['any', 'bash', 'edit', 'tool', 'confirmation', 'choice', 'question'],
+  refreshInterval: null,
+
+  /**
+   * Toggle the prompt policy card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('prompt-policy-card');
+    const content = document.getElementById('prompt-policy-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      this.load();
+      this.refreshInterval = setInterval(() => this.refreshAudit(), 5000);
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  },
+
+  /**
+   * Load policy and audit log for the current session
+   */
+  load: async function() {
+    try {
+      const data = await dashboardAPI.getPromptResponder(window.currentSession || 'claude');
+      this.policy = data.policy;
+      this.policy.rules = this.policy.rules || [];
+      if (data.types) this.types = data.types;
+      document.getElementById('prompt-policy-enabled').checked = !!this.policy.enabled;
+      document.getElementById('prompt-policy-delay').value = this.policy.delaySeconds !== undefined ? this.policy.delaySeconds : 3;
+      this.renderRules();
+      this.renderAudit(data.audit || []);
+    } catch (error) {
+      console.error('Failed to load prompt policy:', error);
+    }
+  },
+
+  /**
+   * Reload only the audit log so rule edits in progress aren't lost
+   */
+  refreshAudit: async function() {
+    try {
+      const data = await dashboardAPI.getPromptResponder(window.currentSession || 'claude');
+      this.renderAudit(data.audit || []);
+    } catch (error) {
+      console.error('Failed to load prompt audit log:', error);
+    }
+  },
+
+  renderRules: function() {
+    const container = document.getElementById('prompt-policy-rules');
+    if (!container) return;
+
+    if (this.policy.rules.length === 0) {
+      container.innerHTML = '<em style="color: var(--text-secondary); font-size: 12px;">No rules - every prompt is escalated</em>';
+      return;
+    }
+
+    const attr = (text) => dashboardConditional.escapeAttr(text);
+    container.innerHTML = this.policy.rules.map((rule, index) => `
+      <div class="prompt-rule" style="padding: 6px; margin-bottom: 6px; background: var(--bg-tertiary); border-radius: 4px; font-size: 12px;">
+        <div style="display: flex; gap: 4px; align-items: center; margin-bottom: 4px;">
+          <input type="checkbox" ${rule.enabled !== false ? 'checked' : ''} onchange="dashboardPromptResponder.setRuleField(${index}, 'enabled', this.checked)" title="Enabled">
+          <select onchange="dashboardPromptResponder.setRuleField(${index}, 'type', this.value)">
+            ${this.types.map(type => `<option value="${type}" ${(rule.type || 'any') === type ? 'selected' : ''}>${type}</option>`).join('')}
+          </select>
+          <select onchange="dashboardPromptResponder.setRuleField(${index}, 'answer', this.value)">
+            <option value="yes" ${rule.answer === 'yes' ? 'selected' : ''}>Yes</option>
+            <option value="no" ${rule.answer === 'no' ? 'selected' : ''}>No</option>
+            <option value="option" ${rule.answer === 'option' ? 'selected' : ''}>Option #</option>
+          </select>
+          <input type="number" min="1" value="${attr(rule.option)}" style="width: 45px; display: ${rule.answer === 'option' ? 'inline-block' : 'none'};" oninput="dashboardPromptResponder.setRuleField(${index}, 'option', parseInt(this.value) || null)">
+          <button class="btn btn-sm btn-danger" style="margin-left: auto;" onclick="dashboardPromptResponder.removeRule(${index})">✕</button>
+        </div>
+        <input type="text" value="${attr(rule.text)}" placeholder="Prompt text contains" style="width: 100%; margin-bottom: 2px;" oninput="dashboardPromptResponder.setRuleField(${index}, 'text', this.value)">
+        <input type="text" value="${attr(rule.path)}" placeholder="File under path (edit prompts)" style="width: 100%; margin-bottom: 2px;" oninput="dashboardPromptResponder.setRuleField(${index}, 'path', this.value)">
+        <input type="text" value="${attr(rule.regex)}" placeholder="Command regex (bash prompts)" style="width: 100%;" oninput="dashboardPromptResponder.setRuleField(${index}, 'regex', this.value)">
+      </div>
+    `).join('');
+  },
+
+  renderAudit: function(entries) {
+    const container = document.getElementById('prompt-policy-audit');
+    if (!container) return;
+
+    if (entries.length === 0) {
+      container.innerHTML = '<em style="color: var(--text-secondary); font-size: 12px;">No decisions yet</em>';
+      return;
+    }
+
+    const escape = (text) => dashboardUtils.escapeHtml(String(text || ''));
+    const colors = { answered: 'var(--success)', manual: 'var(--info)', escalated: 'var(--warning)', error: 'var(--danger)' };
+
+    container.innerHTML = entries.map(entry => {
+      const prompt = entry.prompt || {};
+      const subject = prompt.command || prompt.filePath || prompt.question || '';
+      const how = entry.action === 'escalated' ? entry.reason :
+        `option ${entry.option}${entry.ruleId ? ' · rule ' + entry.ruleId : ''}`;
+      return `
+        <div style="font-size: 11px; padding: 4px 6px; margin-bottom: 4px; border-left: 3px solid ${colors[entry.action] || 'var(--text-secondary)'};">
+          <strong>${escape(entry.action)}</strong>
+          <span style="color: var(--text-secondary);">· ${escape(prompt.type)} · ${new Date(entry.time).toLocaleTimeString()}</span>
+          <div style="white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${dashboardConditional.escapeAttr(subject)}">${escape(subject)}</div>
+          <div style="color: var(--text-secondary);">${escape(how)}</div>
+        </div>
+      `;
+    }).join('');
+  },
+
+  addRule: function() {
+    this.policy.rules.push({
+      id: 'rule-' + Date.now().toString(36),
+      enabled: true,
+      type: 'bash',
+      answer: 'yes'
+    });
+    this.renderRules();
+  },
+
+  removeRule: function(index) {
+    this.policy.rules.splice(index, 1);
+    this.renderRules();
+  },
+
+  setRuleField: function(index, field, value) {
+    const rule = this.policy.rules[index];
+    if (!rule) return;
+    if (value === '' || value === null) {
+      delete rule[field];
+    } else {
+      rule[field] = value;
+    }
+    // Only the answer select changes which inputs are shown
+    if (field === 'answer') this.renderRules();
+  },
+
+  save: async function() {
+    this.policy.enabled = document.getElementById('prompt-policy-enabled').checked;
+    this.policy.delaySeconds = parseInt(document.getElementById('prompt-policy-delay').value) || 0;
+
+    try {
+      await dashboardAPI.savePromptPolicy(this.policy, window.currentSession || 'claude');
+      const status = document.getElementById('prompt-policy-status');
+      if (status) {
+        status.textContent = '✓ Saved';
+        setTimeout(() => { status.textContent = ''; }, 2000);
+      }
+    } catch (error) {
+      alert('Could not save prompt policy: ' + error.message);
+    }
+  },
+
+  /**
+   * Show answer buttons in the prompt notification when the policy escalated
+   * @param {object|null} responder - interactivePrompt.responder from /api/tmux-tail
+   */
+  renderPromptActions: function(responder) {
+    const container = document.getElementById('prompt-actions');
+    if (!container) return;
+
+    if (!responder || responder.action !== 'escalate' || !responder.prompt) {
+      container.style.display = 'none';
+      container.innerHTML = '';
+      return;
+    }
+
+    // Polling re-renders every couple of seconds; leave the buttons alone for the same prompt
+    if (container.dataset.escalationId === responder.escalationId) return;
+    container.dataset.escalationId = responder.escalationId;
+
+    container.innerHTML = responder.prompt.options.map(label => {
+      const number = parseInt(label);
+      return `<button class="btn btn-xs btn-secondary" onclick="dashboardPromptResponder.answer('option', ${number})">${dashboardUtils.escapeHtml(label)}</button>`;
+    }).join('');
+    container.style.display = 'flex';
+  },
+
+  answer: async function(answer, option = null) {
+    try {
+      await dashboardAPI.answerPrompt(answer, option, window.currentSession || 'claude');
+      this.renderPromptActions(null);
+    } catch (error) {
+      alert('Could not answer prompt: ' + error.message);
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardPromptResponder;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardPromptResponder = dashboardPromptResponder;
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Tools Module
+ * Tool-call analytics from /api/tools: calls, failure rates and durations per
+ * tool, with the most edited files, bash commands and per project and session
+ * breakdowns in a details view
+ */
+
+const dashboardTools = {
+  report: null,
+  refreshInterval: null,
+
+  /**
+   * Toggle the tool analytics card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('tools-card');
+    const content = document.getElementById('tools-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      this.load();
+      this.refreshInterval = setInterval(() => this.load(), 60000);
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  },
+
+  /**
+   * Filters from the card's controls
+   */
+  getFilters: function() {
+    const filters = {};
+    const days = document.getElementById('tools-range')?.value || '7';
+    if (days !== 'all') {
+      const date = new Date(Date.now() - (parseInt(days) - 1) * 86400000);
+      const pad = (n) => String(n).padStart(2, '0');
+      filters.from = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    if (document.getElementById('tools-scope')?.value === 'session') {
+      filters.session = window.currentSession || 'claude';
+    }
+    return filters;
+  },
+
+  load: async function() {
+    try {
+      this.report = await dashboardAPI.getToolAnalytics(this.getFilters());
+      this.render();
+    } catch (error) {
+      console.error('Failed to load tool analytics:', error);
+      const summary = document.getElementById('tools-summary');
+      if (summary) summary.textContent = 'Failed to load tool analytics: ' + error.message;
+    }
+  },
+
+  rebuild: async function() {
+    if (!confirm('Read every conversation file again? This can take a while.')) return;
+    try {
+      await dashboardAPI.rebuildToolAnalytics();
+      await this.load();
+    } catch (error) {
+      alert('Failed to rebuild tool analytics: ' + error.message);
+    }
+  },
+
+  /**
+   * Open the report for the current filters as JSON
+   */
+  openJson: function() {
+    window.open(`/api/tools?${new URLSearchParams(this.getFilters())}`, '_blank');
+  },
+
+  formatDuration: function(ms) {
+    if (ms === null || ms === undefined) return '–';
+    if (ms < 1000) return `${ms}ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${(ms / 60000).toFixed(1)}m`;
+  },
+
+  formatRate: function(rate) {
+    return `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`;
+  },
+
+  render: function() {
+    const report = this.report;
+    if (!report) return;
+    const totals = report.totals;
+
+    const summary = document.getElementById('tools-summary');
+    if (summary) {
+      summary.innerHTML = `
+        <div class="usage-total"><strong>${totals.calls}</strong> calls · ${this.formatRate(totals.failureRate)} failed · median ${this.formatDuration(totals.medianMs)}</div>
+        ${totals.unanswered ? `<div class="usage-split">${totals.unanswered} without a result yet</div>` : ''}
+      `;
+    }
+
+    const container = document.getElementById('tools-list');
+    if (!container) return;
+    if (report.tools.length === 0) {
+      container.innerHTML = '<em class="usage-empty">No tool calls in this range</em>';
+      return;
+    }
+    const max = report.tools[0].calls;
+    container.innerHTML = report.tools.map(row => `
+      <div class="usage-bar-row" title="${row.failures} failed, median ${this.formatDuration(row.medianMs)}, longest ${this.formatDuration(row.maxMs)}">
+        <span class="usage-bar-label">${dashboardUtils.escapeHtml(row.tool)}</span>
+        <span class="usage-bar"><span style="width: ${(row.calls / max) * 100}%;"></span></span>
+        <span class="usage-bar-value">${row.calls}${row.failures ? ` <span class="tools-failed">${this.formatRate(row.failureRate)}</span>` : ''}</span>
+      </div>
+    `).join('');
+  },
+
+  /**
+   * Modal with per tool, file, command, project and session tables
+   */
+  showDetails: async function() {
+    if (!this.report) await this.load();
+    if (!this.report) return;
+    const report = this.report;
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+
+    const table = (title, rows, labelOf, extra = null, total = rows.length) => `
+      <h4>${title}${total > rows.length ? ` <small>(top ${rows.length} of ${total})</small>` : ''}</h4>
+      ${rows.length === 0 ? '<em class="usage-empty">None</em>' : `<table class="usage-table">
+        <tr><th></th><th>Calls</th><th>Failed</th><th>Median</th><th>Longest</th><th>Total time</th>${extra ? `<th>${extra.title}</th>` : ''}</tr>
+        ${rows.map(row => `<tr>
+          <td class="usage-table-label">${labelOf(row)}</td>
+          <td>${row.calls}</td><td>${row.failures ? `${row.failures} (${this.formatRate(row.failureRate)})` : '0'}</td>
+          <td>${this.formatDuration(row.medianMs)}</td><td>${this.formatDuration(row.maxMs)}</td><td>${this.formatDuration(row.totalMs)}</td>
+          ${extra ? `<td class="usage-table-label">${extra.value(row)}</td>` : ''}
+        </tr>`).join('')}
+      </table>`}`;
+
+    const titled = (text) => `<span title="${dashboardConditional.escapeAttr(text)}">${escape(text)}</span>`;
+    const topTools = { title: 'Top tools', value: row => escape(row.tools.map(t => `${t.tool} ${t.calls}`).join(', ')) };
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div class="usage-breakdown">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3 style="margin: 0;">🔧 Tool calls ${report.filters.from ? `since ${escape(report.filters.from)}` : '(all time)'}${report.filters.session ? ` · ${escape(report.filters.session)}` : ''}</h3>
+          <div style="display: flex; gap: 4px;">
+            <button class="btn btn-sm btn-secondary" data-action="json">{ } JSON</button>
+            <button class="btn btn-sm btn-secondary" data-action="close">✕</button>
+          </div>
+        </div>
+        ${table('By tool', report.tools, row => escape(row.tool))}
+        ${table('Most edited files', report.files, row => titled(row.path), null, report.fileCount)}
+        ${table('Bash commands', report.bashCommands, row => `<code>${titled(row.command)}</code>`, null, report.bashCommandCount)}
+        ${table('Bash programs', report.bashPrograms, row => `<code>${escape(row.program)}</code>`)}
+        ${table('By project', report.byProject, row => titled(row.cwd || row.project), topTools)}
+        ${table('By session', report.bySession, row => row.session ? escape(row.session) : '<em>not tracked by a session</em>', topTools)}
+      </div>
+    `;
+    modal.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (e.target === modal || action === 'close') modal.remove();
+      else if (action === 'json') this.openJson();
+    });
+    document.body.appendChild(modal);
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardTools;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardTools = dashboardTools;
+}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+
+/**
+ * Dashboard Usage Module
+ * Token and estimated cost charts from /api/usage, a per project, session and
+ * conversation breakdown, and the price table editor
+ */
+
+const dashboardUsage = {
+  report: null,
+  refreshInterval: null,
+
+  /**
+   * Toggle the usage card
+   */
+  toggleCard: function() {
+    const card = document.getElementById('usage-card');
+    const content = document.getElementById('usage-content');
+    const toggle = card?.querySelector('.toggle');
+
+    if (!card || !content) return;
+
+    if (card.classList.contains('collapsed')) {
+      card.classList.remove('collapsed');
+      content.style.display = 'block';
+      if (toggle) toggle.textContent = '▼';
+      this.load();
+      this.refreshInterval = setInterval(() => this.load(), 60000);
+    } else {
+      card.classList.add('collapsed');
+      content.style.display = 'none';
+      if (toggle) toggle.textContent = '▶';
+      clearInterval(this.refreshInterval);
+      this.refreshInterval = null;
+    }
+  },
+
+  /**
+   * Filters from the card's controls
+   */
+  getFilters: function() {
+    const filters = {};
+    const days = document.getElementById('usage-range')?.value || '7';
+    if (days !== 'all') filters.from = this.dayKey(new Date(Date.now() - (parseInt(days) - 1) * 86400000));
+    if (document.getElementById('usage-scope')?.value === 'session') {
+      filters.session = window.currentSession || 'claude';
+    }
+    return filters;
+  },
+
+  load: async function() {
+    try {
+      this.report = await dashboardAPI.getUsage(this.getFilters());
+      this.render();
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+      const summary = document.getElementById('usage-summary');
+      if (summary) summary.textContent = 'Failed to load usage: ' + error.message;
+    }
+  },
+
+  rebuild: async function() {
+    if (!confirm('Read every conversation file again? This can take a while.')) return;
+    try {
+      await dashboardAPI.rebuildUsage();
+      await this.load();
+    } catch (error) {
+      alert('Failed to rebuild usage totals: ' + error.message);
+    }
+  },
+
+  // Local YYYY-MM-DD, the same day boundaries the server uses
+  dayKey: function(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  formatTokens: function(n) {
+    if (n >= 1e9) return (n / 1e9).toFixed(1) + 'B';
+    if (n >= 1e6) return (n / 1e6).toFixed(1) + 'M';
+    if (n >= 1e3) return (n / 1e3).toFixed(1) + 'k';
+    return String(n);
+  },
+
+  formatCost: function(cost) {
+    return '$' + (cost >= 100 ? cost.toFixed(0) : cost.toFixed(2));
+  },
+
+  render: function() {
+    const report = this.report;
+    if (!report) return;
+    const totals = report.totals;
+    const summary = document.getElementById('usage-summary');
+    if (summary) {
+      summary.innerHTML = `
+        <div class="usage-total"><strong>${this.formatCost(totals.cost)}</strong> estimated · ${this.formatTokens(totals.total)} tokens · ${totals.messages} responses</div>
+        <div class="usage-split">
+          in ${this.formatTokens(totals.input)} · out ${this.formatTokens(totals.output)} ·
+          cache write ${this.formatTokens(totals.cacheWrite)} · cache read ${this.formatTokens(totals.cacheRead)}
+        </div>
+        ${report.unpricedModels.length ? `<div class="usage-warning">No price for ${report.unpricedModels.map(m => dashboardUtils.escapeHtml(m)).join(', ')}</div>` : ''}
+      `;
+    }
+    this.renderDays();
+    this.renderBars('usage-models', report.byModel, row => row.model);
+  },
+
+  /**
+   * Column per day; days without use are filled in so gaps show
+   */
+  renderDays: function() {
+    const container = document.getElementById('usage-days');
+    if (!container) return;
+    const metric = document.getElementById('usage-metric')?.value || 'cost';
+    const byDay = new Map(this.report.byDay.map(row => [row.day, row]));
+
+    const days = [];
+    if (this.report.filters.from) {
+      const end = new Date();
+      for (let date = new Date(this.report.filters.from + 'T00:00:00'); date <= end; date.setDate(date.getDate() + 1)) {
+        days.push(this.dayKey(date));
+      }
+    } else {
+      days.push(...byDay.keys());
+    }
+    if (days.length === 0) {
+      container.innerHTML = '<em class="usage-empty">No usage in this range</em>';
+      return;
+    }
+
+    const value = (row) => row ? row[metric === 'cost' ? 'cost' : 'total'] : 0;
+    const max = Math.max(...days.map(day => value(byDay.get(day))), 0) || 1;
+    const label = (row) => metric === 'cost' ? this.formatCost(value(row)) : this.formatTokens(value(row));
+
+    container.innerHTML = `<div class="usage-chart">${days.map(day => {
+      const row = byDay.get(day);
+      return `<div class="usage-column" title="${day}: ${label(row)}${row ? `, ${row.messages} responses` : ''}">
+        <div class="usage-column-bar" style="height: ${(value(row) / max) * 100}%;"></div>
+      </div>`;
+    }).join('')}</div>
+    <div class="usage-chart-axis"><span>${days[0]}</span><span>max ${label({ cost: max, total: max })}</span><span>${days[days.length - 1]}</span></div>`;
+  },
+
+  /**
+   * Horizontal bars by cost (tokens when nothing is priced)
+   */
+  renderBars: function(containerId, rows, labelOf) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    if (rows.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    const useCost = rows.some(row => row.cost > 0);
+    const value = (row) => useCost ? row.cost : row.total;
+    const max = Math.max(...rows.map(value)) || 1;
+
+    container.innerHTML = rows.map(row => `
+      <div class="usage-bar-row" title="${this.formatTokens(row.total)} tokens, ${row.messages} responses">
+        <span class="usage-bar-label">${dashboardUtils.escapeHtml(labelOf(row))}</span>
+        <span class="usage-bar"><span style="width: ${(value(row) / max) * 100}%;"></span></span>
+        <span class="usage-bar-value">${useCost ? this.formatCost(row.cost) : this.formatTokens(row.total)}</span>
+      </div>
+    `).join('');
+  },
+
+  /**
+   * Modal with project, session and conversation tables and the price editor
+   */
+  showBreakdown: async function() {
+    if (!this.report) await this.load();
+    if (!this.report) return;
+    const report = this.report;
+    const escape = (text) => dashboardUtils.escapeHtml(String(text ?? ''));
+    const names = (window.dashboardConversations && dashboardConversations.conversations) || {};
+
+    const table = (title, rows, labelOf, total) => `
+      <h4>${title}${total > rows.length ? ` <small>(top ${rows.length} of ${total})</small>` : ''}</h4>
+      <table class="usage-table">
+        <tr><th></th><th>Input</th><th>Output</th><th>Cache write</th><th>Cache read</th><th>Responses</th><th>Cost</th></tr>
+        ${rows.map(row => `<tr>
+          <td class="usage-table-label">${labelOf(row)}</td>
+          <td>${this.formatTokens(row.input)}</td><td>${this.formatTokens(row.output)}</td>
+          <td>${this.formatTokens(row.cacheWrite)}</td><td>${this.formatTokens(row.cacheRead)}</td>
+          <td>${row.messages}</td><td>${this.formatCost(row.cost)}</td>
+        </tr>`).join('')}
+      </table>`;
+
+    const conversationLabel = (row) => {
+      const conv = names[row.conversationId] || {};
+      const title = conv.customName || conv.autoTitle || row.title || row.conversationId;
+      return `<span title="${dashboardConditional.escapeAttr(row.conversationId)}">${escape(title.substring(0, 60))}</span>`;
+    };
+
+    const modal = document.createElement('div');
+    modal.style.cssText = 'position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 9999; display: flex; align-items: center; justify-content: center;';
+    modal.innerHTML = `
+      <div class="usage-breakdown">
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h3 style="margin: 0;">💰 Usage ${report.filters.from ? `since ${escape(report.filters.from)}` : '(all time)'}${report.filters.session ? ` · ${escape(report.filters.session)}` : ''}</h3>
+          <button class="btn btn-sm btn-secondary" data-action="close">✕</button>
+        </div>
+        ${table('By model', report.byModel, row => escape(row.model) + (row.priced ? '' : ' ⚠️'), report.byModel.length)}
+        ${table('By session', report.bySession, row => row.session ? escape(row.session) : '<em>not tracked by a session</em>', report.bySession.length)}
+        ${table('By project', report.byProject, row => `<span title="${dashboardConditional.escapeAttr(row.project)}">${escape(row.cwd || row.project)}</span>`, report.byProject.length)}
+        ${table('By conversation', report.byConversation, conversationLabel, report.conversationCount)}
+        <h4>Prices <small>(USD per million tokens; the first row whose text is in the model name applies)</small></h4>
+        <table class="usage-table usage-prices" id="usage-prices">
+          <tr><th>Model contains</th><th>Input</th><th>Output</th><th>Cache write</th><th>Cache read</th><th></th></tr>
+          ${report.prices.map(price => this.priceRow(price)).join('')}
+        </table>
+        <div style="display: flex; gap: 4px; margin-top: 8px;">
+          <button class="btn btn-sm btn-secondary" data-action="add-price">+ Row</button>
+          <button class="btn btn-sm btn-secondary" data-action="reset-prices"${report.customPrices ? '' : ' disabled'}>↺ Default prices</button>
+          <button class="btn btn-sm btn-primary" data-action="save-prices">💾 Save Prices</button>
+          <span id="usage-prices-status" style="font-size: 12px; align-self: center;"></span>
+        </div>
+      </div>
+    `;
+    modal.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (e.target === modal || action === 'close') modal.remove();
+      else if (action === 'add-price') document.getElementById('usage-prices').insertAdjacentHTML('beforeend', this.priceRow({}));
+      else if (action === 'remove-price') e.target.closest('tr').remove();
+      else if (action === 'save-prices') this.savePrices(false, modal);
+      else if (action === 'reset-prices') this.savePrices(true, modal);
+    });
+    document.body.appendChild(modal);
+  },
+
+  priceRow: function(price) {
+    const cell = (field) => `<td><input type="number" min="0" step="any" data-field="${field}" value="${price[field] ?? ''}"></td>`;
+    return `<tr>
+      <td><input type="text" data-field="match" value="${dashboardConditional.escapeAttr(price.match)}" placeholder="sonnet"></td>
+      ${cell('input')}${cell('output')}${cell('cacheWrite')}${cell('cacheRead')}
+      <td><button class="btn btn-sm btn-secondary" data-action="remove-price" title="Remove">✕</button></td>
+    </tr>`;
+  },
+
+  savePrices: async function(reset, modal) {
+    const status = document.getElementById('usage-prices-status');
+    let prices = null;
+    if (!reset) {
+      prices = [...document.querySelectorAll('#usage-prices tr')].slice(1).map(row => {
+        const price = {};
+        row.querySelectorAll('input').forEach(input => {
+          price[input.dataset.field] = input.dataset.field === 'match' ? input.value.trim() : Number(input.value || 0);
+        });
+        return price;
+      }).filter(price => price.match);
+    }
+
+    try {
+      await dashboardAPI.saveUsagePrices(prices);
+      await this.load();
+      modal.remove();
+      this.showBreakdown();
+    } catch (error) {
+      if (status) {
+        status.style.color = 'var(--danger)';
+        status.textContent = error.message;
+      }
+    }
+  }
+};
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dashboardUsage;
+}
+
+// Make available globally in browser
+if (typeof window !== 'undefined') {
+  window.dashboardUsage = dashboardUsage;
+}
@@ -33,4 +33,60 @@ async function readFirstLine(filePath) {
     });
 }
 
-module.exports = { readFirstLine };
\ No newline at end of file
+/**
+ * Read the complete lines appended to a file since a byte offset.
+ * Conversation files are append-only, so callers remember where they stopped
+ * and pass it back next time.
+ * @param {string} filePath - Path to the file
+ * @param {number} offset - Byte offset to start at; must be the start of a line
+ * @param {function(Buffer, number): void} onLine - Called with each line's bytes and its offset
+ * @returns {Promise<number>} Offset after the last complete line. A trailing
+ *   line without a newline is still being written and is left for next time.
+ */
+async function readLinesFrom(filePath, offset, onLine) {
+    const chunkBytes = 1024 * 1024;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        let carry = Buffer.alloc(0);
+        while (offset + carry.length < size) {
+            const length = Math.min(chunkBytes, size - offset - carry.length);
+            const chunk = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(chunk, 0, length, offset + carry.length);
+            if (bytesRead === 0) break;
+            let buffer = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+
+            let newline;
+            while ((newline = buffer.indexOf(0x0a)) !== -1) {
+                onLine(buffer.subarray(0, newline), offset);
+                offset += newline + 1;
+                buffer = buffer.subarray(newline + 1);
+            }
+            carry = buffer;
+        }
+        return offset;
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Whether the byte before `size` is a newline, i.e. a file read up to `size`
+ * before still ends on a line boundary there and was only appended to since
+ * @param {string} filePath - Path to the file
+ * @param {number} size - Offset a previous read stopped at
+ * @returns {Promise<boolean>}
+ */
+async function endsWithNewline(filePath, size) {
+    if (size === 0) return true;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const byte = Buffer.alloc(1);
+        await handle.read(byte, 0, 1, size - 1);
+        return byte[0] === 0x0a;
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = { readFirstLine, readLinesFrom, endsWithNewline };
\ No newline at end of file
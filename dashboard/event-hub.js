@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Event Hub
+ * Server-Sent Events stream of dashboard state (/api/events)
+ *
+ * Every open dashboard tab used to poll /api/tmux-tail, /api/status and friends
+ * on its own timer, and every poll shelled out to tmux. The hub captures each
+ * watched pane once per tick, however many tabs are connected, and pushes only
+ * what changed. Other parts of the server publish their own events (todo
+ * mutations, loop decisions, webhook statuses, queue changes) through publish().
+ *
+ * Events:
+ *   session - /api/tmux-tail payload for a session, sent when it changes
+ *   status  - getLoopStatus() result, sent when it changes
+ *   todos   - a todo list was written (project todos or Claude's native todos)
+ *   loop    - a scheduler decision was recorded
+ *   webhook - a session reported its status
+ *   queue   - a queued message changed status
+ *   log     - new lines in a session's monitor log (clients that ask for logs)
+ *   chat, chat-reset - messages appended to a session's conversation (clients
+ *             that ask for chat; see conversation-tailer.js)
+ */
+
+const fs = require('fs').promises;
+
+const DEFAULT_TICK_MS = 2000;
+const DEFAULT_BACKGROUND_EVERY = 5; // background sessions are captured every Nth tick
+const DEFAULT_BACKGROUND_LINES = 100;
+const KEEPALIVE_MS = 15000;
+const MAX_LOG_CHUNK = 64 * 1024; // bytes of new log read per tick
+
+class EventHub {
+  /**
+   * @param {object} hooks - Server callbacks
+   * @param {function(string, number): Promise<object>} hooks.getTmuxTail - Capture and analyse a pane
+   * @param {function(): Promise<object>} hooks.getStatus - Loop status (getLoopStatus)
+   * @param {function(string): Promise<object|null>} hooks.getNativeTodoFile - {conversationId, path} of Claude's todo file for a session
+   * @param {function(string): string|null} hooks.getLogPath - Monitor log file for a session
+   * @param {ConversationTailer} hooks.tailer - Follows conversation files for chat clients (optional)
+   * @param {object} hooks.log - Logger
+   * @param {object} options - Tuning
+   * @param {number} options.tickMs - Capture interval
+   * @param {number} options.backgroundEvery - Ticks between background captures
+   */
+  constructor(hooks, options = {}) {
+    this.hooks = hooks;
+    this.tickMs = options.tickMs || DEFAULT_TICK_MS;
+    this.backgroundEvery = options.backgroundEvery || DEFAULT_BACKGROUND_EVERY;
+    this.clients = new Set();
+    this.nextClientId = 1;
+    this.timer = null;
+    this.ticking = false;
+    this.tickCount = 0;
+    this.lastKeepalive = 0;
+    this.lastSession = new Map(); // session -> { json, payload } last pushed tmux-tail payload
+    this.lastStatus = null; // JSON of the last pushed status
+    this.todoMtimes = new Map(); // native todo path -> mtime
+    this.logOffsets = new Map(); // session -> byte offset already streamed
+  }
+
+  /**
+   * Attach an SSE response. The connection stays open until the browser leaves.
+   * @param {object} res - HTTP response
+   * @param {object} options - Subscription
+   * @param {string|null} options.session - Foreground session, captured every tick
+   * @param {string[]} options.background - Sessions captured every few ticks
+   * @param {number} options.lines - Scrollback lines for the foreground session
+   * @param {boolean} options.logs - Whether to stream monitor log lines
+   * @param {boolean} options.chat - Whether to stream the session's conversation messages
+   */
+  addClient(res, { session = null, background = [], lines = 500, logs = false, chat = false } = {}) {
+    const client = {
+      id: this.nextClientId++,
+      res,
+      session,
+      background: background.filter(s => s && s !== session),
+      lines,
+      logs,
+      chat
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    this.clients.add(client);
+    this.send(client, 'hello', { clientId: client.id, tickMs: this.tickMs });
+
+    // Catch the new tab up with what the others already have
+    for (const watched of [session, ...client.background]) {
+      const last = watched && this.lastSession.get(watched);
+      if (last) this.send(client, 'session', last.payload);
+    }
+    if (this.lastStatus) {
+      this.send(client, 'status', JSON.parse(this.lastStatus));
+    }
+
+    res.on('close', () => this.removeClient(client));
+    if (!this.clients.has(client)) return client; // gone before the catch-up was written
+    this.hooks.log.debug(`[Events] Client ${client.id} connected (${session || 'no session'}, ${this.clients.size} open)`);
+    this.start();
+    return client;
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) return; // already dropped after a failed write
+    this.hooks.log.debug(`[Events] Client ${client.id} disconnected (${this.clients.size} open)`);
+    if (this.clients.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Push an event to every client, or only to clients watching a session
+   * @param {string} event - Event name
+   * @param {object} data - Payload
+   * @param {string|null} session - Limit to clients watching this session
+   */
+  publish(event, data, session = null) {
+    for (const client of this.clients) {
+      if (session && client.session !== session && !client.background.includes(session)) continue;
+      this.send(client, event, data);
+    }
+  }
+
+  /**
+   * Conversation updates go only to clients showing that session's chat
+   */
+  publishChat(event, data) {
+    for (const client of this.clients) {
+      if (client.chat && client.session === data.session) this.send(client, event, data);
+    }
+  }
+
+  send(client, event, data) {
+    this.write(client, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write to a client's stream, dropping the client if its socket is gone
+   */
+  write(client, text) {
+    try {
+      if (client.res.destroyed || client.res.writableEnded) throw new Error('stream closed');
+      client.res.write(text);
+    } catch (error) {
+      this.hooks.log.debug(`[Events] Write to client ${client.id} failed: ${error.message}`);
+      this.removeClient(client);
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickMs);
+    this.tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.hooks.tailer) this.hooks.tailer.stopAll();
+    // Nobody is watching; the next tab should get a fresh capture
+    this.lastSession.clear();
+    this.lastStatus = null;
+    this.logOffsets.clear();
+  }
+
+  /**
+   * Sessions to capture this tick, with the most scrollback any client asked for
+   * @returns {Map<string, {lines: number, logs: boolean}>}
+   */
+  collectSessions() {
+    const backgroundTick = this.tickCount % this.backgroundEvery === 0;
+    const wanted = new Map();
+    const want = (session, lines, logs) => {
+      const entry = wanted.get(session) || { lines: 0, logs: false };
+      entry.lines = Math.max(entry.lines, lines);
+      entry.logs = entry.logs || logs;
+      wanted.set(session, entry);
+    };
+
+    for (const client of this.clients) {
+      if (client.session) want(client.session, client.lines, client.logs);
+      if (backgroundTick) {
+        for (const session of client.background) want(session, DEFAULT_BACKGROUND_LINES, false);
+      }
+    }
+    return wanted;
+  }
+
+  async tick() {
+    if (this.ticking || this.clients.size === 0) return;
+    this.ticking = true;
+
+    try {
+      for (const [session, { lines, logs }] of this.collectSessions()) {
+        await this.captureSession(session, lines);
+        await this.checkNativeTodos(session);
+        if (logs) await this.tailLog(session);
+      }
+
+      if (this.hooks.tailer) {
+        const chatSessions = new Set([...this.clients].filter(client => client.chat && client.session).map(client => client.session));
+        await this.hooks.tailer.sync(chatSessions, (event, data) => this.publishChat(event, data));
+      }
+
+      const status = await this.hooks.getStatus();
+      const statusJson = JSON.stringify(status);
+      if (statusJson !== this.lastStatus) {
+        this.lastStatus = statusJson;
+        this.publish('status', status);
+      }
+
+      if (Date.now() - this.lastKeepalive >= KEEPALIVE_MS) {
+        this.lastKeepalive = Date.now();
+        for (const client of this.clients) {
+          this.write(client, ': keepalive\n\n');
+        }
+      }
+    } catch (error) {
+      this.hooks.log.error('[Events] Tick failed:', error);
+    } finally {
+      this.tickCount++;
+      this.ticking = false;
+    }
+  }
+
+  async captureSession(session, lines) {
+    const tail = await this.hooks.getTmuxTail(session, lines);
+    const payload = { session, lines, ...tail };
+    const json = JSON.stringify(payload);
+    const last = this.lastSession.get(session);
+    if (last && last.json === json) return;
+
+    this.lastSession.set(session, { json, payload });
+    this.publish('session', payload, session);
+  }
+
+  // Claude writes its own todo file, so the only way to notice is to look at it
+  async checkNativeTodos(session) {
+    const todoFile = await this.hooks.getNativeTodoFile(session);
+    if (!todoFile) return;
+
+    let mtime;
+    try {
+      mtime = (await fs.stat(todoFile.path)).mtimeMs;
+    } catch (e) {
+      return;
+    }
+
+    const previous = this.todoMtimes.get(todoFile.path);
+    this.todoMtimes.set(todoFile.path, mtime);
+    if (previous !== undefined && previous !== mtime) {
+      this.publish('todos', { source: 'native', session, conversationId: todoFile.conversationId }, session);
+    }
+  }
+
+  async tailLog(session) {
+    const logPath = this.hooks.getLogPath(session);
+    if (!logPath) return;
+
+    let size;
+    try {
+      size = (await fs.stat(logPath)).size;
+    } catch (e) {
+      return;
+    }
+
+    const offset = this.logOffsets.get(session);
+    // First look only sets the starting point; the browser loads history itself
+    if (offset === undefined || size < offset) {
+      this.logOffsets.set(session, size);
+      return;
+    }
+    if (size === offset) return;
+
+    const start = Math.max(offset, size - MAX_LOG_CHUNK);
+    const handle = await fs.open(logPath, 'r');
+    try {
+      const buffer = Buffer.alloc(size - start);
+      await handle.read(buffer, 0, buffer.length, start);
+      this.logOffsets.set(session, size);
+      const lines = buffer.toString('utf8').split('\n').filter(line => line.length > 0);
+      if (lines.length === 0) return;
+      for (const client of this.clients) {
+        if (client.logs && client.session === session) this.send(client, 'log', { session, lines });
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+}
+
+module.exports = EventHub;
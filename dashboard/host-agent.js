@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+
+/**
+ * Host Agent
+ * Small HTTP server that lets a dashboard on another machine drive the tmux
+ * sessions and read the Claude conversation files of this one.
+ * Register it on the dashboard with POST /api/hosts; see zdocs/MULTI_HOST.md.
+ *
+ * Usage: node host-agent.js [--port 3340] [--host 127.0.0.1] [--token <secret>]
+ *                           [--name <name>] [--tmux-tmpdir <dir>] [--projects-dir <dir>]
+ *
+ * Every option can also be set through the environment: CLAUDE_LOOP_AGENT_PORT,
+ * CLAUDE_LOOP_AGENT_HOST, CLAUDE_LOOP_AGENT_TOKEN, CLAUDE_LOOP_AGENT_NAME,
+ * TMUX_TMPDIR and CLAUDE_PROJECTS_DIR.
+ *
+ * --tmux-tmpdir points the agent at its own tmux server, so two agents on one
+ * machine each see only their own sessions (handy for testing).
+ */
+
+const http = require('http');
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const ApiRouter = require('./api-router.js');
+
+const { HttpError } = ApiRouter;
+
+const SESSION_PATTERN = /^[\w-]+$/;
+const CONVERSATION_PATTERN = /^[\w-]+$/;
+const CHUNK_BYTES = 4 * 1024 * 1024; // conversation bytes per response
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2).replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+    options[key] = argv[i + 1];
+    i++;
+  }
+  return options;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const options = {
+  port: parseInt(args.port || process.env.CLAUDE_LOOP_AGENT_PORT) || 3340,
+  host: args.host || process.env.CLAUDE_LOOP_AGENT_HOST || '127.0.0.1',
+  token: args.token || process.env.CLAUDE_LOOP_AGENT_TOKEN || null,
+  name: args.name || process.env.CLAUDE_LOOP_AGENT_NAME || os.hostname(),
+  tmuxTmpdir: args.tmuxTmpdir || null,
+  projectsDir: args.projectsDir || process.env.CLAUDE_PROJECTS_DIR || path.join(os.homedir(), '.claude', 'projects')
+};
+
+if (options.tmuxTmpdir) {
+  // Must be set before tmux is first run; $TMUX would otherwise win inside a tmux session
+  process.env.TMUX_TMPDIR = options.tmuxTmpdir;
+  delete process.env.TMUX;
+}
+
+// Loaded after TMUX_TMPDIR is settled; no host registry here, so every call is local
+const tmuxUtils = require('./tmux-utils.js');
+
+const log = {
+  info: (...msg) => console.log(`[Agent ${options.name}]`, ...msg),
+  error: (...msg) => console.error(`[Agent ${options.name}]`, ...msg)
+};
+
+function checkSession(session) {
+  if (!SESSION_PATTERN.test(session || '')) {
+    throw new HttpError(400, `Invalid session name: ${session}`);
+  }
+  return session;
+}
+
+/**
+ * Find a conversation file in any project directory
+ * @param {string} id - Conversation id
+ * @returns {Promise<{file: string, project: string}|null>}
+ */
+async function findConversation(id) {
+  let projects;
+  try {
+    projects = await fs.readdir(options.projectsDir, { withFileTypes: true });
+  } catch (e) {
+    return null;
+  }
+  for (const project of projects.filter(entry => entry.isDirectory())) {
+    const file = path.join(options.projectsDir, project.name, `${id}.jsonl`);
+    try {
+      await fs.access(file);
+      return { file, project: project.name };
+    } catch (e) {
+      // Not in this project
+    }
+  }
+  return null;
+}
+
+/**
+ * Read complete lines starting at a byte offset, so a line Claude is still
+ * writing is sent next time rather than cut in half
+ */
+async function readLines(file, offset, size) {
+  const handle = await fs.open(file, 'r');
+  try {
+    let length = Math.min(CHUNK_BYTES, size - offset);
+    let buffer = Buffer.alloc(0);
+    while (length > 0) {
+      const chunk = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(chunk, 0, length, offset + buffer.length);
+      buffer = Buffer.concat([buffer, chunk.subarray(0, bytesRead)]);
+      const end = buffer.lastIndexOf(0x0a);
+      if (end !== -1) return buffer.subarray(0, end + 1);
+      // A single line longer than a chunk; keep reading until it ends
+      length = Math.min(CHUNK_BYTES, size - offset - buffer.length);
+    }
+    return Buffer.alloc(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+const router = new ApiRouter({ log });
+
+router.get('/health', { summary: 'Agent name and tmux status' }, async () => {
+  const sessions = await tmuxUtils.listSessions();
+  return {
+    name: options.name,
+    hostname: os.hostname(),
+    pid: process.pid,
+    sessions: sessions.length,
+    projectsDir: options.projectsDir
+  };
+});
+
+router.get('/sessions', { summary: 'tmux sessions on this host' }, async () => {
+  return { sessions: await tmuxUtils.listSessions() };
+});
+
+router.post('/sessions', {
+  summary: 'Create a detached session',
+  body: { required: ['session'], properties: { command: 'string', session: 'string', workingDir: 'string' } }
+}, async ({ body }) => {
+  await tmuxUtils.newSession(checkSession(body.session), body.workingDir || os.homedir(), body.command || null);
+  return { success: true };
+});
+
+router.delete('/sessions/:session', { summary: 'Kill a session' }, async ({ params }) => {
+  await tmuxUtils.killSession(checkSession(params.session));
+  return { success: true };
+});
+
+router.get('/sessions/:session/capture', {
+  summary: 'Capture the pane',
+  query: { escapes: '1 to keep colour escapes', lines: 'Scrollback lines, 0 for all, omit for the visible screen' }
+}, async ({ params, query }) => {
+  const lines = query.lines === undefined ? undefined : parseInt(query.lines);
+  const content = await tmuxUtils.capturePane(checkSession(params.session), { lines, escapes: query.escapes === '1' });
+  return { content };
+});
+
+router.post('/sessions/:session/keys', {
+  summary: 'tmux send-keys, one argument per entry',
+  body: { required: ['keys'], properties: { keys: 'array' } }
+}, async ({ params, body }) => {
+  if (!body.keys.every(key => typeof key === 'string')) {
+    throw new HttpError(400, 'keys must be strings');
+  }
+  return tmuxUtils.sendKeys(checkSession(params.session), body.keys);
+});
+
+router.post('/sessions/:session/paste', {
+  summary: 'Paste text without pressing Enter',
+  body: { required: ['text'], properties: { text: 'string' } }
+}, async ({ params, body }) => {
+  return tmuxUtils.pasteText(body.text, checkSession(params.session));
+});
+
+router.post('/sessions/:session/clear-history', { summary: 'Clear old scrollback' }, async ({ params }) => {
+  return tmuxUtils.clearHistory(checkSession(params.session));
+});
+
+router.get('/sessions/:session/cwd', { summary: 'Directory of the active pane' }, async ({ params }) => {
+  return { cwd: await tmuxUtils.getPaneCwd(checkSession(params.session)) };
+});
+
+router.get('/conversations', {
+  summary: 'Most recently changed conversation files',
+  query: { limit: 'Maximum number of entries' }
+}, async ({ query }) => {
+  const limit = parseInt(query.limit) || 50;
+  const conversations = [];
+  let projects = [];
+  try {
+    projects = (await fs.readdir(options.projectsDir, { withFileTypes: true })).filter(entry => entry.isDirectory());
+  } catch (e) {
+    // No projects yet
+  }
+  for (const project of projects) {
+    const dir = path.join(options.projectsDir, project.name);
+    for (const name of await fs.readdir(dir)) {
+      if (!name.endsWith('.jsonl')) continue;
+      const stat = await fs.stat(path.join(dir, name));
+      conversations.push({ id: name.slice(0, -6), project: project.name, size: stat.size, modified: stat.mtime.toISOString() });
+    }
+  }
+  conversations.sort((a, b) => b.modified.localeCompare(a.modified));
+  return { conversations: conversations.slice(0, limit) };
+});
+
+router.get('/conversations/:id', {
+  summary: 'Raw conversation lines from a byte offset',
+  query: { offset: 'Byte offset to start at' }
+}, async ({ params, query }) => {
+  if (!CONVERSATION_PATTERN.test(params.id)) throw new HttpError(400, 'Invalid conversation id');
+  const found = await findConversation(params.id);
+  if (!found) throw new HttpError(404, `Conversation ${params.id} not found`);
+
+  const { size } = await fs.stat(found.file);
+  const offset = Math.max(0, parseInt(query.offset) || 0);
+  const data = offset < size ? await readLines(found.file, offset, size) : Buffer.alloc(0);
+  return {
+    id: params.id,
+    project: found.project,
+    size,
+    offset,
+    data: data.toString('utf8'),
+    more: offset + data.length < size && data.length > 0
+  };
+});
+
+router.get('/openapi.json', { summary: 'This description' }, async () => {
+  return router.openapi({ title: 'Claude Loop Host Agent', version: '1.0.0' });
+});
+
+const tokenHash = options.token ? crypto.createHash('sha256').update(options.token).digest() : null;
+
+function authorized(req) {
+  if (!tokenHash) return true;
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  return crypto.timingSafeEqual(crypto.createHash('sha256').update(given).digest(), tokenHash);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://agent');
+
+  if (!authorized(req)) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Authentication required' }));
+    return;
+  }
+
+  let rawBody = '';
+  req.on('data', chunk => { rawBody += chunk; });
+  req.on('end', () => {
+    // Unknown paths get the router's 404
+    router.handle({
+      method: req.method,
+      pathname: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      rawBody
+    }, res).catch(error => {
+      log.error(`Request failed (${req.method} ${url.pathname}): ${error.message}`);
+      if (!res.headersSent) res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Internal error' }));
+    });
+  });
+});
+
+server.listen(options.port, options.host, () => {
+  log.info(`Listening on http://${options.host}:${options.port}`);
+  if (!tokenHash && !['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+    log.error('No --token set while listening beyond localhost; anyone who can reach this port can type into your sessions');
+  }
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
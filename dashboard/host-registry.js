@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+
+/**
+ * Host Registry
+ * Remote machines the dashboard manages through host-agent.js.
+ *
+ * A session on a remote host is addressed as `host:session` everywhere a
+ * session name is accepted (loops, todos, conversations, the tmux routes).
+ * Names without a registered host prefix are local tmux sessions, so existing
+ * session names keep working unchanged.
+ *
+ * Hosts are stored in hosts.json (git-ignored, it holds the agent tokens):
+ *   { "hosts": [{ "name": "gpu", "url": "http://10.0.0.5:3340", "token": "..." }] }
+ *
+ * Conversation files of remote sessions are mirrored into host-mirror/<host>/
+ * so ConversationReader can stream them like local files. Only the bytes
+ * appended since the last sync are fetched.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const HOST_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const REQUEST_TIMEOUT_MS = 10000;
+const MIRROR_SYNC_MS = 1000; // reuse a finished sync for this long
+
+class HostRegistry {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.file - Where hosts are stored
+   * @param {string} options.mirrorDir - Where remote conversation files are mirrored
+   * @param {number} options.timeoutMs - Agent request timeout
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'hosts.json');
+    this.mirrorDir = options.mirrorDir || path.join(__dirname, 'host-mirror');
+    this.timeoutMs = options.timeoutMs || REQUEST_TIMEOUT_MS;
+    this.log = options.log || console;
+    this.hosts = new Map(); // name -> { name, url, token }
+    this.conversationHosts = new Map(); // conversationId -> host name
+    this.mirrorSyncs = new Map(); // conversationId -> { promise, settledAt }
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.hosts = new Map((data.hosts || []).map(host => [host.name, host]));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log.error('[Hosts] Failed to read hosts.json:', error);
+      }
+      this.hosts = new Map();
+    }
+    return this.list();
+  }
+
+  async save() {
+    const data = { hosts: [...this.hosts.values()] };
+    await fs.writeFile(this.file, JSON.stringify(data, null, 2), { mode: 0o600 });
+  }
+
+  /**
+   * Registered hosts, without their tokens
+   * @returns {Array<{name: string, url: string, hasToken: boolean}>}
+   */
+  list() {
+    return [...this.hosts.values()].map(({ name, url, token }) => ({ name, url, hasToken: !!token }));
+  }
+
+  /**
+   * Register a host, or update one with the same name
+   * @param {object} host - {name, url, token}
+   * @returns {Promise<object>} The stored host, without its token
+   */
+  async add({ name, url, token = null }) {
+    if (!name || !HOST_NAME_PATTERN.test(name)) {
+      throw new Error('Host name may only contain letters, digits, "-" and "_"');
+    }
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error(`Invalid agent URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new Error('Agent URL must be http:// or https://');
+    }
+    const host = { name, url: parsed.origin, token: token || null };
+    this.hosts.set(name, host);
+    await this.save();
+    return { name, url: host.url, hasToken: !!host.token };
+  }
+
+  /**
+   * @param {string} name - Host name
+   * @returns {Promise<boolean>} Whether a host was removed
+   */
+  async remove(name) {
+    if (!this.hosts.delete(name)) return false;
+    for (const [id, hostName] of this.conversationHosts) {
+      if (hostName === name) this.conversationHosts.delete(id);
+    }
+    await this.save();
+    return true;
+  }
+
+  /**
+   * Split a session id into host and tmux session name
+   * @param {string} id - `host:session` or a local session name
+   * @returns {{host: object|null, session: string}} host is null for local sessions
+   */
+  parse(id) {
+    const index = typeof id === 'string' ? id.indexOf(':') : -1;
+    if (index > 0) {
+      const host = this.hosts.get(id.slice(0, index));
+      if (host) return { host, session: id.slice(index + 1) };
+    }
+    return { host: null, session: id };
+  }
+
+  /**
+   * @param {string} id - Session id
+   * @returns {boolean} True if the session lives on a registered remote host
+   */
+  isRemote(id) {
+    return this.parse(id).host !== null;
+  }
+
+  /**
+   * Call an agent endpoint
+   * @param {string} name - Host name
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Agent path, including any query string
+   * @param {object} body - JSON body (optional)
+   * @returns {Promise<any>} Parsed response
+   */
+  async request(name, method, pathname, body = undefined) {
+    const host = this.hosts.get(name);
+    if (!host) throw new Error(`Unknown host: ${name}`);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (host.token) headers.Authorization = `Bearer ${host.token}`;
+
+    let response;
+    try {
+      response = await fetch(host.url + pathname, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      throw new Error(`Host ${name} is unreachable: ${error.message}`);
+    }
+
+    const text = await response.text();
+    let data = null;
+    try { data = text ? JSON.parse(text) : null; } catch (e) { /* not JSON */ }
+    if (!response.ok) {
+      const error = new Error(`Host ${name}: ${(data && data.error) || text || response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+   * Agent operations for one host. Session names here are the plain tmux names.
+   * @param {string} name - Host name
+   * @returns {object}
+   */
+  client(name) {
+    const sessionPath = (session, suffix = '') => `/sessions/${encodeURIComponent(session)}${suffix}`;
+    return {
+      health: () => this.request(name, 'GET', '/health'),
+      listSessions: async () => (await this.request(name, 'GET', '/sessions')).sessions,
+      newSession: (session, workingDir, command) => this.request(name, 'POST', '/sessions', { session, workingDir, command }),
+      killSession: (session) => this.request(name, 'DELETE', sessionPath(session)),
+      capture: async (session, { lines, escapes = false } = {}) => {
+        const query = new URLSearchParams();
+        if (lines !== undefined && lines !== null) query.set('lines', lines);
+        if (escapes) query.set('escapes', '1');
+        return (await this.request(name, 'GET', sessionPath(session, `/capture?${query}`))).content;
+      },
+      sendKeys: (session, keys) => this.request(name, 'POST', sessionPath(session, '/keys'), { keys }),
+      paste: (session, text) => this.request(name, 'POST', sessionPath(session, '/paste'), { text }),
+      clearHistory: (session) => this.request(name, 'POST', sessionPath(session, '/clear-history'), {}),
+      paneCwd: async (session) => (await this.request(name, 'GET', sessionPath(session, '/cwd'))).cwd,
+      listConversations: async (limit = 50) => (await this.request(name, 'GET', `/conversations?limit=${limit}`)).conversations,
+      readConversation: (id, offset = 0) => this.request(name, 'GET', `/conversations/${encodeURIComponent(id)}?offset=${offset}`)
+    };
+  }
+
+  /**
+   * Sessions on every registered host, as `host:session` ids. Hosts that don't
+   * answer are reported with their error instead of failing the whole list.
+   * @returns {Promise<Array<{host: string, ok: boolean, sessions: string[], error?: string}>>}
+   */
+  async listRemoteSessions() {
+    return Promise.all([...this.hosts.keys()].map(async name => {
+      try {
+        const sessions = await this.client(name).listSessions();
+        return { host: name, ok: true, sessions: sessions.map(session => `${name}:${session}`) };
+      } catch (error) {
+        return { host: name, ok: false, sessions: [], error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Health of every registered host
+   * @returns {Promise<Array<object>>}
+   */
+  async status() {
+    return Promise.all(this.list().map(async host => {
+      try {
+        return { ...host, ok: true, agent: await this.client(host.name).health() };
+      } catch (error) {
+        return { ...host, ok: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Local copy of a conversation file that lives on a remote host
+   * @param {string} conversationId - Conversation id
+   * @returns {Promise<string|null>} Path of the mirror, or null if no host has it
+   */
+  async findConversationFile(conversationId) {
+    if (this.hosts.size === 0 || !/^[\w-]+$/.test(conversationId || '')) return null;
+
+    // A sync that is still appending must be shared, or a second one would append the same bytes
+    const recent = this.mirrorSyncs.get(conversationId);
+    if (recent && (recent.settledAt === null || Date.now() - recent.settledAt < MIRROR_SYNC_MS)) {
+      return recent.promise;
+    }
+
+    const entry = { promise: null, settledAt: null };
+    entry.promise = this.syncConversation(conversationId).catch(error => {
+      this.log.debug(`[Hosts] Could not mirror conversation ${conversationId}: ${error.message}`);
+      return null;
+    }).finally(() => {
+      entry.settledAt = Date.now();
+    });
+    this.mirrorSyncs.set(conversationId, entry);
+    return entry.promise;
+  }
+
+  async syncConversation(conversationId) {
+    const known = this.conversationHosts.get(conversationId);
+    const candidates = known && this.hosts.has(known) ? [known] : [...this.hosts.keys()];
+
+    for (const name of candidates) {
+      const file = path.join(this.mirrorDir, name, `${conversationId}.jsonl`);
+      let offset = 0;
+      try {
+        offset = (await fs.stat(file)).size;
+      } catch (e) {
+        // Not mirrored yet
+      }
+
+      let chunk;
+      try {
+        chunk = await this.client(name).readConversation(conversationId, offset);
+      } catch (error) {
+        if (error.status === 404) continue;
+        // Host is down; serve what was mirrored last time
+        if (offset > 0) return file;
+        throw error;
+      }
+
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      if (chunk.size < offset) {
+        // The file was rewritten on the host; start over
+        await fs.writeFile(file, '');
+        offset = 0;
+        chunk = await this.client(name).readConversation(conversationId, 0);
+      }
+      // Large files come in several chunks
+      while (chunk.data) {
+        await fs.appendFile(file, chunk.data);
+        offset += Buffer.byteLength(chunk.data);
+        if (!chunk.more) break;
+        chunk = await this.client(name).readConversation(conversationId, offset);
+      }
+      this.conversationHosts.set(conversationId, name);
+      return file;
+    }
+    return null;
+  }
+}
+
+HostRegistry.HOST_NAME_PATTERN = HOST_NAME_PATTERN;
+
+module.exports = HostRegistry;
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Loop Scheduler
+ * Decides when a session loop sends its next message.
+ *
+ * Instead of a fixed setInterval per session, every loop ticks every few seconds
+ * and sends as soon as Claude has worked and gone idle again (after a minimum
+ * cooldown), with delayMinutes kept as an upper bound. Every decision is kept in
+ * a short per-session trace so the dashboard can show why a message was or
+ * wasn't sent.
+ */
+
+const DEFAULT_TICK_MS = 10 * 1000;
+const DEFAULT_TRACE_LIMIT = 200;
+
+class LoopScheduler {
+  /**
+   * @param {object} hooks - Server callbacks the scheduler relies on
+   * @param {function(string): object|undefined} hooks.getLoopInfo - Loop entry from sessionLoops
+   * @param {function(string): Promise<object>} hooks.getConfig - Session config
+   * @param {function(): Promise<boolean>} hooks.isGloballyPaused - Whether the global pause file exists
+   * @param {function(string, object): boolean} hooks.isScheduleActive - schedule.minutes check
+   * @param {function(string): Promise<object>} hooks.checkActivity - Fresh {isBusy, lastActivityTime}
+   * @param {function(string): boolean} hooks.hasPendingMessages - Whether earlier messages are still being delivered
+   * @param {function(string, object): Promise<string>} hooks.sendNext - Pick and send the next message, returns what was sent
+   * @param {function(string, object)} [hooks.onRecord] - Called with each new or updated trace entry
+   * @param {object} hooks.log - Logger
+   * @param {object} options - Optional overrides
+   * @param {number} options.tickMs - How often each loop is evaluated
+   * @param {number} options.traceLimit - Decisions kept per session
+   */
+  constructor(hooks, options = {}) {
+    this.hooks = hooks;
+    this.tickMs = options.tickMs || DEFAULT_TICK_MS;
+    this.traceLimit = options.traceLimit || DEFAULT_TRACE_LIMIT;
+    this.traces = new Map(); // session -> [decision]
+    this.ticking = new Set(); // sessions with a tick in flight
+  }
+
+  /**
+   * Start ticking for a session
+   * @param {string} session - Session name
+   * @returns {object} Interval handle (stored as loopInfo.intervalId)
+   */
+  start(session) {
+    this.record(session, { action: 'start', reason: 'loop-started' });
+    return setInterval(() => this.tick(session), this.tickMs);
+  }
+
+  /**
+   * Read scheduler settings from a session config
+   * @param {object} config - Session config
+   * @param {object} loopInfo - Loop entry
+   * @returns {{delayMs: number, cooldownMs: number, settleMs: number, eventDriven: boolean}}
+   */
+  getSettings(config, loopInfo) {
+    const delayMinutes = loopInfo.delayMinutes || config.delayMinutes || 10;
+    const cooldownMinutes = config.loopCooldownMinutes !== undefined ? config.loopCooldownMinutes : 2;
+    return {
+      delayMs: delayMinutes * 60 * 1000,
+      cooldownMs: Math.min(cooldownMinutes, delayMinutes) * 60 * 1000,
+      settleMs: (config.idleSettleSeconds !== undefined ? config.idleSettleSeconds : 15) * 1000,
+      eventDriven: config.eventDrivenLoop !== false
+    };
+  }
+
+  /**
+   * Decide what to do right now. Pure - no side effects.
+   * @param {object} input - Everything the decision depends on
+   * @returns {{action: string, reason: string, detail: object}} 'send' or 'skip' with the reason
+   */
+  decide(input) {
+    const { now, globalPaused, sessionPaused, usageLimit, scheduleActive, queuePending, activity, loopInfo, settings } = input;
+    const lastSent = loopInfo.lastMessageTime || new Date(loopInfo.startTime).getTime();
+    const sinceLastMs = now - lastSent;
+    const detail = { sinceLastSeconds: Math.round(sinceLastMs / 1000) };
+
+    if (globalPaused) return { action: 'skip', reason: 'global-pause', detail };
+    if (sessionPaused) return { action: 'skip', reason: 'session-paused', detail };
+    if (usageLimit) {
+      detail.resumeAt = usageLimit.resumeAt;
+      return { action: 'skip', reason: 'usage-limit', detail };
+    }
+    if (!scheduleActive) return { action: 'skip', reason: 'outside-schedule', detail };
+    if (queuePending) return { action: 'skip', reason: 'queue-pending', detail };
+    if (activity.isBusy) return { action: 'skip', reason: 'busy', detail };
+
+    if (sinceLastMs < settings.cooldownMs) {
+      detail.cooldownRemainingSeconds = Math.round((settings.cooldownMs - sinceLastMs) / 1000);
+      return { action: 'skip', reason: 'cooldown', detail };
+    }
+
+    // Claude worked since our last message and has now been idle long enough
+    if (settings.eventDriven && activity.lastActivityTime && activity.lastActivityTime > lastSent) {
+      const idleMs = now - activity.lastActivityTime;
+      detail.idleSeconds = Math.round(idleMs / 1000);
+      if (idleMs >= settings.settleMs) {
+        return { action: 'send', reason: 'became-idle', detail };
+      }
+      return { action: 'skip', reason: 'settling', detail };
+    }
+
+    const nextTime = loopInfo.nextMessageTime ? new Date(loopInfo.nextMessageTime).getTime() : lastSent + settings.delayMs;
+    if (now >= nextTime) {
+      return { action: 'send', reason: 'interval', detail };
+    }
+
+    detail.nextInSeconds = Math.round((nextTime - now) / 1000);
+    return { action: 'skip', reason: 'waiting', detail };
+  }
+
+  /**
+   * Evaluate a session once and send if the decision says so
+   * @param {string} session - Session name
+   */
+  async tick(session) {
+    // A slow send must not overlap with the next tick
+    if (this.ticking.has(session)) return;
+    this.ticking.add(session);
+
+    try {
+      const loopInfo = this.hooks.getLoopInfo(session);
+      if (!loopInfo) return;
+
+      const config = await this.hooks.getConfig(session);
+      const settings = this.getSettings(config, loopInfo);
+      const globalPaused = await this.hooks.isGloballyPaused();
+
+      // Only look at the pane when the cheap checks pass
+      let activity = { isBusy: false, lastActivityTime: null };
+      if (!globalPaused && !loopInfo.paused && !loopInfo.usageLimit) {
+        activity = await this.hooks.checkActivity(session);
+      }
+
+      const decision = this.decide({
+        now: Date.now(),
+        globalPaused,
+        sessionPaused: !!loopInfo.paused,
+        usageLimit: loopInfo.usageLimit || null,
+        scheduleActive: this.hooks.isScheduleActive(session, config),
+        queuePending: this.hooks.hasPendingMessages ? this.hooks.hasPendingMessages(session) : false,
+        activity,
+        loopInfo,
+        settings
+      });
+
+      if (decision.action === 'send') {
+        const message = await this.hooks.sendNext(session, config);
+        decision.detail.message = message ? message.slice(0, 200) : null;
+        if (!message) decision.reason += ':no-message';
+
+        loopInfo.lastMessageTime = Date.now();
+        loopInfo.nextMessageTime = new Date(Date.now() + settings.delayMs);
+      } else if (decision.reason === 'busy' || decision.reason === 'outside-schedule') {
+        // Keep the countdown honest while we can't send
+        const nextTime = loopInfo.nextMessageTime ? new Date(loopInfo.nextMessageTime).getTime() : 0;
+        if (nextTime < Date.now()) {
+          loopInfo.nextMessageTime = new Date(Date.now() + this.tickMs);
+        }
+      }
+
+      this.record(session, decision);
+    } catch (error) {
+      this.hooks.log.error(`[Scheduler] Tick failed for ${session}:`, error);
+      this.record(session, { action: 'error', reason: error.message });
+    } finally {
+      this.ticking.delete(session);
+    }
+  }
+
+  /**
+   * Append a decision to the session trace. Repeats of the same decision are
+   * folded into one entry so a long wait doesn't push everything else out.
+   * @param {string} session - Session name
+   * @param {object} decision - {action, reason, detail}
+   */
+  record(session, decision) {
+    if (!this.traces.has(session)) {
+      this.traces.set(session, []);
+    }
+    const trace = this.traces.get(session);
+    const time = new Date().toISOString();
+    const last = trace[trace.length - 1];
+
+    if (last && last.action === decision.action && last.reason === decision.reason && decision.action !== 'send') {
+      last.count++;
+      last.lastTime = time;
+      last.detail = decision.detail;
+      if (this.hooks.onRecord) this.hooks.onRecord(session, last);
+      return;
+    }
+
+    const entry = { time, lastTime: time, count: 1, action: decision.action, reason: decision.reason, detail: decision.detail || {} };
+    trace.push(entry);
+    if (trace.length > this.traceLimit) {
+      trace.splice(0, trace.length - this.traceLimit);
+    }
+    if (this.hooks.onRecord) this.hooks.onRecord(session, entry);
+
+    if (decision.action === 'send') {
+      this.hooks.log.info(`[Scheduler] ${session}: sending (${decision.reason})`);
+    } else {
+      this.hooks.log.debug(`[Scheduler] ${session}: ${decision.action} (${decision.reason})`);
+    }
+  }
+
+  /**
+   * Get the decision trace for a session, newest last
+   * @param {string} session - Session name
+   * @returns {Array<object>} Trace entries
+   */
+  getTrace(session) {
+    return this.traces.get(session) || [];
+  }
+
+  /**
+   * Note that a loop was stopped; the trace is kept for inspection
+   * @param {string} session - Session name
+   */
+  stop(session) {
+    this.record(session, { action: 'stop', reason: 'loop-stopped' });
+  }
+}
+
+module.exports = LoopScheduler;
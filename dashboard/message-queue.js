@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * Message Queue
+ * Persistent per-session queue of outgoing messages with delivery confirmation.
+ *
+ * Status flow:
+ *   queued -> pasted -> submitted -> confirmed
+ *                \-----------\-------> failed
+ *
+ * A message is confirmed when it appears as a user message in the linked
+ * conversation JSONL, or when the pane turns busy after Enter (only if the
+ * pane was idle before we pasted). Enter is retried once if neither has
+ * happened after a few seconds.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const STATUSES = ['queued', 'pasted', 'submitted', 'confirmed', 'failed'];
+const ACTIVE_STATUSES = ['queued', 'pasted', 'submitted'];
+const MAX_FINISHED_ITEMS = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class MessageQueue {
+  /**
+   * @param {object} hooks - Server callbacks used for delivery
+   * @param {function(string, string): Promise} hooks.pasteText - Paste text into a session
+   * @param {function(string): Promise} hooks.sendEnter - Press Enter in a session
+   * @param {function(string): Promise<boolean>} hooks.isBusy - Whether Claude is working in the session
+   * @param {function(object): Promise<boolean>} hooks.foundInConversation - Whether the item shows up in the conversation
+   * @param {function(string): Promise<object>} hooks.getSettings - {sendDelay, confirmTimeout} in seconds
+   * @param {function(object)} hooks.onSubmitted - Called once Enter was pressed
+   * @param {function()} [hooks.onChange] - Called whenever the queue is saved
+   * @param {function(object)} [hooks.onFailed] - Called when an item fails
+   * @param {object} hooks.log - Logger
+   * @param {object} options - Optional overrides
+   * @param {string} options.file - Where the queue is persisted
+   */
+  constructor(hooks, options = {}) {
+    this.hooks = hooks;
+    this.file = options.file || path.join(__dirname, 'message-queue.json');
+    this.items = [];
+    this.workers = new Set(); // sessions currently delivering
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Load the persisted queue and resume delivery
+   */
+  async init() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.items = Array.isArray(data.items) ? data.items : [];
+    } catch (e) {
+      this.items = [];
+    }
+
+    // Anything mid-delivery when the dashboard stopped can't be confirmed any more
+    for (const item of this.items) {
+      if (item.status === 'pasted' || item.status === 'submitted') {
+        this.setStatus(item, 'failed', { error: 'Dashboard restarted before delivery was confirmed' });
+      }
+    }
+    await this.save();
+
+    const sessions = new Set(this.items.filter(i => i.status === 'queued').map(i => i.session));
+    sessions.forEach(session => this.process(session));
+  }
+
+  /**
+   * Write the queue to disk. Writes are chained so they never interleave.
+   */
+  save() {
+    if (this.hooks.onChange) this.hooks.onChange();
+    this.saving = this.saving
+      .then(() => fs.writeFile(this.file, JSON.stringify({ items: this.items }, null, 2)))
+      .catch(error => this.hooks.log.error('[Queue] Failed to save message queue:', error));
+    return this.saving;
+  }
+
+  /**
+   * Record a status change on an item
+   * @param {object} item - Queue item
+   * @param {string} status - New status
+   * @param {object} extra - Extra fields to store (error, confirmedBy, ...)
+   */
+  setStatus(item, status, extra = {}) {
+    const now = new Date().toISOString();
+    item.status = status;
+    item.updatedAt = now;
+    item.history = item.history || [];
+    item.history.push({ status, at: now, ...(extra.error ? { error: extra.error } : {}) });
+    Object.assign(item, extra);
+    this.hooks.log.debug(`[Queue] ${item.session} ${item.id}: ${status}${extra.error ? ' (' + extra.error + ')' : ''}`);
+    if (status === 'failed' && this.hooks.onFailed) this.hooks.onFailed(item);
+  }
+
+  /**
+   * Add a message to a session's queue and start delivering
+   * @param {string} session - Session name
+   * @param {string} message - Message text (already rendered)
+   * @param {object} options - Delivery options
+   * @param {string} options.source - Who queued it (loop, manual, webhook, ...)
+   * @param {boolean} options.retryEnter - Whether Enter may be retried
+   * @param {string} options.todoId - Todo the message assigns (see task-router.js)
+   * @returns {Promise<object>} The queued item
+   */
+  async enqueue(session, message, { source = 'loop', retryEnter = true, todoId = null } = {}) {
+    const now = new Date().toISOString();
+    const item = {
+      id: `msg-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      session,
+      message,
+      source,
+      retryEnter,
+      ...(todoId ? { todoId } : {}),
+      status: 'queued',
+      createdAt: now,
+      updatedAt: now,
+      history: [{ status: 'queued', at: now }]
+    };
+    this.items.push(item);
+    this.prune();
+    await this.save();
+
+    this.process(session);
+    return item;
+  }
+
+  /**
+   * Deliver queued messages for a session one at a time
+   * @param {string} session - Session name
+   */
+  async process(session) {
+    if (this.workers.has(session)) return;
+    this.workers.add(session);
+
+    try {
+      let item;
+      while ((item = this.items.find(i => i.session === session && i.status === 'queued'))) {
+        await this.deliver(item);
+      }
+    } finally {
+      this.workers.delete(session);
+    }
+  }
+
+  /**
+   * Paste, submit and confirm a single item
+   * @param {object} item - Queue item in 'queued' state
+   */
+  async deliver(item) {
+    const { session } = item;
+    try {
+      const settings = await this.hooks.getSettings(session);
+      item.attempts = (item.attempts || 0) + 1;
+
+      // Busy afterwards only means something if Claude was idle before we typed
+      item.paneBusyBeforePaste = await this.hooks.isBusy(session).catch(() => false);
+
+      await this.hooks.pasteText(session, item.message);
+      this.setStatus(item, 'pasted');
+      await this.save();
+
+      await sleep(settings.sendDelay * 1000);
+      if (item.status !== 'pasted') return; // cancelled while waiting
+
+      await this.hooks.sendEnter(session);
+      this.setStatus(item, 'submitted', { submittedAt: new Date().toISOString() });
+      await this.save();
+      this.hooks.onSubmitted(item);
+
+      await this.confirm(item, settings);
+    } catch (error) {
+      if (ACTIVE_STATUSES.includes(item.status)) {
+        this.setStatus(item, 'failed', { error: error.message });
+      }
+    }
+    await this.save();
+  }
+
+  /**
+   * Wait for evidence that Claude received a submitted item
+   * @param {object} item - Queue item in 'submitted' state
+   * @param {object} settings - Delivery settings
+   */
+  async confirm(item, settings) {
+    const started = Date.now();
+    const deadline = started + settings.confirmTimeout * 1000;
+    let enterRetried = false;
+
+    while (Date.now() < deadline) {
+      await sleep(2000);
+      if (item.status !== 'submitted') return;
+
+      if (await this.hooks.foundInConversation(item).catch(() => false)) {
+        this.setStatus(item, 'confirmed', { confirmedBy: 'conversation' });
+        return;
+      }
+      if (!item.paneBusyBeforePaste && await this.hooks.isBusy(item.session).catch(() => false)) {
+        this.setStatus(item, 'confirmed', { confirmedBy: 'busy' });
+        return;
+      }
+
+      // The first Enter sometimes lands before the paste is processed
+      if (item.retryEnter && !enterRetried && Date.now() - started >= 5000) {
+        enterRetried = true;
+        item.enterRetries = 1;
+        await this.hooks.sendEnter(item.session);
+        this.hooks.log.debug(`[Queue] Retried Enter for ${item.id}`);
+      }
+    }
+
+    this.setStatus(item, 'failed', { error: `Not confirmed within ${settings.confirmTimeout}s` });
+  }
+
+  /**
+   * List queue items
+   * @param {string} session - Only this session (optional)
+   * @returns {Array<object>} Items, oldest first
+   */
+  list(session = null) {
+    return session ? this.items.filter(i => i.session === session) : this.items.slice();
+  }
+
+  /**
+   * Whether a session has messages that are not finished yet
+   * @param {string} session - Session name
+   * @returns {boolean} True while anything is queued or in flight
+   */
+  hasPending(session) {
+    return this.items.some(i => i.session === session && ACTIVE_STATUSES.includes(i.status));
+  }
+
+  /**
+   * Change the text of a message that hasn't been pasted yet
+   * @param {string} id - Item id
+   * @param {string} message - New text
+   * @returns {Promise<object>} Updated item
+   */
+  async update(id, message) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) throw new Error('Message not found');
+    if (item.status !== 'queued') throw new Error(`Cannot edit a message that is ${item.status}`);
+    item.message = message;
+    item.updatedAt = new Date().toISOString();
+    await this.save();
+    return item;
+  }
+
+  /**
+   * Cancel queued or in-flight messages. Enter is not pressed for a pasted message
+   * once it is cancelled.
+   * @param {object} filter - {id} for one message or {session} for all of a session
+   * @returns {Promise<number>} Number of messages cancelled
+   */
+  async cancel({ id = null, session = null } = {}) {
+    let cancelled = 0;
+    for (const item of this.items) {
+      if (!ACTIVE_STATUSES.includes(item.status)) continue;
+      if (id ? item.id !== id : item.session !== session) continue;
+      this.setStatus(item, 'failed', { error: 'Cancelled' });
+      cancelled++;
+    }
+    await this.save();
+    return cancelled;
+  }
+
+  /**
+   * Put a failed message back in the queue
+   * @param {string} id - Item id
+   * @returns {Promise<object>} Requeued item
+   */
+  async retry(id) {
+    const item = this.items.find(i => i.id === id);
+    if (!item) throw new Error('Message not found');
+    if (item.status !== 'failed') throw new Error(`Only failed messages can be retried (this one is ${item.status})`);
+    this.setStatus(item, 'queued', { error: null, confirmedBy: null });
+    await this.save();
+    this.process(item.session);
+    return item;
+  }
+
+  /**
+   * Remove confirmed and failed messages
+   * @param {string} session - Only this session (optional)
+   * @returns {Promise<number>} Number of items removed
+   */
+  async clearFinished(session = null) {
+    const before = this.items.length;
+    this.items = this.items.filter(i =>
+      ACTIVE_STATUSES.includes(i.status) || (session && i.session !== session));
+    await this.save();
+    return before - this.items.length;
+  }
+
+  /**
+   * Drop the oldest finished items once there are too many
+   */
+  prune() {
+    const finished = this.items.filter(i => !ACTIVE_STATUSES.includes(i.status));
+    if (finished.length <= MAX_FINISHED_ITEMS) return;
+    const drop = new Set(finished.slice(0, finished.length - MAX_FINISHED_ITEMS));
+    this.items = this.items.filter(i => !drop.has(i));
+  }
+}
+
+MessageQueue.STATUSES = STATUSES;
+
+module.exports = MessageQueue;
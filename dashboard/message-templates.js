@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Message Templates
+ * Fills {{variables}} in loop and custom messages at send time.
+ *
+ * Syntax:
+ *   {{context}}                 -> 42
+ *   {{nextTodo|nothing queued}} -> text after | is used when the value is empty
+ *
+ * Unknown variables are left untouched so stray braces in code snippets survive.
+ */
+
+const todoDependencies = require('./todo-dependencies.js');
+
+const TEMPLATE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*(?:\|([^}]*))?\}\}/g;
+
+// Variables the server provides, with a short description for the preview API
+const TEMPLATE_VARIABLES = {
+  context: 'Context remaining in percent',
+  session: 'tmux session name',
+  nextTodo: 'Text of the next pending todo for this session',
+  nextTodoId: 'ID of the next pending todo',
+  pendingTodos: 'Number of pending todos for this session',
+  time: 'Local time (HH:MM)',
+  date: 'Local date (YYYY-MM-DD)',
+  timeOfDay: 'morning, afternoon, evening or night',
+  minutesSinceCompact: 'Minutes since the last /compact (empty if unknown)',
+  conversationId: 'Conversation linked to this session'
+};
+
+/**
+ * Check whether a message contains any template variables
+ * @param {string} text - Message text
+ * @returns {boolean} True if at least one {{variable}} is present
+ */
+function hasTemplateVariables(text) {
+  if (typeof text !== 'string') return false;
+  TEMPLATE_PATTERN.lastIndex = 0;
+  return TEMPLATE_PATTERN.test(text);
+}
+
+/**
+ * Replace {{variables}} in a template
+ * @param {string} template - Message template
+ * @param {object} variables - Variable values keyed by name
+ * @returns {string} Rendered message
+ */
+function renderTemplate(template, variables = {}) {
+  if (typeof template !== 'string') return template;
+
+  return template.replace(TEMPLATE_PATTERN, (match, name, fallback) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+      return match;
+    }
+    const value = variables[name];
+    if (value === null || value === undefined || value === '') {
+      return fallback !== undefined ? fallback.trim() : '';
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Describe a local hour as a part of the day
+ * @param {number} hour - Hour (0-23)
+ * @returns {string} morning, afternoon, evening or night
+ */
+function getTimeOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 18) return 'afternoon';
+  if (hour >= 18 && hour < 23) return 'evening';
+  return 'night';
+}
+
+/**
+ * Pick the todo a session should work on next.
+ * Uses the same order as todo-utils/claim-next.js: priority first, then list order.
+ * Blocked todos are skipped, as they are by /api/todos/pending and claims.
+ * @param {Array<object>} todos - All todos
+ * @param {string} project - Project to prefer (usually the session name)
+ * @returns {{next: object|null, pendingCount: number}} Next todo and number of pending todos considered
+ */
+function pickNextTodo(todos, project) {
+  const byId = todoDependencies.index(todos || []);
+  const pending = (todos || []).filter(t => t.status === 'pending' && !todoDependencies.isBlocked(t, byId));
+  const forProject = project ? pending.filter(t => t.project === project) : [];
+  const candidates = forProject.length > 0 ? forProject : pending;
+
+  const priorityOrder = { high: 3, normal: 2, low: 1 };
+  const sorted = candidates
+    .map((todo, index) => ({ todo, index }))
+    .sort((a, b) => {
+      const priorityDiff = (priorityOrder[b.todo.priority] || 2) - (priorityOrder[a.todo.priority] || 2);
+      return priorityDiff !== 0 ? priorityDiff : a.index - b.index;
+    });
+
+  return {
+    next: sorted.length > 0 ? sorted[0].todo : null,
+    pendingCount: candidates.length
+  };
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  hasTemplateVariables,
+  renderTemplate,
+  getTimeOfDay,
+  pickNextTodo
+};
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Prompt Responder
+ * Matches Claude's interactive prompts (read by screen-parser.js) against a per-session
+ * allowlist policy. The dashboard server decides what to do with the result
+ * (send keys, escalate) and writes the audit log.
+ *
+ * Policy (session config `promptPolicy`):
+ *   {
+ *     enabled: true,
+ *     delaySeconds: 3,
+ *     rules: [
+ *       { id, enabled, type: 'edit', path: '/home/me/project', answer: 'yes' },
+ *       { id, enabled, type: 'bash', regex: 'npm (test|run lint)', answer: 'yes' },
+ *       { id, enabled, type: 'any', text: 'overwrite', answer: 'no' },
+ *       { id, enabled, type: 'choice', text: 'which approach', answer: 'option', option: 2 }
+ *     ]
+ *   }
+ *
+ * Rules are checked in order; every field a rule sets must match. A regex has
+ * to match the whole command, and a rule that answers anything but 'no' never
+ * matches a command that chains or redirects (`npm test && rm -rf ~`) or runs
+ * over more than one line. Prompts no rule matches are escalated.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const screenParser = require('./screen-parser.js');
+
+const AUDIT_FILE = path.join(__dirname, 'prompt-audit.jsonl');
+
+const PROMPT_TYPES = ['any', 'bash', 'edit', 'tool', 'confirmation', 'choice', 'question'];
+
+// ; & | ` < > $( and newlines: anything that runs a second command or writes a file
+const SHELL_CHAINING = /[;&|`<>\n]|\$\(/;
+
+/**
+ * Read the prompt on screen and fingerprint it
+ * @param {string} content - Pane content (may contain ANSI codes)
+ * @returns {object|null} ScreenPrompt from screen-parser.js plus a fingerprint, or null
+ */
+function parsePrompt(content) {
+  const prompt = screenParser.parse(content).prompt;
+  if (!prompt) return null;
+
+  const fingerprint = crypto.createHash('md5')
+    .update(prompt.text + '\n' + prompt.options.map(o => o.label).join('|'))
+    .digest('hex');
+
+  return { ...prompt, fingerprint };
+}
+
+/**
+ * Check whether a rule's path prefix covers the prompt's file
+ * @param {string} filePath - Path shown in the prompt (may be relative)
+ * @param {string} prefix - Allowed root from the rule
+ * @param {string} cwd - Session working directory for relative paths
+ * @returns {boolean} True if the file lies under the prefix
+ */
+function pathAllowed(filePath, prefix, cwd) {
+  if (!filePath) return false;
+  const home = require('os').homedir();
+  const expand = (p) => p.replace(/^~(?=\/|$)/, home);
+  const resolved = path.resolve(cwd || '/', expand(filePath));
+  const root = path.resolve(expand(prefix));
+  return resolved === root || resolved.startsWith(root + path.sep);
+}
+
+/**
+ * Whether a bash prompt's command accounts for every line of its body, bar the
+ * description. Anything else may hide a line no rule has seen, so it is escalated.
+ * @param {object} parsed - Result of parsePrompt()
+ * @returns {boolean}
+ */
+function wholeCommandParsed(parsed) {
+  if (!parsed.command) return false;
+  const commandLines = parsed.command.split('\n').length;
+  return commandLines === 1 && (parsed.bodyLines || 0) <= commandLines + (parsed.description ? 1 : 0);
+}
+
+/**
+ * Check a single rule against a parsed prompt
+ * @param {object} rule - Policy rule
+ * @param {object} parsed - Result of parsePrompt()
+ * @param {object} context - {cwd}
+ * @returns {boolean} True if every field the rule sets matches
+ */
+function ruleMatches(rule, parsed, context = {}) {
+  if (!rule || rule.enabled === false) return false;
+  if (rule.type && rule.type !== 'any' && rule.type !== parsed.type) return false;
+  if (rule.text && !parsed.text.toLowerCase().includes(rule.text.toLowerCase())) return false;
+  if (rule.path && !pathAllowed(parsed.filePath, rule.path, context.cwd)) return false;
+  if (parsed.type === 'bash' && rule.answer !== 'no' && !wholeCommandParsed(parsed)) return false;
+  if (rule.regex) {
+    let pattern;
+    try {
+      // Whole-string match, so '^npm test' can't approve 'npm test && rm -rf ~'
+      pattern = new RegExp(`^(?:${rule.regex})$`);
+    } catch (e) {
+      return false;
+    }
+    const subject = parsed.command !== null ? parsed.command : parsed.text;
+    if (!pattern.test(subject.trim())) return false;
+    if (parsed.command !== null && rule.answer !== 'no' && SHELL_CHAINING.test(parsed.command)) return false;
+  }
+  return true;
+}
+
+/**
+ * Work out which option an answer refers to
+ * @param {object} parsed - Result of parsePrompt()
+ * @param {string} answer - 'yes', 'no' or 'option'
+ * @param {number} optionNumber - Option for answer 'option'
+ * @returns {object|null} The option, or null if the prompt doesn't offer it
+ */
+function resolveOption(parsed, answer, optionNumber) {
+  if (answer === 'option') {
+    return parsed.options.find(o => o.number === Number(optionNumber)) || null;
+  }
+  // Plain "Yes" beats "Yes, and don't ask again ..." so a rule never widens permissions
+  const word = answer === 'no' ? 'no' : 'yes';
+  const exact = parsed.options.find(o => o.label.toLowerCase().replace(/[^a-z]/g, '') === word);
+  return exact || parsed.options.find(o => o.label.toLowerCase().startsWith(word)) || null;
+}
+
+/**
+ * Decide how to answer a prompt under a policy
+ * @param {object} policy - Session promptPolicy
+ * @param {object} parsed - Result of parsePrompt()
+ * @param {object} context - {cwd}
+ * @returns {object} {action: 'answer'|'escalate'|'disabled', rule, option, keys, reason}
+ */
+function decide(policy, parsed, context = {}) {
+  if (!policy || !policy.enabled) {
+    return { action: 'disabled' };
+  }
+
+  const rules = Array.isArray(policy.rules) ? policy.rules : [];
+  const rule = rules.find(r => ruleMatches(r, parsed, context));
+  if (!rule) {
+    return { action: 'escalate', reason: 'No policy rule matched' };
+  }
+
+  const option = resolveOption(parsed, rule.answer, rule.option);
+  if (!option) {
+    return { action: 'escalate', rule, reason: `Rule ${rule.id || ''} answers "${rule.answer}" but the prompt has no such option` };
+  }
+
+  return { action: 'answer', rule, option, keys: keysForOption(option) };
+}
+
+/**
+ * Keys that pick an option: Enter if it's already highlighted, otherwise its number
+ * @param {object} option - Parsed option
+ * @returns {Array<string>} Keys for tmuxUtils.sendKey
+ */
+function keysForOption(option) {
+  return option.selected ? ['Enter'] : [String(option.number)];
+}
+
+/**
+ * Append a decision to the audit log
+ * @param {object} entry - What was decided and why
+ */
+async function audit(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+  try {
+    await fs.appendFile(AUDIT_FILE, line + '\n');
+  } catch (error) {
+    console.error('[PromptResponder] Failed to write audit log:', error.message);
+  }
+}
+
+/**
+ * Read the most recent audit entries
+ * @param {string} session - Only this session (optional)
+ * @param {number} limit - Maximum entries
+ * @returns {Promise<Array<object>>} Entries, newest first
+ */
+async function readAudit(session = null, limit = 100) {
+  try {
+    const data = await fs.readFile(AUDIT_FILE, 'utf8');
+    const entries = [];
+    const lines = data.split('\n').filter(line => line.trim());
+    for (let i = lines.length - 1; i >= 0 && entries.length < limit; i--) {
+      try {
+        const entry = JSON.parse(lines[i]);
+        if (!session || entry.session === session) entries.push(entry);
+      } catch (e) {
+        // Skip partial lines
+      }
+    }
+    return entries;
+  } catch (error) {
+    return [];
+  }
+}
+
+module.exports = {
+  PROMPT_TYPES,
+  AUDIT_FILE,
+  parsePrompt,
+  ruleMatches,
+  wholeCommandParsed,
+  resolveOption,
+  keysForOption,
+  decide,
+  audit,
+  readAudit
+};
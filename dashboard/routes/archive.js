@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Archive Routes
+ * Disk usage of the conversation files, the retention policy, and archiving or
+ * restoring single conversations (see conversation-archive.js).
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerArchiveRoutes(router, ctx) {
+  const { conversationArchive } = ctx;
+
+  const run = async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      throw new HttpError(error.status || 500, error.message, error.session ? { session: error.session } : null);
+    }
+  };
+
+  router.get('/api/archive/usage', {
+    summary: 'Disk used by live, archived and trashed conversations, per project and for the largest conversations',
+    query: { limit: 'Maximum number of conversations listed' }
+  }, async ({ query }) => {
+    return await conversationArchive.usage({ limit: query.limit });
+  });
+
+  router.get('/api/archive/policy', { summary: 'Retention policy' }, async () => {
+    return await conversationArchive.getPolicy();
+  });
+
+  router.post('/api/archive/policy', {
+    summary: 'Save the retention policy, or go back to the defaults with {reset: true}',
+    body: { properties: { policy: 'object', reset: 'boolean' } }
+  }, async ({ body }) => {
+    if (!body.reset && !body.policy) throw new HttpError(400, 'policy or reset required');
+    try {
+      return { success: true, ...(await conversationArchive.savePolicy(body.reset ? null : body.policy)) };
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+
+  router.get('/api/archive/plan', {
+    summary: 'What the retention policy would archive now, without archiving it'
+  }, async () => {
+    return await conversationArchive.plan();
+  });
+
+  router.post('/api/archive/apply', {
+    summary: 'Archive what the retention policy picks now'
+  }, async () => {
+    const result = await conversationArchive.applyPolicy({ trigger: 'manual' });
+    return { success: true, ...result };
+  });
+
+  router.post('/api/archive/conversation', {
+    summary: 'Compress one conversation into the archive; force archives one a session is tracking',
+    body: { required: ['conversationId'], properties: { conversationId: 'string', force: 'boolean' } }
+  }, async ({ body }) => {
+    const result = await run(() => conversationArchive.archive(body.conversationId, { force: body.force === true }));
+    return { success: true, ...result };
+  });
+
+  router.post('/api/archive/restore', {
+    summary: 'Move an archived conversation back into its project folder',
+    body: { required: ['conversationId'], properties: { conversationId: 'string' } }
+  }, async ({ body }) => {
+    const result = await run(() => conversationArchive.restore(body.conversationId));
+    return { success: true, ...result };
+  });
+}
+
+module.exports = registerArchiveRoutes;
@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Binding Routes
+ * Which conversation each tmux session is running, and why (see session-binder.js).
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerBindingRoutes(router, ctx) {
+  const { sessionBinder } = ctx;
+
+  router.get('/api/bindings', {
+    summary: 'Last binding decision per session, with reasons, candidates and history',
+    query: { session: 'Only this session' }
+  }, async ({ query }) => {
+    const bindings = await sessionBinder.getBindings();
+    if (!query.session) return { bindings };
+    return { binding: bindings[query.session] || null };
+  });
+
+  router.post('/api/bindings/resolve', {
+    summary: 'Work out which conversation a session is running; applied unless ambiguous or apply is false',
+    body: { required: ['session'], properties: { apply: 'boolean', session: 'string' } }
+  }, async ({ body }) => {
+    const binding = await sessionBinder.bind(body.session, {
+      apply: body.apply !== false,
+      trigger: 'manual',
+      refreshTree: true
+    });
+    return { binding };
+  });
+
+  router.post('/api/bindings/confirm', {
+    summary: 'Bind a session to a conversation chosen by hand',
+    body: { required: ['session', 'conversationId'], properties: { conversationId: 'string', session: 'string' } }
+  }, async ({ body }) => {
+    if (!/^[\w-]+$/.test(body.conversationId)) throw new HttpError(400, 'Invalid conversation id');
+    return { binding: await sessionBinder.confirm(body.session, body.conversationId) };
+  });
+}
+
+module.exports = registerBindingRoutes;
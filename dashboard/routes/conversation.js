@@ -0,0 +1,661 @@
+#!/usr/bin/env node
+
+/**
+ * Conversation Routes
+ * Discovering, naming, linking and resuming Claude conversations, and the conversation tree.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const { HttpError } = require('../api-router.js');
+const conversationNamer = require('../conversation-names');
+const ConversationTreeScanner = require('../conversation-tree-scanner');
+const ConversationExporter = require('../conversation-exporter');
+const ConversationDiff = require('../conversation-diff');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerConversationRoutes(router, ctx) {
+  const {
+    conversationAutoSetup, conversationReader, conversationSearch, conversationTitles, getSessionConfig, log,
+    saveSessionConfig, sessionTracker, tmuxUtils
+  } = ctx;
+
+  router.get('/api/conversation/discover', {
+    summary: 'Conversations found in ~/.claude/projects'
+  }, async ({ res }) => {
+    try {
+      const projectsDir = path.join(os.homedir(), '.claude', 'projects');
+
+      // Try multiple project directories (current one first, then InfiniQuest)
+      const projectPaths = [
+        path.join(projectsDir, '-home-michael-InfiniQuest-tmp-claudeLoop-dashboard'),
+        path.join(projectsDir, '-home-michael-InfiniQuest')
+      ];
+
+      let mostRecent = null;
+      let mostRecentTime = 0;
+
+      for (const projectPath of projectPaths) {
+        try {
+          const files = await fs.readdir(projectPath);
+          const jsonlFiles = files.filter(f => f.endsWith('.jsonl'));
+
+          // Check each file in this project directory
+          for (const file of jsonlFiles) {
+            const filePath = path.join(projectPath, file);
+            const stats = await fs.stat(filePath);
+            if (stats.mtime.getTime() > mostRecentTime) {
+              mostRecentTime = stats.mtime.getTime();
+              mostRecent = file.replace('.jsonl', '');
+            }
+          }
+        } catch (e) {
+          // Directory doesn't exist, continue to next
+          continue;
+        }
+      }
+
+      if (!mostRecent) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'No conversations found' }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversationId: mostRecent }));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.get('/api/conversation/messages', {
+    summary: 'Messages of a conversation, paged',
+    query: { after: 'Only messages after this index', id: 'Conversation id', limit: 'Maximum number of entries' }
+  }, async ({ query, res }) => {
+    const convId = query.id;
+    const afterIndex = query.after ? parseInt(query.after) : null;
+    const limit = query.limit ? parseInt(query.limit) : 100;
+
+    // Log who's calling this API (commented out - req not available in this scope)
+    // log.verbose(`[API] /conversation/messages called - id: ${convId}, limit: ${limit}`);
+
+    if (!convId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Conversation ID required' }));
+      return;
+    }
+
+    try {
+      // If afterIndex is provided, get only new messages
+      if (afterIndex !== null && afterIndex >= 0) {
+        // Get the conversation file path (a local mirror for conversations on remote hosts)
+        const foundPath = await conversationReader.findConversationFile(convId);
+
+        if (!foundPath) {
+          throw new Error('Conversation file not found');
+        }
+
+        // Read the file and count lines
+        const content = await fs.readFile(foundPath, 'utf8');
+        const lines = content.split('\n').filter(line => line.trim());
+
+        // Get only new messages (lines after afterIndex)
+        const newMessages = [];
+        for (let i = afterIndex + 1; i < lines.length; i++) {
+          try {
+            const formatted = conversationReader.toChatMessage(JSON.parse(lines[i]), i);
+            if (formatted) {
+              newMessages.push(formatted);
+            }
+          } catch (e) {
+            log.debug(`Skipping invalid JSON at line ${i}`);
+          }
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ 
+          messages: newMessages, 
+          totalCount: lines.length,
+          hasMore: false 
+        }));
+      } else {
+        // Original behavior - get messages with limit, indexed by file line so
+        // that `after` picks up where this leaves off
+        const foundPath = await conversationReader.findConversationFile(convId);
+        const lineCount = foundPath ? await conversationReader.countLines(foundPath).catch(() => null) : null;
+        const totalLines = lineCount ? lineCount.count + (lineCount.partial ? 1 : 0) : null;
+        const messages = await conversationReader.getLatestMessages(convId, limit, totalLines);
+
+        // Filter to ensure only messages with string content are sent
+        const validMessages = messages.filter(msg => {
+          if (!msg || typeof msg.content !== 'string') {
+            log.debug('Filtering out non-string message:', msg?.type, typeof msg?.content);
+            return false;
+          }
+          return true;
+        });
+
+        // Add index to each message the file could not be counted for
+        validMessages.forEach((msg, i) => {
+          if (msg.index === undefined) msg.index = i;
+        });
+
+        log.debug(`[API] Returning ${validMessages.length} valid messages out of ${messages.length} total`);
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(validMessages));
+      }
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.post('/api/conversation/auto-associate', {
+    summary: 'Link a session to its most likely conversation (see /api/bindings for the reasoning)',
+    body: { required: ['session'], properties: { session: 'string' } }
+  }, async ({ body }) => {
+    const binding = await ctx.sessionBinder.bind(body.session, { trigger: 'auto-associate', refreshTree: true });
+    if (!binding.conversationId) {
+      throw new HttpError(404, 'No conversation found for this session', { binding });
+    }
+    if (binding.ambiguous) {
+      throw new HttpError(409, 'Several conversations match this session; pick one', { binding });
+    }
+
+    return {
+      success: true,
+      conversationId: binding.conversationId,
+      workingDirectory: binding.workingDirectory,
+      confidence: binding.confidence,
+      reasons: binding.reasons,
+      candidates: binding.candidates,
+      source: 'binding',
+      message: `Auto-associated with conversation ${binding.conversationId}`
+    };
+  });
+
+  router.post('/api/conversation/track', {
+    summary: 'Track the active conversation of a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session;
+    const convInfo = await sessionTracker.trackActiveSession(session);
+
+    // Auto-name the conversation from loop's custom name if available
+    if (convInfo && convInfo.id) {
+      try {
+        // Check if it already has a custom name
+        const existingName = await conversationNamer.getName(convInfo.id);
+
+        if (!existingName) {
+          // Try to get the loop config for this session using helper
+          const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+
+          if (config.customName && config.customName.trim()) {
+            // Set the conversation name to the loop's custom name
+            await conversationNamer.setName(convInfo.id, config.customName);
+            log.info(`Auto-named conversation ${convInfo.id} as "${config.customName}"`);
+          }
+        }
+      } catch (err) {
+        log.error('Error auto-naming conversation:', err);
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, conversation: convInfo }));
+  });
+
+  router.get('/api/conversation/get', {
+    summary: 'Conversation tracked for a session',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const session = query.session;
+    const tracked = await sessionTracker.getTrackedConversation(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(tracked || {}));
+  });
+
+  router.get('/api/conversation/list', {
+    summary: 'Known conversations, optionally grouped by project',
+    query: { grouped: 'true to group by project' }
+  }, async ({ query, res }) => {
+    const grouped = query.grouped === 'true';
+    if (grouped) {
+      const groupedConversations = await sessionTracker.getAllProjectConversations();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversations: groupedConversations, grouped: true }));
+    } else {
+      const conversations = await sessionTracker.listConversations(20);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversations }));
+    }
+  });
+
+  router.post('/api/conversation/assign', {
+    summary: 'Assign a conversation to a session',
+    body: { properties: { conversationId: 'string', session: 'string', workingDirectory: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { session, conversationId, workingDirectory } = data;
+
+    // Just update the config file (single source of truth)
+    const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+    config.conversationId = conversationId;
+    config.workingDirectory = workingDirectory || process.cwd();
+    await saveSessionConfig(session, config);
+
+    log.info(`Assigned conversation ${conversationId} to ${session}`);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: `Assigned conversation ${conversationId} to ${session}` }));
+  });
+
+  router.get('/api/conversation/current', {
+    summary: 'Conversation currently linked to a session',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const currentSessionParam = query.session || 'claude';
+    const currentConfig = await getSessionConfig(currentSessionParam, { loopConfig: ctx.loopConfig });
+
+    if (currentConfig.conversationId) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 
+        conversationId: currentConfig.conversationId,
+        workingDirectory: currentConfig.workingDirectory,
+        session: currentSessionParam
+      }));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ conversationId: null, session: currentSessionParam }));
+    }
+  });
+
+  router.post('/api/conversation/delete', {
+    summary: 'Delete a conversation file',
+    body: { properties: { conversationId: 'string', filePath: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { conversationId, filePath } = data;
+
+    try {
+      // Use the provided filePath or find it
+      let actualFilePath = filePath;
+      let projectDir;
+
+      if (!actualFilePath) {
+        // Try to find the file by scanning all project directories
+        const projectsDir = path.join(os.homedir(), '.claude', 'projects');
+        const projectDirs = await fs.readdir(projectsDir);
+
+        for (const dir of projectDirs) {
+          const possiblePath = path.join(projectsDir, dir, conversationId + '.jsonl');
+          try {
+            await fs.access(possiblePath);
+            actualFilePath = possiblePath;
+            projectDir = dir;
+            break;
+          } catch (e) {
+            // File doesn't exist in this directory
+          }
+        }
+
+        if (!actualFilePath) {
+          throw new Error('Conversation file not found');
+        }
+      } else {
+        // Extract project dir from filepath
+        const pathParts = actualFilePath.split(path.sep);
+        const projectsIndex = pathParts.indexOf('projects');
+        if (projectsIndex >= 0 && projectsIndex < pathParts.length - 1) {
+          projectDir = pathParts[projectsIndex + 1];
+        }
+      }
+
+      // Create trash directory if it doesn't exist
+      const trashDir = projectDir 
+        ? path.join(os.homedir(), '.claude', 'projects', projectDir, '.trash')
+        : path.join(os.homedir(), '.claude', '.trash');
+      await fs.mkdir(trashDir, { recursive: true });
+
+      // Move file to trash
+      const trashPath = path.join(trashDir, conversationId + '.jsonl');
+      await fs.rename(actualFilePath, trashPath);
+
+      log.info(`Moved conversation ${conversationId} to trash`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } catch (error) {
+      log.error('Error deleting conversation:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.post('/api/conversation/resume', {
+    summary: 'Resume a conversation in a session',
+    body: { required: ['conversationId'], properties: { conversationId: 'string', cwd: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { conversationId, session, cwd } = data;
+
+    try {
+      // Validate session is provided
+      if (!session) {
+        throw new Error('No session specified for resume');
+      }
+
+      // Determine working directory
+      let workingDir = cwd || process.env.HOME || process.cwd();
+
+      // If cwd is 'unknown' or not provided, try to get from conversation file
+      if (!cwd || cwd === 'unknown') {
+        try {
+          const projectsDir = path.join(os.homedir(), '.claude', 'projects');
+          const projectDirs = await fs.readdir(projectsDir);
+
+          for (const dir of projectDirs) {
+            const possiblePath = path.join(projectsDir, dir, conversationId + '.jsonl');
+            try {
+              await fs.access(possiblePath);
+              // Extract working directory from project dir name
+              workingDir = dir.replace(/-/g, '/');
+              if (!workingDir.startsWith('/')) {
+                workingDir = '/' + workingDir;
+              }
+              break;
+            } catch (e) {
+              // File doesn't exist in this directory
+            }
+          }
+        } catch (e) {
+          log.warn('Could not determine working directory from conversation file');
+        }
+      }
+
+      // Use tmux utils to restart Claude with this specific conversation
+      const result = await tmuxUtils.restartClaude(session, workingDir, conversationId);
+
+      // Trigger auto-setup to catch the fork
+      if (result.resumed) {
+        // Update session association in config
+        const resumeConfig = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+        await saveSessionConfig(session, {
+          ...resumeConfig,
+          conversationId: conversationId,
+          workingDirectory: workingDir
+        });
+
+        // Then monitor for the fork
+        conversationAutoSetup.monitorAndSetup(session, {
+          workingDir,
+          customName: `Resumed from ${conversationId.slice(0, 8)}`,
+          isResume: true,
+          originalConversationId: conversationId
+        }).then(setupResult => {
+          if (setupResult.success) {
+            log.info(`[API] Resume fork detected for ${session}: ${setupResult.conversationId} (forked from ${conversationId}`);
+          } else {
+            log.warn(`[API] Resume fork detection failed for ${session}: ${setupResult.message}`);
+          }
+        }).catch(err => {
+          log.error(`[API] Resume fork detection error for ${session}:`, err);
+        });
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 
+        success: true, 
+        ...result,
+        workingDir,
+        message: `Resuming conversation ${conversationId} in session ${session}`
+      }));
+    } catch (error) {
+      log.error('Error resuming conversation:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.post('/api/conversation/name', {
+    summary: 'Name a conversation',
+    body: { required: ['conversationId', 'name'], properties: { conversationId: 'string', name: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { conversationId, name } = data;
+    await conversationNamer.setName(conversationId, name);
+
+    // Update the cache with the new name
+    const cachePath = path.join(os.homedir(), '.claude', 'conversation-tree-cache.json');
+    try {
+      const cacheData = await fs.readFile(cachePath, 'utf8');
+      const cache = JSON.parse(cacheData);
+      if (cache.conversations && cache.conversations[conversationId]) {
+        cache.conversations[conversationId].customName = name;
+        await fs.writeFile(cachePath, JSON.stringify(cache, null, 2));
+        log.debug(`Updated cache with new name for ${conversationId}: ${name}`);
+      }
+    } catch (e) {
+      // Cache might not exist or be invalid, that's ok
+      log.debug('Could not update cache with new name:', e.message);
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, name }));
+  });
+
+  router.get('/api/conversation/name', {
+    summary: 'Name of a conversation',
+    query: { conversationId: 'Conversation id' }
+  }, async ({ query, res }) => {
+    const conversationId = query.conversationId;
+    const name = await conversationNamer.getName(conversationId);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ name }));
+  });
+
+  router.delete('/api/conversation/name', {
+    summary: 'Remove the name of a conversation',
+    query: { conversationId: 'Conversation id' }
+  }, async ({ query, res }) => {
+    const conversationId = query.conversationId;
+    await conversationNamer.removeName(conversationId);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+
+  router.get('/api/conversation/tree', {
+    summary: 'Conversation tree (forks and continuations)',
+    query: { refresh: 'true to rescan' }
+  }, async ({ query, res }) => {
+    const treeScanner = new ConversationTreeScanner();
+
+    // Check if we should refresh (based on trigger)
+    const forceRefresh = query.refresh === 'true';
+    const tree = await treeScanner.getConversationTree(forceRefresh);
+    await conversationTitles.annotate(tree.conversations, { update: forceRefresh });
+    const structured = treeScanner.buildTreeStructure(tree.conversations);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ 
+      tree: structured,
+      totalCount: Object.keys(tree.conversations).length,
+      lastScan: tree.lastScanTimestamp
+    }));
+  });
+
+  router.add(['GET', 'POST'], '/api/conversation/scan', {
+    summary: 'Scan conversations for the tree',
+    query: { cacheOnly: 'true to return the cache without scanning', full: 'true for a full rescan' }
+  }, async ({ query, res }) => {
+    const treeScanner = new ConversationTreeScanner();
+    const full = query.full === 'true';
+    const cacheOnly = query.cacheOnly === 'true';
+
+    let result;
+    if (cacheOnly) {
+      // Just load from cache without scanning
+      const cache = await treeScanner.getCachedTree();
+      result = {
+        updatedCount: 0,
+        deletedCount: 0,
+        totalCount: Object.keys(cache.conversations || {}).length,
+        cache: cache,
+        fromCache: true
+      };
+    } else {
+      result = full 
+        ? await treeScanner.fullScan()
+        : await treeScanner.incrementalScan();
+    }
+    // Names typed by hand, then automatic titles; the cache-only load doesn't read files
+    await conversationTitles.annotate(result.cache.conversations, { update: !cacheOnly });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      success: true,
+      newCount: result.newCount || 0,
+      modifiedCount: result.modifiedCount || 0,
+      updatedCount: result.updatedCount,
+      deletedCount: result.deletedCount,
+      totalCount: result.totalCount,
+      cache: result.cache,  // Include the full cache for the tree
+      fromCache: result.fromCache || false
+    }));
+  });
+
+  router.get('/api/conversation/lineage', {
+    summary: 'Ancestors and descendants of a conversation',
+    query: { conversationId: 'Conversation id' }
+  }, async ({ query, res }) => {
+    const conversationId = query.conversationId;
+    if (!conversationId) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'conversationId required' }));
+      return;
+    }
+
+    const treeScanner = new ConversationTreeScanner();
+    const lineage = await treeScanner.getConversationLineage(conversationId);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ lineage }));
+  });
+
+  const exporter = new ConversationExporter({
+    reader: conversationReader,
+    getName: (conversationId) => conversationNamer.getName(conversationId)
+  });
+
+  router.get('/api/conversation/export', {
+    summary: 'Export a conversation as Markdown, HTML or a JSON bundle',
+    query: {
+      download: '1 to send as a file attachment',
+      format: 'markdown (default), html or json',
+      id: 'Conversation id',
+      lineage: 'true to include the conversations it continues from',
+      sidechains: 'false to leave out sub-agent messages',
+      toolOutput: 'false to leave out tool results'
+    }
+  }, async ({ query, res }) => {
+    if (!query.id) throw new HttpError(400, 'id required');
+
+    let result;
+    try {
+      result = await exporter.export(query.id, {
+        format: query.format || 'markdown',
+        lineage: query.lineage === 'true',
+        includeToolOutput: query.toolOutput !== 'false',
+        includeSidechains: query.sidechains !== 'false'
+      });
+    } catch (error) {
+      throw new HttpError(/not found/.test(error.message) ? 404 : 400, error.message);
+    }
+
+    const headers = { 'Content-Type': result.contentType };
+    if (query.download === '1') {
+      headers['Content-Disposition'] = `attachment; filename="${result.filename}"`;
+    }
+    res.writeHead(200, headers);
+    res.end(result.content);
+  });
+
+  router.get('/api/conversation/diff', {
+    summary: 'Compare two conversations: shared prefix, first difference and compactions',
+    query: { left: 'Conversation id shown on the left', right: 'Conversation id shown on the right' }
+  }, async ({ query }) => {
+    if (!query.left || !query.right) throw new HttpError(400, 'left and right required');
+    try {
+      return await new ConversationDiff({ reader: conversationReader }).compare(query.left, query.right);
+    } catch (error) {
+      throw new HttpError(/not found/.test(error.message) ? 404 : 500, error.message);
+    }
+  });
+
+  router.get('/api/conversation/search', {
+    summary: 'Full-text search across every conversation',
+    query: {
+      from: 'Earliest message time (ISO date)',
+      limit: 'Maximum number of hits',
+      project: 'Part of the project folder or working directory',
+      q: 'Words, "quoted phrases", word* prefixes and inline role:/tool:/project:/from:/to: filters',
+      role: 'user, assistant, tool or system',
+      to: 'Latest message time (a bare date includes that day)',
+      tool: 'Tool name, e.g. Bash'
+    }
+  }, async ({ query }) => {
+    try {
+      return await conversationSearch.search(query.q || '', query);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+
+  router.post('/api/conversation/search/rebuild', {
+    summary: 'Drop the search index and index every conversation again'
+  }, async () => {
+    const result = await conversationSearch.update({ rebuild: true });
+    return { success: true, ...result, indexed: conversationSearch.stats() };
+  });
+
+  router.get('/api/conversation/excerpt', {
+    summary: 'Messages around one line of a conversation, for opening a search hit',
+    query: { id: 'Conversation id', line: 'Line of the message (as in search hits)', radius: 'Lines either side' }
+  }, async ({ query }) => {
+    const line = parseInt(query.line);
+    const radius = Math.min(parseInt(query.radius) || 15, 100);
+    if (!query.id || isNaN(line)) throw new HttpError(400, 'id and line required');
+
+    const filePath = await conversationReader.findConversationFile(query.id);
+    if (!filePath) throw new HttpError(404, `Conversation ${query.id} not found`);
+
+    // Same numbering as the index: non-empty lines only
+    const messages = [];
+    const rl = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+    let index = -1;
+    for await (const raw of rl) {
+      if (!raw.trim()) continue;
+      index++;
+      if (index < line - radius) continue;
+      if (index > line + radius) break;
+      try {
+        const message = conversationReader.processMessage(JSON.parse(raw), index);
+        if (message) messages.push({ ...message, metadata: undefined, index });
+      } catch (e) {
+        // Skip malformed lines
+      }
+    }
+    rl.close();
+    return { conversationId: query.id, line, messages };
+  });
+}
+
+module.exports = registerConversationRoutes;
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Health Routes
+ * Structural checks of the conversation and config files, and repairing what
+ * they find with backups (see conversation-repair.js).
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerHealthRoutes(router, ctx) {
+  const { conversationRepair } = ctx;
+
+  const scopeOf = (params) => {
+    const recent = params.recent !== undefined && params.recent !== null && params.recent !== '' ? parseInt(params.recent, 10) : undefined;
+    if (recent !== undefined && !(recent > 0)) throw new HttpError(400, 'recent must be a positive number');
+    return {
+      conversationId: params.conversationId || undefined,
+      recent,
+      config: params.config !== false && params.config !== 'false'
+    };
+  };
+
+  const run = async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      throw new HttpError(error.status || 500, error.message);
+    }
+  };
+
+  router.get('/api/health/check', {
+    summary: 'Dry run: truncated lines, invalid JSON, broken parentUuid chains and orphaned sidechains, and what a repair would do',
+    query: {
+      conversationId: 'Check only this conversation',
+      recent: 'Check only the most recently written N conversations',
+      config: 'false to skip the config files'
+    }
+  }, async ({ query }) => {
+    return await run(() => conversationRepair.check(scopeOf(query)));
+  });
+
+  router.post('/api/health/repair', {
+    summary: 'Repair what a check in the same scope finds, backing each file up first',
+    body: { properties: { conversationId: 'string', recent: 'number', config: 'boolean', force: 'boolean' } }
+  }, async ({ body }) => {
+    const result = await run(() => conversationRepair.repair(scopeOf(body), { force: body.force === true }));
+    return { success: result.failed.length === 0, ...result };
+  });
+}
+
+module.exports = registerHealthRoutes;
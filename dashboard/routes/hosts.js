@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Host Routes
+ * Registering remote machines that run host-agent.js.
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerHostRoutes(router, ctx) {
+  const { hostRegistry, log } = ctx;
+
+  router.get('/api/hosts', { summary: 'Registered hosts and whether their agents answer' }, async () => {
+    return { hosts: await hostRegistry.status() };
+  });
+
+  router.post('/api/hosts', {
+    summary: 'Register a host, or update one with the same name',
+    body: { required: ['name', 'url'], properties: { name: 'string', token: 'string', url: 'string' } }
+  }, async ({ body }) => {
+    let host;
+    try {
+      host = await hostRegistry.add(body);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+    log.info(`[Hosts] Registered ${host.name} at ${host.url}`);
+    // Report reachability now rather than on the first session call
+    try {
+      return { success: true, host, agent: await hostRegistry.client(host.name).health() };
+    } catch (error) {
+      return { success: true, host, warning: error.message };
+    }
+  });
+
+  router.delete('/api/hosts/:name', { summary: 'Forget a host' }, async ({ params }) => {
+    if (!(await hostRegistry.remove(params.name))) {
+      throw new HttpError(404, `Unknown host: ${params.name}`);
+    }
+    log.info(`[Hosts] Removed ${params.name}`);
+    return { success: true };
+  });
+
+  router.get('/api/hosts/:name/conversations', {
+    summary: 'Recent conversation files on a host',
+    query: { limit: 'Maximum number of entries' }
+  }, async ({ params, query }) => {
+    if (!hostRegistry.hosts.has(params.name)) {
+      throw new HttpError(404, `Unknown host: ${params.name}`);
+    }
+    try {
+      return { conversations: await hostRegistry.client(params.name).listConversations(parseInt(query.limit) || 50) };
+    } catch (error) {
+      throw new HttpError(502, error.message);
+    }
+  });
+}
+
+module.exports = registerHostRoutes;
@@ -0,0 +1,582 @@
+#!/usr/bin/env node
+
+/**
+ * Loop Routes
+ * Loop config and control, the scheduler, message queue, templates and the prompt responder.
+ */
+
+const fs = require('fs').promises;
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerLoopRoutes(router, ctx) {
+  const {
+    ACTIVE_LOOPS_FILE, CONFIG, autoAcceptState, checkAutoResumeRunning, clearPromptEscalation,
+    describePrompt, enforceSafetyPolicy, execAsync, getActiveConditionalMessage, getConditionalMessage, getLoopStatus,
+    getSessionConfig, getTemplateVariables, isScheduleActive, log, loopScheduler, messageQueue,
+    messageTemplates, pauseLoop, promptEscalations, promptResponder, resumeLoop, saveActiveLoops,
+    saveConfig, saveSessionConfig, sendCustomMessage, sessionLoops, startAutoResume, startLoop,
+    stopLoop, tmuxUtils, usageLimitMonitor
+  } = ctx;
+
+  router.get('/api/config', {
+    summary: 'Loop config, for a session when ?session is given',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const session = query.session;
+    if (session) {
+      // Get complete config from single source
+      const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(config));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(ctx.loopConfig));
+    }
+  });
+
+  router.post('/api/config', {
+    summary: 'Save loop config (per session when body.session is set)',
+    body: { properties: { config: 'object', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    if (data.session) {
+      // Save everything to session config file (single source of truth)
+      const updatedConfig = await saveSessionConfig(data.session, data.config || data);
+      log.info('Config saved for session: ' + data.session);
+
+      // Reset auto-accept debounce when auto-accept is enabled/re-enabled
+      if (updatedConfig.autoAcceptPrompts) {
+        if (!autoAcceptState.sessions[data.session]) {
+          autoAcceptState.sessions[data.session] = {};
+        }
+        // Clear the debounce timer to allow immediate auto-accept
+        autoAcceptState.sessions[data.session].lastAutoAcceptTime = null;
+        log.info(`[Auto-Accept] Debounce reset for session ${data.session} due to config change`);
+      }
+
+      // If delay changed and loop is running, update the next message time
+      const loopInfo = sessionLoops.get(data.session);
+      if (loopInfo && !loopInfo.paused && updatedConfig.delayMinutes) {
+        const oldDelay = loopInfo.delayMinutes || ctx.loopConfig.delayMinutes;
+        const newDelay = updatedConfig.delayMinutes;
+
+        if (oldDelay !== newDelay) {
+          const now = Date.now();
+          const newDelayMs = newDelay * 60 * 1000;
+
+          // If "Start with full delay" is checked, reset to full delay
+          // Otherwise, calculate based on time elapsed
+          let timeRemainingWithNewDelay;
+          if (updatedConfig.startWithDelay) {
+            // Reset to full new delay
+            timeRemainingWithNewDelay = newDelayMs;
+            log.debug(`Resetting timer to full ${newDelay} minutes (startWithDelay is enabled)`);
+          } else {
+            // Calculate how much time has passed since last message
+            const timeSinceLastMessage = now - (loopInfo.lastMessageTime || loopInfo.startTime.getTime());
+            // Calculate remaining time with new delay
+            timeRemainingWithNewDelay = Math.max(0, newDelayMs - timeSinceLastMessage);
+            log.debug(`Adjusting timer based on ${Math.round(timeSinceLastMessage / 1000)}s elapsed`);
+          }
+
+          // Update the loop info
+          loopInfo.delayMinutes = newDelay;
+          loopInfo.nextMessageTime = new Date(now + timeRemainingWithNewDelay);
+
+          // The scheduler reads delayMinutes on every tick, so no timer needs replacing
+          log.info(`Updated running loop delay for ${data.session}: ${oldDelay} -> ${newDelay} minutes`);
+          log.debug(`Next message in ${Math.round(timeRemainingWithNewDelay / 1000)} seconds`);
+
+          // Save the updated loop state
+          await saveActiveLoops();
+        }
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, config: updatedConfig }));
+    } else {
+      // Save global config
+      ctx.loopConfig = { ...ctx.loopConfig, ...data };
+      await saveConfig();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    }
+  });
+
+  router.get('/api/status', { summary: 'Status of every loop, context and pause state' }, async ({ res }) => {
+    const status = await getLoopStatus();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status));
+  });
+
+  router.post('/api/reset-cooldown', {
+    summary: 'Reset the auto-accept cooldown of a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+
+    // Reset the auto-accept cooldown for this session
+    if (!autoAcceptState.sessions[session]) {
+      autoAcceptState.sessions[session] = {};
+    }
+    autoAcceptState.sessions[session].lastAutoAcceptTime = null;
+
+    log.info(`[Auto-Accept] Cooldown timer reset for session ${session} via manual reset`);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: 'Cooldown timer reset' }));
+  });
+
+  router.post('/api/loop/pause', {
+    summary: 'Pause the loop of a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session;
+    if (session && sessionLoops.has(session)) {
+      const loopInfo = sessionLoops.get(session);
+      loopInfo.paused = true;
+      await saveActiveLoops();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: `Session ${session} paused` }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Session not found' }));
+    }
+  });
+
+  router.post('/api/loop/resume', {
+    summary: 'Resume the loop of a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session;
+    if (session && sessionLoops.has(session)) {
+      const loopInfo = sessionLoops.get(session);
+      loopInfo.paused = false;
+      // Resuming by hand also ends a usage limit wait
+      if (loopInfo.usageLimit) {
+        await usageLimitMonitor.resume(session, { sendMessage: false });
+      }
+      await saveActiveLoops();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: `Session ${session} resumed` }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Session not found' }));
+    }
+  });
+
+  router.get('/api/loop/status', { summary: 'Paused/running state of every loop' }, async ({ res }) => {
+    const loops = {};
+    for (const [session, info] of sessionLoops.entries()) {
+      loops[session] = {
+        paused: info.paused,
+        startTime: info.startTime,
+        nextMessageTime: info.nextMessageTime,
+        usageLimit: usageLimitMonitor.getStatus(session)
+      };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ loops }));
+  });
+
+  router.get('/api/loop/trace', {
+    summary: 'Why the scheduler sent or skipped, per session',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    // Why the scheduler sent or skipped, per session
+    const traceSession = query.session;
+    const sessions = traceSession ? [traceSession] : Array.from(sessionLoops.keys());
+    const traces = {};
+    for (const session of sessions) {
+      const info = sessionLoops.get(session);
+      traces[session] = {
+        running: !!info,
+        paused: info ? !!info.paused : false,
+        lastMessageTime: info && info.lastMessageTime ? new Date(info.lastMessageTime).toISOString() : null,
+        nextMessageTime: info ? info.nextMessageTime : null,
+        usageLimit: usageLimitMonitor.getStatus(session),
+        trace: loopScheduler.getTrace(session)
+      };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(traceSession ? { session: traceSession, ...traces[traceSession] } : { sessions: traces }));
+  });
+
+  router.get('/api/pause-status', { summary: 'Global pause file contents' }, async ({ res }) => {
+    try {
+      if (await fs.access(CONFIG.pauseFile).then(() => true).catch(() => false)) {
+        const pauseData = await fs.readFile(CONFIG.pauseFile, 'utf8');
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(pauseData);
+      } else {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ loops: {} }));
+      }
+    } catch (error) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ loops: {} }));
+    }
+  });
+
+  router.post('/api/control', {
+    summary: 'Start, stop, pause, resume or message a loop',
+    body: { properties: { action: 'string', config: 'object', message: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    switch (data.action) {
+      case 'start':
+        await startLoop(data.session || 'claude', data.config || ctx.loopConfig);
+        break;
+      case 'stop':
+        // Stop only the specified session
+        await stopLoop(data.session || 'claude');
+        break;
+      case 'pause':
+        await pauseLoop();
+        break;
+      case 'resume':
+        await resumeLoop();
+        break;
+      case 'send-message':
+        await sendCustomMessage(data.message, data.session || 'claude');
+        break;
+      case 'stop-all-loops':
+        // Stop only the loop processes, not the tmux sessions
+        try {
+          // First, try to stop all tracked loops gracefully
+          try {
+            if (sessionLoops && sessionLoops.size > 0) {
+              for (const [sess, loopInfo] of sessionLoops.entries()) {
+                if (loopInfo && loopInfo.intervalId) {
+                  clearInterval(loopInfo.intervalId);
+                }
+              }
+              sessionLoops.clear();
+            }
+          } catch (e) {
+            log.error('Error clearing intervals:', e);
+          }
+
+          // Kill all claude loop processes
+          const { stdout } = await execAsync('ps aux | grep -E "claude.*loop|claude-loop" | grep -v grep | grep -v dashboard | awk \'{print $2}\'');
+          const pids = stdout.trim().split('\n').filter(pid => pid);
+
+          for (const pid of pids) {
+            if (pid) {
+              try {
+                await execAsync('kill -9 ' + pid);
+              } catch (e) {
+                // Process might already be gone
+              }
+            }
+          }
+
+          // Clean up files - including our new lock format
+          await execAsync('rm -f /tmp/claude-loop*.lock 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude_loop_*.lock 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude_loop_*.pid 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude-monitor*.pid 2>/dev/null').catch(() => {});
+
+          // Clear active loops file
+          await fs.writeFile(ACTIVE_LOOPS_FILE, '{}').catch(() => {});
+
+          log.info('Stopped all loops');
+        } catch (e) {
+          log.error('Error in stop-all-loops:', e);
+        }
+        break;
+
+      case 'stop-all-sessions':
+        // Stop all tmux sessions (claude sessions)
+        try {
+          // Get all tmux sessions that start with 'claude', on this machine and on registered hosts
+          const { sessions } = await tmuxUtils.listAllSessions();
+          const claudeSessions = sessions.filter(session => session.split(':').pop().startsWith('claude'));
+
+          // Kill each claude session
+          for (const session of claudeSessions) {
+            try {
+              await tmuxUtils.killSession(session);
+              log.info(`Killed tmux session: ${session}`);
+            } catch (e) {
+              log.error(`Failed to kill session ${session}:`, e.message);
+            }
+          }
+
+          // Also stop all loops since sessions are gone
+          // First, try to stop all tracked loops gracefully
+          try {
+            if (sessionLoops && sessionLoops.size > 0) {
+              for (const [sess, loopInfo] of sessionLoops.entries()) {
+                if (loopInfo && loopInfo.intervalId) {
+                  clearInterval(loopInfo.intervalId);
+                }
+              }
+              sessionLoops.clear();
+            }
+          } catch (e) {
+            log.error('Error clearing intervals:', e);
+          }
+
+          // Kill all claude loop processes
+          const { stdout } = await execAsync('ps aux | grep -E "claude.*loop|claude-loop" | grep -v grep | grep -v dashboard | awk \'{print $2}\'');
+          const pids = stdout.trim().split('\n').filter(pid => pid);
+
+          for (const pid of pids) {
+            if (pid) {
+              try {
+                await execAsync('kill -9 ' + pid);
+              } catch (e) {
+                // Process might already be gone
+              }
+            }
+          }
+
+          // Clean up files
+          await execAsync('rm -f /tmp/claude-loop*.lock 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude_loop_*.lock 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude_loop_*.pid 2>/dev/null').catch(() => {});
+          await execAsync('rm -f /tmp/claude-monitor*.pid 2>/dev/null').catch(() => {});
+
+          // Clear active loops file
+          await fs.writeFile(ACTIVE_LOOPS_FILE, '{}').catch(() => {});
+
+          log.info('Stopped all claude sessions and loops');
+        } catch (e) {
+          log.error('Error in stop-all-sessions:', e);
+        }
+        break;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+
+  router.get('/api/next-message', {
+    summary: 'Message the loop would send next',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const msgSessionParam = query.session;
+    const message = await getConditionalMessage(msgSessionParam);
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(message);
+  });
+
+  router.get('/api/schedule-active', {
+    summary: 'Whether the schedule allows sending right now',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const scheduleSession = query.session;
+    if (!scheduleSession) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Error: session parameter required');
+      return;
+    }
+    const isActive = isScheduleActive(scheduleSession);
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end(isActive ? 'true' : 'false');
+  });
+
+  router.get('/api/auto-resume-status', { summary: 'Whether the auto-resume watcher is running' }, async ({ res }) => {
+    const autoResumeStatus = await checkAutoResumeRunning();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(autoResumeStatus));
+  });
+
+  router.post('/api/start-auto-resume', { summary: 'Start the auto-resume watcher' }, async ({ res }) => {
+    await startAutoResume();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+
+  router.post('/api/send-custom-message', {
+    summary: 'Send a message to a session now',
+    body: { properties: { confirmed: 'boolean', message: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const message = data.message || '';
+    await enforceSafetyPolicy(session, message, { kind: 'message', source: '/api/send-custom-message', confirmed: data.confirmed });
+
+    // Custom messages from the user should always be sent as-is
+    // Don't replace with conditional messages - those are for automatic loop messages
+    // Pass true for isManualSend to disable retry Enter
+    const item = await sendCustomMessage(message, session, true);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, id: item.id, status: item.status }));
+  });
+
+  router.add(['GET', 'POST'], '/api/template-preview', {
+    summary: 'Render a message template (query string for GET, body for POST)',
+    query: { session: 'Session name', template: 'Template text' },
+    body: { properties: { message: 'string', session: 'string', template: 'string' } }
+  }, async ({ query, body, method, res }) => {
+    const data = method === 'POST' ? body : query;
+    const session = data.session || 'claude';
+    const template = data.template !== undefined ? data.template : (data.message || '');
+    const variables = await getTemplateVariables(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      session,
+      template,
+      rendered: messageTemplates.renderTemplate(template, variables),
+      variables,
+      available: messageTemplates.TEMPLATE_VARIABLES
+    }));
+  });
+
+  router.get('/api/conditional-message', {
+    summary: 'Conditional message that currently applies',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const session = query.session || 'claude';
+    const conditionalMsg = await getActiveConditionalMessage(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(conditionalMsg || { type: 'none', message: null }));
+  });
+
+  router.get('/api/message-queue', {
+    summary: 'Queued and recent messages',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const session = query.session || null;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ items: messageQueue.list(session) }));
+  });
+
+  router.post('/api/message-queue', {
+    summary: 'Queue a message',
+    body: { required: ['message'], properties: { confirmed: 'boolean', message: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await enforceSafetyPolicy(data.session || 'claude', data.message, { kind: 'message', source: '/api/message-queue', confirmed: data.confirmed });
+    const item = await sendCustomMessage(data.message, data.session || 'claude', true);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, item }));
+  });
+
+  router.put('/api/message-queue', {
+    summary: 'Edit a message that has not been pasted yet',
+    body: { required: ['id', 'message'], properties: { id: 'string', message: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    try {
+      const item = await messageQueue.update(data.id, data.message);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, item }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.delete('/api/message-queue', {
+    summary: 'Clear confirmed and failed messages',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    // Clear finished (confirmed/failed) messages
+    const removed = await messageQueue.clearFinished(query.session || null);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, removed }));
+  });
+
+  router.post('/api/message-queue/cancel', {
+    summary: 'Cancel one message or everything pending for a session',
+    body: { properties: { id: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    // Cancel one message ({id}) or everything pending for a session ({session}) - used by panic stop
+    const data = body;
+    const cancelled = await messageQueue.cancel({ id: data.id, session: data.session || 'claude' });
+    log.info(`[Queue] Cancelled ${cancelled} pending message(s)${data.id ? '' : ' for ' + (data.session || 'claude')}`);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, cancelled }));
+  });
+
+  router.post('/api/message-queue/retry', {
+    summary: 'Requeue a failed message',
+    body: { required: ['id'], properties: { id: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    try {
+      const item = await messageQueue.retry(data.id);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, item }));
+    } catch (error) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.get('/api/prompt-responder', {
+    summary: 'Prompt policy, pending escalation and recent decisions',
+    query: { limit: 'Maximum number of entries', session: 'Session name' }
+  }, async ({ query, res }) => {
+    // Policy, pending escalation and recent decisions for a session
+    const session = query.session || 'claude';
+    const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+    const audit = await promptResponder.readAudit(session, parseInt(query.limit) || 50);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      session,
+      policy: config.promptPolicy || { enabled: false, delaySeconds: 3, rules: [] },
+      escalation: promptEscalations.get(session) || null,
+      audit,
+      types: promptResponder.PROMPT_TYPES
+    }));
+  });
+
+  router.post('/api/prompt-responder', {
+    summary: 'Save the prompt policy of a session',
+    body: { properties: { policy: 'object', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const policy = data.policy || {};
+    const invalid = (policy.rules || []).find(rule => {
+      if (!rule.regex) return false;
+      try { new RegExp(rule.regex); return false; } catch (e) { return true; }
+    });
+    if (invalid) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: `Invalid regex in rule ${invalid.id}: ${invalid.regex}` }));
+      return;
+    }
+    await saveSessionConfig(session, { promptPolicy: policy });
+    // Re-evaluate whatever prompt is on screen under the new policy
+    clearPromptEscalation(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, policy }));
+  });
+
+  router.post('/api/prompt-responder/answer', {
+    summary: 'Answer an escalated prompt',
+    body: { properties: { answer: 'string', option: 'any', session: 'string' } }
+  }, async ({ body, res }) => {
+    // Answer an escalated prompt from the dashboard
+    const data = body;
+    const session = data.session || 'claude';
+    const stdout = await tmuxUtils.capturePane(session, { lines: 60 });
+    const parsed = promptResponder.parsePrompt(stdout);
+    const option = parsed ? promptResponder.resolveOption(parsed, data.answer, data.option) : null;
+    if (!option) {
+      res.writeHead(409, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: parsed ? `The prompt has no "${data.answer}" option` : 'No prompt is waiting' }));
+      return;
+    }
+    const keys = promptResponder.keysForOption(option);
+    for (const key of keys) {
+      await tmuxUtils.sendKey(key, session);
+    }
+    await promptResponder.audit({ session, action: 'manual', answer: data.answer, option: option.number, keys, prompt: describePrompt(parsed) });
+    clearPromptEscalation(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, option: option.number }));
+  });
+}
+
+module.exports = registerLoopRoutes;
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Monitor Routes
+ * Event stream, monitor logs and browser error reports.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerMonitorRoutes(router, ctx) {
+  const { CONFIG, eventHub, execCommand, getRecentLogs, log } = ctx;
+
+  router.get('/api/events', {
+    summary: 'Server-Sent Events stream of dashboard state',
+    query: { background: 'Comma-separated background sessions', chat: '1 to stream the conversation messages', lines: 'Scrollback lines', logs: '1 to stream monitor log lines', session: 'Session name' }
+  }, async ({ query, res }) => {
+    eventHub.addClient(res, {
+      session: query.session || null,
+      background: (query.background || '').split(',').filter(Boolean),
+      lines: query.lines ? parseInt(query.lines) : 500,
+      logs: query.logs === '1',
+      chat: query.chat === '1'
+    });
+  });
+
+  router.get('/api/logs', {
+    summary: 'Recent monitor log lines',
+    query: { maxLines: 'Number of lines (0 for all)', session: 'Session name' }
+  }, async ({ query, res }) => {
+    const maxLines = query.maxLines ? parseInt(query.maxLines) : CONFIG.maxLogLines;
+    const sessionName = query.session || null;
+    const logs = await getRecentLogs(maxLines === 0 ? null : maxLines, sessionName);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ logs }));
+  });
+
+  router.post('/api/client-error', { summary: 'Log an error reported by the browser' }, async ({ body }) => {
+    log.error('[CLIENT ERROR]', new Date().toISOString(), body);
+    return { logged: true };
+  });
+
+  router.post('/api/log-monitor', {
+    summary: 'Start or stop a log monitor instance',
+    body: { properties: { action: 'string', instance: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const instance = data.instance || 'default';
+    const session = data.session || 'claude-chat';
+    let command = '/home/michael/InfiniQuest/tmp/claudeLoop/dashboard/log-monitor-manager.sh ' + data.action + ' ' + instance;
+    if (data.action === 'start' && data.session) {
+      command += ' ' + session;
+    }
+    const result = await execCommand(command);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: result.includes('OK:'), message: result }));
+  });
+
+  router.post('/api/monitor-type', {
+    summary: 'Remember the preferred log monitor type',
+    body: { properties: { type: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const typeFile = path.join('/tmp/claude-monitors/monitor-type-preference');
+    await fs.writeFile(typeFile, data.type);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, type: data.type }));
+  });
+
+  router.get('/api/log-monitor/status', {
+    summary: 'Status of a log monitor instance',
+    query: { instance: 'Log monitor instance' }
+  }, async ({ query, res }) => {
+    const instance = query.instance || 'default';
+    const statusResult = await execCommand('/home/michael/InfiniQuest/tmp/claudeLoop/dashboard/log-monitor-manager.sh status ' + instance);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(statusResult);
+  });
+
+  router.get('/api/log-monitor/list', { summary: 'Running log monitor instances' }, async ({ res }) => {
+    const listResult = await execCommand('/home/michael/InfiniQuest/tmp/claudeLoop/dashboard/log-monitor-manager.sh list');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(listResult);
+  });
+}
+
+module.exports = registerMonitorRoutes;
@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+/**
+ * Session Routes
+ * Listing, creating and deleting tmux sessions.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DASHBOARD_DIR = path.join(__dirname, '..');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerSessionRoutes(router, ctx) {
+  const { HOME_DIR, getSessionConfig, log, sessionLoops, tmuxUtils } = ctx;
+
+  router.get('/api/tmux-sessions', {
+    summary: 'Running tmux sessions (local and host:session) and sessions with a config file'
+  }, async ({ res }) => {
+    const { sessions: runningSessionNames, hosts } = await tmuxUtils.listAllSessions();
+
+    // Also get all sessions with config files
+    const configFiles = await fs.readdir(DASHBOARD_DIR);
+    const configSessionNames = configFiles
+      .filter(f => f.startsWith('loop-config-') && f.endsWith('.json'))
+      .map(f => f.replace('loop-config-', '').replace('.json', ''));
+
+    // Combine both lists (unique values only)
+    const allSessionNames = [...new Set([...runningSessionNames, ...configSessionNames])];
+
+    // Sort sessions numerically
+    allSessionNames.sort((a, b) => {
+      const getNum = (str) => {
+        const match = str.match(/(\d+)$/);
+        return match ? parseInt(match[1]) : Infinity;
+      };
+      return getNum(a) - getNum(b);
+    });
+
+    // Load custom names and check if running
+    const sessionsWithNames = await Promise.all(allSessionNames.map(async (sessionName) => {
+      const config = await getSessionConfig(sessionName, { loopConfig: ctx.loopConfig });
+      const customName = config.customName || null;
+      const isRunning = runningSessionNames.includes(sessionName);
+      return {
+        id: sessionName,
+        name: customName || sessionName,
+        hasCustomName: !!customName,
+        isRunning: isRunning
+      };
+    }));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ 
+      sessions: allSessionNames,  // All sessions (running + configs)
+      sessionsWithNames,         // Enhanced format with running status
+      hosts                      // Remote hosts that were asked, with errors for unreachable ones
+    }));
+  });
+
+  router.get('/api/sessions', { summary: 'Sessions with a running loop' }, async ({ res }) => {
+    const sessionInfo = {};
+    for (const [session, loopInfo] of sessionLoops.entries()) {
+      sessionInfo[session] = {
+        active: true,
+        paused: loopInfo.paused,
+        hasLoop: true
+      };
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ sessions: sessionInfo }));
+  });
+
+  router.post('/api/kill-session', {
+    summary: 'Kill a tmux session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    await tmuxUtils.killSession(session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+
+  router.post('/api/start-session', {
+    summary: 'Create a tmux session running Claude',
+    body: { properties: { session: 'string', workingDir: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const workingDir = data.workingDir || process.env.HOME || process.cwd();
+    // Create new tmux session and start claude with resume option in the specified directory
+    await tmuxUtils.newSession(session, workingDir, 'claude --resume');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true }));
+  });
+
+  router.get('/api/sessions/:session/info', { summary: 'Config and conversation sizes of a session, before deleting it' }, async ({ params, res }) => {
+    const session = params.session;
+
+    try {
+      // Get config file size
+      const configPath = path.join(DASHBOARD_DIR, `loop-config-${session}.json`);
+      let configSize = 0;
+      try {
+        const stats = await fs.stat(configPath);
+        configSize = stats.size;
+      } catch (e) {
+        // Config file might not exist
+      }
+
+      // Get conversation files info
+      let conversationCount = 0;
+      let conversationSize = 0;
+
+      // Check various possible conversation directories
+      const projectPaths = [
+        path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest-tmp-claudeLoop-dashboard'),
+        path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest-tmp-claudeLoop'),
+        path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest'),
+      ];
+
+      for (const projectPath of projectPaths) {
+        try {
+          const files = await fs.readdir(projectPath);
+          // Look for files that might belong to this session
+          for (const file of files) {
+            if (file.includes(session) && file.endsWith('.jsonl')) {
+              conversationCount++;
+              const filePath = path.join(projectPath, file);
+              const stats = await fs.stat(filePath);
+              conversationSize += stats.size;
+            }
+          }
+        } catch (e) {
+          // Directory might not exist
+        }
+      }
+
+      // Format sizes
+      const formatSize = (bytes) => {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+      };
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        session,
+        configSize: formatSize(configSize),
+        conversationCount,
+        conversationSize: formatSize(conversationSize)
+      }));
+    } catch (error) {
+      log.error('Failed to get session info:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.delete('/api/sessions/:session/delete', {
+    summary: 'Kill a session, back up its config and optionally delete its conversations',
+    body: { properties: { deleteConversations: 'boolean' } }
+  }, async ({ params, body, res }) => {
+    const session = params.session;
+    const data = body;
+    const deleteConversations = data.deleteConversations || false;
+
+    let deletedFiles = 0;
+
+    try {
+      // 1. Kill tmux session if it exists
+      try {
+        await tmuxUtils.killSession(session);
+        log.info(`Killed tmux session: ${session}`);
+      } catch (e) {
+        // Session might not be running
+        log.info(`Tmux session ${session} was not running`);
+      }
+
+      // 2. Backup and delete config file
+      const configPath = path.join(DASHBOARD_DIR, `loop-config-${session}.json`);
+      const backupDir = path.join(DASHBOARD_DIR, '.deleted');
+
+      try {
+        // Create backup directory if it doesn't exist
+        await fs.mkdir(backupDir, { recursive: true });
+
+        // Backup config file with timestamp
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const backupPath = path.join(backupDir, `loop-config-${session}-${timestamp}.json`);
+        await fs.copyFile(configPath, backupPath);
+        log.info(`Backed up config to: ${backupPath}`);
+
+        // Delete original config
+        await fs.unlink(configPath);
+        deletedFiles++;
+        log.info(`Deleted config: ${configPath}`);
+      } catch (e) {
+        log.error(`Failed to handle config file: ${e.message}`);
+      }
+
+      // 3. Optionally delete conversation logs
+      if (deleteConversations) {
+        const projectPaths = [
+          path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest-tmp-claudeLoop-dashboard'),
+          path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest-tmp-claudeLoop'),
+          path.join(HOME_DIR, '.claude', 'projects', '-home-michael-InfiniQuest'),
+        ];
+
+        for (const projectPath of projectPaths) {
+          try {
+            const files = await fs.readdir(projectPath);
+            for (const file of files) {
+              if (file.includes(session) && file.endsWith('.jsonl')) {
+                const filePath = path.join(projectPath, file);
+                await fs.unlink(filePath);
+                deletedFiles++;
+                log.info(`Deleted conversation: ${filePath}`);
+              }
+            }
+          } catch (e) {
+            // Directory might not exist or file might not be deletable
+          }
+        }
+      }
+
+      // 4. Clean up old backups (older than 30 days)
+      try {
+        const backupFiles = await fs.readdir(backupDir);
+        const thirtyDaysAgo = Date.now() - (30 * 24 * 60 * 60 * 1000);
+
+        for (const file of backupFiles) {
+          const filePath = path.join(backupDir, file);
+          const stats = await fs.stat(filePath);
+          if (stats.mtimeMs < thirtyDaysAgo) {
+            await fs.unlink(filePath);
+            log.info(`Cleaned up old backup: ${file}`);
+          }
+        }
+      } catch (e) {
+        // Backup cleanup is not critical
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        session,
+        deletedFiles,
+        message: `Session ${session} deleted successfully`
+      }));
+    } catch (error) {
+      log.error('Failed to delete session:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+}
+
+module.exports = registerSessionRoutes;
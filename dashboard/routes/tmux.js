@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * Tmux Routes
+ * Pane captures, keys and commands, and starting/stopping Claude inside a session.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerTmuxRoutes(router, ctx) {
+  const {
+    CONFIG, HOME_DIR, commandSafety, conversationAutoSetup, enforceDirectoryPolicy, enforceSafetyPolicy,
+    execCommand, getContextStatus, getSessionConfig, getTmuxTail, log, saveSessionConfig, tmuxUtils
+  } = ctx;
+
+  router.get('/api/tmux-tail', {
+    summary: 'Capture a pane with prompt, activity and context detection',
+    query: { lines: 'Scrollback lines', session: 'Session name' }
+  }, async ({ query, res }) => {
+    const tailLines = query.lines ? parseInt(query.lines) : 500;
+    const tailSession = query.session || 'claude-chat';
+    const tail = await getTmuxTail(tailSession, tailLines);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(tail));
+  });
+
+  router.get('/api/context', {
+    summary: 'Context usage of a session',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const sessionParam = query.session;
+    const context = await getContextStatus(sessionParam);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(context));
+  });
+
+  router.get('/api/tmux-pane-cwd', {
+    summary: 'Working directory of a session',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const cwdSession = query.session || 'claude-chat';
+    try {
+      let conversationPath = null;
+
+      // First check if session has a saved conversation ID in config
+      const sessionConfig = await getSessionConfig(cwdSession, { loopConfig: ctx.loopConfig });
+      const savedConversationId = sessionConfig.conversationId || null;
+
+      if (savedConversationId) {
+        // Look for this specific conversation
+        const projectsDir = path.join(HOME_DIR, '.claude', 'projects');
+        const projectPaths = [
+          path.join(projectsDir, '-home-michael-InfiniQuest-tmp-claudeLoop-dashboard'),
+          path.join(projectsDir, '-home-michael-InfiniQuest'),
+          path.join(projectsDir, '-home-michael-ai-dev-review'),
+          path.join(projectsDir, '-home-michael-Test')
+        ];
+
+        for (const projectPath of projectPaths) {
+          try {
+            const filePath = path.join(projectPath, `${savedConversationId}.jsonl`);
+            await fs.access(filePath);
+            conversationPath = filePath;
+            break;
+          } catch (e) {
+            // File doesn't exist in this directory, try next
+          }
+        }
+      }
+
+      if (!conversationPath) {
+        // Fall back to finding most recent conversation
+        const projectsDir = path.join(HOME_DIR, '.claude', 'projects');
+        const projectPaths = [
+          path.join(projectsDir, '-home-michael-InfiniQuest-tmp-claudeLoop-dashboard'),
+          path.join(projectsDir, '-home-michael-InfiniQuest')
+        ];
+
+        let mostRecentTime = 0;
+
+        for (const projectPath of projectPaths) {
+          try {
+            const files = await fs.readdir(projectPath);
+            const jsonlFiles = files.filter(f => f.endsWith('.jsonl'));
+
+            for (const file of jsonlFiles) {
+              const filePath = path.join(projectPath, file);
+              const stats = await fs.stat(filePath);
+              if (stats.mtimeMs > mostRecentTime) {
+                mostRecentTime = stats.mtimeMs;
+                conversationPath = filePath;
+              }
+            }
+          } catch (e) {
+            // Directory doesn't exist, skip
+          }
+        }
+      }
+
+      if (!conversationPath) {
+        throw new Error('No conversation file found');
+      }
+
+      // Read first few lines to find the system message with working directory
+      const content = await fs.readFile(conversationPath, 'utf8');
+      const lines = content.split('\n').slice(0, 10); // Check first 10 lines
+
+      let cwd = null;
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const msg = JSON.parse(line);
+          // Look for system message with working directory info
+          if (msg.role === 'system' || (msg.message && msg.message.role === 'system')) {
+            const messageContent = msg.content || msg.message?.content || '';
+            // Look for "Working directory: /path/to/dir" pattern
+            const cwdMatch = messageContent.match(/Working directory:\s*([^\n]+)/);
+            if (cwdMatch) {
+              cwd = cwdMatch[1].trim();
+              break;
+            }
+          }
+        } catch (e) {
+          // Skip invalid JSON lines
+        }
+      }
+
+      if (!cwd) {
+        throw new Error('Could not find working directory in conversation');
+      }
+
+      res.writeHead(200, { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*' 
+      });
+      res.end(JSON.stringify({ cwd, session: cwdSession }));
+    } catch (error) {
+      log.error('Failed to get initial CWD from conversation:', error);
+      res.writeHead(500, { 
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*' 
+      });
+      res.end(JSON.stringify({ error: 'Could not detect session working directory' }));
+    }
+  });
+
+  router.post('/api/tmux-setup', {
+    summary: 'Create or repair a tmux session for Claude',
+    body: { properties: { action: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const setupData = body;
+    const session = setupData.session || 'claude-chat';
+    const action = setupData.action || 'ensure';
+    const setupResult = await execCommand('/home/michael/InfiniQuest/tmp/claudeLoop/dashboard/tmux-claude-setup.sh ' + session + ' ' + action);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, message: setupResult }));
+  });
+
+  router.post('/api/browse-directory', {
+    summary: 'List the subdirectories of a directory',
+    body: { properties: { directory: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const dir = path.resolve(data.directory || HOME_DIR);
+    await enforceDirectoryPolicy(session, dir);
+    const policy = commandSafety.normalizePolicy((await getSessionConfig(session, { loopConfig: ctx.loopConfig })).safetyPolicy);
+
+    try {
+      // Read directory contents
+      const items = await fs.readdir(dir, { withFileTypes: true });
+
+      // Filter and sort directories
+      const directories = items
+        .filter(item => item.isDirectory() && !item.name.startsWith('.'))
+        .map(item => ({
+          name: item.name,
+          path: path.join(dir, item.name)
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+      // Add parent directory if not at root (and the policy lets us go there)
+      if (dir !== '/' && commandSafety.checkDirectory(policy, path.dirname(dir)).action === 'allow') {
+        directories.unshift({
+          name: '..',
+          path: path.dirname(dir)
+        });
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 
+        currentPath: dir,
+        directories: directories 
+      }));
+    } catch (error) {
+      log.error('Error browsing directory:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.post('/api/tmux-command', {
+    summary: 'Type a command into a session',
+    body: { required: ['command'], properties: { command: 'string', confirmed: 'boolean', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await enforceSafetyPolicy(data.session || 'claude', data.command, { kind: 'command', source: '/api/tmux-command', confirmed: data.confirmed });
+    const result = await tmuxUtils.sendCommand(data.command, data.session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/tmux-send-key', {
+    summary: 'Send a key to a session',
+    body: { required: ['key'], properties: { confirmed: 'boolean', key: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { session, key } = data;
+    await enforceSafetyPolicy(session || 'claude', key, { kind: 'key', source: '/api/tmux-send-key', confirmed: data.confirmed });
+    try {
+      const result = await tmuxUtils.sendKey(key, session);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, ...result }));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  });
+
+  router.post('/api/clear-history', {
+    summary: 'Clear the scrollback of a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { session } = data;
+    try {
+      const result = await tmuxUtils.clearHistory(session);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, ...result }));
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  });
+
+  router.post('/api/claude/start', {
+    summary: 'Start Claude in a session',
+    body: { properties: { session: 'string', workingDirectory: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+    const workingDir = config.workingDirectory || 
+                      data.workingDirectory ||
+                      process.env.HOME || 
+                      process.cwd();
+    const result = await tmuxUtils.startClaude(session, workingDir);
+
+    // Trigger auto-setup in background
+    if (result.initialized) {
+      conversationAutoSetup.monitorAndSetup(session, {
+        workingDir,
+        customName: config.customName || session,
+        isResume: false
+      }).then(setupResult => {
+        if (setupResult.success) {
+          log.info(`[API] Auto-setup completed for ${session}: ${setupResult.conversationId}`);
+        } else {
+          log.warn(`[API] Auto-setup failed for ${session}: ${setupResult.message}`);
+        }
+      }).catch(err => {
+        log.error(`[API] Auto-setup error for ${session}:`, err);
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/claude/stop', {
+    summary: 'Stop Claude in a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const result = await tmuxUtils.stopClaude(data.session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/claude/restart', {
+    summary: 'Restart Claude in a session',
+    body: { properties: { session: 'string', workingDirectory: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const session = data.session || 'claude';
+    const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+
+    // Try to get working directory from multiple sources
+    const workingDir = config.workingDirectory || 
+                      data.workingDirectory || 
+                      process.env.HOME || 
+                      process.cwd();
+
+    const conversationId = config.conversationId || null;
+
+    const result = await tmuxUtils.restartClaude(session, workingDir, conversationId);
+
+    // If we resumed, trigger auto-setup to catch the fork
+    if (result.resumed) {
+      conversationAutoSetup.monitorAndSetup(session, {
+        workingDir,
+        customName: config.customName || session,
+        isResume: true,
+        originalConversationId: conversationId
+      }).then(setupResult => {
+        if (setupResult.success) {
+          log.info(`[API] Fork auto-setup completed for ${session}: ${setupResult.conversationId} (forked from ${conversationId})`);
+        } else {
+          log.warn(`[API] Fork auto-setup failed for ${session}: ${setupResult.message}`);
+        }
+      }).catch(err => {
+        log.error(`[API] Fork auto-setup error for ${session}:`, err);
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/claude/compact', {
+    summary: 'Send /compact to a session',
+    body: { properties: { session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const result = await tmuxUtils.sendCompact(data.session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/send-key', {
+    summary: 'Send a key to a session',
+    body: { required: ['key'], properties: { confirmed: 'boolean', key: 'string', session: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await enforceSafetyPolicy(data.session || 'claude', data.key, { kind: 'key', source: '/api/send-key', confirmed: data.confirmed });
+    const result = await tmuxUtils.sendKey(data.key, data.session);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/tmux/restart', {
+    summary: 'Recreate a tmux session and resume its conversation',
+    query: { session: 'Session name' }
+  }, async ({ query, res }) => {
+    const session = query.session || 'claude-loop1';
+    try {
+      // Get the session's configuration to find its working directory
+      const sessionConfig = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+      const workingDir = sessionConfig.workingDirectory || CONFIG.workingDirectory || process.cwd();
+
+      // First, kill the existing session if it exists
+      try {
+        await tmuxUtils.killSession(session);
+        log.info(`Killed existing tmux session: ${session}`);
+      } catch (e) {
+        // Session might not exist, that's okay
+        log.debug(`Session ${session} didn't exist, creating new one`);
+      }
+
+      // Create a new session with the same name
+      await tmuxUtils.newSession(session, workingDir);
+      log.debug(`Created new tmux session: ${session} in ${workingDir}`);
+
+      // Start Claude in the new session with the correct project directory
+      const claudeCmd = `claude --project "${workingDir}"`;
+      await tmuxUtils.sendCommand(claudeCmd, session);
+      log.info(`Started Claude in session: ${session} with project: ${workingDir}`);
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, message: `Restarted tmux session ${session}` }));
+    } catch (error) {
+      log.error('Failed to restart tmux session:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: false, error: error.message }));
+    }
+  });
+
+  router.post('/api/upload-file', {
+    summary: 'Upload a file for Claude to read',
+    body: { required: ['filename', 'content'], properties: { content: 'string', filename: 'string', type: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    const { filename, content, type } = data;
+
+    // Create uploads directory if it doesn't exist
+    const uploadsDir = path.join(HOME_DIR, '.claude-uploads');
+    await fs.mkdir(uploadsDir, { recursive: true });
+
+    // Generate unique filename with timestamp
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const ext = path.extname(filename);
+    const baseName = path.basename(filename, ext);
+    const uniqueFilename = `${baseName}_${timestamp}${ext}`;
+    const filePath = path.join(uploadsDir, uniqueFilename);
+
+    // Decode base64 content and save file
+    const buffer = Buffer.from(content, 'base64');
+    await fs.writeFile(filePath, buffer);
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ 
+      success: true, 
+      filePath: filePath,
+      filename: uniqueFilename 
+    }));
+  });
+
+  router.get('/api/command-safety', {
+    summary: 'Safety policy and recent blocked or confirmed sends',
+    query: { limit: 'Maximum number of entries', session: 'Session name' }
+  }, async ({ query }) => {
+    const session = query.session || 'claude';
+    const config = await getSessionConfig(session, { loopConfig: ctx.loopConfig });
+    return {
+      session,
+      policy: commandSafety.normalizePolicy(config.safetyPolicy),
+      defaults: commandSafety.defaultPolicy(),
+      audit: await commandSafety.readAudit(session, parseInt(query.limit) || 50)
+    };
+  });
+
+  router.post('/api/command-safety', {
+    summary: 'Save the safety policy of a session',
+    body: { required: ['policy'], properties: { policy: 'object', session: 'string' } }
+  }, async ({ body }) => {
+    const session = body.session || 'claude';
+    const policy = commandSafety.normalizePolicy(body.policy);
+    const invalid = commandSafety.invalidPattern(policy);
+    if (invalid) {
+      throw new HttpError(400, `Invalid regex: ${invalid}`);
+    }
+    await saveSessionConfig(session, { safetyPolicy: policy });
+    return { success: true, policy };
+  });
+}
+
+module.exports = registerTmuxRoutes;
@@ -0,0 +1,772 @@
+#!/usr/bin/env node
+
+/**
+ * Todo Routes
+ * Project todos, their history and checkpoints, and Claude's native todo files.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { HttpError } = require('../api-router.js');
+const todoDependencies = require('../todo-dependencies.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerTodoRoutes(router, ctx) {
+  const { HOME_DIR, eventHub, generateTodoId, historyManager, loadTodos, log, saveTodos, taskRouter, todoLeases } = ctx;
+
+  /**
+   * Check a blockedBy list written whole, as the dependency routes check a single blocker
+   * @param {Array} todos - All todos, with any earlier changes in the same request
+   * @param {string} todoId - Todo the list is for
+   * @param {*} blockedBy - The list from the request body
+   * @returns {Array<string>} The ids, without repeats
+   */
+  const checkBlockedBy = (todos, todoId, blockedBy) => {
+    if (!Array.isArray(blockedBy) || blockedBy.some(id => typeof id !== 'string')) {
+      throw new HttpError(400, 'blockedBy must be an array of todo ids');
+    }
+    const ids = [...new Set(blockedBy)];
+    const unknown = ids.find(id => !todos.some(t => t.id === id));
+    if (unknown) throw new HttpError(404, `Blocking todo not found: ${unknown}`);
+    // Only the new list counts, so check against the todos without the old one
+    const others = todos.filter(t => t.id !== todoId);
+    for (const id of ids) {
+      const cycle = todoDependencies.findCycle(others, todoId, id);
+      if (cycle) throw new HttpError(409, `That would make a loop: ${cycle.join(' → ')}`, { cycle });
+    }
+    return ids;
+  };
+
+  router.get('/api/todos', { summary: 'All project todos' }, async ({ res }) => {
+    await loadTodos();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(ctx.todos));
+  });
+
+  router.post('/api/todos', {
+    summary: 'Add a todo',
+    body: { properties: { blockedBy: 'array', category: 'string', claude_session: 'string', parentId: 'string', priority: 'any', project: 'string', text: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await loadTodos();
+    const blockedBy = [...new Set(data.blockedBy || [])];
+    const unknown = blockedBy.find(id => !ctx.todos.some(t => t.id === id));
+    if (unknown) throw new HttpError(404, `Blocking todo not found: ${unknown}`);
+
+    const newTodo = {
+      id: generateTodoId(),
+      text: data.text || '',
+      status: 'pending', // pending, claude_done, user_approved
+      claude_session: data.claude_session || null,
+      created_at: new Date().toISOString(),
+      claude_completed_at: null,
+      user_approved_at: null,
+      priority: data.priority || 'normal', // low, normal, high
+      category: data.category || 'other', // bug, feature, research, other
+      notes: [],
+      project: data.project || null,
+      parentId: data.parentId || null,
+      blockedBy // ids of todos that must be done first (see todo-dependencies.js)
+    };
+    ctx.todos.push(newTodo);
+    await saveTodos();
+
+    // Log the change
+    await historyManager.logChange({
+      action: 'ADD',
+      todoId: newTodo.id,
+      newValue: newTodo,
+      sessionId: data.claude_session
+    });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(newTodo));
+  });
+
+  router.put('/api/todos/update', {
+    summary: 'Update a todo',
+    body: { required: ['id'], properties: { blockedBy: 'array', category: 'string', claude_session: 'string', id: 'string', note: 'string', priority: 'any', status: 'string', text: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await loadTodos();
+    const todoIndex = ctx.todos.findIndex(t => t.id === data.id);
+    if (todoIndex !== -1) {
+      const oldTodo = { ...ctx.todos[todoIndex] };
+      const blockedBy = data.blockedBy !== undefined ? checkBlockedBy(ctx.todos, data.id, data.blockedBy) : null;
+
+      // Update specific fields based on what's provided
+      if (data.status) {
+        ctx.todos[todoIndex].status = data.status;
+        if (data.status !== 'in_progress') delete ctx.todos[todoIndex].lease; // see todo-leases.js
+        if (data.status === 'claude_done' && !ctx.todos[todoIndex].claude_completed_at) {
+          ctx.todos[todoIndex].claude_completed_at = new Date().toISOString();
+        } else if (data.status === 'user_approved' && !ctx.todos[todoIndex].user_approved_at) {
+          ctx.todos[todoIndex].user_approved_at = new Date().toISOString();
+        }
+      }
+      if (data.text !== undefined) ctx.todos[todoIndex].text = data.text;
+      if (data.priority !== undefined) ctx.todos[todoIndex].priority = data.priority;
+      if (data.category !== undefined) ctx.todos[todoIndex].category = data.category;
+      if (blockedBy) ctx.todos[todoIndex].blockedBy = blockedBy;
+      if (data.note) {
+        if (!ctx.todos[todoIndex].notes) ctx.todos[todoIndex].notes = [];
+        ctx.todos[todoIndex].notes.push({
+          text: data.note,
+          timestamp: new Date().toISOString(),
+          session: data.claude_session || null
+        });
+      }
+      await saveTodos();
+
+      // Log changes for each field that changed
+      for (const field of Object.keys(data)) {
+        if (field !== 'id' && field !== 'claude_session' && oldTodo[field] !== ctx.todos[todoIndex][field]) {
+          await historyManager.logChange({
+            action: 'UPDATE',
+            todoId: data.id,
+            field: field,
+            oldValue: oldTodo[field],
+            newValue: ctx.todos[todoIndex][field],
+            sessionId: data.claude_session
+          });
+        }
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(ctx.todos[todoIndex]));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Todo not found' }));
+    }
+  });
+
+  router.post('/api/todos/dependency', {
+    summary: 'Mark a todo as blocked by another',
+    body: { required: ['id', 'blockedBy'], properties: { blockedBy: 'string', claude_session: 'string', id: 'string' } }
+  }, async ({ body }) => {
+    await loadTodos();
+    const todo = ctx.todos.find(t => t.id === body.id);
+    if (!todo) throw new HttpError(404, 'Todo not found');
+    if (!ctx.todos.some(t => t.id === body.blockedBy)) throw new HttpError(404, 'Blocking todo not found');
+
+    const oldValue = todo.blockedBy || [];
+    if (!oldValue.includes(body.blockedBy)) {
+      const cycle = todoDependencies.findCycle(ctx.todos, todo.id, body.blockedBy);
+      if (cycle) {
+        throw new HttpError(409, `That would make a loop: ${cycle.join(' → ')}`, { cycle });
+      }
+      todo.blockedBy = [...oldValue, body.blockedBy];
+      await saveTodos();
+      await historyManager.logChange({
+        action: 'UPDATE',
+        todoId: todo.id,
+        field: 'blockedBy',
+        oldValue,
+        newValue: todo.blockedBy,
+        sessionId: body.claude_session
+      });
+    }
+    return { todo, blocked: todoDependencies.isBlocked(todo, todoDependencies.index(ctx.todos)) };
+  });
+
+  router.delete('/api/todos/dependency', {
+    summary: 'Remove a blocked-by link',
+    body: { required: ['id', 'blockedBy'], properties: { blockedBy: 'string', claude_session: 'string', id: 'string' } }
+  }, async ({ body }) => {
+    await loadTodos();
+    const todo = ctx.todos.find(t => t.id === body.id);
+    if (!todo) throw new HttpError(404, 'Todo not found');
+
+    const oldValue = todo.blockedBy || [];
+    if (oldValue.includes(body.blockedBy)) {
+      todo.blockedBy = oldValue.filter(id => id !== body.blockedBy);
+      await saveTodos();
+      await historyManager.logChange({
+        action: 'UPDATE',
+        todoId: todo.id,
+        field: 'blockedBy',
+        oldValue,
+        newValue: todo.blockedBy,
+        sessionId: body.claude_session
+      });
+    }
+    return { todo, blocked: todoDependencies.isBlocked(todo, todoDependencies.index(ctx.todos)) };
+  });
+
+  router.get('/api/todos/dependencies/:id', {
+    summary: 'What a todo waits on and what waits on it'
+  }, async ({ params }) => {
+    await loadTodos();
+    const todo = ctx.todos.find(t => t.id === params.id);
+    if (!todo) throw new HttpError(404, 'Todo not found');
+
+    const byId = todoDependencies.index(ctx.todos);
+    const { blockers, dependents } = todoDependencies.chain(ctx.todos, todo.id);
+    const brief = ({ todo: t, depth, finished }) => ({ id: t.id, text: t.text, status: t.status, project: t.project || null, depth, finished });
+    return {
+      todo,
+      blocked: todoDependencies.isBlocked(todo, byId),
+      openBlockers: todoDependencies.openBlockers(todo, byId).map(t => t.id),
+      blockers: blockers.map(brief),
+      dependents: dependents.map(brief)
+    };
+  });
+
+  router.get('/api/todos/critical-path', {
+    summary: 'Longest chain of unfinished todos that wait on each other',
+    query: { project: 'Project filter' }
+  }, async ({ query }) => {
+    await loadTodos();
+    const scope = query.project ? ctx.todos.filter(t => t.project === query.project) : ctx.todos;
+    const criticalPath = todoDependencies.criticalPath(scope);
+    return {
+      project: query.project || null,
+      length: criticalPath.length,
+      path: criticalPath.map(t => ({ id: t.id, text: t.text, status: t.status, priority: t.priority || 'normal', project: t.project || null }))
+    };
+  });
+
+  router.post('/api/todos/claim', {
+    summary: 'Claim the next todo, or a given one, with a lease',
+    body: {
+      required: ['session'],
+      properties: { conversationId: 'string', id: 'string', leaseMinutes: 'number', project: 'string', projects: 'array', session: 'string' }
+    }
+  }, async ({ body }) => {
+    const projects = body.projects || (body.project ? [body.project] : null);
+    const { todo, available, blocked } = await todoLeases.claim({
+      session: body.session,
+      conversationId: body.conversationId,
+      id: body.id,
+      projects,
+      minutes: body.leaseMinutes
+    });
+    return { claimed: !!todo, todo, lease: todo ? todo.lease : null, available, blocked };
+  });
+
+  router.post('/api/todos/renew', {
+    summary: 'Extend a session\'s leases, or one of them',
+    body: { required: ['session'], properties: { id: 'string', leaseMinutes: 'number', session: 'string' } }
+  }, async ({ body }) => {
+    const renewed = await todoLeases.renew({ session: body.session, id: body.id, minutes: body.leaseMinutes });
+    return { renewed: renewed.map(t => ({ id: t.id, text: t.text, expiresAt: t.lease.expiresAt })) };
+  });
+
+  router.post('/api/todos/release', {
+    summary: 'Give up a claimed todo',
+    body: { required: ['session', 'id'], properties: { id: 'string', note: 'string', session: 'string', status: 'string' } }
+  }, async ({ body }) => {
+    const status = body.status || 'pending';
+    if (!['pending', 'claude_done'].includes(status)) {
+      throw new HttpError(400, 'status must be pending or claude_done');
+    }
+    const todo = await todoLeases.release({ session: body.session, id: body.id, status, note: body.note });
+    return { todo };
+  });
+
+  router.get('/api/todos/leases', { summary: 'Claimed todos and when their leases run out' }, async () => {
+    await loadTodos();
+    const now = Date.now();
+    return {
+      leases: ctx.todos.filter(t => t.lease && t.status === 'in_progress').map(t => ({
+        id: t.id,
+        text: t.text,
+        project: t.project || null,
+        ...t.lease,
+        remainingSeconds: Math.max(0, Math.round((new Date(t.lease.expiresAt).getTime() - now) / 1000))
+      }))
+    };
+  });
+
+  router.get('/api/todos/routes', { summary: 'Which session each pending todo is routed to, and why' }, async () => {
+    const sessions = await taskRouter.routedSessions();
+    await loadTodos();
+    return {
+      sessions,
+      routes: ctx.todos.filter(t => t.status === 'pending' && t.route).map(t => ({
+        id: t.id,
+        text: t.text,
+        project: t.project || null,
+        ...t.route
+      }))
+    };
+  });
+
+  router.post('/api/todos/route', { summary: 'Route pending todos to sessions now' }, async () => {
+    return taskRouter.route();
+  });
+
+  router.delete('/api/todos/delete', {
+    summary: 'Delete a todo (kept for 7 days)',
+    body: { required: ['id'], properties: { claude_session: 'string', id: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await loadTodos();
+    const todoToDelete = ctx.todos.find(t => t.id === data.id);
+
+    if (todoToDelete) {
+      // Log the deletion
+      await historyManager.logChange({
+        action: 'DELETE',
+        todoId: data.id,
+        oldValue: todoToDelete,
+        sessionId: data.claude_session
+      });
+
+      // Soft delete: mark as deleted with timestamp instead of removing
+      todoToDelete.status = 'deleted';
+      todoToDelete.deleted_at = new Date().toISOString();
+      todoToDelete.deleted_by = data.claude_session || 'unknown';
+
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Todo not found' }));
+    }
+  });
+
+  router.get('/api/todos/deleted', { summary: 'Todos deleted in the last 7 days' }, async ({ res }) => {
+    await loadTodos();
+    // Get deleted todos from the last 7 days
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const deletedTodos = ctx.todos.filter(t => 
+      t.status === 'deleted' && 
+      t.deleted_at && 
+      t.deleted_at > sevenDaysAgo
+    ).sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(deletedTodos));
+  });
+
+  router.post('/api/todos/restore', {
+    summary: 'Restore a deleted todo',
+    body: { required: ['id'], properties: { claude_session: 'string', id: 'string', previousStatus: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await loadTodos();
+    const todoToRestore = ctx.todos.find(t => t.id === data.id && t.status === 'deleted');
+
+    if (todoToRestore) {
+      // Restore the todo
+      todoToRestore.status = data.previousStatus || 'pending';
+      delete todoToRestore.deleted_at;
+      delete todoToRestore.deleted_by;
+      todoToRestore.restored_at = new Date().toISOString();
+      todoToRestore.restored_by = data.claude_session || 'unknown';
+
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, todo: todoToRestore }));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Deleted todo not found' }));
+    }
+  });
+
+  router.post('/api/todos/cleanup-deleted', {
+    summary: 'Purge todos deleted more than 7 days ago'
+  }, async ({ res }) => {
+    await loadTodos();
+    // Remove todos deleted more than 7 days ago
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const beforeCount = ctx.todos.length;
+    ctx.todos = ctx.todos.filter(t => 
+      t.status !== 'deleted' || 
+      !t.deleted_at || 
+      t.deleted_at > sevenDaysAgo
+    );
+    const removedCount = beforeCount - ctx.todos.length;
+
+    // Purged todos can't block anything any more
+    const remaining = new Set(ctx.todos.map(t => t.id));
+    ctx.todos.forEach(t => {
+      if (t.blockedBy) t.blockedBy = t.blockedBy.filter(id => remaining.has(id));
+    });
+
+    await saveTodos();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ success: true, removed: removedCount }));
+  });
+
+  router.post('/api/todos/reorder', {
+    summary: 'Reorder and reparent todos',
+    body: { properties: { todoIds: 'array', todos: 'array' } }
+  }, async ({ body, res }) => {
+    const data = body;
+
+    // Updated to handle both order and parentId
+    if (data.todos && Array.isArray(data.todos)) {
+      await loadTodos();
+      // Update each todo with new order and parentId
+      data.todos.forEach(update => {
+        const todo = ctx.todos.find(t => t.id === update.id);
+        if (todo) {
+          if (update.order !== undefined) todo.order = update.order;
+          if (update.parentId !== undefined) todo.parentId = update.parentId;
+        }
+      });
+      // Sort by order
+      ctx.todos.sort((a, b) => (a.order || 0) - (b.order || 0));
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } else if (data.todoIds && Array.isArray(data.todoIds)) {
+      // Legacy support for simple reordering
+      await loadTodos();
+      const reorderedTodos = [];
+      const todoMap = new Map(ctx.todos.map(t => [t.id, t]));
+      for (const id of data.todoIds) {
+        if (todoMap.has(id)) {
+          reorderedTodos.push(todoMap.get(id));
+        }
+      }
+      for (const todo of ctx.todos) {
+        if (!data.todoIds.includes(todo.id)) {
+          reorderedTodos.push(todo);
+        }
+      }
+      ctx.todos = reorderedTodos;
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true }));
+    } else {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid data format' }));
+    }
+  });
+
+  router.post('/api/todos/bulk-update', {
+    summary: 'Update several todos',
+    body: { properties: { todos: 'array' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    if (data.todos && Array.isArray(data.todos)) {
+      await loadTodos(); // Load existing todos first
+
+      // Check every blockedBy change before touching anything, each against the ones before it
+      let draft = ctx.todos;
+      for (const updateTodo of data.todos) {
+        if (!updateTodo || updateTodo.blockedBy === undefined) continue;
+        const ids = checkBlockedBy(draft, updateTodo.id, updateTodo.blockedBy);
+        draft = [...draft.filter(t => t.id !== updateTodo.id), { id: updateTodo.id, blockedBy: ids }];
+        updateTodo.blockedBy = ids;
+      }
+
+      // Update existing todos or add new ones
+      for (const updateTodo of data.todos) {
+        const existingIndex = ctx.todos.findIndex(t => t.id === updateTodo.id);
+        if (existingIndex !== -1) {
+          // Update existing todo
+          Object.assign(ctx.todos[existingIndex], updateTodo);
+          await historyManager.logChange(updateTodo.id, 'UPDATE', ctx.todos[existingIndex]);
+        } else {
+          // Add new todo if it doesn't exist
+          ctx.todos.push(updateTodo);
+          await historyManager.logChange(updateTodo.id, 'ADD', updateTodo);
+        }
+      }
+
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, count: ctx.todos.length }));
+    } else {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid todos array' }));
+    }
+  });
+
+  router.post('/api/todos/bulk-add', {
+    summary: 'Add several todos to a project',
+    body: { properties: { project: 'string', todos: 'array' } }
+  }, async ({ body, res }) => {
+    const data = body;
+
+    // Require project to be specified for bulk operations
+    if (!data.project) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ 
+        error: 'Project is required for bulk-add operations',
+        message: 'Please specify a project to prevent mixing todos'
+      }));
+      return;
+    }
+
+    if (data.todos && Array.isArray(data.todos)) {
+      await loadTodos();
+      let added = 0;
+      const project = data.project;
+
+      for (const newTodo of data.todos) {
+        // Ensure todo has required fields
+        if (!newTodo.id) {
+          newTodo.id = generateTodoId();
+        }
+        if (!newTodo.created_at) {
+          newTodo.created_at = new Date().toISOString();
+        }
+        if (!newTodo.status) {
+          newTodo.status = 'pending';
+        }
+        // Ensure todo gets the project
+        if (!newTodo.project) {
+          newTodo.project = project;
+        }
+
+        // Check for duplicates by ID
+        const exists = ctx.todos.some(t => t.id === newTodo.id);
+        if (!exists) {
+          ctx.todos.push(newTodo);
+          await historyManager.logChange(newTodo.id, 'ADD', newTodo);
+          added++;
+        }
+      }
+
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, added: added, total: ctx.todos.length }));
+    } else {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Invalid bulk add data' }));
+    }
+  });
+
+  router.get('/api/todos/checkpoints', { summary: 'Todo checkpoints' }, async ({ res }) => {
+    const checkpoints = await historyManager.listCheckpoints();
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(checkpoints));
+  });
+
+  router.post('/api/todos/checkpoints', {
+    summary: 'Create a todo checkpoint',
+    body: { properties: { name: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    await loadTodos();
+    const checkpoint = await historyManager.createCheckpoint(data.name, ctx.todos);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(checkpoint));
+  });
+
+  router.post('/api/todos/restore-checkpoint', {
+    summary: 'Restore todos from a checkpoint',
+    body: { properties: { filename: 'string' } }
+  }, async ({ body, res }) => {
+    const data = body;
+    if (data.filename) {
+      const restoredTodos = await historyManager.restoreCheckpoint(data.filename);
+      ctx.todos = restoredTodos;
+      await saveTodos();
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, count: ctx.todos.length }));
+    } else {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Filename required' }));
+    }
+  });
+
+  router.get('/api/todos/pending', {
+    summary: 'Pending todos, as JSON or text',
+    query: { format: 'json or text', includeBlocked: 'true to list todos still waiting on others, marked `blocked`', priority: 'Priority filter', project: 'Project filter' }
+  }, async ({ query, res }) => {
+    // Parse query parameters
+    const project = query.project;
+    const priority = query.priority;
+    const format = query.format;
+    const includeBlocked = query.includeBlocked === 'true';
+
+    // Filter for pending todos only; blocked ones can't be started, so claimers never see them
+    const byId = todoDependencies.index(ctx.todos);
+    let pendingTodos = ctx.todos.filter(t => t.status === 'pending');
+    if (includeBlocked) {
+      pendingTodos = pendingTodos.map(t => ({ ...t, blocked: todoDependencies.isBlocked(t, byId) }));
+    } else {
+      pendingTodos = pendingTodos.filter(t => !todoDependencies.isBlocked(t, byId));
+    }
+
+    // Apply additional filters if provided
+    if (project) {
+      pendingTodos = pendingTodos.filter(t => t.project === project);
+    }
+    if (priority) {
+      pendingTodos = pendingTodos.filter(t => t.priority === priority);
+    }
+
+    // Return compact format if requested
+    if (format === 'compact') {
+      const compactTodos = pendingTodos.map(t => ({
+        id: t.id,
+        text: t.text,
+        priority: t.priority || 'normal',
+        project: t.project || 'unassigned',
+        parentId: t.parentId,
+        ...(includeBlocked ? { blocked: t.blocked, blockedBy: todoDependencies.openBlockers(t, byId).map(b => b.id) } : {})
+      }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(compactTodos));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(pendingTodos));
+    }
+  });
+
+  router.get('/api/todos/search', {
+    summary: 'Search todos',
+    query: { category: 'Category filter', format: 'json or text', priority: 'Priority filter', project: 'Project filter', q: 'Search text', status: 'Status filter' }
+  }, async ({ query, res }) => {
+    const searchQuery = query.q || '';
+    const status = query.status;
+    const project = query.project;
+    const category = query.category;
+    const priority = query.priority;
+    const format = query.format;
+
+    let results = ctx.todos;
+
+    // Text search in todo text and notes
+    if (searchQuery) {
+      const query = searchQuery.toLowerCase();
+      results = results.filter(t =>
+        t.text.toLowerCase().includes(query) ||
+        (t.notes && t.notes.some(note => note.toLowerCase().includes(query)))
+      );
+    }
+
+    // Apply filters
+    if (status) results = results.filter(t => t.status === status);
+    if (project) results = results.filter(t => t.project === project);
+    if (category) results = results.filter(t => t.category === category);
+    if (priority) results = results.filter(t => t.priority === priority);
+
+    // Return compact format if requested
+    if (format === 'compact') {
+      const compactResults = results.map(t => ({
+        id: t.id,
+        text: t.text,
+        status: t.status,
+        priority: t.priority || 'normal',
+        project: t.project || 'unassigned'
+      }));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(compactResults));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(results));
+    }
+  });
+
+  router.get('/api/todos/project/:project', { summary: 'Todos of a project' }, async ({ params, res }) => {
+    const projectId = params.project;
+    const projectTodos = ctx.todos.filter(t => t.project === projectId);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(projectTodos));
+  });
+
+  router.get('/api/todos/claude-native/:conversationId', { summary: 'Claude\'s own todo list for a conversation' }, async ({ params, res }) => {
+    // Get native todos for a specific conversation
+    const conversationId = params.conversationId;
+    let nativeTodos = [];
+
+    try {
+      // Build the expected filename pattern
+      const todoFilePath = path.join(HOME_DIR, '.claude', 'todos', 
+        `${conversationId}-agent-${conversationId}.json`);
+
+      const todoData = await fs.readFile(todoFilePath, 'utf8');
+      nativeTodos = JSON.parse(todoData);
+    } catch (error) {
+      // File doesn't exist or can't be parsed - that's OK
+      nativeTodos = [];
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(nativeTodos));
+  });
+
+  router.post('/api/todos/claude-native/:conversationId/save', {
+    summary: 'Overwrite Claude\'s todo list for a conversation',
+    body: { type: 'array' }
+  }, async ({ params, body, res }) => {
+    // Save native todos for a specific conversation
+    const conversationId = params.conversationId;
+
+    try {
+      const todos = body;
+
+      // Build the expected filename pattern
+      const todoFilePath = path.join(HOME_DIR, '.claude', 'todos',
+        `${conversationId}-agent-${conversationId}.json`);
+
+      // Save to file
+      await fs.writeFile(todoFilePath, JSON.stringify(todos, null, 2), 'utf8');
+      eventHub.publish('todos', { source: 'native', conversationId });
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, count: todos.length }));
+    } catch (error) {
+      log.error('Failed to save native todos:', error);
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: error.message }));
+    }
+  });
+
+  router.get('/api/todos/history/:id', { summary: 'Change history of a todo' }, async ({ params, res }) => {
+    const todoId = params.id;
+    const history = await historyManager.getTodoHistory(todoId);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(history));
+  });
+
+  router.post('/api/todos/undo/:id', { summary: 'Undo the last change to a todo' }, async ({ params, res }) => {
+    const todoId = params.id;
+    const result = await historyManager.undoTodo(todoId);
+    if (result.success && result.revert) {
+      // Apply the revert operation
+      await loadTodos();
+      const todoIndex = ctx.todos.findIndex(t => t.id === todoId);
+
+      if (result.revert.action === 'UPDATE' && todoIndex !== -1) {
+        ctx.todos[todoIndex][result.revert.field] = result.revert.value;
+        await saveTodos();
+      } else if (result.revert.action === 'DELETE') {
+        ctx.todos = ctx.todos.filter(t => t.id !== todoId);
+        await saveTodos();
+      } else if (result.revert.action === 'ADD' && result.revert.data) {
+        ctx.todos.push(result.revert.data);
+        await saveTodos();
+      }
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+
+  router.post('/api/todos/redo/:id', { summary: 'Redo an undone change to a todo' }, async ({ params, res }) => {
+    const todoId = params.id;
+    const result = await historyManager.redoTodo(todoId);
+    if (result.success && result.apply) {
+      // Apply the redo operation
+      await loadTodos();
+      const todoIndex = ctx.todos.findIndex(t => t.id === todoId);
+
+      if (result.apply.action === 'UPDATE' && todoIndex !== -1) {
+        ctx.todos[todoIndex][result.apply.field] = result.apply.value;
+        await saveTodos();
+      } else if (result.apply.action === 'DELETE') {
+        ctx.todos = ctx.todos.filter(t => t.id !== todoId);
+        await saveTodos();
+      } else if (result.apply.action === 'ADD' && result.apply.data) {
+        ctx.todos.push(result.apply.data);
+        await saveTodos();
+      }
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+  });
+}
+
+module.exports = registerTodoRoutes;
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Tool Routes
+ * Tool-call analytics from the tool_use/tool_result pairs in the conversation
+ * files (see tool-analytics.js).
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerToolRoutes(router, ctx) {
+  const { toolAnalytics } = ctx;
+
+  router.get('/api/tools', {
+    summary: 'Tool calls, failure rates, durations, most edited files and bash commands, by project and session',
+    query: {
+      conversation: 'Only this conversation',
+      from: 'First day (YYYY-MM-DD)',
+      limit: 'Maximum number of files and commands listed',
+      project: 'Part of the project folder or working directory',
+      session: 'Only conversations tracked by this tmux session',
+      to: 'Last day, included (YYYY-MM-DD)',
+      tool: 'Only this tool, e.g. Bash'
+    }
+  }, async ({ query }) => {
+    try {
+      return await toolAnalytics.report(query);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+
+  router.post('/api/tools/rebuild', {
+    summary: 'Drop the tool-call cache and read every conversation again'
+  }, async () => {
+    const result = await toolAnalytics.update({ rebuild: true });
+    return { success: true, ...result, indexed: toolAnalytics.stats() };
+  });
+}
+
+module.exports = registerToolRoutes;
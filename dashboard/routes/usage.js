@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Routes
+ * Token totals and cost estimates from the usage Claude records in the
+ * conversation files (see usage-accounting.js).
+ */
+
+const { HttpError } = require('../api-router.js');
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerUsageRoutes(router, ctx) {
+  const { usageAccounting } = ctx;
+
+  router.get('/api/usage', {
+    summary: 'Tokens and estimated cost by day, model, project, session and conversation',
+    query: {
+      conversation: 'Only this conversation',
+      from: 'First day (YYYY-MM-DD)',
+      limit: 'Maximum number of conversations listed',
+      project: 'Part of the project folder or working directory',
+      session: 'Only conversations tracked by this tmux session',
+      to: 'Last day, included (YYYY-MM-DD)'
+    }
+  }, async ({ query }) => {
+    try {
+      return await usageAccounting.report(query);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+
+  router.post('/api/usage/rebuild', {
+    summary: 'Drop the usage cache and read every conversation again'
+  }, async () => {
+    const result = await usageAccounting.update({ rebuild: true });
+    return { success: true, ...result, indexed: usageAccounting.stats() };
+  });
+
+  router.get('/api/usage/prices', { summary: 'Price table used for cost estimates (USD per million tokens)' }, async () => {
+    return await usageAccounting.getPrices();
+  });
+
+  router.post('/api/usage/prices', {
+    summary: 'Save the price table, or go back to the defaults with {reset: true}',
+    body: { properties: { prices: 'array', reset: 'boolean' } }
+  }, async ({ body }) => {
+    if (!body.reset && !body.prices) throw new HttpError(400, 'prices or reset required');
+    try {
+      return { success: true, ...(await usageAccounting.savePrices(body.reset ? null : body.prices)) };
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  });
+}
+
+module.exports = registerUsageRoutes;
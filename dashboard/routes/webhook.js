@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Routes
+ * Status reports posted by Claude's hooks (see zdocs/WEBHOOK_STATUS_SYSTEM.md).
+ */
+
+/**
+ * @param {ApiRouter} router - Router to register with
+ * @param {object} ctx - Server state and helpers (see routeContext in claude-loop-unified-dashboard.js)
+ */
+function registerWebhookRoutes(router, ctx) {
+  const { eventHub, getSessionConfig, log, sendCompactIfNeeded, sendCustomMessage, webhookState } = ctx;
+
+  router.post('/api/webhook/status', {
+    summary: 'Status report from a Claude hook',
+    body: { required: ['session'], properties: { context: 'object', session: 'string', status: 'string' } }
+  }, async ({ body, res }) => {
+    // The router already rejected bad JSON and a missing session
+    const statusData = body;
+    const validStatuses = ['done', 'idle', 'waiting', 'stuck', 'needs-input', 'auto-compact'];
+    if (!statusData.status || !validStatuses.includes(statusData.status)) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        error: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+      }));
+      return;
+    }
+
+    // Get session config to access review settings
+    const config = await getSessionConfig(statusData.session, { loopConfig: ctx.loopConfig });
+
+    // Log the status update
+    log.info(`[Webhook] Status update from ${statusData.session}: ${statusData.status}`);
+    if (statusData.context) {
+      log.debug(`[Webhook] Context: ${JSON.stringify(statusData.context)}`);
+    }
+
+    // Initialize session webhook state if needed
+    if (!webhookState[statusData.session]) {
+      webhookState[statusData.session] = {
+        reviewCount: 0,
+        lastStatus: null,
+        lastTaskHash: null
+      };
+    }
+
+    const sessionState = webhookState[statusData.session];
+
+    // Create a hash of the current task context to detect task changes
+    const taskHash = statusData.context?.task ?
+      JSON.stringify(statusData.context.task) : null;
+
+    // Reset review count if task changed
+    if (taskHash && taskHash !== sessionState.lastTaskHash) {
+      sessionState.reviewCount = 0;
+      sessionState.lastTaskHash = taskHash;
+      log.debug(`[Webhook] New task detected for ${statusData.session}, reset review count`);
+    }
+
+    // Handle different status types
+    let response = { received: true };
+
+    switch (statusData.status) {
+      case 'done':
+        const reviewsRequired = config.reviewSettings?.reviewsBeforeNextTask || 0;
+
+        // Only track review count if reviews are actually enabled
+        if (reviewsRequired > 0) {
+          sessionState.reviewCount++;
+          log.info(`[Webhook] Review count for ${statusData.session}: ${sessionState.reviewCount}/${reviewsRequired}`);
+
+          if (sessionState.reviewCount < reviewsRequired) {
+            // Need more reviews - send review request message
+            const reviewMessage = config.reviewSettings?.reviewMessage ||
+              "Please review the work you just completed. Are there any improvements needed?";
+
+            // Schedule the review message to be sent
+            response.action = 'review';
+            response.message = reviewMessage;
+            response.reviewsRemaining = reviewsRequired - sessionState.reviewCount;
+
+            log.info(`[Webhook] Scheduling review message for ${statusData.session} (${response.reviewsRemaining} reviews remaining)`);
+
+            // Send the review message after a short delay
+            setTimeout(async () => {
+              try {
+                await sendCustomMessage(reviewMessage, statusData.session);
+                log.info(`[Webhook] Sent review message to ${statusData.session}`);
+              } catch (error) {
+                log.error(`[Webhook] Failed to send review message: ${error.message}`);
+              }
+            }, 2000); // 2 second delay
+          } else {
+            // Reviews complete - ready for next task
+            sessionState.reviewCount = 0; // Reset for next task
+            response.action = 'next-task';
+
+            const nextTaskMessage = config.reviewSettings?.nextTaskMessage ||
+              "Work completed and reviewed. Please proceed to the next task.";
+
+            log.info(`[Webhook] Reviews complete for ${statusData.session}, proceeding to next task`);
+
+            // Send next task message after a short delay
+            setTimeout(async () => {
+              try {
+                await sendCustomMessage(nextTaskMessage, statusData.session);
+                log.info(`[Webhook] Sent next task message to ${statusData.session}`);
+              } catch (error) {
+                log.error(`[Webhook] Failed to send next task message: ${error.message}`);
+              }
+            }, 2000); // 2 second delay
+          }
+        } else {
+          // Reviews disabled - just acknowledge completion
+          response.action = 'next-task';
+          log.info(`[Webhook] Work complete for ${statusData.session} (reviews disabled)`);
+        }
+        break;
+
+      case 'idle':
+      case 'waiting':
+        // Just acknowledge, idle message system will handle this
+        response.action = 'acknowledged';
+        log.debug(`[Webhook] Status ${statusData.status} acknowledged for ${statusData.session}`);
+        break;
+
+      case 'auto-compact':
+        // Trigger compact command with debounce check
+        response.action = 'compact';
+        log.info(`[Webhook] Auto-compact requested for ${statusData.session}`);
+
+        // Use the existing sendCompactIfNeeded which has built-in debounce
+        setTimeout(async () => {
+          try {
+            await sendCompactIfNeeded(statusData.session, 'webhook-auto-compact');
+            log.info(`[Webhook] Triggered compact for ${statusData.session}`);
+          } catch (error) {
+            log.error(`[Webhook] Failed to trigger compact: ${error.message}`);
+          }
+        }, 1000); // 1 second delay
+        break;
+
+      case 'stuck':
+      case 'needs-input':
+        // Send notification or escalation message
+        response.action = 'needs-attention';
+        log.warn(`[Webhook] Session ${statusData.session} needs attention: ${statusData.status}`);
+
+        if (statusData.context?.question) {
+          log.warn(`[Webhook] Question: ${statusData.context.question}`);
+        }
+        break;
+    }
+
+    // Update last status
+    sessionState.lastStatus = statusData.status;
+    sessionState.lastStatusTime = Date.now();
+    eventHub.publish('webhook', { session: statusData.session, status: statusData.status, action: response.action || null });
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(response));
+  });
+}
+
+module.exports = registerWebhookRoutes;
@@ -0,0 +1,386 @@
+#!/usr/bin/env node
+
+/**
+ * Screen Parser
+ * Turns a captured tmux pane into a typed screen state. Every part of the
+ * dashboard that needs to know what Claude's terminal shows (busy indicator,
+ * context %, prompts, input box, banners) goes through here, so a change in the
+ * CLI's layout is fixed in one place.
+ *
+ * Layouts are handled by versioned parsers. Each one says whether it recognises
+ * a screen and where the input box and status area are; the shared extractors
+ * do the rest. Add a parser for a new layout with registerParser() and capture
+ * fixtures for it (see test-screen-parser.js).
+ */
+
+/**
+ * @typedef {object} PromptOption
+ * @property {number} number - Option number as shown
+ * @property {string} label - Option text
+ * @property {boolean} selected - Whether the ❯ marker is on it
+ */
+
+/**
+ * @typedef {object} ScreenPrompt
+ * @property {string} type - 'bash', 'edit', 'tool', 'confirmation', 'choice' or 'question'
+ * @property {string} header - Tool header ("Bash command", "Edit file", ...) or ''
+ * @property {string} question - The line asking for an answer
+ * @property {string|null} command - Command for bash prompts, every line of it joined with \n
+ * @property {string|null} description - What Claude says a bash command does, shown under it
+ * @property {number} bodyLines - Non-empty lines between the header and the question
+ * @property {string|null} filePath - File for edit prompts
+ * @property {Array<PromptOption>} options - Numbered answers
+ * @property {boolean} hasDefaultYes - Whether a "Yes" option is highlighted
+ * @property {string} text - Header, body and question joined
+ */
+
+/**
+ * @typedef {object} ScreenState
+ * @property {string} parser - Version of the parser that read the screen
+ * @property {boolean} busy - Whether the "esc to interrupt" indicator is showing
+ * @property {string|null} busyText - The status line carrying the indicator
+ * @property {number|null} contextPercent - Context left until auto-compact
+ * @property {ScreenPrompt|null} prompt - Interactive prompt waiting for an answer
+ * @property {string|null} inputText - Text in the input box ('' when empty, null when no input box)
+ * @property {string|null} errorBanner - Latest API/connection error line
+ * @property {{message: string, resetText: string|null, resetsAt: string|null}|null} usageLimit - Usage limit banner
+ */
+
+// Claude's one-line description under a bash command: a sentence, nothing shell-like.
+// A last line that doesn't look like one is kept as part of the command.
+const DESCRIPTION_PATTERN = /^[A-Z][a-z'’]*(\s[^\s`$|;&<>=~\\]+)*$/;
+
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[a-zA-Z]|\x1b\][^\x07]*\x07|␛\[[0-9;]*m/g;
+
+// Lines near the bottom that hold the busy indicator, banners and prompts
+const BOTTOM_LINES = 30;
+
+const CONTEXT_PATTERNS = [
+  { pattern: /Context\s+left\s+until[\s\S]*?auto-compact:\s*(\d+)%/i },
+  { pattern: /auto-compact:\s*(\d+)%/i },
+  { pattern: /context\s+low\s*\((\d+)%\s*remaining\)/i },
+  // Older status line reports usage, not what's left
+  { pattern: /\[(\d+)%\s*used\]/i, used: true },
+  { pattern: /context[\s\S]{0,20}?(\d+)%/i },
+  { pattern: /(\d+)%[\s\S]{0,20}?context/i }
+];
+
+const BUSY_PATTERN = /esc\s+to\s+interrupt/i;
+
+const ERROR_PATTERN = /^(?:⎿\s*)?(API Error\b.*|Error: .*|Request timed out.*|Connection error.*|.*overloaded_error.*)$/i;
+
+const USAGE_LIMIT_PATTERN = /(usage limit reached|limit reached\s*[∙·•|-]\s*resets|limit will reset at)/i;
+
+const TOOL_HEADER_PATTERN = /^(bash command|edit file|create file|write|read file|fetch|web fetch|web search|tool use)\b/i;
+
+/**
+ * Remove ANSI escape sequences
+ * @param {string} text - Raw pane text
+ * @returns {string} Plain text
+ */
+function stripAnsi(text) {
+  return text.replace(ANSI_PATTERN, '');
+}
+
+/**
+ * Strip box-drawing borders from a line
+ * @param {string} line - Plain line
+ * @returns {string} Content without borders
+ */
+function unbox(line) {
+  return line
+    .replace(/^[\s│╭╰─⎿]+|[\s│╮╯─]+$/g, '')
+    .trim();
+}
+
+/**
+ * Read a context percentage out of some text
+ * @param {string} text - Status area text
+ * @returns {number|null} Percent left, or null
+ */
+function findContextPercent(text) {
+  for (const { pattern, used } of CONTEXT_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      const value = parseInt(match[1]);
+      return used ? 100 - value : value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the busy indicator line
+ * @param {Array<string>} lines - Plain lines
+ * @returns {string|null} The line, or null when idle
+ */
+function findBusyLine(lines) {
+  const line = lines.slice(-BOTTOM_LINES).reverse().find(l => BUSY_PATTERN.test(l));
+  return line ? line.trim() : null;
+}
+
+/**
+ * Find the latest error banner
+ * @param {Array<string>} lines - Plain lines
+ * @returns {string|null} Error text
+ */
+function findErrorBanner(lines) {
+  for (const line of lines.slice(-BOTTOM_LINES).reverse()) {
+    const match = unbox(line).match(ERROR_PATTERN);
+    if (match) return match[1].trim();
+  }
+  return null;
+}
+
+/**
+ * Find a usage limit banner
+ * @param {Array<string>} lines - Plain lines
+ * @returns {{message: string, resetText: string|null, resetsAt: string|null}|null} Banner details
+ */
+function findUsageLimit(lines) {
+  for (const line of lines.slice(-BOTTOM_LINES).reverse()) {
+    const text = unbox(line);
+    if (!USAGE_LIMIT_PATTERN.test(text)) continue;
+
+    // "Claude AI usage limit reached|1756915200" carries the reset as epoch seconds
+    const epoch = text.match(/\|(\d{10})\b/);
+    const reset = text.match(/resets?\s+(?:at\s+)?([^.]+?)\.?$/i) || text.match(/reset at\s+([^.]+?)\.?$/i);
+    return {
+      message: text.replace(/\|\d{10}\b/, '').trim(),
+      resetText: epoch ? null : (reset ? reset[1].trim() : null),
+      resetsAt: epoch ? new Date(parseInt(epoch[1]) * 1000).toISOString() : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Find an interactive prompt: a question followed by numbered options
+ * @param {Array<string>} lines - Plain lines
+ * @returns {ScreenPrompt|null} Prompt details
+ */
+function findPrompt(lines) {
+  const clean = lines.slice(-60).map(unbox);
+
+  // Options are the numbered lines at the bottom; the question sits right above them
+  let lastOption = -1;
+  for (let i = clean.length - 1; i >= Math.max(0, clean.length - BOTTOM_LINES); i--) {
+    if (/^(❯)?\s*\d+\.\s+\S/.test(clean[i])) {
+      lastOption = i;
+      break;
+    }
+  }
+  if (lastOption === -1) return null;
+
+  let questionIndex = -1;
+  for (let i = lastOption; i >= Math.max(0, lastOption - 12); i--) {
+    if (/\?\s*$/.test(clean[i]) || /^do you want/i.test(clean[i])) {
+      questionIndex = i;
+      break;
+    }
+  }
+  if (questionIndex === -1) return null;
+
+  const options = [];
+  for (let i = questionIndex + 1; i <= lastOption; i++) {
+    const match = clean[i].match(/^(❯)?\s*(\d+)\.\s+(.+)$/);
+    if (match) {
+      options.push({ number: parseInt(match[2]), label: match[3].trim(), selected: !!match[1] });
+    }
+  }
+  // A numbered list without a highlighted entry is just output, not a prompt
+  if (options.length < 2 || !options.some(o => o.selected)) return null;
+
+  let header = '';
+  let headerIndex = -1;
+  for (let i = questionIndex - 1; i >= Math.max(0, questionIndex - 40); i--) {
+    if (TOOL_HEADER_PATTERN.test(clean[i])) {
+      header = clean[i];
+      headerIndex = i;
+      break;
+    }
+  }
+
+  const body = headerIndex >= 0
+    ? clean.slice(headerIndex + 1, questionIndex).filter(line => line.length > 0)
+    : [];
+  const question = clean[questionIndex];
+  const hasYesNo = options.some(o => /^(yes|no)\b/i.test(o.label));
+
+  let type = hasYesNo ? 'confirmation' : 'choice';
+  let command = null;
+  let description = null;
+  let filePath = null;
+
+  if (/^bash command/i.test(header)) {
+    type = 'bash';
+    // The command runs up to the description; long commands wrap and multi-line ones span lines
+    const commandLines = body.length > 1 && DESCRIPTION_PATTERN.test(body[body.length - 1])
+      ? body.slice(0, -1)
+      : body;
+    description = commandLines.length < body.length ? body[body.length - 1] : null;
+    command = commandLines.length > 0 ? commandLines.join('\n') : null;
+  } else if (/^(edit file|create file|write)/i.test(header) || /make (this|these) edits?/i.test(question)) {
+    type = 'edit';
+    const pathLine = body.find(line => /[\w.-]+\/[\w./-]+|^[\w.-]+\.\w+$/.test(line));
+    const fromQuestion = question.match(/edits? to ([^\s?]+)\?/i);
+    filePath = pathLine ? pathLine.match(/[~\w./-]*[\w.-]+\.?\w*/)[0] : (fromQuestion ? fromQuestion[1] : null);
+  } else if (header) {
+    type = 'tool';
+  } else if (!hasYesNo && !/do you want|would you like|should i/i.test(question)) {
+    type = 'question';
+  }
+
+  return {
+    type,
+    header,
+    question,
+    command,
+    description,
+    bodyLines: body.length,
+    filePath,
+    options,
+    hasDefaultYes: options.some(o => o.selected && /^yes\b/i.test(o.label)),
+    text: [header, ...body, question].filter(Boolean).join('\n')
+  };
+}
+
+/**
+ * Layout with a rounded input box (╭───╮ │ > text │ ╰───╯) and the status
+ * line below it
+ */
+const roundedBoxParser = {
+  version: 'v1-rounded-box',
+
+  detect(lines) {
+    return lines.slice(-BOTTOM_LINES).some(line => /^\s*╰─{3,}╯\s*$/.test(line));
+  },
+
+  locate(lines) {
+    let bottom = -1;
+    for (let i = lines.length - 1; i >= 0; i--) {
+      if (/^\s*╰─{3,}╯\s*$/.test(lines[i])) { bottom = i; break; }
+    }
+    let top = -1;
+    for (let i = bottom - 1; i >= 0; i--) {
+      if (/^\s*╭─{3,}╮\s*$/.test(lines[i])) { top = i; break; }
+    }
+    const inner = top >= 0 ? lines.slice(top + 1, bottom) : [];
+    return {
+      inputLines: inner.length > 0 && /^\s*│\s*>/.test(inner[0]) ? inner.map(unbox) : null,
+      statusLines: lines.slice(bottom + 1)
+    };
+  }
+};
+
+/**
+ * Layout where the input line sits between two horizontal rules
+ * (──── / > text / ────) and the status line follows the lower rule
+ */
+const ruleLineParser = {
+  version: 'v2-rule-lines',
+
+  detect(lines) {
+    return lines.slice(-BOTTOM_LINES).filter(line => /^\s*─{10,}\s*$/.test(line)).length >= 2;
+  },
+
+  locate(lines) {
+    const rules = [];
+    for (let i = lines.length - 1; i >= 0 && rules.length < 2; i--) {
+      if (/^\s*─{10,}\s*$/.test(lines[i])) rules.unshift(i);
+    }
+    const inner = lines.slice(rules[0] + 1, rules[1]);
+    return {
+      inputLines: inner.length > 0 && /^\s*>/.test(inner[0]) ? inner.map(line => line.trim()) : null,
+      statusLines: lines.slice(rules[1] + 1)
+    };
+  }
+};
+
+/**
+ * Last resort when no input area is recognised (scrolled pane, full-screen
+ * prompt): everything is treated as status area
+ */
+const fallbackParser = {
+  version: 'fallback',
+
+  detect() {
+    return true;
+  },
+
+  locate(lines) {
+    return { inputLines: null, statusLines: lines.slice(-BOTTOM_LINES) };
+  }
+};
+
+// Newest layout first; the fallback always stays last
+const parsers = [ruleLineParser, roundedBoxParser, fallbackParser];
+
+/**
+ * Add a parser for a new screen layout. It is tried before the existing ones.
+ * @param {{version: string, detect: function(Array<string>): boolean, locate: function(Array<string>): object}} parser
+ */
+function registerParser(parser) {
+  if (!parser || !parser.version || typeof parser.detect !== 'function' || typeof parser.locate !== 'function') {
+    throw new Error('A screen parser needs version, detect() and locate()');
+  }
+  const existing = parsers.findIndex(p => p.version === parser.version);
+  if (existing !== -1) parsers.splice(existing, 1);
+  parsers.unshift(parser);
+}
+
+/**
+ * Versions of the registered parsers, in the order they are tried
+ * @returns {Array<string>} Parser versions
+ */
+function listParsers() {
+  return parsers.map(p => p.version);
+}
+
+/**
+ * Parse a captured pane
+ * @param {string} content - Output of tmux capture-pane (ANSI codes allowed)
+ * @param {object} options - Optional settings
+ * @param {string} options.version - Force a specific parser
+ * @returns {ScreenState} Screen state
+ */
+function parse(content, options = {}) {
+  const lines = stripAnsi(content || '').replace(/\r/g, '').split('\n');
+  while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  const parser = options.version
+    ? parsers.find(p => p.version === options.version) || fallbackParser
+    : parsers.find(p => p.detect(lines));
+  const { inputLines, statusLines } = parser.locate(lines);
+
+  let inputText = null;
+  if (inputLines) {
+    inputText = inputLines
+      .map((line, i) => (i === 0 ? line.replace(/^>\s?/, '') : line))
+      .join('\n')
+      .trim();
+  }
+
+  const busyText = findBusyLine(lines);
+
+  return {
+    parser: parser.version,
+    busy: busyText !== null,
+    busyText,
+    contextPercent: findContextPercent(statusLines.join('\n')),
+    prompt: findPrompt(lines),
+    inputText,
+    errorBanner: findErrorBanner(lines),
+    usageLimit: findUsageLimit(lines)
+  };
+}
+
+module.exports = {
+  parse,
+  registerParser,
+  listParsers,
+  stripAnsi,
+  findContextPercent
+};
@@ -3,6 +3,10 @@
 /**
  * Utility to seed conversation names from Claude's auto-generated titles
  * This reads the first few messages of each conversation to extract titles
+ *
+ * Seeded names are marked `source: 'seeded'`, so the tree shows the automatic
+ * title from conversation-titles.js instead once there is one. Names typed by
+ * hand are never replaced without --overwrite.
  */
 
 const fs = require('fs').promises;
@@ -71,7 +75,7 @@ async function seedConversationNames(options = {}) {
                         }
                         
                         if (title) {
-                            await conversationNamer.setName(sessionId, title);
+                            await conversationNamer.setName(sessionId, title, 'seeded');
                             console.log(`✅ Seeded ${sessionId}: "${title}"`);
                             seeded++;
                         } else {
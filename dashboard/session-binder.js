@@ -0,0 +1,515 @@
+#!/usr/bin/env node
+
+/**
+ * Session Binder
+ * Decides which conversation a tmux session is running by weighing several
+ * signals, instead of trusting any single heuristic:
+ *
+ *   process      The claude process under the pane: a conversation file it
+ *                holds open, the id it was started with (--resume/--session-id),
+ *                files created after it started, and its working directory
+ *   cwd          The pane's working directory picks the project folder
+ *   mtime        Recently written files are more likely to be the live one
+ *   fingerprint  Messages the dashboard sent to this session (or to others)
+ *                found among a conversation's recent user messages
+ *   lineage      The conversation the session is bound to now, and the ones
+ *                forked from it by a compaction or resume
+ *
+ * Each candidate collects points with a reason per signal. The best candidate
+ * wins with a confidence that drops when the runner-up is close; a close call
+ * or a conversation claimed by two sessions is flagged ambiguous and not
+ * applied. Every decision is kept with its reasons in session-bindings.json.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ConversationTreeScanner = require('./conversation-tree-scanner');
+
+const execFileAsync = promisify(execFile);
+
+const MIN_SCORE = 40;          // below this there isn't enough evidence to bind
+const MIN_CONFIDENCE = 0.5;    // below this the decision is ambiguous
+const MAX_CANDIDATES = 12;     // recent files per project folder to weigh
+const RECENT_DAYS = 7;
+const HISTORY_LENGTH = 20;
+const CLAUDE_COMMAND = /(^|[\s/])claude(\s|$)|@anthropic-ai\/claude-code/;
+const ID_ARGUMENT = /(?:--resume|-r|--session-id)[\s=]([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/;
+
+/**
+ * Claude's project folder names for a directory. Older versions only replaced
+ * slashes and underscores; newer ones replace every other character too.
+ * @param {string} dir - Working directory
+ * @returns {string[]}
+ */
+function projectFolders(dir) {
+  if (!dir) return [];
+  const trimmed = dir.replace(/\/$/, '');
+  return [...new Set([trimmed.replace(/[^a-zA-Z0-9]/g, '-'), trimmed.replace(/[/_]/g, '-')])];
+}
+
+/**
+ * Same normalization ClaudeSessionMatcher uses for sent messages
+ */
+function fingerprint(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim().toLowerCase().substring(0, 200);
+}
+
+/**
+ * Points and reasons for one candidate conversation
+ */
+class Candidate {
+  constructor(conversationId, filePath) {
+    this.conversationId = conversationId;
+    this.filePath = filePath;
+    this.score = 0;
+    this.reasons = [];
+  }
+
+  add(signal, points, detail) {
+    this.score += points;
+    this.reasons.push({ signal, points, detail });
+  }
+}
+
+class SessionBinder {
+  /**
+   * @param {object} options - Dependencies and optional overrides
+   * @param {object} options.tmuxUtils - getPanePid() and getPaneCwd()
+   * @param {ConversationReader} options.reader - Recent messages of a conversation
+   * @param {ConversationTreeScanner} options.scanner - Conversation files and parent links
+   * @param {function} options.getSessionConfig - (session) => config with conversationId
+   * @param {function} options.saveSessionConfig - (session, config) => Promise
+   * @param {function} options.getSentMessages - () => Map of session -> [{normalized, timestamp}] sent by the dashboard
+   * @param {string} options.bindingsFile - Where decisions are recorded
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    this.tmuxUtils = options.tmuxUtils;
+    this.reader = options.reader;
+    this.scanner = options.scanner || new ConversationTreeScanner();
+    this.getSessionConfig = options.getSessionConfig;
+    this.saveSessionConfig = options.saveSessionConfig;
+    this.getSentMessages = options.getSentMessages || (() => new Map());
+    this.bindingsFile = options.bindingsFile || path.join(__dirname, 'session-bindings.json');
+    this.projectsDir = options.projectsDir || path.join(os.homedir(), '.claude', 'projects');
+    this.log = options.log || console;
+    this.bindings = null; // loaded lazily
+  }
+
+  async load() {
+    try {
+      this.bindings = JSON.parse(await fs.readFile(this.bindingsFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log.error('[Binding] Failed to read bindings:', error.message);
+      this.bindings = {};
+    }
+  }
+
+  async save() {
+    const tmp = `${this.bindingsFile}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(this.bindings, null, 2));
+    await fs.rename(tmp, this.bindingsFile);
+  }
+
+  /**
+   * Last decision per session, with its history
+   * @returns {Promise<object>} session -> decision
+   */
+  async getBindings() {
+    if (this.bindings === null) await this.load();
+    return this.bindings;
+  }
+
+  /**
+   * Work out and record a session's conversation, applying it when confident
+   * @param {string} session - Session id
+   * @param {object} options - {apply: false} only records; {trigger} says what asked;
+   *   {refreshTree: true} rescans first so a fork made moments ago has its parent link
+   * @returns {Promise<object>} The decision
+   */
+  async bind(session, { apply = true, trigger = 'manual', refreshTree = false } = {}) {
+    const [decision] = await this.settle([await this.resolve(session, trigger, refreshTree)], apply);
+    return decision;
+  }
+
+  /**
+   * Bind several sessions at once, so two of them can't both claim one conversation
+   * @param {string[]} sessions - Session ids
+   * @param {object} options - As for bind()
+   * @returns {Promise<object[]>} Decisions
+   */
+  async bindAll(sessions, { apply = true, trigger = 'periodic' } = {}) {
+    const decisions = [];
+    for (const session of sessions) {
+      try {
+        decisions.push(await this.resolve(session, trigger));
+      } catch (error) {
+        this.log.error(`[Binding] Failed to resolve ${session}:`, error.message);
+      }
+    }
+    return this.settle(decisions, apply);
+  }
+
+  /**
+   * Apply and record the user's own choice. Later decisions keep it while the
+   * evidence doesn't point clearly elsewhere, since the bound conversation
+   * scores for lineage.
+   * @param {string} session - Session id
+   * @param {string} conversationId - Conversation to bind
+   * @returns {Promise<object>} The decision
+   */
+  async confirm(session, conversationId) {
+    const config = await this.getSessionConfig(session);
+    const decision = {
+      session,
+      conversationId,
+      previousId: config.conversationId || null,
+      score: 100,
+      confidence: 1,
+      ambiguous: false,
+      trigger: 'confirmed',
+      decidedAt: new Date().toISOString(),
+      reasons: [{ signal: 'manual', points: 100, detail: 'Chosen in the dashboard' }],
+      candidates: [],
+      signals: {}
+    };
+    await this.settle([decision], true);
+    return decision;
+  }
+
+  /**
+   * Resolve conflicts, apply confident decisions and record them all
+   */
+  async settle(decisions, apply) {
+    // A conversation can only run in one session; the weaker claim is ambiguous
+    const claims = new Map();
+    for (const decision of decisions) {
+      if (!decision.conversationId) continue;
+      const other = claims.get(decision.conversationId);
+      if (!other) {
+        claims.set(decision.conversationId, decision);
+        continue;
+      }
+      const [winner, loser] = other.score >= decision.score ? [other, decision] : [decision, other];
+      loser.ambiguous = true;
+      loser.reasons.push({ signal: 'conflict', points: 0, detail: `Also the best match for ${winner.session}, which has more evidence` });
+      claims.set(decision.conversationId, winner);
+    }
+
+    const bindings = await this.getBindings();
+    for (const decision of decisions) {
+      decision.applied = false;
+      if (apply && decision.conversationId && !decision.ambiguous && decision.conversationId !== decision.previousId) {
+        const config = await this.getSessionConfig(decision.session);
+        await this.saveSessionConfig(decision.session, {
+          ...config,
+          conversationId: decision.conversationId,
+          ...(decision.workingDirectory ? { workingDirectory: decision.workingDirectory } : {}),
+          boundAt: decision.decidedAt,
+          bindingConfidence: decision.confidence
+        });
+        decision.applied = true;
+        this.log.info(`[Binding] ${decision.session} -> ${decision.conversationId} (confidence ${decision.confidence.toFixed(2)}, ${decision.trigger})`);
+      } else if (decision.ambiguous) {
+        this.log.warn(`[Binding] ${decision.session} is ambiguous; keeping ${decision.previousId || 'no conversation'}`);
+      }
+
+      const previous = bindings[decision.session];
+      const history = previous ? previous.history || [] : [];
+      const entry = {
+        conversationId: decision.conversationId,
+        confidence: decision.confidence,
+        ambiguous: decision.ambiguous,
+        applied: decision.applied,
+        trigger: decision.trigger,
+        decidedAt: decision.decidedAt
+      };
+      // Periodic runs mostly repeat themselves; only changes go in the history
+      const last = history[0];
+      if (last && !decision.applied && last.conversationId === entry.conversationId && last.ambiguous === entry.ambiguous) {
+        history[0] = { ...entry, applied: last.applied, firstDecidedAt: last.firstDecidedAt || last.decidedAt };
+      } else {
+        history.unshift(entry);
+      }
+      bindings[decision.session] = { ...decision, history: history.slice(0, HISTORY_LENGTH) };
+    }
+    await this.save();
+    return decisions;
+  }
+
+  /**
+   * Score every candidate conversation for a session
+   * @param {string} session - Session id
+   * @param {string} trigger - What asked for the decision
+   * @param {boolean} refreshTree - Rescan conversations before using parent links
+   * @returns {Promise<object>} Decision, not yet applied
+   */
+  async resolve(session, trigger = 'manual', refreshTree = false) {
+    const config = await this.getSessionConfig(session);
+    const currentId = config.conversationId || null;
+    const signals = await this.inspectSession(session);
+    const tree = await this.scanner.getConversationTree(refreshTree);
+    const conversations = (tree && tree.conversations) || {};
+
+    const candidates = await this.gatherCandidates(signals, currentId, conversations);
+    const now = Date.now();
+
+    for (const candidate of candidates.values()) {
+      const { conversationId, stats } = candidate;
+
+      // Process
+      if (signals.openFiles.includes(candidate.filePath)) {
+        candidate.add('process', 100, `Open in claude (pid ${signals.claudePid})`);
+      }
+      if (signals.startedWith === conversationId) {
+        candidate.add('process', 50, `claude was started with ${signals.startedWith}`);
+      } else if (signals.startedWith && this.descendsFrom(conversationId, signals.startedWith, conversations)) {
+        candidate.add('process', 40, `Forked from ${signals.startedWith}, which claude was started with`);
+      }
+      if (signals.processStartedAt && stats && stats.birthtimeMs >= signals.processStartedAt - 2000) {
+        candidate.add('process', 25, `Created after claude started (${new Date(signals.processStartedAt).toLocaleTimeString()})`);
+      }
+
+      // Working directory
+      if (signals.processCwd && projectFolders(signals.processCwd).includes(candidate.projectFolder)) {
+        candidate.add('cwd', 20, `Project folder matches claude's directory ${signals.processCwd}`);
+      } else if (signals.paneCwd && projectFolders(signals.paneCwd).includes(candidate.projectFolder)) {
+        candidate.add('cwd', 10, `Project folder matches the pane's directory ${signals.paneCwd}`);
+      }
+
+      // Recency
+      if (stats) {
+        const age = now - stats.mtimeMs;
+        if (age < 2 * 60 * 1000) candidate.add('mtime', 20, 'Written in the last 2 minutes');
+        else if (age < 30 * 60 * 1000) candidate.add('mtime', 10, 'Written in the last 30 minutes');
+        else if (age < 24 * 60 * 60 * 1000) candidate.add('mtime', 3, 'Written today');
+      }
+
+      // Lineage
+      if (conversationId === currentId) {
+        candidate.add('lineage', 15, 'Currently bound');
+      } else if (currentId && conversations[conversationId] && conversations[conversationId].parentId === currentId) {
+        candidate.add('lineage', 35, `Continues the bound conversation ${currentId.substring(0, 8)} (compaction or resume)`);
+      } else if (currentId && this.descendsFrom(conversationId, currentId, conversations)) {
+        candidate.add('lineage', 25, `Descends from the bound conversation ${currentId.substring(0, 8)}`);
+      }
+    }
+
+    await this.scoreFingerprints(session, candidates);
+
+    const ranked = [...candidates.values()].sort((a, b) => b.score - a.score);
+    const best = ranked[0];
+    const second = ranked[1];
+    let confidence = 0;
+    if (best && best.score >= MIN_SCORE) {
+      const margin = second && second.score > 0 ? (best.score - second.score) / best.score : 1;
+      confidence = Math.min(1, best.score / 100) * Math.min(1, margin * 2);
+    }
+    const bound = best && best.score >= MIN_SCORE;
+
+    return {
+      session,
+      conversationId: bound ? best.conversationId : null,
+      previousId: currentId,
+      workingDirectory: bound ? (signals.processCwd || signals.paneCwd || null) : null,
+      score: best ? best.score : 0,
+      confidence: Math.round(confidence * 100) / 100,
+      // Keeping the current conversation on thin evidence changes nothing, so isn't flagged
+      ambiguous: bound && confidence < MIN_CONFIDENCE && best.conversationId !== currentId,
+      trigger,
+      decidedAt: new Date().toISOString(),
+      reasons: bound ? best.reasons
+        : [{ signal: 'none', points: 0, detail: best ? `Best candidate only scored ${best.score} of ${MIN_SCORE} needed` : 'No candidate conversations' }],
+      candidates: ranked.slice(0, 5).map(candidate => ({
+        conversationId: candidate.conversationId,
+        title: conversations[candidate.conversationId] ? conversations[candidate.conversationId].firstUserMessage || null : null,
+        score: candidate.score,
+        lastModified: candidate.stats ? candidate.stats.mtime.toISOString() : null,
+        reasons: candidate.reasons
+      })),
+      signals: { ...signals, openFiles: signals.openFiles.length }
+    };
+  }
+
+  /**
+   * What the pane is running: its pid, the claude process under it and that
+   * process's directory, start time, arguments and open conversation files
+   */
+  async inspectSession(session) {
+    const signals = {
+      panePid: null, paneCwd: null, claudePid: null, processCwd: null,
+      processStartedAt: null, startedWith: null, openFiles: []
+    };
+    try {
+      signals.paneCwd = await this.tmuxUtils.getPaneCwd(session);
+    } catch (e) {
+      // Session not running; the other signals still count
+    }
+    try {
+      signals.panePid = await this.tmuxUtils.getPanePid(session);
+    } catch (e) {
+      // Same as above
+    }
+    if (!signals.panePid) return signals;
+
+    const claude = await this.findClaudeProcess(signals.panePid);
+    if (!claude) return signals;
+    signals.claudePid = claude.pid;
+    signals.processStartedAt = claude.startedAt;
+    const idMatch = claude.args.match(ID_ARGUMENT);
+    if (idMatch) signals.startedWith = idMatch[1];
+    signals.processCwd = await fs.readlink(`/proc/${claude.pid}/cwd`).catch(() => null);
+    signals.openFiles = await this.openConversationFiles(claude.pid);
+    return signals;
+  }
+
+  /**
+   * First claude process in the tree under a pid
+   * @returns {Promise<{pid, startedAt, args}|null>}
+   */
+  async findClaudeProcess(rootPid) {
+    let stdout;
+    try {
+      ({ stdout } = await execFileAsync('ps', ['-A', '-o', 'pid=,ppid=,etimes=,args='], { maxBuffer: 10 * 1024 * 1024 }));
+    } catch (e) {
+      return null; // No ps, or not a procps ps; process signals are skipped
+    }
+
+    const children = new Map();
+    const processes = new Map();
+    const now = Date.now();
+    for (const line of stdout.split('\n')) {
+      const match = line.trim().match(/^(\d+)\s+(\d+)\s+(\d+)\s+(.*)$/);
+      if (!match) continue;
+      const proc = { pid: +match[1], ppid: +match[2], startedAt: now - match[3] * 1000, args: match[4] };
+      processes.set(proc.pid, proc);
+      if (!children.has(proc.ppid)) children.set(proc.ppid, []);
+      children.get(proc.ppid).push(proc.pid);
+    }
+
+    const queue = [rootPid];
+    while (queue.length) {
+      const proc = processes.get(queue.shift());
+      if (!proc) continue;
+      if (CLAUDE_COMMAND.test(proc.args)) return proc;
+      queue.push(...(children.get(proc.pid) || []));
+    }
+    return null;
+  }
+
+  /**
+   * Conversation files a process has open (Linux only)
+   */
+  async openConversationFiles(pid) {
+    let fds;
+    try {
+      fds = await fs.readdir(`/proc/${pid}/fd`);
+    } catch (e) {
+      return [];
+    }
+    const files = [];
+    for (const fd of fds) {
+      const target = await fs.readlink(`/proc/${pid}/fd/${fd}`).catch(() => null);
+      if (target && target.endsWith('.jsonl') && target.startsWith(this.projectsDir)) files.push(target);
+    }
+    return files;
+  }
+
+  /**
+   * Recent files in the session's project folders, plus the bound conversation,
+   * the one claude was started with and whatever was forked from either
+   * @returns {Promise<Map<string, Candidate>>}
+   */
+  async gatherCandidates(signals, currentId, conversations) {
+    const folders = new Set([...projectFolders(signals.processCwd), ...projectFolders(signals.paneCwd)]);
+    const anchors = [currentId, signals.startedWith].filter(Boolean);
+    const allFiles = await this.scanner.getAllConversationFiles();
+    const cutoff = Date.now() - RECENT_DAYS * 24 * 60 * 60 * 1000;
+
+    const byFolder = new Map();
+    const candidates = new Map();
+    for (const file of allFiles) {
+      const id = path.basename(file.path, '.jsonl');
+      const conv = conversations[id];
+      if (conv && conv.isSidechain) continue;
+      const special = anchors.includes(id) || anchors.some(anchor => this.descendsFrom(id, anchor, conversations)) ||
+        signals.openFiles.includes(file.path);
+      if (!special && !folders.has(file.projectFolder)) continue;
+
+      const stats = await fs.stat(file.path).catch(() => null);
+      if (!stats || (!special && stats.mtimeMs < cutoff)) continue;
+      const candidate = new Candidate(id, file.path);
+      candidate.projectFolder = file.projectFolder;
+      candidate.stats = stats;
+      if (special) {
+        candidates.set(id, candidate);
+      } else {
+        if (!byFolder.has(file.projectFolder)) byFolder.set(file.projectFolder, []);
+        byFolder.get(file.projectFolder).push(candidate);
+      }
+    }
+
+    for (const list of byFolder.values()) {
+      list.sort((a, b) => b.stats.mtimeMs - a.stats.mtimeMs);
+      for (const candidate of list.slice(0, MAX_CANDIDATES)) {
+        if (!candidates.has(candidate.conversationId)) candidates.set(candidate.conversationId, candidate);
+      }
+    }
+    return candidates;
+  }
+
+  /**
+   * Messages the dashboard sent to a session are strong evidence for the
+   * conversation they turn up in, and against it for every other session
+   */
+  async scoreFingerprints(session, candidates) {
+    const sentBySession = this.getSentMessages() || new Map();
+    const sent = sentBySession.get(session) || [];
+    if (!sent.length || !this.reader) return;
+    const others = [];
+    for (const [name, messages] of sentBySession) {
+      if (name !== session) others.push(...messages);
+    }
+    // Only the start is compared; Claude may store a long paste with different wrapping
+    const contains = (texts, message) => texts.some(text => text.startsWith(message.normalized.substring(0, 100)));
+
+    for (const candidate of candidates.values()) {
+      let recent;
+      try {
+        recent = await this.reader.getLatestMessages(candidate.conversationId, 30);
+      } catch (e) {
+        continue;
+      }
+      const userMessages = recent.filter(m => m.type === 'user').map(m => fingerprint(m.content));
+      const matched = sent.filter(message => contains(userMessages, message));
+      if (matched.length) {
+        candidate.add('fingerprint', Math.min(120, matched.length * 40),
+          `${matched.length} message${matched.length === 1 ? '' : 's'} sent to ${session} found, latest "${matched[matched.length - 1].normalized.substring(0, 40)}"`);
+      }
+      if (!matched.length && others.some(message => contains(userMessages, message))) {
+        candidate.add('fingerprint', -40, 'Has messages the dashboard sent to another session');
+      }
+    }
+  }
+
+  /**
+   * Whether a conversation was forked (directly or not) from an ancestor
+   */
+  descendsFrom(conversationId, ancestorId, conversations) {
+    let parentId = conversations[conversationId] ? conversations[conversationId].parentId : null;
+    for (let depth = 0; parentId && depth < 20; depth++) {
+      if (parentId === ancestorId) return true;
+      parentId = conversations[parentId] ? conversations[parentId].parentId : null;
+    }
+    return false;
+  }
+}
+
+SessionBinder.projectFolders = projectFolders;
+SessionBinder.MIN_SCORE = MIN_SCORE;
+SessionBinder.MIN_CONFIDENCE = MIN_CONFIDENCE;
+
+module.exports = SessionBinder;
@@ -0,0 +1,282 @@
+#!/usr/bin/env node
+
+/**
+ * Task Router
+ * Assigns pending project todos to the Claude sessions best placed to do them,
+ * instead of every session pulling the highest priority todo for itself.
+ *
+ * Only sessions with a running loop and `todoRouting: true` in their config
+ * take part. Each pending todo that isn't blocked or claimed is scored against
+ * each of them, out of 100:
+ *
+ *   project  35  The todo's project is the session's: its `todoProject` config field,
+ *                the last folder of its working directory or conversation's, or its name
+ *   cwd      15  The last folder of the session's working directory is named in the todo
+ *   files    30  The todo names a file the session's conversation edited in the last day
+ *   history  20  The todo reads like todos the session finished before
+ *
+ * A session that released a todo (todo-client.js release) isn't routed it again.
+ * The best session scoring at least MIN_SCORE is stored on the todo as
+ *   route: { session, score, reasons, routedAt }
+ * for the dashboard to show. When a routed session's loop sends its next
+ * message and the session holds no other claim, assign() claims its best
+ * routed todo for it through todo-leases.js, and the assignment goes out at
+ * the top of that loop message. If that message is never delivered, unassign()
+ * puts the todo back.
+ */
+
+const path = require('path');
+const todoDependencies = require('./todo-dependencies.js');
+
+const MIN_SCORE = 20;
+const WEIGHTS = { project: 35, cwd: 15, files: 30, history: 20 };
+const RECENT_EDITS_MS = 24 * 60 * 60 * 1000;
+const HISTORY_TODOS = 50;
+const PRIORITY_RANK = { high: 3, normal: 2, low: 1 };
+const STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'add', 'fix', 'make', 'use', 'when', 'should', 'not', 'are', 'can']);
+const TODO_CLIENT = path.join(__dirname, 'todo-utils', 'todo-client.js');
+
+function words(text) {
+  return new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length > 2 && !STOPWORDS.has(w)));
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const w of a) if (b.has(w)) shared++;
+  return shared === 0 ? 0 : shared / (a.size + b.size - shared);
+}
+
+function quote(text, maxChars = 40) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+/**
+ * How well a session fits a todo
+ * @param {object} todo
+ * @param {object} profile - From TaskRouter.profile()
+ * @returns {{score: number, reasons: Array<string>}}
+ */
+function score(todo, profile) {
+  const text = (todo.text || '').toLowerCase();
+  const reasons = [];
+  let total = 0;
+
+  if (todo.project && profile.projects.has(todo.project.toLowerCase())) {
+    total += WEIGHTS.project;
+    reasons.push(`project ${todo.project}`);
+  }
+
+  const folder = profile.cwd ? path.basename(profile.cwd).toLowerCase() : null;
+  if (folder && folder.length > 2 && text.includes(folder)) {
+    total += WEIGHTS.cwd;
+    reasons.push(`works in ${profile.cwd}`);
+  }
+
+  // A file counts when the todo names it, with or without its extension
+  const named = profile.files.filter(file => {
+    const base = path.basename(file.path).toLowerCase();
+    const stem = base.replace(/\.[^.]+$/, '');
+    return text.includes(base) || (stem.length > 3 && text.includes(stem));
+  });
+  if (named.length > 0) {
+    total += Math.min(WEIGHTS.files, named.length * WEIGHTS.files / 2);
+    reasons.push(`edited ${named.slice(0, 2).map(file => path.basename(file.path)).join(', ')}`);
+  }
+
+  const todoWords = words(todo.text);
+  let closest = null;
+  for (const done of profile.history) {
+    const match = similarity(todoWords, done.words);
+    if (!closest || match > closest.match) closest = { match, text: done.text };
+  }
+  if (closest && closest.match > 0.1) {
+    total += Math.round(WEIGHTS.history * Math.min(1, closest.match * 2));
+    reasons.push(`did "${quote(closest.text)}"`);
+  }
+
+  return { score: Math.round(total), reasons };
+}
+
+class TaskRouter {
+  /**
+   * @param {object} hooks - Server callbacks
+   * @param {function(): Array<string>} hooks.listSessions - Sessions with a running loop
+   * @param {function(string): Promise<object>} hooks.getSessionConfig - Loop config of a session
+   * @param {function(string, object): Promise<string|null>} hooks.getWorkingDir - Session's working directory
+   * @param {function(string, object): Promise<object>} hooks.recentEdits - ToolAnalytics.recentEdits
+   * @param {function(): Promise<Array>} hooks.loadTodos - Reads todos.json and returns the todos
+   * @param {function(): Promise<void>} hooks.saveTodos - Writes them back
+   * @param {TodoLeases} hooks.todoLeases - Claims, and the turn-taking for todos.json writes
+   * @param {object} hooks.log - Logger
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.routing = null;
+  }
+
+  /**
+   * Sessions that take routed todos
+   * @returns {Promise<Array<string>>}
+   */
+  async routedSessions() {
+    const sessions = [];
+    for (const session of this.hooks.listSessions()) {
+      const config = await this.hooks.getSessionConfig(session);
+      if (config.todoRouting === true) sessions.push(session);
+    }
+    return sessions;
+  }
+
+  /**
+   * What a session is working on: where, which files, and what it finished before
+   * @param {string} session
+   * @param {Array} todos - All todos
+   */
+  async profile(session, todos) {
+    const config = await this.hooks.getSessionConfig(session);
+    let cwd = await this.hooks.getWorkingDir(session, config).catch(() => null);
+    let files = [];
+    // A todo's project counts as this session's under any of these names
+    const projects = new Set([session, config.todoProject, cwd && path.basename(cwd)]);
+    if (config.conversationId) {
+      try {
+        const edits = await this.hooks.recentEdits(config.conversationId, { since: Date.now() - RECENT_EDITS_MS });
+        files = edits.files;
+        if (edits.cwd) projects.add(path.basename(edits.cwd));
+        cwd = cwd || edits.cwd;
+      } catch (error) {
+        this.hooks.log.debug(`[Router] No edits for ${session}: ${error.message}`);
+      }
+    }
+    const history = todos
+      .filter(t => t.claude_session === session && (t.status === 'claude_done' || t.status === 'user_approved'))
+      .sort((a, b) => (b.claude_completed_at || '').localeCompare(a.claude_completed_at || ''))
+      .slice(0, HISTORY_TODOS)
+      .map(t => ({ text: t.text || '', words: words(t.text) }));
+    return {
+      session,
+      cwd,
+      projects: new Set([...projects].filter(Boolean).map(name => name.toLowerCase())),
+      files,
+      history
+    };
+  }
+
+  /**
+   * Score every open todo against the routed sessions and store the best match.
+   * Concurrent callers share one run.
+   * @returns {Promise<{sessions: Array<string>, routed: number, changed: number}>}
+   */
+  route() {
+    if (!this.routing) {
+      this.routing = this.runRoute().finally(() => { this.routing = null; });
+    }
+    return this.routing;
+  }
+
+  async runRoute() {
+    const sessions = await this.routedSessions();
+    // Profiles need tmux and the conversation files; build them before taking a turn on todos.json
+    const snapshot = await this.hooks.loadTodos();
+    const profiles = [];
+    for (const session of sessions) profiles.push(await this.profile(session, snapshot));
+
+    return this.hooks.todoLeases.exclusive(async (todos) => {
+      const byId = todoDependencies.index(todos);
+      let routed = 0;
+      let changed = 0;
+      const now = new Date().toISOString();
+
+      for (const todo of todos) {
+        if (todo.status !== 'pending') continue;
+        let best = null;
+        if (!todoDependencies.isBlocked(todo, byId)) {
+          for (const profile of profiles) {
+            if ((todo.releasedBy || []).includes(profile.session)) continue; // it gave this one back
+            const match = score(todo, profile);
+            if (match.score >= MIN_SCORE && (!best || match.score > best.score)) {
+              best = { session: profile.session, ...match };
+            }
+          }
+        }
+
+        const before = todo.route ? JSON.stringify([todo.route.session, todo.route.score, todo.route.reasons]) : null;
+        const after = best ? JSON.stringify([best.session, best.score, best.reasons]) : null;
+        if (best) routed++;
+        if (before === after) continue;
+        if (best) todo.route = { ...best, routedAt: now };
+        else delete todo.route;
+        changed++;
+      }
+
+      if (changed > 0) {
+        await this.hooks.saveTodos();
+        this.hooks.log.info(`[Router] ${routed} todos routed to ${sessions.length} sessions (${changed} changed)`);
+      }
+      return { sessions, routed, changed };
+    });
+  }
+
+  /**
+   * Claim the best todo routed to a session that isn't working on one already
+   * @param {string} session
+   * @returns {Promise<{todo: object, message: string}|null>} The text to send with the loop message
+   */
+  async assign(session) {
+    const config = await this.hooks.getSessionConfig(session);
+    if (config.todoRouting !== true) return null;
+    await this.route();
+
+    const todos = await this.hooks.loadTodos();
+    if (todos.some(t => t.status === 'in_progress' && t.lease && t.lease.session === session)) return null;
+
+    const candidates = todos
+      .filter(t => t.status === 'pending' && t.route && t.route.session === session)
+      .sort((a, b) =>
+        ((PRIORITY_RANK[b.priority] || 2) - (PRIORITY_RANK[a.priority] || 2)) ||
+        (b.route.score - a.route.score));
+
+    for (const candidate of candidates) {
+      let todo;
+      try {
+        ({ todo } = await this.hooks.todoLeases.claim({ session, conversationId: config.conversationId, id: candidate.id }));
+      } catch (error) {
+        // Claimed, finished or blocked since routing; try the next one
+        this.hooks.log.debug(`[Router] Couldn't assign ${candidate.id} to ${session}: ${error.message}`);
+        continue;
+      }
+      this.hooks.log.info(`[Router] Assigned ${todo.id} to ${session} (score ${todo.route.score})`);
+      return {
+        todo,
+        message: [
+          `Assigned todo ${todo.id} (match ${todo.route.score}/100: ${todo.route.reasons.join('; ')}):`,
+          todo.text,
+          `When it's done: node ${TODO_CLIENT} complete ${todo.id}. If it isn't a fit: CLAUDE_SESSION=${session} node ${TODO_CLIENT} release ${todo.id} "<why>".`
+        ].join('\n')
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Take back an assignment whose message never reached the session.
+   * The todo goes back to pending and stays routed to the session.
+   * @param {string} session
+   * @param {string} todoId
+   * @param {string} reason - Why the message didn't go out
+   */
+  async unassign(session, todoId, reason) {
+    try {
+      await this.hooks.todoLeases.release({ session, id: todoId, givenBack: false });
+      this.hooks.log.info(`[Router] Took ${todoId} back from ${session}; the assignment wasn't sent (${reason})`);
+    } catch (error) {
+      // Already finished, released or requeued
+      this.hooks.log.debug(`[Router] Nothing to take back for ${todoId} from ${session}: ${error.message}`);
+    }
+  }
+}
+
+TaskRouter.score = score;
+TaskRouter.MIN_SCORE = MIN_SCORE;
+
+module.exports = TaskRouter;
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+
+/**
+ * Regression test for prompt-responder.js against the bash prompts in screen-fixtures/
+ *
+ * A bash command is auto-approved only when the rule saw all of it: multi-line,
+ * chained and redirected commands are always escalated.
+ *
+ * Usage:
+ *   node test-prompt-responder.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const promptResponder = require('./prompt-responder.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'screen-fixtures');
+
+const policy = {
+  enabled: true,
+  rules: [
+    { id: 'tests', type: 'bash', regex: 'npm test.*', answer: 'yes' },
+    { id: 'anything', type: 'bash', regex: '[\\s\\S]*', answer: 'yes' }
+  ]
+};
+
+// Fixture, or a single line of command on the bash fixture, and what should happen
+const cases = [
+  { name: 'single-line command is approved', fixture: 'v1-bash-prompt', action: 'answer' },
+  { name: 'multi-line command with a description is escalated', fixture: 'v1-bash-multiline', action: 'escalate' },
+  { name: 'multi-line command without a description is escalated', fixture: 'v1-bash-no-description', action: 'escalate' },
+  { name: 'chained command is escalated', fixture: 'v1-bash-prompt', command: 'npm test && rm -rf ~', action: 'escalate' },
+  { name: 'redirected command is escalated', fixture: 'v1-bash-prompt', command: 'npm test > ~/.bashrc', action: 'escalate' }
+];
+
+let failed = 0;
+for (const testCase of cases) {
+  let content = fs.readFileSync(path.join(FIXTURE_DIR, `${testCase.fixture}.txt`), 'utf8');
+  if (testCase.command) {
+    content = content.replace('npm test -- --runInBand', testCase.command.padEnd('npm test -- --runInBand'.length));
+  }
+  const parsed = promptResponder.parsePrompt(content);
+  const decision = parsed ? promptResponder.decide(policy, parsed) : { action: 'no prompt' };
+
+  if (decision.action === testCase.action) {
+    console.log(`✅ ${testCase.name}`);
+  } else {
+    failed++;
+    console.log(`❌ ${testCase.name}: expected ${testCase.action}, got ${decision.action}${decision.rule ? ` (rule ${decision.rule.id})` : ''}`);
+    if (parsed) console.log(`   command: ${JSON.stringify(parsed.command)}`);
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} cases passed`);
+process.exit(failed > 0 ? 1 : 0);
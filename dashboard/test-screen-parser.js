@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Regression test for screen-parser.js against captured panes
+ *
+ * Each fixture in screen-fixtures/ is a pane capture (NAME.txt) with the
+ * expected screen state (NAME.json). Only the keys present in the JSON are
+ * checked, so a fixture can pin down just what it is about.
+ *
+ * Usage:
+ *   node test-screen-parser.js                    Check every fixture
+ *   node test-screen-parser.js --capture SESSION NAME
+ *                                                 Capture a live pane as a new fixture
+ *   node test-screen-parser.js --update NAME      Rewrite NAME.json from the current parser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const screenParser = require('./screen-parser.js');
+
+const FIXTURE_DIR = path.join(__dirname, 'screen-fixtures');
+
+// Whether `actual` contains everything in `expected`
+function matches(expected, actual) {
+  if (expected === null || typeof expected !== 'object') {
+    return expected === actual;
+  }
+  if (actual === null || typeof actual !== 'object') {
+    return false;
+  }
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.length === actual.length &&
+      expected.every((item, i) => matches(item, actual[i]));
+  }
+  return Object.keys(expected).every(key => matches(expected[key], actual[key]));
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, `${name}.txt`), 'utf8');
+}
+
+function writeExpected(name) {
+  const state = screenParser.parse(readFixture(name));
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.json`), JSON.stringify(state, null, 2) + '\n');
+  console.log(`Wrote ${name}.json (${state.parser})`);
+  console.log(JSON.stringify(state, null, 2));
+}
+
+function runAll() {
+  const names = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.txt'))
+    .map(file => file.slice(0, -4))
+    .sort();
+
+  let failed = 0;
+  for (const name of names) {
+    const expectedFile = path.join(FIXTURE_DIR, `${name}.json`);
+    if (!fs.existsSync(expectedFile)) {
+      console.log(`⚠️  ${name}: no ${name}.json yet (run with --update ${name})`);
+      failed++;
+      continue;
+    }
+
+    const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+    const actual = screenParser.parse(readFixture(name));
+    const wrong = Object.keys(expected).filter(key => !matches(expected[key], actual[key]));
+
+    if (wrong.length === 0) {
+      console.log(`✅ ${name}`);
+    } else {
+      failed++;
+      console.log(`❌ ${name}`);
+      for (const key of wrong) {
+        console.log(`   ${key}: expected ${JSON.stringify(expected[key])}`);
+        console.log(`   ${' '.repeat(key.length)}  got      ${JSON.stringify(actual[key])}`);
+      }
+    }
+  }
+
+  console.log(`\n${names.length - failed}/${names.length} fixtures passed (parsers: ${screenParser.listParsers().join(', ')})`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+const args = process.argv.slice(2);
+
+if (args[0] === '--capture') {
+  const [, session, name] = args;
+  if (!session || !name) {
+    console.error('Usage: node test-screen-parser.js --capture SESSION NAME');
+    process.exit(1);
+  }
+  const content = execSync(`tmux capture-pane -t "${session}:0.0" -p -e`, { encoding: 'utf8' });
+  fs.writeFileSync(path.join(FIXTURE_DIR, `${name}.txt`), content);
+  writeExpected(name);
+  console.log('\nCheck the state above and trim NAME.json to the keys the fixture is about.');
+} else if (args[0] === '--update') {
+  if (!args[1]) {
+    console.error('Usage: node test-screen-parser.js --update NAME');
+    process.exit(1);
+  }
+  writeExpected(args[1]);
+} else {
+  runAll();
+}
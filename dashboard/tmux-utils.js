@@ -3,11 +3,36 @@
 /**
  * Tmux Utilities
  * Centralized tmux operations for Claude Loop Dashboard
+ *
+ * Once the dashboard calls useHosts(), a session named `host:session` is sent to
+ * that host's agent (host-agent.js) instead of the local tmux server.
  */
 
-const { exec, spawn } = require('child_process');
+const { exec, execFile, spawn } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const execFileAsync = util.promisify(execFile);
+
+let hostRegistry = null;
+
+/**
+ * Route `host:session` ids through a host registry
+ * @param {HostRegistry|null} registry - Registry from host-registry.js
+ */
+function useHosts(registry) {
+  hostRegistry = registry;
+}
+
+/**
+ * Agent client and plain tmux name for a session on a remote host
+ * @param {string} session - Session id
+ * @returns {{client: object, session: string}|null} null for local sessions
+ */
+function remote(session) {
+  if (!hostRegistry) return null;
+  const target = hostRegistry.parse(session);
+  return target.host ? { client: hostRegistry.client(target.host.name), session: target.session } : null;
+}
 
 /**
  * Send a command to a tmux session
@@ -17,6 +42,13 @@ const execAsync = util.promisify(exec);
  */
 async function sendCommand(command, session = 'claude') {
   try {
+    const target = remote(session);
+    if (target) {
+      await target.client.sendKeys(target.session, [command, 'Enter']);
+      console.log(`[Tmux] Sent command to session ${session}: ${command}`);
+      return { success: true };
+    }
+
     // Escape single quotes in the command
     const escapedCommand = command.replace(/'/g, "'\\''");
     await execAsync(`tmux send-keys -t "${session}" '${escapedCommand}' Enter`);
@@ -42,41 +74,14 @@ async function sendKey(key, session = 'claude') {
 
     if (isControlSequence || isSpecialKey) {
       // Control sequences and special keys - use send-keys directly
-      await execAsync(`tmux send-keys -t "${session}" ${key}`);
+      await sendKeys(session, [key]);
       console.log(`[Tmux] Sent key ${key} to session ${session}`);
       return { success: true };
     } else {
       // Regular characters - use buffer/paste method like custom messages
-      // Pipe character via stdin to completely avoid shell escaping
-      return new Promise((resolve, reject) => {
-        const proc = spawn('bash', ['-c', 'cat | tmux load-buffer -t "$1" - && tmux paste-buffer -t "$1"', '--', session]);
-
-        let stderr = '';
-
-        proc.stderr.on('data', (data) => {
-          stderr += data.toString();
-        });
-
-        proc.on('close', (code) => {
-          if (code !== 0) {
-            const error = new Error(`Failed to send key: ${stderr || 'Unknown error'}`);
-            console.error(`[Tmux] Failed to send key: ${error.message}`);
-            reject(error);
-          } else {
-            console.log(`[Tmux] Sent key ${key} to session ${session}`);
-            resolve({ success: true });
-          }
-        });
-
-        proc.on('error', (err) => {
-          console.error(`[Tmux] Failed to send key: ${err.message}`);
-          reject(err);
-        });
-
-        // Write character to stdin and close
-        proc.stdin.write(key);
-        proc.stdin.end();
-      });
+      await pasteText(key, session);
+      console.log(`[Tmux] Sent key ${key} to session ${session}`);
+      return { success: true };
     }
   } catch (error) {
     console.error(`[Tmux] Failed to send key: ${error.message}`);
@@ -84,6 +89,44 @@ async function sendKey(key, session = 'claude') {
   }
 }
 
+/**
+ * Paste text into a tmux session without pressing Enter
+ * Text is piped through a tmux buffer so no shell escaping is involved
+ * @param {string} text - Text to paste
+ * @param {string} session - Tmux session name (default: 'claude')
+ * @returns {Promise<object>} Success status
+ */
+function pasteText(text, session = 'claude') {
+  const target = remote(session);
+  if (target) {
+    return target.client.paste(target.session, text).then(() => ({ success: true }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const proc = spawn('bash', ['-c', 'cat | tmux load-buffer -t "$1" - && tmux paste-buffer -t "$1"', '--', session]);
+
+    let stderr = '';
+
+    proc.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(`Failed to paste into ${session}: ${stderr.trim() || 'Unknown error'}`));
+      } else {
+        resolve({ success: true });
+      }
+    });
+
+    proc.on('error', reject);
+
+    // Write text to stdin and close
+    proc.stdin.write(text);
+    proc.stdin.end();
+  });
+}
+
 /**
  * Start Claude in a tmux session
  * @param {string} session - Tmux session name (default: 'claude')
@@ -166,6 +209,13 @@ async function sendCompact(session = 'claude') {
  */
 async function clearHistory(session = 'claude') {
   try {
+    const target = remote(session);
+    if (target) {
+      await target.client.clearHistory(target.session);
+      console.log(`[Tmux] Cleared old scrollback for session ${session}`);
+      return { success: true };
+    }
+
     // Strategy: Set history limit to 1000, then clear, then restore
     // This keeps the last 1000 lines visible and clears older scrollback
 
@@ -201,6 +251,9 @@ async function clearHistory(session = 'claude') {
  */
 async function getPaneOutput(session = 'claude', lines = 500) {
   try {
+    const target = remote(session);
+    if (target) return await target.client.capture(target.session, { lines });
+
     const captureCmd = lines > 0 
       ? `tmux capture-pane -t "${session}" -p -S -${lines}`
       : `tmux capture-pane -t "${session}" -p -S -`;
@@ -227,16 +280,133 @@ async function listSessions() {
   }
 }
 
+/**
+ * Local sessions plus the sessions of every registered host (as `host:session`)
+ * @returns {Promise<{sessions: string[], hosts: Array<object>}>} hosts has one entry per remote host with ok/error
+ */
+async function listAllSessions() {
+  const local = await listSessions();
+  if (!hostRegistry) return { sessions: local, hosts: [] };
+  const hosts = await hostRegistry.listRemoteSessions();
+  return {
+    sessions: [...local, ...hosts.flatMap(host => host.sessions)],
+    hosts: hosts.map(({ sessions, ...host }) => ({ ...host, count: sessions.length }))
+  };
+}
+
 /**
  * Check if a tmux session exists
  * @param {string} session - Session name to check
  * @returns {Promise<boolean>} True if session exists
  */
 async function sessionExists(session) {
+  const target = remote(session);
+  if (target) {
+    return (await target.client.listSessions()).includes(target.session);
+  }
   const sessions = await listSessions();
   return sessions.includes(session);
 }
 
+/**
+ * Capture Claude's pane (window 0, pane 0)
+ * @param {string} session - Session id
+ * @param {object} options - Capture options
+ * @param {number} options.lines - Scrollback lines to include; 0 for all, omit for the visible screen only
+ * @param {boolean} options.escapes - Keep colour escape sequences (-e)
+ * @returns {Promise<string>} Pane content
+ */
+async function capturePane(session, { lines, escapes = false } = {}) {
+  const target = remote(session);
+  if (target) return target.client.capture(target.session, { lines, escapes });
+
+  const args = ['capture-pane', '-p', '-t', `${session}:0.0`];
+  if (lines === 0) args.push('-S', '-');
+  else if (lines > 0) args.push('-S', `-${lines}`);
+  if (escapes) args.push('-e');
+  const { stdout } = await execFileAsync('tmux', args, { maxBuffer: 50 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Send keys with tmux send-keys. Each entry is one argument: a key name
+ * (Enter, C-c) or text. Nothing goes through a shell.
+ * @param {string} session - Session id
+ * @param {string[]} keys - send-keys arguments
+ * @returns {Promise<object>} Success status
+ */
+async function sendKeys(session, keys) {
+  const target = remote(session);
+  if (target) {
+    await target.client.sendKeys(target.session, keys);
+  } else {
+    await execFileAsync('tmux', ['send-keys', '-t', session, ...keys]);
+  }
+  return { success: true };
+}
+
+/**
+ * Current directory of a session's active pane
+ * @param {string} session - Session id
+ * @returns {Promise<string|null>} Directory, or null if unknown
+ */
+async function getPaneCwd(session) {
+  const target = remote(session);
+  if (target) return target.client.paneCwd(target.session);
+  const { stdout } = await execFileAsync('tmux', ['display-message', '-p', '-t', session, '#{pane_current_path}']);
+  return stdout.trim() || null;
+}
+
+/**
+ * PID of the process running in a session's active pane (usually the shell
+ * Claude was started from). Only known for local sessions.
+ * @param {string} session - Session id
+ * @returns {Promise<number|null>} PID, or null for remote or unknown sessions
+ */
+async function getPanePid(session) {
+  if (remote(session)) return null;
+  const { stdout } = await execFileAsync('tmux', ['display-message', '-p', '-t', session, '#{pane_pid}']);
+  const pid = parseInt(stdout.trim());
+  return isNaN(pid) ? null : pid;
+}
+
+/**
+ * Create a detached session
+ * @param {string} session - Session id
+ * @param {string} workingDir - Starting directory
+ * @param {string} command - Command to run instead of a shell (optional)
+ * @returns {Promise<object>} Success status
+ */
+async function newSession(session, workingDir, command = null) {
+  const target = remote(session);
+  if (target) {
+    await target.client.newSession(target.session, workingDir, command);
+  } else {
+    const args = ['new-session', '-d', '-s', session];
+    if (workingDir) args.push('-c', workingDir);
+    if (command) args.push(command);
+    await execFileAsync('tmux', args);
+  }
+  console.log(`[Tmux] Created session ${session}${workingDir ? ' in ' + workingDir : ''}`);
+  return { success: true };
+}
+
+/**
+ * Kill a session
+ * @param {string} session - Session id
+ * @returns {Promise<object>} Success status
+ */
+async function killSession(session) {
+  const target = remote(session);
+  if (target) {
+    await target.client.killSession(target.session);
+  } else {
+    await execFileAsync('tmux', ['kill-session', '-t', session]);
+  }
+  console.log(`[Tmux] Killed session ${session}`);
+  return { success: true };
+}
+
 /**
  * Create a new tmux session if it doesn't exist
  * @param {string} session - Session name
@@ -247,8 +417,7 @@ async function ensureSession(session, workingDir = '/home/michael/InfiniQuest')
   try {
     const exists = await sessionExists(session);
     if (!exists) {
-      await execAsync(`tmux new-session -d -s "${session}" -c "${workingDir}"`);
-      console.log(`[Tmux] Created new session ${session} in ${workingDir}`);
+      await newSession(session, workingDir);
     }
     return { success: true, created: !exists };
   } catch (error) {
@@ -299,15 +468,24 @@ async function restartClaude(session = 'claude', workingDir = '/home/michael/Inf
 }
 
 module.exports = {
+  useHosts,
   sendCommand,
   sendKey,
+  sendKeys,
+  pasteText,
   startClaude,
   stopClaude,
   restartClaude,
   sendCompact,
   clearHistory,
   getPaneOutput,
+  capturePane,
+  getPaneCwd,
+  getPanePid,
   listSessions,
+  listAllSessions,
   sessionExists,
+  newSession,
+  killSession,
   ensureSession
 };
\ No newline at end of file
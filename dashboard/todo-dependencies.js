@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Todo Dependencies
+ * `blockedBy` links between project todos: a todo waits until every todo it
+ * is blocked by is done. Shared by the todo routes, the todo CLIs (through
+ * the routes) and the browser todo list.
+ *
+ * A todo is stored with `blockedBy: [id, ...]`. A blocker counts as finished
+ * once it is `claude_done` or `user_approved`, and a deleted or unknown
+ * blocker no longer holds anything up. Links are kept when a blocker
+ * finishes, so the chain can still be shown.
+ *
+ * Links may not form a cycle, or the todos in it could never be claimed.
+ * `parentId` is unrelated: it only nests todos in the list.
+ */
+
+const todoDependencies = {
+  // Statuses that no longer hold up the todos they block
+  finishedStatuses: ['claude_done', 'user_approved', 'completed', 'deleted'],
+
+  /**
+   * @param {Array} todos - All todos
+   * @returns {Map<string, object>} id -> todo
+   */
+  index: function(todos) {
+    return new Map(todos.map(todo => [todo.id, todo]));
+  },
+
+  isFinished: function(todo) {
+    return !todo || this.finishedStatuses.includes(todo.status);
+  },
+
+  /**
+   * Blockers of a todo that aren't finished yet
+   * @param {object} todo
+   * @param {Map<string, object>} byId - From index()
+   * @returns {Array<object>}
+   */
+  openBlockers: function(todo, byId) {
+    return (todo.blockedBy || [])
+      .map(id => byId.get(id))
+      .filter(blocker => !this.isFinished(blocker));
+  },
+
+  isBlocked: function(todo, byId) {
+    return this.openBlockers(todo, byId).length > 0;
+  },
+
+  /**
+   * Would `todoId` blocked by `blockerId` close a loop?
+   * @returns {Array<string>|null} The loop, from the todo back to itself, or null
+   */
+  findCycle: function(todos, todoId, blockerId) {
+    if (todoId === blockerId) return [todoId, todoId];
+    const byId = this.index(todos);
+    const seen = new Set();
+    // Depth-first from the blocker along its own blockers; reaching the todo means a loop
+    const walk = (id, trail) => {
+      if (id === todoId) return trail;
+      if (seen.has(id)) return null;
+      seen.add(id);
+      const todo = byId.get(id);
+      for (const next of (todo && todo.blockedBy) || []) {
+        const found = walk(next, [...trail, next]);
+        if (found) return found;
+      }
+      return null;
+    };
+    return walk(blockerId, [todoId, blockerId]);
+  },
+
+  /**
+   * Everything a todo waits on, transitively, and everything waiting on it
+   * @param {Array} todos - All todos
+   * @param {string} todoId
+   * @returns {{blockers: Array<{todo, depth, finished}>, dependents: Array<{todo, depth, finished}>}}
+   *   Blockers are listed depth first from the todo, each once at its first depth.
+   */
+  chain: function(todos, todoId) {
+    const byId = this.index(todos);
+    const dependentsOf = new Map();
+    todos.forEach(todo => (todo.blockedBy || []).forEach(id => {
+      if (!dependentsOf.has(id)) dependentsOf.set(id, []);
+      dependentsOf.get(id).push(todo);
+    }));
+
+    const collect = (start, nextOf) => {
+      const result = [];
+      const seen = new Set([start]);
+      const walk = (id, depth) => {
+        for (const next of nextOf(id)) {
+          if (!next || seen.has(next.id)) continue;
+          seen.add(next.id);
+          result.push({ todo: next, depth, finished: this.isFinished(next) });
+          walk(next.id, depth + 1);
+        }
+      };
+      walk(start, 1);
+      return result;
+    };
+
+    return {
+      blockers: collect(todoId, id => ((byId.get(id) || {}).blockedBy || []).map(blockerId => byId.get(blockerId))),
+      dependents: collect(todoId, id => dependentsOf.get(id) || [])
+    };
+  },
+
+  /**
+   * Longest chain of unfinished todos linked by blockedBy: the order they
+   * have to be done in, and the least number of steps before the last one
+   * can start. Ties go to the chain ending in the higher priority todo.
+   * @param {Array} todos - Todos to consider, e.g. one project's
+   * @returns {Array<object>} First todo to do first; empty without any links
+   */
+  criticalPath: function(todos) {
+    const open = todos.filter(todo => !this.isFinished(todo));
+    const byId = this.index(open);
+    const longest = new Map(); // id -> {length, previous}
+    const visiting = new Set();
+    const priorityRank = { high: 3, normal: 2, low: 1 };
+
+    const measure = (todo) => {
+      if (longest.has(todo.id)) return longest.get(todo.id);
+      if (visiting.has(todo.id)) return { length: 0, previous: null }; // a stored loop; don't follow it
+      visiting.add(todo.id);
+      let best = { length: 1, previous: null };
+      for (const id of todo.blockedBy || []) {
+        const blocker = byId.get(id);
+        if (!blocker) continue;
+        const candidate = measure(blocker).length + 1;
+        if (candidate > best.length) best = { length: candidate, previous: blocker.id };
+      }
+      visiting.delete(todo.id);
+      longest.set(todo.id, best);
+      return best;
+    };
+
+    let end = null;
+    for (const todo of open) {
+      const { length } = measure(todo);
+      const endLength = end ? longest.get(end.id).length : 0;
+      if (length > endLength ||
+          (length === endLength && (priorityRank[todo.priority] || 2) > (priorityRank[end.priority] || 2))) {
+        end = todo;
+      }
+    }
+    if (!end || longest.get(end.id).length < 2) return [];
+
+    const path = [];
+    for (let id = end.id; id; id = longest.get(id).previous) path.unshift(byId.get(id));
+    return path;
+  }
+};
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = todoDependencies;
+}
+
+// Make available globally for browser environments
+if (typeof window !== 'undefined') {
+  window.todoDependencies = todoDependencies;
+}
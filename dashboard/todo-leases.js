@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+
+/**
+ * Todo Leases
+ * Claims on project todos for Claude sessions working the same todos.json.
+ *
+ * A claim picks the next pending todo that isn't blocked (see
+ * todo-dependencies.js), marks it `in_progress` for the claiming session and
+ * gives it a lease that runs out unless it is renewed. Claims, renewals,
+ * releases and sweeps take turns, and each one reads todos.json again first,
+ * so two sessions claiming at once get different todos.
+ *
+ * Renewing happens two ways:
+ *   - Explicitly, with renew() (todo-client.js renew).
+ *   - On each sweep, for leases whose tmux session still exists and is still
+ *     bound to the conversation that claimed the todo.
+ * A session that is killed, or compacts into a new conversation, stops being
+ * renewed, and once its lease runs out the todo goes back to `pending`.
+ *
+ * Stored on the todo while claimed:
+ *   lease: { session, conversationId, minutes, claimedAt, renewedAt, expiresAt }
+ * and after a release back to pending:
+ *   releasedBy: [session, ...]
+ */
+
+const { HttpError } = require('./api-router.js');
+const todoDependencies = require('./todo-dependencies.js');
+
+const DEFAULT_LEASE_MINUTES = 15;
+const MAX_LEASE_MINUTES = 240;
+const PRIORITY_RANK = { high: 3, normal: 2, low: 1 };
+
+class TodoLeases {
+  /**
+   * @param {object} hooks - Server callbacks
+   * @param {function(): Promise<Array>} hooks.loadTodos - Reads todos.json and returns the todos
+   * @param {function(): Promise<void>} hooks.saveTodos - Writes them back
+   * @param {function(): Promise<string[]>} hooks.listSessions - Live tmux sessions
+   * @param {function(string): Promise<string|null>} hooks.getConversationId - Conversation a session is bound to
+   * @param {object} hooks.historyManager - Todo change log
+   * @param {object} hooks.log - Logger
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a read-change-save of todos.json after the ones already queued
+   * @param {function(Array): Promise<*>} change - Gets the freshly loaded todos
+   */
+  exclusive(change) {
+    const run = this.queue.then(async () => change(await this.hooks.loadTodos()));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Claim a todo: a given one, or the next claimable one in the given projects
+   * @param {object} options
+   * @param {string} options.session - Who is claiming; usually the tmux session
+   * @param {string} options.conversationId - Conversation doing the work (looked up from the session if omitted)
+   * @param {string} options.id - A specific todo to claim
+   * @param {Array<string>} options.projects - Only claim from these projects
+   * @param {number} options.minutes - Lease length
+   * @returns {Promise<{todo: object|null, available: number, blocked: number}>}
+   *   todo is null when nothing could be claimed
+   */
+  async claim({ session, conversationId = null, id = null, projects = null, minutes = DEFAULT_LEASE_MINUTES }) {
+    session = await this.resolveSession(session);
+    minutes = Math.min(Math.max(Number(minutes) || DEFAULT_LEASE_MINUTES, 1), MAX_LEASE_MINUTES);
+    if (!conversationId) {
+      conversationId = await this.hooks.getConversationId(session).catch(() => null);
+    }
+
+    return this.exclusive(async (todos) => {
+      const byId = todoDependencies.index(todos);
+      let todo;
+      let available = 0;
+      let blocked = 0;
+
+      if (id) {
+        todo = byId.get(id);
+        if (!todo) throw new HttpError(404, 'Todo not found');
+        if (todo.status === 'in_progress' && todo.lease && todo.lease.session === session) {
+          // Claiming again is a renewal
+          this.extend(todo, todo.lease.minutes);
+          await this.hooks.saveTodos();
+          return { todo, available: 1, blocked: 0 };
+        }
+        if (todo.status === 'in_progress') {
+          throw new HttpError(409, `Already claimed by ${todo.lease ? todo.lease.session : todo.claude_session || 'another session'}`, { lease: todo.lease || null });
+        }
+        if (todo.status !== 'pending') throw new HttpError(409, `Todo is ${todo.status}, not pending`);
+        if (todoDependencies.isBlocked(todo, byId)) {
+          throw new HttpError(409, 'Todo is blocked', { blockedBy: todoDependencies.openBlockers(todo, byId).map(b => b.id) });
+        }
+        available = 1;
+      } else {
+        const pending = todos.filter(t => t.status === 'pending' && (!projects || projects.includes(t.project)));
+        const claimable = pending.filter(t => !todoDependencies.isBlocked(t, byId));
+        available = claimable.length;
+        blocked = pending.length - claimable.length;
+        // Highest priority first, then list position, then oldest
+        claimable.sort((a, b) =>
+          ((PRIORITY_RANK[b.priority] || 2) - (PRIORITY_RANK[a.priority] || 2)) ||
+          ((a.order !== undefined ? a.order : Infinity) - (b.order !== undefined ? b.order : Infinity)) ||
+          (new Date(a.created_at) - new Date(b.created_at)));
+        todo = claimable[0];
+        if (!todo) return { todo: null, available, blocked };
+      }
+
+      const now = new Date().toISOString();
+      todo.status = 'in_progress';
+      todo.claude_session = session;
+      todo.lease = { session, conversationId, minutes, claimedAt: now, renewedAt: now, expiresAt: null };
+      this.extend(todo, minutes);
+      await this.hooks.saveTodos();
+
+      await this.hooks.historyManager.logChange({
+        action: 'UPDATE',
+        todoId: todo.id,
+        field: 'status',
+        oldValue: 'pending',
+        newValue: 'in_progress',
+        sessionId: session
+      });
+      this.hooks.log.info(`[Leases] ${session} claimed ${todo.id} for ${minutes}m`);
+      return { todo, available, blocked };
+    });
+  }
+
+  /**
+   * The name a lease is held under. A script on a registered remote host only
+   * knows its bare tmux session name, while listSessions() reports that session
+   * as `host:session`. A bare name that isn't a local session but is the
+   * session of exactly one remote host is taken to mean that one.
+   * @param {string} session - Name the caller gave
+   * @param {string[]} live - Live sessions, if already listed
+   * @returns {Promise<string>}
+   */
+  async resolveSession(session, live = null) {
+    if (!session || session.includes(':')) return session;
+    if (!live) live = await this.hooks.listSessions().catch(() => []);
+    if (live.includes(session)) return session;
+    const remote = live.filter(name => name.endsWith(`:${session}`));
+    return remote.length === 1 ? remote[0] : session;
+  }
+
+  /**
+   * Extend a session's leases: one todo, or all of them when id is omitted
+   * @returns {Promise<Array<object>>} The renewed todos
+   */
+  async renew({ session, id = null, minutes = null }) {
+    const resolved = await this.resolveSession(session);
+    // Leases claimed before bare remote names were resolved are held under the bare name
+    const holds = (todo) => !!todo.lease && [session, resolved].includes(todo.lease.session);
+    return this.exclusive(async (todos) => {
+      let owned = todos.filter(t => t.status === 'in_progress' && holds(t));
+      if (id) {
+        const todo = todos.find(t => t.id === id);
+        if (!todo) throw new HttpError(404, 'Todo not found');
+        if (!owned.includes(todo)) {
+          // Most likely the lease ran out and someone else has it, or it's back in the queue
+          throw new HttpError(409, `No lease on ${id} for ${session}`, { status: todo.status, lease: todo.lease || null });
+        }
+        owned = [todo];
+      }
+      owned.forEach(todo => this.extend(todo, minutes || todo.lease.minutes));
+      if (owned.length > 0) await this.hooks.saveTodos();
+      return owned;
+    });
+  }
+
+  /**
+   * Give a claimed todo up; by default it goes back to pending for someone else
+   * @param {object} options - {session, id, status, note, givenBack}
+   *   givenBack is false when the session never got to see the todo (see TaskRouter.unassign)
+   * @returns {Promise<object>} The todo
+   */
+  async release({ session, id, status = 'pending', note = null, givenBack = true }) {
+    const names = [session, await this.resolveSession(session)];
+    const holds = (todo) => !!todo.lease && names.includes(todo.lease.session);
+    session = names[1];
+    return this.exclusive(async (todos) => {
+      const todo = todos.find(t => t.id === id);
+      if (!todo) throw new HttpError(404, 'Todo not found');
+      if (!holds(todo)) {
+        throw new HttpError(409, `No lease on ${id} for ${session}`, { status: todo.status, lease: todo.lease || null });
+      }
+      const oldStatus = todo.status;
+      this.endLease(todo, status);
+      if (note) this.addNote(todo, note, session);
+      if (status === 'pending' && givenBack) {
+        // Given back rather than lost; the task router won't offer it to this session again
+        todo.releasedBy = [...new Set([...(todo.releasedBy || []), session])];
+      }
+      await this.hooks.saveTodos();
+
+      if (oldStatus !== todo.status) {
+        await this.hooks.historyManager.logChange({
+          action: 'UPDATE',
+          todoId: todo.id,
+          field: 'status',
+          oldValue: oldStatus,
+          newValue: todo.status,
+          sessionId: session
+        });
+      }
+      return todo;
+    });
+  }
+
+  /**
+   * Renew leases of sessions still working on them and put expired ones back in the queue
+   * @returns {Promise<{renewed: number, requeued: Array<string>}>}
+   */
+  async sweep() {
+    // Look the sessions up before waiting our turn; tmux can be slow
+    const leased = (await this.hooks.loadTodos()).filter(t => t.lease);
+    if (leased.length === 0) return { renewed: 0, requeued: [] };
+    const liveList = await this.hooks.listSessions();
+    const live = new Set(liveList);
+    const working = new Set();
+    for (const session of new Set(leased.map(t => t.lease.session))) {
+      // Leases claimed under a bare remote name before claims were resolved
+      const holder = await this.resolveSession(session, liveList);
+      if (!live.has(holder)) continue;
+      const bound = await this.hooks.getConversationId(holder).catch(() => null);
+      leased.filter(t => t.lease.session === session)
+        .filter(t => !bound || !t.lease.conversationId || t.lease.conversationId === bound)
+        .forEach(t => working.add(t.id));
+    }
+
+    return this.exclusive(async (todos) => {
+      const now = Date.now();
+      let renewed = 0;
+      const requeued = [];
+      for (const todo of todos) {
+        if (!todo.lease) continue;
+        if (todo.status !== 'in_progress') {
+          delete todo.lease; // finished or moved some other way
+          continue;
+        }
+        if (working.has(todo.id)) {
+          this.extend(todo, todo.lease.minutes);
+          renewed++;
+        } else if (new Date(todo.lease.expiresAt).getTime() <= now) {
+          const { session } = todo.lease;
+          this.endLease(todo, 'pending');
+          this.addNote(todo, `Lease held by ${session} ran out; back in the queue`, session);
+          requeued.push({ id: todo.id, session });
+        }
+      }
+      if (renewed > 0 || requeued.length > 0) await this.hooks.saveTodos();
+
+      for (const { id, session } of requeued) {
+        await this.hooks.historyManager.logChange({
+          action: 'UPDATE',
+          todoId: id,
+          field: 'status',
+          oldValue: 'in_progress',
+          newValue: 'pending',
+          sessionId: session
+        });
+      }
+      if (requeued.length > 0) {
+        this.hooks.log.info(`[Leases] Requeued ${requeued.length} todos with expired leases: ${requeued.map(r => r.id).join(', ')}`);
+      }
+      return { renewed, requeued: requeued.map(r => r.id) };
+    });
+  }
+
+  extend(todo, minutes) {
+    const now = new Date();
+    todo.lease.minutes = minutes;
+    todo.lease.renewedAt = now.toISOString();
+    todo.lease.expiresAt = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+  }
+
+  endLease(todo, status) {
+    delete todo.lease;
+    todo.status = status;
+    if (status === 'pending') todo.claude_session = null;
+    if (status === 'claude_done' && !todo.claude_completed_at) {
+      todo.claude_completed_at = new Date().toISOString();
+    }
+  }
+
+  addNote(todo, text, session) {
+    if (!todo.notes) todo.notes = [];
+    todo.notes.push({ text, timestamp: new Date().toISOString(), session });
+  }
+}
+
+TodoLeases.DEFAULT_LEASE_MINUTES = DEFAULT_LEASE_MINUTES;
+
+module.exports = TodoLeases;
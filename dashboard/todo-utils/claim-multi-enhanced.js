@@ -3,10 +3,14 @@
 /**
  * Enhanced Claim-Multi - Claims highest priority todo with duplicate checking
  * Automatically checks for existing skills and provides intelligent options
+ * Todos blocked by unfinished ones are skipped (see todo-dependencies.js), and
+ * the claim is made by the server with a lease (see todo-leases.js)
  */
 
 const http = require('http');
 const readline = require('readline');
+const { authHeaders } = require('../client-auth');
+const { requireSession } = require('./current-session');
 
 // Parse arguments
 const projects = process.argv.slice(2);
@@ -25,9 +29,9 @@ function apiRequest(method, endpoint, data = null, port = 3335) {
       port: port,
       path: endpoint,
       method: method,
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json'
-      }
+      })
     };
 
     const req = http.request(options, (res) => {
@@ -109,12 +113,10 @@ async function main() {
     
     let allTodos = [];
     for (const project of projects) {
-      const todos = await apiRequest('GET', `/api/todos`);
-      // Filter for pending todos in this project (API doesn't filter properly)
-      const projectTodos = todos.filter(todo => 
-        todo.project === project && todo.status === 'pending'
-      );
-      console.log(`  ${project}: ${projectTodos.length} pending todos`);
+      const todos = await apiRequest('GET', `/api/todos/pending?project=${encodeURIComponent(project)}&includeBlocked=true`);
+      const projectTodos = todos.filter(todo => !todo.blocked);
+      const blockedCount = todos.length - projectTodos.length;
+      console.log(`  ${project}: ${projectTodos.length} pending todos${blockedCount ? ` (${blockedCount} more blocked)` : ''}`);
       projectTodos.forEach(todo => {
         todo.project = project; // Ensure project is set
         allTodos.push(todo);
@@ -126,14 +128,6 @@ async function main() {
       return;
     }
     
-    // Sort by priority (high > normal > low) then by creation date
-    const priorityOrder = { high: 3, normal: 2, low: 1 };
-    allTodos.sort((a, b) => {
-      const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
-      if (priorityDiff !== 0) return priorityDiff;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
-    
     // Count by priority
     const highCount = allTodos.filter(t => t.priority === 'high').length;
     const normalCount = allTodos.filter(t => t.priority === 'normal').length;
@@ -144,8 +138,19 @@ async function main() {
     console.log(`  Normal priority: ${normalCount}`);
     console.log(`  Low priority: ${lowCount}`);
     
-    // Get the highest priority todo
-    const todo = allTodos[0];
+    // Claim the highest priority todo. The server picks it again under its claim
+    // lock, so a todo another session took since the scan is skipped
+    const result = await apiRequest('POST', '/api/todos/claim', {
+      session: requireSession(),
+      conversationId: process.env.CLAUDE_CONVERSATION_ID || undefined,
+      projects
+    });
+    if (result.error) throw new Error(result.error);
+    if (!result.claimed) {
+      console.log('\nEvery pending todo was claimed by another session meanwhile');
+      return;
+    }
+    const todo = result.todo;
     
     // Extract skill name from todo text
     const skillMatch = todo.text.match(/Generate skill template:\s*(.+)/i);
@@ -222,12 +227,6 @@ async function main() {
       console.log('='.repeat(60));
     }
     
-    // Claim the todo regardless (Claude will decide what to do)
-    await apiRequest('PUT', `/api/todos/${todo.id}`, {
-      ...todo,
-      status: 'in_progress'
-    });
-    
     console.log(`ID: ${todo.id}`);
     console.log(`Priority: ${todo.priority}`);
     console.log(`Project: ${todo.project}`);
@@ -236,6 +235,7 @@ async function main() {
     console.log(todo.text);
     console.log('='.repeat(60));
     console.log('\nThis task has been claimed and marked as in_progress');
+    console.log(`Lease until ${new Date(result.lease.expiresAt).toLocaleTimeString()}, renewed while this session is running`);
     
     if (relatedSkills.length > 0) {
       console.log('\n📋 DECISION REQUIRED: Review the related skills above and choose your approach');
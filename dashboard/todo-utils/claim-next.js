@@ -5,8 +5,10 @@
  * Usage: node todo-utils/claim-next.js [conversationId] [project]
  * 
  * This tool:
- * 1. Gets the highest priority pending todo from dashboard
- * 2. Marks it as in_progress in dashboard
+ * 1. Gets the highest priority pending todo from dashboard, skipping todos
+ *    still blocked by unfinished ones (see todo-dependencies.js)
+ * 2. Marks it as in_progress in dashboard, with a lease that is renewed while
+ *    the session runs and requeues the todo once it runs out (see todo-leases.js)
  * 3. Adds it to Claude's native todo list for this conversation
  */
 
@@ -14,9 +16,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
 const os = require('os');
+const { authHeaders } = require('../client-auth');
+const { requireSession } = require('./current-session');
 
 // Get conversation ID from environment or generate one
-const conversationId = process.argv[2] || process.env.CLAUDE_CONVERSATION_ID || 
+const explicitConversationId = process.argv[2] || process.env.CLAUDE_CONVERSATION_ID || null;
+const conversationId = explicitConversationId ||
                        `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
 // Get project/session from environment or command line
@@ -25,67 +30,40 @@ const project = process.argv[3] || process.env.CLAUDE_SESSION || null;
 const CLAUDE_TODOS_DIR = path.join(os.homedir(), '.claude', 'todos');
 const nativeTodoFile = path.join(CLAUDE_TODOS_DIR, `${conversationId}-agent-${conversationId}.json`);
 
-async function fetchNextPendingTodo() {
-  return new Promise((resolve, reject) => {
-    // Get pending todos with compact format for efficiency
-    // If project is specified, filter by it
-    let url = `http://localhost:3335/api/todos/pending?format=compact`;
-    if (project) {
-      url += `&project=${project}`;
-    }
-    
-    http.get(url, (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          const todos = JSON.parse(data);
-          
-          if (todos.length === 0) {
-            resolve(null);
-            return;
-          }
-          
-          // Sort by priority and age
-          const priorityOrder = { high: 3, normal: 2, low: 1 };
-          todos.sort((a, b) => {
-            const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
-            if (priorityDiff !== 0) return priorityDiff;
-            return 0; // Could add date sorting here if needed
-          });
-          
-          resolve(todos[0]);
-        } catch (e) {
-          reject(e);
-        }
-      });
-    }).on('error', reject);
-  });
-}
-
-async function updateTodoStatus(todoId, status) {
+// Pick and mark the next todo in one request; the server hands each todo to one session only
+async function claimTodo() {
+  // The lease is renewed only while this tmux session runs; see current-session.js
+  const session = requireSession();
   return new Promise((resolve, reject) => {
     const postData = JSON.stringify({
-      id: todoId,
-      status: status,
-      claude_session: conversationId
+      session,
+      conversationId: explicitConversationId || undefined,
+      project: project || undefined
     });
     
     const options = {
       hostname: 'localhost',
       port: 3335,
-      path: '/api/todos/update',
-      method: 'PUT',
-      headers: {
+      path: '/api/todos/claim',
+      method: 'POST',
+      headers: authHeaders({
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData)
-      }
+      })
     };
     
     const req = http.request(options, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
+      res.on('end', () => {
+        try {
+          const result = JSON.parse(data);
+          if (result.error) reject(new Error(result.error));
+          else resolve(result);
+        } catch (e) {
+          reject(e);
+        }
+      });
     });
     
     req.on('error', reject);
@@ -111,19 +89,19 @@ async function saveNativeTodos(todos) {
 
 async function claimNextTodo() {
   try {
-    // Get next pending todo from dashboard
-    const nextTodo = await fetchNextPendingTodo();
+    // Claim the next pending todo in the dashboard
+    const { todo: nextTodo, lease, blocked } = await claimTodo();
     
     if (!nextTodo) {
       console.log(`No pending todos available to claim${project ? ` for project ${project}` : ''}.`);
+      if (blocked > 0) {
+        console.log(`${blocked} pending todos are blocked by unfinished ones (node todo-utils/todo-client.js chain <id>).`);
+      }
       process.exit(0);
     }
     
-    console.log(`\n📋 Claiming todo: ${nextTodo.text.substring(0, 50)}...`);
-    
-    // Mark as in_progress in dashboard
-    await updateTodoStatus(nextTodo.id, 'in_progress');
-    console.log('✓ Marked as in_progress in dashboard');
+    console.log(`\n📋 Claimed todo: ${nextTodo.text.substring(0, 50)}...`);
+    console.log(`✓ Marked as in_progress in dashboard, leased to ${lease.session} until ${new Date(lease.expiresAt).toLocaleTimeString()}`);
     
     // Load current native todos
     const nativeTodos = await loadNativeTodos();
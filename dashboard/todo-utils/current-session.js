@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Current Session
+ * The tmux session a todo script runs in, for claims and leases.
+ *
+ * The lease sweep only renews leases held by a live tmux session (see
+ * todo-leases.js), so claiming under any other name means the todo goes back
+ * in the queue while Claude is still working on it.
+ */
+
+const { execFileSync } = require('child_process');
+
+/**
+ * @returns {string|null} CLAUDE_SESSION, else the tmux session of this pane, else null
+ */
+function currentSession() {
+  if (process.env.CLAUDE_SESSION) return process.env.CLAUDE_SESSION;
+  // Outside tmux, display-message would answer for whichever session was used last
+  if (!process.env.TMUX || !process.env.TMUX_PANE) return null;
+  try {
+    const name = execFileSync('tmux', ['display-message', '-p', '-t', process.env.TMUX_PANE, '#S'], {
+      encoding: 'utf8',
+      timeout: 2000,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    return name || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Like currentSession(), but exits with an explanation when there is none
+ * @returns {string}
+ */
+function requireSession() {
+  const session = currentSession();
+  if (!session) {
+    console.error('❌ No session to hold the claim: set CLAUDE_SESSION to the tmux session name, or run this inside the tmux session.');
+    console.error('   A claim under any other name is not renewed and goes back in the queue after its lease runs out.');
+    process.exit(1);
+  }
+  return session;
+}
+
+module.exports = { currentSession, requireSession };
@@ -6,6 +6,7 @@
  */
 
 const http = require('http');
+const { authHeaders } = require('../client-auth');
 
 // Get project from command line or environment
 const project = process.argv[2] || process.env.CLAUDE_SESSION || null;
@@ -17,7 +18,7 @@ function fetchNextTodo() {
     url += `&project=${project}`;
   }
 
-  http.get(url, (res) => {
+  http.get(url, { headers: authHeaders() }, (res) => {
     let data = '';
     res.on('data', chunk => data += chunk);
     res.on('end', () => {
@@ -288,21 +288,17 @@ class HistoryManager {
 
   /**
    * Create a checkpoint (snapshot)
+   * @param {string} name - Optional label for the file name
+   * @param {Array} todos - Todos to store; fetched from the dashboard API when omitted (CLI use)
    */
-  async createCheckpoint(name = null) {
+  async createCheckpoint(name = null, todos = null) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const filename = `checkpoint-${timestamp}${name ? '-' + name : ''}.json`;
     const filepath = path.join(this.snapshotsDir, filename);
     
-    // Get current state from the API
-    const http = require('http');
-    const todos = await new Promise((resolve, reject) => {
-      http.get('http://localhost:3335/api/todos', (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => resolve(JSON.parse(data)));
-      }).on('error', reject);
-    });
+    if (!todos) {
+      todos = await this.fetchTodos();
+    }
     
     const checkpoint = {
       timestamp: new Date().toISOString(),
@@ -322,6 +318,34 @@ class HistoryManager {
     };
   }
 
+  /**
+   * Current todos from the running dashboard
+   */
+  async fetchTodos() {
+    const http = require('http');
+    const { authHeaders, dashboardPort } = require('../client-auth');
+    return new Promise((resolve, reject) => {
+      http.get({ hostname: 'localhost', port: dashboardPort(), path: '/api/todos', headers: authHeaders() }, (res) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => {
+          // Never store an error body as the todo list
+          if (res.statusCode !== 200) {
+            reject(new Error(`Dashboard answered ${res.statusCode}: ${data}`));
+            return;
+          }
+          try {
+            const todos = JSON.parse(data);
+            if (!Array.isArray(todos)) throw new Error('Expected an array of todos');
+            resolve(todos);
+          } catch (error) {
+            reject(error);
+          }
+        });
+      }).on('error', reject);
+    });
+  }
+
   /**
    * List available checkpoints
    */
@@ -356,6 +380,10 @@ class HistoryManager {
     const filepath = path.join(this.snapshotsDir, filename);
     const data = await fs.readFile(filepath, 'utf8');
     const checkpoint = JSON.parse(data);
+    // Older checkpoints could hold an API error body instead of todos
+    if (!Array.isArray(checkpoint.todos)) {
+      throw new Error(`Checkpoint ${filename} has no todo list`);
+    }
     
     // Restore positions
     this.currentPositions = checkpoint.positions || {};
@@ -13,6 +13,7 @@
 const fs = require('fs').promises;
 const http = require('http');
 const path = require('path');
+const { authHeaders } = require('../client-auth');
 
 async function apiRequest(method, endpoint, data = null) {
   return new Promise((resolve, reject) => {
@@ -22,10 +23,10 @@ async function apiRequest(method, endpoint, data = null) {
       port: 3335,
       path: endpoint,
       method: method,
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json',
         'Content-Length': Buffer.byteLength(postData)
-      }
+      })
     };
 
     const req = http.request(options, (res) => {
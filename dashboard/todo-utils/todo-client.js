@@ -10,7 +10,13 @@
  *   update <id> <field> <value> - Update a todo field
  *   claim [project]          - Claim next todo from single project
  *   claim-multi <projects...> - Claim highest priority todo across multiple projects
+ *   renew [id]               - Extend this session's leases on claimed todos
+ *   release <id> [note]      - Give a claimed todo back to the queue
+ *   leases                   - Show claimed todos and their leases
  *   complete <id>            - Mark todo as claude_done
+ *   block <id> <blocker-id>  - Mark a todo as waiting on another
+ *   unblock <id> <blocker-id> - Remove that link
+ *   chain <id>               - Show what a todo waits on and what waits on it
  *   search <query>           - Search todos by text
  *   stats [project]          - Show todo statistics
  */
@@ -18,6 +24,8 @@
 const http = require('http');
 const fs = require('fs').promises;
 const path = require('path');
+const { authHeaders } = require('../client-auth');
+const { requireSession } = require('./current-session');
 
 // Parse command line arguments
 const [,, command, ...args] = process.argv;
@@ -30,9 +38,9 @@ function apiRequest(method, endpoint, data = null) {
       port: 3335,
       path: endpoint,
       method: method,
-      headers: {
+      headers: authHeaders({
         'Content-Type': 'application/json'
-      }
+      })
     };
 
     const req = http.request(options, (res) => {
@@ -66,6 +74,7 @@ const commands = {
     if (status !== 'all') {
       if (status === 'pending') {
         url = '/api/todos/pending';
+        params.append('includeBlocked', 'true');
       } else {
         params.append('status', status);
       }
@@ -95,7 +104,8 @@ const commands = {
       const priority = todo.priority === 'high' ? '[HIGH]' : 
                       todo.priority === 'low' ? '[LOW]' : '';
       const project = todo.project || 'unassigned';
-      console.log(`${todo.id} ${priority} [${project}] ${todo.text || todo.content}`);
+      const blocked = todo.blocked ? `[BLOCKED by ${todo.blockedBy.join(', ')}] ` : '';
+      console.log(`${todo.id} ${priority} [${project}] ${blocked}${todo.text || todo.content}`);
     });
     
     console.log(`\n${filtered.length} todos found`);
@@ -133,6 +143,9 @@ const commands = {
     if (todo.parentId) {
       console.log('Parent:', todo.parentId);
     }
+    if (todo.blockedBy && todo.blockedBy.length > 0) {
+      console.log('Blocked by:', todo.blockedBy.join(', '), '(see: chain', todo.id + ')');
+    }
   },
 
   // Update a todo field
@@ -158,40 +171,31 @@ const commands = {
   claim: async (project = null) => {
     project = project || process.env.CLAUDE_SESSION;
     
-    // Get next pending todo
-    let url = '/api/todos/pending?format=compact';
-    if (project) {
-      url += `&project=${project}`;
+    // The server picks and marks the todo in one step, so two sessions never get the same one
+    const result = await apiRequest('POST', '/api/todos/claim', {
+      session: requireSession(),
+      conversationId: process.env.CLAUDE_CONVERSATION_ID || undefined,
+      project: project || undefined
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
     }
     
-    const todos = await apiRequest('GET', url);
-    
-    if (!todos || todos.length === 0) {
+    if (!result.claimed) {
       console.log('No pending todos to claim');
+      if (result.blocked > 0) {
+        console.log(`${result.blocked} pending todos are blocked (see: chain <id>)`);
+      }
       process.exit(0);
     }
     
-    // Sort by priority
-    const priorityOrder = { high: 3, normal: 2, low: 1 };
-    todos.sort((a, b) => {
-      const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
-      if (priorityDiff !== 0) return priorityDiff;
-      return new Date(a.created_at) - new Date(b.created_at);
-    });
-    
-    const next = todos[0];
-    
-    // Update status to in_progress
-    await apiRequest('PUT', '/api/todos/update', {
-      id: next.id,
-      status: 'in_progress',
-      claude_session: project
-    });
-    
+    const next = result.todo;
     console.log('Claimed todo:', next.id);
     console.log('Text:', next.text);
     console.log('Priority:', next.priority || 'normal');
     console.log('Project:', next.project || 'unassigned');
+    console.log('Lease until:', new Date(result.lease.expiresAt).toLocaleTimeString(), '(renewed while this session is running)');
   },
   
   // Claim next todo from multiple projects with priority-based selection
@@ -222,22 +226,6 @@ const commands = {
       process.exit(0);
     }
     
-    // Sort by priority (high > normal > low) and then by order field
-    const priorityOrder = { high: 3, normal: 2, low: 1 };
-    allTodos.sort((a, b) => {
-      // First sort by priority
-      const priorityA = priorityOrder[a.priority] || 2;
-      const priorityB = priorityOrder[b.priority] || 2;
-      if (priorityA !== priorityB) {
-        return priorityB - priorityA;
-      }
-      
-      // Then sort by order (position in list)
-      const orderA = a.order !== undefined ? a.order : 999999;
-      const orderB = b.order !== undefined ? b.order : 999999;
-      return orderA - orderB;
-    });
-    
     // Count todos by priority for summary
     const priorityCounts = { high: 0, normal: 0, low: 0 };
     allTodos.forEach(todo => {
@@ -249,20 +237,27 @@ const commands = {
     console.log(`  Normal priority: ${priorityCounts.normal}`);
     console.log(`  Low priority: ${priorityCounts.low}`);
     
-    // Claim the highest priority todo
-    const next = allTodos[0];
+    // Claim the highest priority todo, then the earliest in list order. The server
+    // picks it at claim time, so a todo another session took since the scan is skipped
+    const result = await apiRequest('POST', '/api/todos/claim', {
+      session: requireSession(),
+      conversationId: process.env.CLAUDE_CONVERSATION_ID || undefined,
+      projects
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    if (!result.claimed) {
+      console.log('\nEvery pending todo was claimed by another session meanwhile');
+      process.exit(0);
+    }
+    const next = result.todo;
     
     console.log('\n' + '='.repeat(60));
     console.log('CLAIMING HIGHEST PRIORITY TODO');
     console.log('='.repeat(60));
     
-    // Update status to in_progress
-    await apiRequest('PUT', '/api/todos/update', {
-      id: next.id,
-      status: 'in_progress',
-      claude_session: process.env.CLAUDE_SESSION || 'claude'
-    });
-    
     console.log('ID:', next.id);
     console.log('Priority:', next.priority || 'normal');
     console.log('Project:', next.project || 'unassigned');
@@ -271,6 +266,61 @@ const commands = {
     console.log(next.text);
     console.log('='.repeat(60));
     console.log('\nThis task has been claimed and marked as in_progress');
+    console.log(`Lease until ${new Date(result.lease.expiresAt).toLocaleTimeString()}, renewed while this session is running`);
+  },
+
+  // Extend this session's leases, or one of them
+  renew: async (todoId = null) => {
+    const result = await apiRequest('POST', '/api/todos/renew', {
+      session: requireSession(),
+      id: todoId || undefined
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    
+    if (result.renewed.length === 0) {
+      console.log('No claimed todos to renew');
+      return;
+    }
+    result.renewed.forEach(t => {
+      console.log(`Renewed ${t.id} until ${new Date(t.expiresAt).toLocaleTimeString()}: ${t.text}`);
+    });
+  },
+
+  // Give up a claimed todo so another session can take it
+  release: async (todoId, ...noteParts) => {
+    if (!todoId) {
+      console.error('Usage: todo-client release <id> [note]');
+      process.exit(1);
+    }
+    
+    const result = await apiRequest('POST', '/api/todos/release', {
+      session: requireSession(),
+      id: todoId,
+      note: noteParts.join(' ') || undefined
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    
+    console.log(`Released ${todoId}; it is ${result.todo.status} again`);
+  },
+
+  // Who holds which todo
+  leases: async () => {
+    const result = await apiRequest('GET', '/api/todos/leases');
+    if (result.leases.length === 0) {
+      console.log('No claimed todos');
+      return;
+    }
+    
+    result.leases.forEach(lease => {
+      const minutes = Math.ceil(lease.remainingSeconds / 60);
+      console.log(`${lease.id} [${lease.session}] ${minutes}m left  ${lease.text}`);
+    });
   },
 
   // Mark todo as complete
@@ -289,6 +339,77 @@ const commands = {
     console.log(`Marked ${todoId} as complete`);
   },
 
+  // Make a todo wait until another is done
+  block: async (todoId, blockerId) => {
+    if (!todoId || !blockerId) {
+      console.error('Usage: todo-client block <id> <blocker-id>');
+      process.exit(1);
+    }
+    
+    const result = await apiRequest('POST', '/api/todos/dependency', {
+      id: todoId,
+      blockedBy: blockerId,
+      claude_session: process.env.CLAUDE_SESSION || null
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    
+    console.log(`${todoId} now waits on ${blockerId}${result.blocked ? '' : ' (already done, so it is not blocked)'}`);
+  },
+
+  unblock: async (todoId, blockerId) => {
+    if (!todoId || !blockerId) {
+      console.error('Usage: todo-client unblock <id> <blocker-id>');
+      process.exit(1);
+    }
+    
+    const result = await apiRequest('DELETE', '/api/todos/dependency', {
+      id: todoId,
+      blockedBy: blockerId,
+      claude_session: process.env.CLAUDE_SESSION || null
+    });
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    
+    console.log(`${todoId} no longer waits on ${blockerId}${result.blocked ? ' (still blocked by others)' : ''}`);
+  },
+
+  // Show the dependency chain around a todo
+  chain: async (todoId) => {
+    if (!todoId) {
+      console.error('Usage: todo-client chain <id>');
+      process.exit(1);
+    }
+    
+    const result = await apiRequest('GET', `/api/todos/dependencies/${encodeURIComponent(todoId)}`);
+    if (result.error) {
+      console.error('❌', result.error);
+      process.exit(1);
+    }
+    
+    const line = (item) => {
+      const statusIcon = item.finished ? '✅' : item.status === 'in_progress' ? '🔄' : '📝';
+      return `${'  '.repeat(item.depth)}${statusIcon} [${item.id}] ${item.text}`;
+    };
+    
+    console.log(`${result.blocked ? '⛔ BLOCKED' : '🟢 Ready'} [${result.todo.id}] ${result.todo.text}`);
+    if (result.blockers.length > 0) {
+      console.log('\nWaits on:');
+      result.blockers.forEach(item => console.log(line(item)));
+    }
+    if (result.dependents.length > 0) {
+      console.log('\nWaited on by:');
+      result.dependents.forEach(item => console.log(line(item)));
+    }
+    if (result.blockers.length === 0 && result.dependents.length === 0) {
+      console.log('\nNo dependencies');
+    }
+  },
+
   // Search todos
   search: async (...queryParts) => {
     const query = queryParts.join(' ');
@@ -609,7 +730,13 @@ Commands:
                               Fields: status, priority, project, text, notes
   claim [project]             Claim next pending todo from single project
   claim-multi <projects...>   Claim highest priority todo across multiple projects
+  renew [id]                  Extend this session's leases (all, or one todo)
+  release <id> [note]         Put a claimed todo back in the queue
+  leases                      Show claimed todos and when their leases run out
   complete <id>               Mark todo as claude_done
+  block <id> <blocker-id>     Make a todo wait until another is done
+  unblock <id> <blocker-id>   Remove that dependency
+  chain <id>                  Show what a todo waits on and what waits on it
   search <query>              Search todos by text
   stats [project]             Show todo statistics
   projects                    List all available projects
@@ -624,12 +751,16 @@ Examples:
   node todo-client.js update abc123 priority high  # Set priority to high
   node todo-client.js claim claude-loop9        # Claim next todo for project
   node todo-client.js complete abc123           # Mark as complete
+  node todo-client.js block abc123 def456       # abc123 can't be claimed until def456 is done
+  node todo-client.js chain abc123              # Show its dependency chain
   node todo-client.js search "dashboard bug"    # Search for todos
   node todo-client.js stats                     # Show statistics
   node todo-client.js projects                  # List all projects
 
 Environment:
-  CLAUDE_SESSION - Default project for claim and add commands`);
+  CLAUDE_SESSION - Default project for claim and add commands, and who holds claimed todos
+                   (inside tmux it defaults to the pane's session; claims fail without either)
+  CLAUDE_CONVERSATION_ID - Conversation working on claimed todos (looked up from the session if unset)`);
   process.exit(0);
 }
 
@@ -8,6 +8,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const http = require('http');
+const { authHeaders } = require('../client-auth');
 
 const API_BASE = 'http://localhost:3335';
 
@@ -21,7 +22,7 @@ class TodoManager {
    */
   async fetchTodos() {
     return new Promise((resolve, reject) => {
-      http.get(`${API_BASE}/api/todos`, (res) => {
+      http.get(`${API_BASE}/api/todos`, { headers: authHeaders() }, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
         res.on('end', () => {
@@ -40,7 +41,7 @@ class TodoManager {
    */
   async fetchSessions() {
     return new Promise((resolve, reject) => {
-      http.get(`${API_BASE}/api/tmux-sessions`, (res) => {
+      http.get(`${API_BASE}/api/tmux-sessions`, { headers: authHeaders() }, (res) => {
         let data = '';
         res.on('data', chunk => data += chunk);
         res.on('end', () => {
@@ -66,10 +67,10 @@ class TodoManager {
         port: 3335,
         path: '/api/todos/bulk-update',
         method: 'POST',
-        headers: {
+        headers: authHeaders({
           'Content-Type': 'application/json',
           'Content-Length': Buffer.byteLength(postData)
-        }
+        })
       };
 
       const req = http.request(options, (res) => {
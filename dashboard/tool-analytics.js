@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+/**
+ * Tool Analytics
+ * Pairs every tool_use in the conversation files with its tool_result and
+ * reports which tools ran, how often they failed, how long each took, which
+ * files were edited most and which bash commands were run.
+ *
+ * Files are read incrementally through ConversationFileCache, from the byte
+ * offset the last update stopped at. A call whose result hasn't been written
+ * yet stays pending in the cache until a later update reads it. A resumed conversation repeats earlier
+ * calls under the same tool_use id; each id counts once, for the file modified
+ * first.
+ *
+ * Cache file (~/.claude/conversation-tool-cache.json):
+ *   { version, files: { [conversationId]: {
+ *       path, project, cwd, size, mtime, pending: { toolUseId: callIndex },
+ *       calls: [[toolUseId, tool, timestamp, detail, durationMs, status]] } } }
+ *
+ * `detail` is the command for Bash and the path for file edits. `status` is
+ * null until the result arrives, then 0 for success or 1 for an error result
+ * (which includes calls the user rejected or interrupted).
+ */
+
+const path = require('path');
+const os = require('os');
+const ConversationFileCache = require('./conversation-file-cache');
+const { getConversationSessions } = require('./config-utils');
+
+const CACHE_VERSION = 1;
+const EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+const MAX_DETAIL_CHARS = 300;
+
+/**
+ * What a call worked on: the command for Bash, the path for edits
+ */
+function callDetail(name, input) {
+  if (!input || typeof input !== 'object') return null;
+  if (name === 'Bash' && typeof input.command === 'string') {
+    return input.command.replace(/\s+/g, ' ').trim().slice(0, MAX_DETAIL_CHARS);
+  }
+  if (EDIT_TOOLS.includes(name)) return input.file_path || input.notebook_path || null;
+  return null;
+}
+
+/**
+ * Program a bash command starts with, skipping VAR=value prefixes
+ * @param {string} command - Normalized command
+ * @returns {string}
+ */
+function bashProgram(command) {
+  const words = command.split(' ');
+  const first = words.find(word => !/^[A-Za-z_][A-Za-z0-9_]*=/.test(word)) || words[0];
+  return first === 'sudo' && words.length > 1 ? `sudo ${words[words.indexOf(first) + 1]}` : first;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = sorted.length >> 1;
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * Running counts for one group of calls
+ */
+class CallStats {
+  constructor(fields = {}) {
+    Object.assign(this, fields);
+    this.calls = 0;
+    this.failures = 0;
+    this.unanswered = 0;
+    this.totalMs = 0;
+    this.durations = [];
+  }
+
+  add(durationMs, status) {
+    this.calls++;
+    if (status === 1) this.failures++;
+    if (status === null) this.unanswered++;
+    if (durationMs !== null) {
+      this.totalMs += durationMs;
+      this.durations.push(durationMs);
+    }
+  }
+
+  toJSON() {
+    const { durations, ...fields } = this;
+    const answered = this.calls - this.unanswered;
+    return {
+      ...fields,
+      failureRate: answered ? this.failures / answered : 0,
+      avgMs: durations.length ? Math.round(this.totalMs / durations.length) : null,
+      medianMs: median(durations),
+      maxMs: durations.length ? Math.max(...durations) : null
+    };
+  }
+}
+
+class ToolAnalytics extends ConversationFileCache {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.cacheFile - Where per-file call records are kept
+   * @param {string} options.configDir - Directory with the loop-config-{session}.json files
+   * @param {ConversationTreeScanner} options.scanner - Supplies files, change detection and parent links
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    super({
+      file: options.cacheFile || path.join(os.homedir(), '.claude', 'conversation-tool-cache.json'),
+      version: CACHE_VERSION,
+      label: 'Tools',
+      countName: 'calls'
+    }, options);
+    this.configDir = options.configDir || __dirname;
+  }
+
+  createEntry({ projectFolder }) {
+    return { project: projectFolder, cwd: null, pending: {}, calls: [] };
+  }
+
+  countEntry(entry) {
+    return entry.calls.length;
+  }
+
+  readRecord(entry, data) {
+    const content = data.message && data.message.content;
+    if (!Array.isArray(content)) return;
+    const time = Date.parse(data.timestamp);
+
+    for (const block of content) {
+      if (!block || typeof block !== 'object') continue;
+      if (block.type === 'tool_use' && block.id && !(block.id in entry.pending)) {
+        entry.pending[block.id] = entry.calls.length;
+        entry.calls.push([block.id, block.name || 'unknown', data.timestamp || null, callDetail(block.name, block.input), null, null]);
+      } else if (block.type === 'tool_result' && block.tool_use_id in entry.pending) {
+        const call = entry.calls[entry.pending[block.tool_use_id]];
+        delete entry.pending[block.tool_use_id];
+        const started = Date.parse(call[2]);
+        call[4] = isNaN(started) || isNaN(time) ? null : Math.max(0, time - started);
+        call[5] = block.is_error ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Tool counts, failure rates and durations, with the most edited files and
+   * most run bash commands, overall and per project and session
+   * @param {object} filters - {from, to (YYYY-MM-DD, inclusive), project, session, conversation, tool, limit}
+   * @returns {Promise<object>}
+   */
+  async report(filters = {}) {
+    await this.update();
+
+    for (const key of ['from', 'to']) {
+      if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+        throw new Error(`Invalid ${key} date: ${filters[key]} (use YYYY-MM-DD)`);
+      }
+    }
+    // A bare day as `to` covers that whole day
+    const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : null;
+    const to = filters.to ? new Date(`${filters.to}T00:00:00`).getTime() + 24 * 60 * 60 * 1000 - 1 : null;
+    const project = filters.project ? filters.project.toLowerCase() : null;
+    const tool = filters.tool ? filters.tool.toLowerCase() : null;
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 25, 1), 500);
+
+    const tree = await this.scanner.getCachedTree();
+    const sessions = await getConversationSessions((tree && tree.conversations) || {}, { configDir: this.configDir });
+
+    const totals = new CallStats();
+    const groups = { tools: new Map(), files: new Map(), bashCommands: new Map(), bashPrograms: new Map(), byProject: new Map(), bySession: new Map() };
+    const projectTools = new Map();
+    const sessionTools = new Map();
+    const seen = new Set();
+
+    const group = (map, key, fields) => {
+      if (!map.has(key)) map.set(key, new CallStats(fields));
+      return map.get(key);
+    };
+    const countTool = (map, key, name) => {
+      if (!map.has(key)) map.set(key, new Map());
+      const counts = map.get(key);
+      counts.set(name, (counts.get(name) || 0) + 1);
+    };
+
+    // Oldest file first, so a call repeated in a resumed conversation counts for the original
+    const entries = Object.entries(this.files).sort((a, b) => (a[1].mtime || '').localeCompare(b[1].mtime || ''));
+    for (const [id, entry] of entries) {
+      const session = sessions.get(id) || null;
+      const included = (!filters.conversation || id === filters.conversation) &&
+        (!filters.session || session === filters.session) &&
+        (!project || entry.project.toLowerCase().includes(project) ||
+          (!!entry.cwd && entry.cwd.toLowerCase().includes(project)));
+
+      for (const [toolUseId, name, timestamp, detail, durationMs, status] of entry.calls) {
+        if (seen.has(toolUseId)) continue;
+        seen.add(toolUseId);
+        if (!included) continue;
+        if (tool && name.toLowerCase() !== tool) continue;
+        if (from !== null || to !== null) {
+          const time = Date.parse(timestamp);
+          if (isNaN(time) || (from !== null && time < from) || (to !== null && time > to)) continue;
+        }
+
+        totals.add(durationMs, status);
+        group(groups.tools, name, { tool: name }).add(durationMs, status);
+        group(groups.byProject, entry.project, { project: entry.project, cwd: entry.cwd }).add(durationMs, status);
+        group(groups.bySession, session, { session }).add(durationMs, status);
+        countTool(projectTools, entry.project, name);
+        countTool(sessionTools, session, name);
+
+        if (detail && EDIT_TOOLS.includes(name)) {
+          group(groups.files, detail, { path: detail }).add(durationMs, status);
+        } else if (detail && name === 'Bash') {
+          group(groups.bashCommands, detail, { command: detail }).add(durationMs, status);
+          const program = bashProgram(detail);
+          group(groups.bashPrograms, program, { program }).add(durationMs, status);
+        }
+      }
+    }
+
+    const byCalls = (a, b) => b.calls - a.calls;
+    const list = (map, max = Infinity) => [...map.values()].sort(byCalls).slice(0, max).map(stats => stats.toJSON());
+    const topTools = (counts) => [...(counts || new Map())]
+      .sort((a, b) => b[1] - a[1]).slice(0, 5).map(([name, calls]) => ({ tool: name, calls }));
+
+    return {
+      filters,
+      totals: totals.toJSON(),
+      tools: list(groups.tools),
+      files: list(groups.files, limit),
+      fileCount: groups.files.size,
+      bashCommands: list(groups.bashCommands, limit),
+      bashCommandCount: groups.bashCommands.size,
+      bashPrograms: list(groups.bashPrograms, limit),
+      byProject: list(groups.byProject).map(row => ({ ...row, tools: topTools(projectTools.get(row.project)) })),
+      bySession: list(groups.bySession).map(row => ({ ...row, tools: topTools(sessionTools.get(row.session)) })),
+      indexed: this.stats()
+    };
+  }
+
+  /**
+   * Files one conversation edited, most recently edited first
+   * @param {string} conversationId
+   * @param {object} options - {since: only edits after this time (ms), limit}
+   * @returns {Promise<{cwd: string|null, files: Array<{path: string, edits: number, lastEditedAt: string}>}>}
+   */
+  async recentEdits(conversationId, { since = 0, limit = 50 } = {}) {
+    await this.update();
+    const entry = this.files[conversationId];
+    if (!entry) return { cwd: null, files: [] };
+
+    const files = new Map();
+    for (const [, name, timestamp, detail] of entry.calls) {
+      if (!detail || !EDIT_TOOLS.includes(name) || !(Date.parse(timestamp) >= since)) continue;
+      const file = files.get(detail) || { path: detail, edits: 0, lastEditedAt: timestamp };
+      file.edits++;
+      if (timestamp > file.lastEditedAt) file.lastEditedAt = timestamp;
+      files.set(detail, file);
+    }
+    return {
+      cwd: entry.cwd,
+      files: [...files.values()].sort((a, b) => b.lastEditedAt.localeCompare(a.lastEditedAt)).slice(0, limit)
+    };
+  }
+
+  /**
+   * @returns {{conversations: number, calls: number, lastUpdate: string|null}}
+   */
+  stats() {
+    const entries = Object.values(this.files || {});
+    return {
+      conversations: entries.length,
+      calls: entries.reduce((sum, entry) => sum + entry.calls.length, 0),
+      lastUpdate: this.lastUpdate
+    };
+  }
+}
+
+ToolAnalytics.EDIT_TOOLS = EDIT_TOOLS;
+ToolAnalytics.callDetail = callDetail;
+ToolAnalytics.bashProgram = bashProgram;
+
+module.exports = ToolAnalytics;
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Accounting
+ * Token totals and cost estimates from the `usage` Claude records on every
+ * assistant message in ~/.claude/projects, replacing the guesses
+ * monitoring/usage-stats.js makes from tmux logs.
+ *
+ * Files are read incrementally through ConversationFileCache, from the byte
+ * offset the last update stopped at.
+ *
+ * Claude writes one line per content block of a response, each carrying the
+ * same message id and usage, and a resumed conversation copies earlier
+ * messages into its new file. Usage is therefore counted once per message id:
+ * within a file the lines are merged, and across files the message counts
+ * toward the file modified first, which is the original rather than the copy.
+ *
+ * Cache file (~/.claude/conversation-usage-cache.json):
+ *   { version, files: { [conversationId]: {
+ *       path, project, cwd, size, mtime,
+ *       records: [[messageId, timestamp, model, input, output, cacheWrite, cacheRead]] } } }
+ *
+ * Prices are USD per million tokens. The first entry whose `match` is part of
+ * the model name prices it. Edits are saved to dashboard/usage-prices.json and
+ * replace the default table as a whole.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const ConversationFileCache = require('./conversation-file-cache');
+const { getConversationSessions } = require('./config-utils');
+
+const CACHE_VERSION = 1;
+const TOKEN_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+const DEFAULT_PRICES = [
+  { match: 'opus-4-5', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: 'opus', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: 'sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: 'haiku-4-5', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: '3-5-haiku', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { match: 'haiku', input: 0.25, output: 1.25, cacheWrite: 0.3, cacheRead: 0.03 },
+  // Placeholder entries Claude Code writes for errors and interruptions
+  { match: '<synthetic>', input: 0, output: 0, cacheWrite: 0, cacheRead: 0 }
+];
+
+/**
+ * Usage record of one JSONL entry, or null if it carries none
+ * @param {object} data - Parsed JSONL line
+ * @returns {Array|null} [messageId, timestamp, model, input, output, cacheWrite, cacheRead]
+ */
+function extractUsage(data) {
+  const message = data && data.message;
+  if (!message || message.role !== 'assistant' || !message.usage) return null;
+  const usage = message.usage;
+  const id = message.id || data.requestId || data.uuid;
+  if (!id) return null;
+  return [
+    id,
+    data.timestamp || null,
+    message.model || 'unknown',
+    usage.input_tokens || 0,
+    usage.output_tokens || 0,
+    usage.cache_creation_input_tokens || 0,
+    usage.cache_read_input_tokens || 0
+  ];
+}
+
+/**
+ * Check a price table sent by the dashboard
+ * @param {Array} prices - [{match, input, output, cacheWrite, cacheRead}]
+ * @returns {Array} The table with numbers coerced
+ */
+function normalizePrices(prices) {
+  if (!Array.isArray(prices)) throw new Error('Prices must be a list');
+  return prices.map((entry, i) => {
+    if (!entry || typeof entry.match !== 'string' || !entry.match.trim()) {
+      throw new Error(`Price ${i + 1} needs a model name to match`);
+    }
+    const normalized = { match: entry.match.trim() };
+    for (const field of TOKEN_FIELDS) {
+      const value = Number(entry[field] || 0);
+      if (!isFinite(value) || value < 0) throw new Error(`Price ${i + 1} has an invalid ${field} price`);
+      normalized[field] = value;
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Local calendar day of a timestamp, YYYY-MM-DD
+ */
+function localDay(timestamp) {
+  const date = new Date(timestamp);
+  if (isNaN(date)) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function emptyTotals() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0, messages: 0, cost: 0 };
+}
+
+class UsageAccounting extends ConversationFileCache {
+  /**
+   * @param {object} options - Optional overrides
+   * @param {string} options.cacheFile - Where per-file usage records are kept
+   * @param {string} options.pricesFile - Edited price table
+   * @param {string} options.configDir - Directory with the loop-config-{session}.json files
+   * @param {ConversationTreeScanner} options.scanner - Supplies files, change detection and parent links
+   * @param {object} options.log - Logger
+   */
+  constructor(options = {}) {
+    super({
+      file: options.cacheFile || path.join(os.homedir(), '.claude', 'conversation-usage-cache.json'),
+      version: CACHE_VERSION,
+      label: 'Usage',
+      countName: 'records'
+    }, options);
+    this.pricesFile = options.pricesFile || path.join(__dirname, 'usage-prices.json');
+    this.configDir = options.configDir || __dirname;
+    this.recordIndex = new WeakMap(); // entry -> Map of messageId -> record index
+  }
+
+  createEntry({ projectFolder }) {
+    return { project: projectFolder, cwd: null, records: [] };
+  }
+
+  countEntry(entry) {
+    return entry.records.length;
+  }
+
+  readRecord(entry, data) {
+    const record = extractUsage(data);
+    if (!record) return;
+
+    let byId = this.recordIndex.get(entry);
+    if (!byId) {
+      byId = new Map(entry.records.map((existing, i) => [existing[0], i]));
+      this.recordIndex.set(entry, byId);
+    }
+    if (!byId.has(record[0])) {
+      byId.set(record[0], entry.records.length);
+      entry.records.push(record);
+      return;
+    }
+    // Another block of the same response; streamed lines can lag on output_tokens
+    const existing = entry.records[byId.get(record[0])];
+    for (let i = 3; i < record.length; i++) existing[i] = Math.max(existing[i], record[i]);
+  }
+
+  /**
+   * The price table in use: the edited one if saved, otherwise the defaults
+   * @returns {Promise<{prices: Array, custom: boolean}>}
+   */
+  async getPrices() {
+    try {
+      const prices = normalizePrices(JSON.parse(await fs.readFile(this.pricesFile, 'utf8')));
+      return { prices, custom: true };
+    } catch (error) {
+      if (error.code !== 'ENOENT') this.log.error('[Usage] Ignoring invalid price table:', error.message);
+      return { prices: DEFAULT_PRICES, custom: false };
+    }
+  }
+
+  /**
+   * Save an edited price table; null goes back to the defaults
+   * @param {Array|null} prices - [{match, input, output, cacheWrite, cacheRead}]
+   */
+  async savePrices(prices) {
+    if (prices === null) {
+      await fs.unlink(this.pricesFile).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+      return this.getPrices();
+    }
+    const normalized = normalizePrices(prices);
+    await fs.writeFile(this.pricesFile, JSON.stringify(normalized, null, 2));
+    return { prices: normalized, custom: true };
+  }
+
+  /**
+   * Token totals and estimated cost, broken down by day, model, project,
+   * session and conversation
+   * @param {object} filters - {from, to (YYYY-MM-DD, inclusive), project, session, conversation}
+   * @returns {Promise<object>}
+   */
+  async report(filters = {}) {
+    await this.update();
+
+    for (const key of ['from', 'to']) {
+      if (filters[key] && !/^\d{4}-\d{2}-\d{2}$/.test(filters[key])) {
+        throw new Error(`Invalid ${key} date: ${filters[key]} (use YYYY-MM-DD)`);
+      }
+    }
+    const project = filters.project ? filters.project.toLowerCase() : null;
+
+    const { prices, custom } = await this.getPrices();
+    const priceOf = new Map();
+    const findPrice = (model) => {
+      if (!priceOf.has(model)) priceOf.set(model, prices.find(p => model.includes(p.match)) || null);
+      return priceOf.get(model);
+    };
+
+    const tree = await this.scanner.getCachedTree();
+    const conversations = (tree && tree.conversations) || {};
+    const sessions = await getConversationSessions(conversations, { configDir: this.configDir });
+
+    const totals = emptyTotals();
+    const groups = { byDay: new Map(), byModel: new Map(), byProject: new Map(), bySession: new Map(), byConversation: new Map() };
+    const unpriced = new Set();
+    const seen = new Set();
+
+    // Oldest file first, so a message copied into a resumed conversation counts for the original
+    const entries = Object.entries(this.files).sort((a, b) => (a[1].mtime || '').localeCompare(b[1].mtime || ''));
+    for (const [id, entry] of entries) {
+      const session = sessions.get(id) || null;
+      const included = (!filters.conversation || id === filters.conversation) &&
+        (!filters.session || session === filters.session) &&
+        (!project || entry.project.toLowerCase().includes(project) ||
+          (!!entry.cwd && entry.cwd.toLowerCase().includes(project)));
+
+      for (const [messageId, timestamp, model, ...tokens] of entry.records) {
+        // Claimed by its file even when filtered out, so a copy elsewhere isn't counted instead
+        if (seen.has(messageId)) continue;
+        seen.add(messageId);
+        if (!included) continue;
+
+        const day = localDay(timestamp);
+        if ((filters.from || filters.to) && !day) continue;
+        if (filters.from && day < filters.from) continue;
+        if (filters.to && day > filters.to) continue;
+
+        const price = findPrice(model);
+        if (!price) unpriced.add(model);
+        const cost = price ? TOKEN_FIELDS.reduce((sum, field, i) => sum + tokens[i] * price[field], 0) / 1e6 : 0;
+
+        const add = (group, key, describe) => {
+          let row = group.get(key);
+          if (!row) group.set(key, row = { ...describe(), ...emptyTotals() });
+          this.addTokens(row, tokens, cost);
+        };
+        this.addTokens(totals, tokens, cost);
+        add(groups.byDay, day, () => ({ day }));
+        add(groups.byModel, model, () => ({ model, priced: !!price }));
+        add(groups.byProject, entry.project, () => ({ project: entry.project, cwd: entry.cwd }));
+        add(groups.bySession, session, () => ({ session }));
+        add(groups.byConversation, id, () => ({
+          conversationId: id,
+          title: conversations[id] ? conversations[id].firstUserMessage || null : null,
+          project: entry.project,
+          session
+        }));
+      }
+    }
+
+    const byCost = (a, b) => b.cost - a.cost || b.total - a.total;
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), 500);
+    const conversationRows = [...groups.byConversation.values()].sort(byCost);
+    return {
+      filters,
+      totals,
+      byDay: [...groups.byDay.values()].sort((a, b) => (a.day || '').localeCompare(b.day || '')),
+      byModel: [...groups.byModel.values()].sort(byCost),
+      byProject: [...groups.byProject.values()].sort(byCost),
+      bySession: [...groups.bySession.values()].sort(byCost),
+      byConversation: conversationRows.slice(0, limit),
+      conversationCount: conversationRows.length,
+      unpricedModels: [...unpriced],
+      prices,
+      customPrices: custom,
+      indexed: this.stats()
+    };
+  }
+
+  addTokens(row, tokens, cost) {
+    TOKEN_FIELDS.forEach((field, i) => { row[field] += tokens[i]; });
+    row.total += tokens.reduce((sum, n) => sum + n, 0);
+    row.messages++;
+    row.cost += cost;
+  }
+
+  /**
+   * @returns {{conversations: number, responses: number, lastUpdate: string|null}}
+   */
+  stats() {
+    const entries = Object.values(this.files || {});
+    return {
+      conversations: entries.length,
+      responses: entries.reduce((sum, entry) => sum + entry.records.length, 0),
+      lastUpdate: this.lastUpdate
+    };
+  }
+}
+
+UsageAccounting.DEFAULT_PRICES = DEFAULT_PRICES;
+UsageAccounting.extractUsage = extractUsage;
+UsageAccounting.normalizePrices = normalizePrices;
+
+module.exports = UsageAccounting;
@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+
+/**
+ * Usage Limit Monitor
+ * Pauses a session's loop when Claude shows a usage limit banner and resumes
+ * it once the limit resets.
+ *
+ * The banner comes from screen-parser.js (screen.usageLimit). The reset time is
+ * read from the banner ("resets 3pm", "reset at 3:30pm (Europe/London)", or an
+ * epoch timestamp) and converted to local time. On resume an optional
+ * "welcome back" message is sent.
+ *
+ * The banner stays on screen after the reset, so a banner that was already
+ * handled is ignored until it scrolls out of view.
+ */
+
+const DEFAULT_RESUME_MESSAGE = 'Welcome back! The usage limit has reset - please continue where you left off.';
+
+/**
+ * Offset of a time zone from UTC at a given instant
+ * @param {number} timestamp - Milliseconds since epoch
+ * @param {string} timeZone - IANA zone name
+ * @returns {number} Offset in milliseconds (zone wall clock minus UTC)
+ */
+function getZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Next occurrence of a wall-clock time, either locally or in a named zone
+ * @param {number} hour - 0-23
+ * @param {number} minute - 0-59
+ * @param {string|null} timeZone - IANA zone, or null for local time
+ * @param {Date} now - Reference time
+ * @returns {Date} The next time the clock shows hour:minute
+ */
+function nextWallClockTime(hour, minute, timeZone, now) {
+  if (!timeZone) {
+    const result = new Date(now);
+    result.setHours(hour, minute, 0, 0);
+    if (result <= now) result.setDate(result.getDate() + 1);
+    return result;
+  }
+
+  // Today's date as seen in that zone, then find the instant showing hour:minute there
+  const offsetNow = getZoneOffset(now.getTime(), timeZone);
+  const zoneToday = new Date(now.getTime() + offsetNow);
+  for (let addDays = 0; addDays <= 1; addDays++) {
+    const wall = Date.UTC(zoneToday.getUTCFullYear(), zoneToday.getUTCMonth(), zoneToday.getUTCDate() + addDays, hour, minute);
+    let instant = wall - getZoneOffset(wall, timeZone);
+    // Second pass settles DST transitions
+    instant = wall - getZoneOffset(instant, timeZone);
+    if (instant > now.getTime()) return new Date(instant);
+  }
+  return new Date(now.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Work out when a usage limit resets
+ * @param {{message: string, resetText: string|null, resetsAt: string|null}} banner - screen.usageLimit
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Reset time, or null if the banner doesn't say
+ */
+function parseResetTime(banner, now = new Date()) {
+  if (!banner) return null;
+  if (banner.resetsAt) return new Date(banner.resetsAt);
+
+  const text = banner.resetText || banner.message || '';
+
+  // "in 2h 30m" / "in 45 minutes"
+  const relative = text.match(/\bin\s+(?:(\d+)\s*h(?:ours?)?)?\s*(?:(\d+)\s*m(?:in(?:utes?)?)?)?/i);
+  if (relative && (relative[1] || relative[2])) {
+    const minutes = (parseInt(relative[1] || 0) * 60) + parseInt(relative[2] || 0);
+    return new Date(now.getTime() + minutes * 60 * 1000);
+  }
+
+  // "3pm", "3:30 pm", "15:00", optionally followed by "(Europe/London)"
+  const clock = [...text.matchAll(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/gi)].find(m => m[2] || m[3]);
+  if (!clock) return null;
+
+  let hour = parseInt(clock[1]);
+  const minute = clock[2] ? parseInt(clock[2]) : 0;
+  const meridiem = clock[3] ? clock[3].toLowerCase() : null;
+  if (meridiem === 'pm' && hour !== 12) hour += 12;
+  if (meridiem === 'am' && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+
+  const zoneMatch = text.match(/\(([A-Za-z_]+(?:\/[A-Za-z_+-]+)+|UTC)\)/);
+  let timeZone = zoneMatch ? zoneMatch[1] : null;
+  if (timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+    } catch (e) {
+      timeZone = null; // Unknown zone - assume local time
+    }
+  }
+
+  return nextWallClockTime(hour, minute, timeZone, now);
+}
+
+class UsageLimitMonitor {
+  /**
+   * @param {object} hooks - Server callbacks
+   * @param {function(string): object|undefined} hooks.getLoopInfo - Loop entry from sessionLoops
+   * @param {function(string): Promise<object>} hooks.getConfig - Session config
+   * @param {function(string, string): Promise} hooks.sendMessage - Queue a message for a session
+   * @param {function(): Promise} hooks.persist - Save loop state (saveActiveLoops)
+   * @param {object} hooks.log - Logger
+   */
+  constructor(hooks) {
+    this.hooks = hooks;
+    this.timers = new Map(); // session -> resume timeout
+    this.handledBanners = new Map(); // session -> banner message already acted on
+  }
+
+  /**
+   * Look at the latest screen state of a session with a running loop
+   * @param {string} session - Session name
+   * @param {object|null} banner - screen.usageLimit
+   * @returns {Promise<boolean>} True if the loop was paused now
+   */
+  async observe(session, banner) {
+    if (!banner) {
+      // The old banner has scrolled away; the next one is new
+      this.handledBanners.delete(session);
+      return false;
+    }
+
+    const loopInfo = this.hooks.getLoopInfo(session);
+    if (!loopInfo || loopInfo.usageLimit) return false;
+    if (this.handledBanners.get(session) === banner.message) return false;
+
+    const config = await this.hooks.getConfig(session);
+    if (config.usageLimitAutoPause === false) return false;
+
+    this.handledBanners.set(session, banner.message);
+    await this.pause(session, banner, config);
+    return true;
+  }
+
+  /**
+   * Pause a loop until the limit resets
+   * @param {string} session - Session name
+   * @param {object} banner - screen.usageLimit
+   * @param {object} config - Session config
+   */
+  async pause(session, banner, config) {
+    const loopInfo = this.hooks.getLoopInfo(session);
+    if (!loopInfo) return;
+
+    const now = new Date();
+    const resetAt = parseResetTime(banner, now);
+    const bufferMinutes = config.usageLimitResumeBufferMinutes !== undefined ? config.usageLimitResumeBufferMinutes : 2;
+    const fallbackMinutes = config.usageLimitFallbackMinutes || 60;
+    const resumeAt = resetAt
+      ? new Date(resetAt.getTime() + bufferMinutes * 60 * 1000)
+      : new Date(now.getTime() + fallbackMinutes * 60 * 1000);
+
+    loopInfo.usageLimit = {
+      detectedAt: now.toISOString(),
+      message: banner.message,
+      resetAt: resetAt ? resetAt.toISOString() : null,
+      resumeAt: resumeAt.toISOString()
+    };
+
+    this.hooks.log.info(`[UsageLimit] ${session}: "${banner.message}" - pausing until ${resumeAt.toLocaleString()}${resetAt ? '' : ' (reset time unknown, using fallback)'}`);
+    this.scheduleResume(session);
+    await this.hooks.persist();
+  }
+
+  /**
+   * Arm the resume timer from loopInfo.usageLimit.resumeAt
+   * @param {string} session - Session name
+   */
+  scheduleResume(session) {
+    const loopInfo = this.hooks.getLoopInfo(session);
+    if (!loopInfo || !loopInfo.usageLimit) return;
+
+    this.clearTimer(session);
+    const delay = Math.max(0, new Date(loopInfo.usageLimit.resumeAt).getTime() - Date.now());
+    // setTimeout can't wait longer than ~24.8 days; re-arm in steps
+    const step = Math.min(delay, 24 * 60 * 60 * 1000);
+    this.timers.set(session, setTimeout(() => {
+      this.timers.delete(session);
+      if (step < delay) {
+        this.scheduleResume(session);
+      } else {
+        this.resume(session).catch(error => this.hooks.log.error(`[UsageLimit] Resume failed for ${session}:`, error));
+      }
+    }, step));
+  }
+
+  /**
+   * Resume a loop paused for the usage limit
+   * @param {string} session - Session name
+   * @param {object} options - {sendMessage: false to skip the welcome back message}
+   */
+  async resume(session, { sendMessage = true } = {}) {
+    this.clearTimer(session);
+    const loopInfo = this.hooks.getLoopInfo(session);
+    if (!loopInfo || !loopInfo.usageLimit) return;
+
+    // The banner is still on screen; don't pause for it again
+    this.handledBanners.set(session, loopInfo.usageLimit.message);
+    delete loopInfo.usageLimit;
+    this.hooks.log.info(`[UsageLimit] ${session}: limit reset, resuming loop`);
+
+    const config = await this.hooks.getConfig(session);
+    const message = config.usageLimitResumeMessage !== undefined ? config.usageLimitResumeMessage : DEFAULT_RESUME_MESSAGE;
+    if (sendMessage && message && message.trim()) {
+      await this.hooks.sendMessage(session, message);
+      loopInfo.lastMessageTime = Date.now();
+      loopInfo.nextMessageTime = new Date(Date.now() + (loopInfo.delayMinutes || config.delayMinutes || 10) * 60 * 1000);
+    } else {
+      // Let the scheduler send right away
+      loopInfo.nextMessageTime = new Date();
+    }
+    await this.hooks.persist();
+  }
+
+  /**
+   * Countdown info for status routes
+   * @param {string} session - Session name
+   * @returns {object|null} {message, resetAt, resumeAt, remainingSeconds}
+   */
+  getStatus(session) {
+    const loopInfo = this.hooks.getLoopInfo(session);
+    if (!loopInfo || !loopInfo.usageLimit) return null;
+    const remainingMs = new Date(loopInfo.usageLimit.resumeAt).getTime() - Date.now();
+    return { ...loopInfo.usageLimit, remainingSeconds: Math.max(0, Math.round(remainingMs / 1000)) };
+  }
+
+  clearTimer(session) {
+    if (this.timers.has(session)) {
+      clearTimeout(this.timers.get(session));
+      this.timers.delete(session);
+    }
+  }
+
+  /**
+   * Forget a session (loop stopped)
+   * @param {string} session - Session name
+   */
+  clear(session) {
+    this.clearTimer(session);
+    this.handledBanners.delete(session);
+  }
+}
+
+UsageLimitMonitor.parseResetTime = parseResetTime;
+UsageLimitMonitor.DEFAULT_RESUME_MESSAGE = DEFAULT_RESUME_MESSAGE;
+
+module.exports = UsageLimitMonitor;
@@ -11,6 +11,7 @@ const CONFIG = {
   statsFile: path.join(__dirname, '../tmp/claude-usage-stats.json'),
   patterns: {
     // Claude response patterns
+    // Rarely printed; dashboard/usage-accounting.js reads real token counts from the conversation files
     tokenUsage: /Tokens:\s*(\d+)\s*input,\s*(\d+)\s*output/i,
     apiUsage: /Usage:\s*(\d+)\s*requests?\s*today/i,
     rateLimitHit: /rate limit|usage limit|quota exceeded/i,